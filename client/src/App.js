@@ -6,6 +6,9 @@ import Rankings from './components/Rankings';
 import PersonalRankings from './components/PersonalRankings';
 import Leaderboard from './components/Leaderboard';
 import ItemDetail from './components/ItemDetail';
+import HeadToHead from './components/HeadToHead';
+import Tournaments from './components/Tournaments';
+import TournamentBracket from './components/TournamentBracket';
 import UserStats from './components/UserStats';
 import AuthModal from './components/AuthModal';
 import DonateModal from './components/DonateModal';
@@ -98,6 +101,14 @@ function MoreMenu({ showAuthModal, setShowAuthModal, setShowDonateModal, user, l
               <div className="more-menu-divider"></div>
             </>
           )}
+          <Link 
+            to="/tournaments" 
+            className={`more-menu-item ${isActive('/tournaments') ? 'active' : ''}`}
+            onClick={handleMenuItemClick}
+          >
+            <span className="more-menu-item-icon">🏟️</span>
+            <span className="more-menu-item-text">Tournaments</span>
+          </Link>
           <button 
             className="more-menu-item"
             onClick={() => {
@@ -194,6 +205,9 @@ function AppRoutes({ userSessionId, adminToken, setAdminToken }) {
         <Route path="/leaderboard" element={<Leaderboard />} />
         <Route path="/stats" element={<UserStats />} />
         <Route path="/items/:id" element={<ItemDetail />} />
+        <Route path="/items/:a/vs/:b" element={<HeadToHead />} />
+        <Route path="/tournaments" element={<Tournaments />} />
+        <Route path="/tournaments/:id" element={<TournamentBracket userSessionId={userSessionId} />} />
         <Route 
           path="/admin" 
           element={
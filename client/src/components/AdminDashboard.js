@@ -1,4 +1,4 @@
-import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import React, { useState, useEffect, useCallback, useMemo, useRef } from 'react';
 import axios from 'axios';
 import './AdminDashboard.css';
 import ItemModal from './modals/ItemModal';
@@ -29,6 +29,13 @@ const AdminDashboard = ({ adminToken, onLogout }) => {
   const [showAssignCategoriesModal, setShowAssignCategoriesModal] = useState(false);
   const [showPhotoSubmissions, setShowPhotoSubmissions] = useState(false);
   const [showItemSubmissions, setShowItemSubmissions] = useState(false);
+  const [showFlaggedSessions, setShowFlaggedSessions] = useState(false);
+  const [showRatingReplay, setShowRatingReplay] = useState(false);
+  const [showSelectionExplainer, setShowSelectionExplainer] = useState(false);
+  const [showExperiments, setShowExperiments] = useState(false);
+  const [showPositionBias, setShowPositionBias] = useState(false);
+  const [showParadoxes, setShowParadoxes] = useState(false);
+  const [showTournaments, setShowTournaments] = useState(false);
   const [showSettings, setShowSettings] = useState(false);
   const [settings, setSettings] = useState(null);
   const [settingsLoading, setSettingsLoading] = useState(false);
@@ -268,6 +275,62 @@ const AdminDashboard = ({ adminToken, onLogout }) => {
             </div>
           </div>
 
+          <div className="admin-tool-card" onClick={() => setShowFlaggedSessions(true)}>
+            <div className="tool-icon">🚩</div>
+            <div className="tool-content">
+              <h4 className="tool-title">Flagged Voting</h4>
+              <p className="tool-description">Review users and sessions flagged for suspicious voting. Their votes don't count until approved.</p>
+            </div>
+          </div>
+
+          <div className="admin-tool-card" onClick={() => setShowRatingReplay(true)}>
+            <div className="tool-icon">🔁</div>
+            <div className="tool-content">
+              <h4 className="tool-title">Recompute Ratings</h4>
+              <p className="tool-description">Replay every vote with the current rating settings. Preview rank changes with a dry run before applying.</p>
+            </div>
+          </div>
+
+          <div className="admin-tool-card" onClick={() => setShowSelectionExplainer(true)}>
+            <div className="tool-icon">🔬</div>
+            <div className="tool-content">
+              <h4 className="tool-title">Explain Selection</h4>
+              <p className="tool-description">See why a session gets the pairs it does: every candidate's weight factors and its chance of being shown.</p>
+            </div>
+          </div>
+
+          <div className="admin-tool-card" onClick={() => setShowExperiments(true)}>
+            <div className="tool-icon">🧪</div>
+            <div className="tool-content">
+              <h4 className="tool-title">Experiments</h4>
+              <p className="tool-description">A/B test selection and rating settings on a share of sessions and compare engagement and rating movement per variant.</p>
+            </div>
+          </div>
+
+          <div className="admin-tool-card" onClick={() => setShowPositionBias(true)}>
+            <div className="tool-icon">↔️</div>
+            <div className="tool-content">
+              <h4 className="tool-title">Position Bias</h4>
+              <p className="tool-description">See how often voters pick the left item, overall and per user or session, and who picks one side far more than chance.</p>
+            </div>
+          </div>
+
+          <div className="admin-tool-card" onClick={() => setShowParadoxes(true)}>
+            <div className="tool-icon">🔄</div>
+            <div className="tool-content">
+              <h4 className="tool-title">Paradoxes</h4>
+              <p className="tool-description">Find preference cycles (A beats B, B beats C, C beats A) and the items voters disagree about most.</p>
+            </div>
+          </div>
+
+          <div className="admin-tool-card" onClick={() => setShowTournaments(true)}>
+            <div className="tool-icon">🏟️</div>
+            <div className="tool-content">
+              <h4 className="tool-title">Tournaments</h4>
+              <p className="tool-description">Run a seeded knockout bracket over a category or hand-picked items, with a voting window per round.</p>
+            </div>
+          </div>
+
           {/* Settings */}
           <div className="admin-tool-card" onClick={() => setShowSettings(true)} style={{ background: 'linear-gradient(135deg, #f093fb 0%, #f5576c 100%)' }}>
             <div className="tool-icon">⚙️</div>
@@ -556,6 +619,63 @@ const AdminDashboard = ({ adminToken, onLogout }) => {
         />
       )}
 
+      {showFlaggedSessions && (
+        <FlaggedSessionsPanel
+          onClose={() => setShowFlaggedSessions(false)}
+          onReview={() => {
+            fetchItems();
+            fetchStats();
+          }}
+          api={api}
+        />
+      )}
+
+      {showRatingReplay && (
+        <RatingReplayPanel
+          onClose={() => setShowRatingReplay(false)}
+          onApplied={() => {
+            fetchItems();
+            fetchStats();
+          }}
+          api={api}
+        />
+      )}
+
+      {showSelectionExplainer && (
+        <SelectionExplainerPanel
+          onClose={() => setShowSelectionExplainer(false)}
+          api={api}
+        />
+      )}
+
+      {showExperiments && (
+        <ExperimentsPanel
+          onClose={() => setShowExperiments(false)}
+          api={api}
+        />
+      )}
+
+      {showPositionBias && (
+        <PositionBiasPanel
+          onClose={() => setShowPositionBias(false)}
+          api={api}
+        />
+      )}
+
+      {showParadoxes && (
+        <ParadoxesPanel
+          onClose={() => setShowParadoxes(false)}
+          api={api}
+        />
+      )}
+
+      {showTournaments && (
+        <TournamentsPanel
+          onClose={() => setShowTournaments(false)}
+          api={api}
+        />
+      )}
+
       {showSettings && (
         <SettingsPanel
           onClose={() => setShowSettings(false)}
@@ -1190,169 +1310,1658 @@ const ItemSubmissionsPanel = ({ onClose, onApprove, api }) => {
   );
 };
 
-// Settings Panel
-const SettingsPanel = ({ onClose, settings, settingsLoading, onUpdate, api }) => {
-  // Selection Algorithm
-  const [familiarityWeight, setFamiliarityWeight] = useState(0.5);
-  const [cooldownPeriod, setCooldownPeriod] = useState(30);
-  const [itemsNeedingVotesConfidence, setItemsNeedingVotesConfidence] = useState(0.8);
-  const [itemsNeedingVotesComparison, setItemsNeedingVotesComparison] = useState(20);
-  
-  // ELO Rating System
-  const [baseKFactor, setBaseKFactor] = useState(32);
-  const [highConfidenceK, setHighConfidenceK] = useState(16);
-  const [mediumConfidenceK, setMediumConfidenceK] = useState(24);
-  const [lowConfidenceK, setLowConfidenceK] = useState(32);
-  const [highConfidenceThreshold, setHighConfidenceThreshold] = useState(0.8);
-  const [mediumConfidenceThreshold, setMediumConfidenceThreshold] = useState(0.33);
-  
-  // Upset Detection
-  const [upsetThreshold, setUpsetThreshold] = useState(200);
-  
-  // Familiarity Calculation
-  const [minComparisonsForConfidence, setMinComparisonsForConfidence] = useState(30);
-  const [comparisonSaturationPoint, setComparisonSaturationPoint] = useState(50);
-  const [recencyDecayDays, setRecencyDecayDays] = useState(30);
-  const [comparisonFactorWeight, setComparisonFactorWeight] = useState(0.40);
-  const [winRateFactorWeight, setWinRateFactorWeight] = useState(0.25);
-  const [recencyFactorWeight, setRecencyFactorWeight] = useState(0.20);
-  const [engagementFactorWeight, setEngagementFactorWeight] = useState(0.15);
-  
-  // Wikipedia Auto-Fetch
-  const [apiDelay, setApiDelay] = useState(300);
-  const [minItemsThreshold, setMinItemsThreshold] = useState(50);
-  const [batchSize, setBatchSize] = useState(10);
-  const [growthBatchSize, setGrowthBatchSize] = useState(5);
-  const [growthIntervalMinutes, setGrowthIntervalMinutes] = useState(30);
-  
-  // Scheduler
-  const [schedulerIntervalMinutes, setSchedulerIntervalMinutes] = useState(10);
-  
-  const [saving, setSaving] = useState(false);
-  const [message, setMessage] = useState(null);
-  const [activeSection, setActiveSection] = useState('selection');
+// Flagged Sessions Panel
+const FLAG_REASON_LABELS = {
+  inhuman_cadence: 'Inhuman voting speed',
+  single_item_bias: 'Always picks the same item',
+  too_fast: 'Decides too fast'
+};
+
+const FlaggedSessionsPanel = ({ onClose, onReview, api }) => {
+  const [flags, setFlags] = useState([]);
+  const [status, setStatus] = useState('pending');
+  const [loading, setLoading] = useState(true);
+  const [checking, setChecking] = useState(false);
+  const [error, setError] = useState('');
+  const [page, setPage] = useState(1);
+  const [pagination, setPagination] = useState({ total: 0, totalPages: 1 });
+  const [toast, setToast] = useState(null);
+  const limit = 20;
+
+  const showToast = (message, type) => {
+    setToast({ message, type });
+    setTimeout(() => setToast(null), 3000);
+  };
+
+  const fetchFlags = useCallback(async () => {
+    setLoading(true);
+    try {
+      const response = await api.get(`/api/admin/flagged-sessions?status=${status}&limit=${limit}&offset=${(page - 1) * limit}`);
+      setFlags(response.data.flags || []);
+      setPagination(response.data.pagination || {});
+      setError('');
+    } catch (err) {
+      console.error('Error fetching flagged sessions:', err);
+      if (err.response?.status === 401) {
+        onClose();
+        window.location.reload();
+      } else {
+        setError(err.response?.data?.error || 'Failed to load flagged sessions');
+      }
+    } finally {
+      setLoading(false);
+    }
+  }, [api, status, page, onClose]);
 
   useEffect(() => {
-    if (settings) {
-      // Selection Algorithm
-      setFamiliarityWeight(settings.familiarity_weight?.value ?? 0.5);
-      setCooldownPeriod(settings.cooldown_period?.value ?? 30);
-      setItemsNeedingVotesConfidence(settings.items_needing_votes_confidence_threshold?.value ?? 0.8);
-      setItemsNeedingVotesComparison(settings.items_needing_votes_comparison_threshold?.value ?? 20);
-      
-      // ELO Rating System
-      setBaseKFactor(settings.base_k_factor?.value ?? 32);
-      setHighConfidenceK(settings.high_confidence_k?.value ?? 16);
-      setMediumConfidenceK(settings.medium_confidence_k?.value ?? 24);
-      setLowConfidenceK(settings.low_confidence_k?.value ?? 32);
-      setHighConfidenceThreshold(settings.high_confidence_threshold?.value ?? 0.8);
-      setMediumConfidenceThreshold(settings.medium_confidence_threshold?.value ?? 0.33);
-      
-      // Upset Detection
-      setUpsetThreshold(settings.upset_threshold?.value ?? 200);
-      
-      // Familiarity Calculation
-      setMinComparisonsForConfidence(settings.min_comparisons_for_confidence?.value ?? 30);
-      setComparisonSaturationPoint(settings.comparison_saturation_point?.value ?? 50);
-      setRecencyDecayDays(settings.recency_decay_days?.value ?? 30);
-      setComparisonFactorWeight(settings.comparison_factor_weight?.value ?? 0.40);
-      setWinRateFactorWeight(settings.win_rate_factor_weight?.value ?? 0.25);
-      setRecencyFactorWeight(settings.recency_factor_weight?.value ?? 0.20);
-      setEngagementFactorWeight(settings.engagement_factor_weight?.value ?? 0.15);
-      
-      // Wikipedia Auto-Fetch
-      setApiDelay(settings.api_delay?.value ?? 300);
-      setMinItemsThreshold(settings.min_items_threshold?.value ?? 50);
-      setBatchSize(settings.batch_size?.value ?? 10);
-      setGrowthBatchSize(settings.growth_batch_size?.value ?? 5);
-      setGrowthIntervalMinutes(settings.growth_interval_minutes?.value ?? 30);
-      
-      // Scheduler
-      setSchedulerIntervalMinutes(settings.scheduler_interval_minutes?.value ?? 10);
+    fetchFlags();
+  }, [fetchFlags]);
+
+  const handleApprove = async (flagId) => {
+    try {
+      const response = await api.post(`/api/admin/flagged-sessions/${flagId}/approve`);
+      showToast(response.data.message || 'Flag approved', 'success');
+      fetchFlags();
+      onReview();
+    } catch (err) {
+      console.error('Error approving flag:', err);
+      alert('Failed to approve flag: ' + (err.response?.data?.error || err.message));
     }
-  }, [settings]);
+  };
+
+  const handleReject = async (flagId) => {
+    if (!window.confirm('Reject this flag? Its quarantined votes will never count.')) return;
 
-  const handleSave = async () => {
-    setSaving(true);
-    setMessage(null);
     try {
-      await api.put('/api/admin/settings', {
-        // Selection Algorithm
-        familiarity_weight: familiarityWeight,
-        cooldown_period: cooldownPeriod,
-        items_needing_votes_confidence_threshold: itemsNeedingVotesConfidence,
-        items_needing_votes_comparison_threshold: itemsNeedingVotesComparison,
-        
-        // ELO Rating System
-        base_k_factor: baseKFactor,
-        high_confidence_k: highConfidenceK,
-        medium_confidence_k: mediumConfidenceK,
-        low_confidence_k: lowConfidenceK,
-        high_confidence_threshold: highConfidenceThreshold,
-        medium_confidence_threshold: mediumConfidenceThreshold,
-        
-        // Upset Detection
-        upset_threshold: upsetThreshold,
-        
-        // Familiarity Calculation
-        min_comparisons_for_confidence: minComparisonsForConfidence,
-        comparison_saturation_point: comparisonSaturationPoint,
-        recency_decay_days: recencyDecayDays,
-        comparison_factor_weight: comparisonFactorWeight,
-        win_rate_factor_weight: winRateFactorWeight,
-        recency_factor_weight: recencyFactorWeight,
-        engagement_factor_weight: engagementFactorWeight,
-        
-        // Wikipedia Auto-Fetch
-        api_delay: apiDelay,
-        min_items_threshold: minItemsThreshold,
-        batch_size: batchSize,
-        growth_batch_size: growthBatchSize,
-        growth_interval_minutes: growthIntervalMinutes,
-        
-        // Scheduler
-        scheduler_interval_minutes: schedulerIntervalMinutes
-      });
-      setMessage({ type: 'success', text: 'Settings saved successfully! Note: Scheduler interval changes require server restart.' });
-      onUpdate();
-      setTimeout(() => {
-        setMessage(null);
-      }, 5000);
+      const response = await api.post(`/api/admin/flagged-sessions/${flagId}/reject`);
+      showToast(response.data.message || 'Flag rejected', 'info');
+      fetchFlags();
     } catch (err) {
-      console.error('Error saving settings:', err);
-      const errorMsg = err.response?.data?.error || err.response?.data?.details?.join(', ') || 'Failed to save settings';
-      setMessage({ 
-        type: 'error', 
-        text: errorMsg
-      });
-    } finally {
-      setSaving(false);
+      console.error('Error rejecting flag:', err);
+      alert('Failed to reject flag: ' + (err.response?.data?.error || err.message));
     }
   };
 
-  const varietyWeight = 1 - familiarityWeight;
-  const itemsNeedingVotesPercent = (varietyWeight * 0.5 * 100).toFixed(1);
-  const randomPercent = (varietyWeight * 0.5 * 100).toFixed(1);
+  const handleRunCheck = async () => {
+    setChecking(true);
+    try {
+      const response = await api.post('/api/admin/anomaly-check');
+      const flaggedCount = response.data.flagged?.length || 0;
+      showToast(`Checked ${response.data.checked} voters, flagged ${flaggedCount}`, flaggedCount > 0 ? 'info' : 'success');
+      fetchFlags();
+      if (flaggedCount > 0) onReview();
+    } catch (err) {
+      console.error('Error running anomaly check:', err);
+      alert('Failed to run anomaly check: ' + (err.response?.data?.error || err.message));
+    } finally {
+      setChecking(false);
+    }
+  };
 
   return (
-    <div className="modal-overlay" onClick={onClose}>
-      <div className="modal-content settings-modal" onClick={(e) => e.stopPropagation()}>
-        <div className="modal-header">
-          <h2>⚙️ Application Settings</h2>
-          <button className="modal-close" onClick={onClose}>×</button>
+    <div className="photo-submissions-panel-overlay" onClick={onClose}>
+      <div className="photo-submissions-panel" onClick={(e) => e.stopPropagation()}>
+        <div className="photo-submissions-header">
+          <h2>🚩 Flagged Voting</h2>
+          <button className="close-button" onClick={onClose}>×</button>
         </div>
 
-        {settingsLoading ? (
-          <div className="loading">Loading settings...</div>
-        ) : (
-          <div className="settings-content">
-            {message && (
-              <div className={`settings-message ${message.type}`}>
-                {message.text}
-              </div>
-            )}
+        {toast && (
+          <div className={`toast toast-${toast.type}`}>
+            {toast.message}
+          </div>
+        )}
 
-            {/* Section Navigation */}
+        {error && <div className="error-banner">{error}</div>}
+
+        <div className="settings-sections-nav">
+          {['pending', 'approved', 'rejected'].map((option) => (
+            <button
+              key={option}
+              className={`section-nav-btn ${status === option ? 'active' : ''}`}
+              onClick={() => {
+                setStatus(option);
+                setPage(1);
+              }}
+            >
+              {option.charAt(0).toUpperCase() + option.slice(1)}
+            </button>
+          ))}
+          <button className="section-nav-btn" onClick={handleRunCheck} disabled={checking}>
+            {checking ? 'Checking...' : '🔍 Run Check Now'}
+          </button>
+        </div>
+
+        {loading ? (
+          <div className="loading">Loading flags...</div>
+        ) : flags.length === 0 ? (
+          <div className="no-submissions">
+            <p>No {status} flags</p>
+          </div>
+        ) : (
+          <>
+            <div className="submissions-list">
+              {flags.map((flag) => (
+                <div key={flag.id} className="submission-item">
+                  <div className="submission-info">
+                    <h3>{flag.username || `Anonymous (${flag.user_session_id?.substring(0, 20)}...)`}</h3>
+                    <p><strong>Reason:</strong> {flag.reasons.map(r => FLAG_REASON_LABELS[r] || r).join(', ')}</p>
+                    <p>
+                      <strong>Activity:</strong> {flag.details.voteCount} votes at {flag.details.votesPerMinute}/min
+                      {flag.details.topItemShare !== undefined && `, ${Math.round(flag.details.topItemShare * 100)}% picking item #${flag.details.topItemId}`}
+                      {flag.details.medianDecisionMs !== undefined && `, ${flag.details.medianDecisionMs}ms median decision time`}
+                    </p>
+                    <p><strong>Quarantined votes:</strong> {flag.quarantined_votes}</p>
+                    <p><strong>Flagged:</strong> {new Date(flag.flagged_at).toLocaleString()}</p>
+                    {flag.reviewed_at && (
+                      <p><strong>Reviewed:</strong> {new Date(flag.reviewed_at).toLocaleString()}</p>
+                    )}
+                  </div>
+                  {flag.status === 'pending' && (
+                    <div className="submission-actions">
+                      <button
+                        className="approve-button"
+                        onClick={() => handleApprove(flag.id)}
+                      >
+                        ✅ Count Votes
+                      </button>
+                      <button
+                        className="reject-button"
+                        onClick={() => handleReject(flag.id)}
+                      >
+                        ❌ Discard Votes
+                      </button>
+                    </div>
+                  )}
+                </div>
+              ))}
+            </div>
+
+            {pagination.totalPages > 1 && (
+              <div className="pagination">
+                <button onClick={() => setPage(p => Math.max(1, p - 1))} disabled={page === 1}>
+                  Previous
+                </button>
+                <span>Page {page} of {pagination.totalPages} ({pagination.total} total)</span>
+                <button onClick={() => setPage(p => Math.min(pagination.totalPages, p + 1))} disabled={page >= pagination.totalPages}>
+                  Next
+                </button>
+              </div>
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+// Rating Replay Panel
+const REPLAY_STATUS_LABELS = {
+  running: 'Replaying votes',
+  paused: 'Paused',
+  ready: 'Ready to apply',
+  applying: 'Applying',
+  completed: 'Applied',
+  failed: 'Failed',
+  cancelled: 'Discarded'
+};
+
+const RatingReplayPanel = ({ onClose, onApplied, api }) => {
+  const [job, setJob] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+  const [toast, setToast] = useState(null);
+
+  const showToast = (message, type) => {
+    setToast({ message, type });
+    setTimeout(() => setToast(null), 3000);
+  };
+
+  const fetchJob = useCallback(async () => {
+    try {
+      const response = await api.get('/api/admin/rating-replay');
+      setJob(response.data.job);
+      setError('');
+    } catch (err) {
+      console.error('Error fetching rating replay:', err);
+      if (err.response?.status === 401) {
+        onClose();
+        window.location.reload();
+      } else {
+        setError(err.response?.data?.error || 'Failed to load rating replay');
+      }
+    } finally {
+      setLoading(false);
+    }
+  }, [api, onClose]);
+
+  useEffect(() => {
+    fetchJob();
+  }, [fetchJob]);
+
+  // Poll while the job is working
+  const jobStatus = job?.status;
+  useEffect(() => {
+    if (jobStatus !== 'running' && jobStatus !== 'applying') return undefined;
+    const interval = setInterval(fetchJob, 2000);
+    return () => clearInterval(interval);
+  }, [jobStatus, fetchJob]);
+
+  // Refresh the dashboard once new ratings are live
+  const previousStatus = useRef(null);
+  useEffect(() => {
+    if (previousStatus.current && previousStatus.current !== 'completed' && jobStatus === 'completed') {
+      onApplied();
+    }
+    previousStatus.current = jobStatus;
+  }, [jobStatus, onApplied]);
+
+  const runAction = async (request, fallbackMessage) => {
+    setBusy(true);
+    try {
+      const response = await request();
+      if (response.data.job) setJob(response.data.job);
+      showToast(response.data.message || 'Done', 'success');
+    } catch (err) {
+      console.error('Rating replay action failed:', err);
+      alert(`${fallbackMessage}: ${err.response?.data?.message || err.response?.data?.error || err.message}`);
+      fetchJob();
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleStart = (dryRun) => {
+    if (!dryRun && !window.confirm('Recompute and apply all ratings now? Live ratings, history and streaks will be replaced when the replay finishes.')) return;
+    runAction(() => api.post('/api/admin/rating-replay', { dryRun }), 'Failed to start replay');
+  };
+
+  const handleApply = () => {
+    if (!window.confirm('Apply the recomputed ratings? Votes made since the dry run are included, and undo history is cleared.')) return;
+    runAction(() => api.post(`/api/admin/rating-replay/${job.id}/apply`), 'Failed to apply replay');
+  };
+
+  const isActive = job && ['running', 'paused', 'ready', 'applying'].includes(job.status);
+  const rankChanges = job?.rank_changes;
+
+  return (
+    <div className="photo-submissions-panel-overlay" onClick={onClose}>
+      <div className="photo-submissions-panel" onClick={(e) => e.stopPropagation()}>
+        <div className="photo-submissions-header">
+          <h2>🔁 Recompute Ratings</h2>
+          <button className="close-button" onClick={onClose}>×</button>
+        </div>
+
+        {toast && (
+          <div className={`toast toast-${toast.type}`}>
+            {toast.message}
+          </div>
+        )}
+
+        {error && <div className="error-banner">{error}</div>}
+
+        <p className="replay-description">
+          Replays every counted vote in order with the current rating settings and rebuilds ratings, wins/losses,
+          streaks, peaks and confidence. Use a dry run to preview how the rankings would change first.
+        </p>
+
+        {!isActive && (
+          <div className="settings-sections-nav">
+            <button className="section-nav-btn" onClick={() => handleStart(true)} disabled={busy || loading}>
+              🔍 Dry Run
+            </button>
+            <button className="section-nav-btn" onClick={() => handleStart(false)} disabled={busy || loading}>
+              ⚡ Recompute &amp; Apply
+            </button>
+          </div>
+        )}
+
+        {loading ? (
+          <div className="loading">Loading...</div>
+        ) : !job ? (
+          <div className="no-submissions">
+            <p>Ratings have never been recomputed</p>
+          </div>
+        ) : (
+          <div className="replay-job">
+            <p>
+              <strong>{job.dry_run ? 'Dry run' : 'Recompute'} #{job.id}</strong> ({job.engine}) - {REPLAY_STATUS_LABELS[job.status] || job.status}
+            </p>
+            <div className="replay-progress">
+              <div className="replay-progress-bar" style={{ width: `${Math.round(job.progress * 100)}%` }} />
+            </div>
+            <p className="replay-progress-label">
+              {job.processed_comparisons.toLocaleString()} / {job.total_comparisons.toLocaleString()} votes replayed
+            </p>
+            {job.error && <div className="error-banner">{job.error}</div>}
+
+            <div className="submission-actions">
+              {job.status === 'running' && (
+                <button className="reject-button" onClick={() => runAction(() => api.post(`/api/admin/rating-replay/${job.id}/pause`), 'Failed to pause replay')} disabled={busy}>
+                  ⏸ Pause
+                </button>
+              )}
+              {job.status === 'paused' && (
+                <button className="approve-button" onClick={() => runAction(() => api.post(`/api/admin/rating-replay/${job.id}/resume`), 'Failed to resume replay')} disabled={busy}>
+                  ▶️ Resume
+                </button>
+              )}
+              {job.status === 'ready' && (
+                <button className="approve-button" onClick={handleApply} disabled={busy}>
+                  ✅ Apply
+                </button>
+              )}
+              {['running', 'paused', 'ready'].includes(job.status) && (
+                <button className="reject-button" onClick={() => runAction(() => api.post(`/api/admin/rating-replay/${job.id}/cancel`), 'Failed to discard replay')} disabled={busy}>
+                  ❌ Discard
+                </button>
+              )}
+            </div>
+
+            {rankChanges && (
+              <>
+                <p className="replay-summary">
+                  {rankChanges.summary.items_moved} of {rankChanges.summary.items} items change rank
+                  (biggest rise {rankChanges.summary.biggest_rise}, biggest drop {rankChanges.summary.biggest_drop},
+                  average rating change {rankChanges.summary.mean_rating_change.toFixed(1)})
+                </p>
+                {rankChanges.changes.length > 0 && (
+                  <div className="items-table">
+                    <table>
+                      <thead>
+                        <tr>
+                          <th>Item</th>
+                          <th>Rank</th>
+                          <th>Change</th>
+                          <th>Rating</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {rankChanges.changes.map((change) => (
+                          <tr key={change.item_id}>
+                            <td>{change.title}</td>
+                            <td>#{change.old_rank} → #{change.new_rank}</td>
+                            <td className={change.rank_change > 0 ? 'rank-up' : 'rank-down'}>
+                              {change.rank_change > 0 ? `▲ ${change.rank_change}` : `▼ ${-change.rank_change}`}
+                            </td>
+                            <td>{Math.round(change.old_rating)} → {Math.round(change.new_rating)}</td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                )}
+              </>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+// Selection Explainer Panel
+const EXPLAIN_FACTORS = [
+  ['voteWeight', 'Votes'],
+  ['familiarityMultiplier', 'Familiarity'],
+  ['eloBonus', 'Elo bonus'],
+  ['recencyDecay', 'Recency'],
+  ['diversityPenalty', 'Diversity'],
+  ['popularityBonus', 'Popularity']
+];
+
+const formatFactor = (value) => (Math.round(value * 100) / 100).toString();
+
+const factorClass = (value) => {
+  if (value < 1) return 'explain-factor explain-penalty';
+  if (value > 1) return 'explain-factor explain-boost';
+  return 'explain-factor';
+};
+
+const SelectionExplainerPanel = ({ onClose, api }) => {
+  const [sessionId, setSessionId] = useState('');
+  const [categories, setCategories] = useState('');
+  const [mode, setMode] = useState('mixed');
+  const [explanation, setExplanation] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  const handleExplain = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    try {
+      const params = new URLSearchParams();
+      if (sessionId.trim()) params.set('sessionId', sessionId.trim());
+      if (categories.trim()) params.set('categories', categories.trim());
+      if (mode === 'same') params.set('mode', 'same');
+      const response = await api.get(`/api/admin/comparison/explain?${params.toString()}`);
+      setExplanation(response.data);
+      setError('');
+    } catch (err) {
+      console.error('Error explaining selection:', err);
+      if (err.response?.status === 401) {
+        onClose();
+        window.location.reload();
+      } else {
+        setError(err.response?.data?.message || err.response?.data?.error || 'Failed to explain selection');
+      }
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="photo-submissions-panel-overlay" onClick={onClose}>
+      <div className="photo-submissions-panel" onClick={(e) => e.stopPropagation()}>
+        <div className="photo-submissions-header">
+          <h2>🔬 Explain Selection</h2>
+          <button className="close-button" onClick={onClose}>×</button>
+        </div>
+
+        {error && <div className="error-banner">{error}</div>}
+
+        <p className="replay-description">
+          Runs pair selection for a session without serving anything and shows the candidate pool with each
+          weight factor. Chances are for this candidate pool, which is itself a random sample of items.
+        </p>
+
+        <form className="explain-form" onSubmit={handleExplain}>
+          <input
+            type="text"
+            className="search-input"
+            placeholder="Session ID (blank = a new visitor)"
+            value={sessionId}
+            onChange={(e) => setSessionId(e.target.value)}
+          />
+          <input
+            type="text"
+            className="search-input"
+            placeholder="Categories (e.g. music,movies-tv)"
+            value={categories}
+            onChange={(e) => setCategories(e.target.value)}
+          />
+          <select className="search-input" value={mode} onChange={(e) => setMode(e.target.value)}>
+            <option value="mixed">Mixed</option>
+            <option value="same">Same category</option>
+          </select>
+          <button type="submit" className="section-nav-btn" disabled={loading}>
+            {loading ? 'Explaining...' : 'Explain'}
+          </button>
+        </form>
+
+        {explanation && (
+          <div className="replay-job">
+            <p className="replay-summary">
+              Strategy <strong>{explanation.strategy}</strong>{explanation.fallback ? ' (fallback query)' : ''}
+              {' - '}{explanation.candidates.length} candidates, {explanation.recentlySeenItems} items seen recently by this session
+              {' - '}diversity {explanation.settings.diversityEnabled ? `on (${explanation.settings.diversityPenaltyStrength})` : 'off'},
+              {' '}popularity {explanation.settings.popularityEnabled ? `on (${explanation.settings.popularityStrength})` : 'off'}
+              {explanation.simulations > 0 && ` - chances estimated from ${explanation.simulations.toLocaleString()} draws`}
+            </p>
+
+            <h3 className="explain-heading">Most likely pairs</h3>
+            <div className="items-table">
+              <table>
+                <thead>
+                  <tr>
+                    <th>Pair</th>
+                    <th>Chance</th>
+                    {explanation.strategy === 'active' && <th>Information</th>}
+                  </tr>
+                </thead>
+                <tbody>
+                  {explanation.pairs.map((pair) => (
+                    <tr key={`${pair.item1.id}-${pair.item2.id}`}>
+                      <td>{pair.item1.title} vs {pair.item2.title}</td>
+                      <td>{(pair.probability * 100).toFixed(1)}%</td>
+                      {explanation.strategy === 'active' && (
+                        <td>{pair.gain.toFixed(3)} bits (p={pair.winProbability.toFixed(2)})</td>
+                      )}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+
+            <h3 className="explain-heading">Candidates</h3>
+            <div className="items-table">
+              <table>
+                <thead>
+                  <tr>
+                    <th>Item</th>
+                    <th>Votes</th>
+                    {EXPLAIN_FACTORS.map(([key, label]) => <th key={key}>{label}</th>)}
+                    <th>Weight</th>
+                    <th>Chance</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {explanation.candidates.map((candidate) => (
+                    <tr key={candidate.id}>
+                      <td>
+                        {candidate.title}
+                        {candidate.seenComparisonsAgo !== null && (
+                          <div className="explain-note">seen {candidate.seenComparisonsAgo} comparisons ago</div>
+                        )}
+                        {candidate.similarityGroup && (
+                          <div className="explain-note">
+                            group {candidate.similarityGroup}
+                            {candidate.similarityGroupSeenAgo !== null && `, seen ${candidate.similarityGroupSeenAgo} ago`}
+                          </div>
+                        )}
+                      </td>
+                      <td>{candidate.comparison_count}</td>
+                      {EXPLAIN_FACTORS.map(([key]) => (
+                        <td key={key} className={factorClass(candidate.factors[key])}>
+                          ×{formatFactor(candidate.factors[key])}
+                        </td>
+                      ))}
+                      <td>{formatFactor(candidate.finalWeight)}</td>
+                      <td>
+                        <div className="explain-chance">
+                          <div className="explain-chance-bar" style={{ width: `${Math.min(100, candidate.probability * 100)}%` }} />
+                        </div>
+                        {(candidate.probability * 100).toFixed(1)}%
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+// Experiments Panel
+const EXPERIMENT_STATUS_LABELS = {
+  draft: 'Draft',
+  running: 'Running',
+  stopped: 'Stopped'
+};
+
+const emptyVariant = (name) => ({ name, weight: 50, overrides: [] });
+
+const formatOverrides = (overrides) => {
+  const entries = Object.entries(overrides || {});
+  if (entries.length === 0) return 'Current settings';
+  return entries.map(([key, value]) => `${key} = ${value}`).join(', ');
+};
+
+const ExperimentsPanel = ({ onClose, api }) => {
+  const [experiments, setExperiments] = useState([]);
+  const [overridableSettings, setOverridableSettings] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+  const [toast, setToast] = useState(null);
+  const [showForm, setShowForm] = useState(false);
+  const [name, setName] = useState('');
+  const [description, setDescription] = useState('');
+  const [variants, setVariants] = useState([emptyVariant('control'), emptyVariant('treatment')]);
+
+  const showToast = (message, type) => {
+    setToast({ message, type });
+    setTimeout(() => setToast(null), 3000);
+  };
+
+  const fetchExperiments = useCallback(async () => {
+    try {
+      const response = await api.get('/api/admin/experiments');
+      setExperiments(response.data.experiments);
+      setOverridableSettings(response.data.overridableSettings);
+      setError('');
+    } catch (err) {
+      console.error('Error fetching experiments:', err);
+      if (err.response?.status === 401) {
+        onClose();
+        window.location.reload();
+      } else {
+        setError(err.response?.data?.error || 'Failed to load experiments');
+      }
+    } finally {
+      setLoading(false);
+    }
+  }, [api, onClose]);
+
+  useEffect(() => {
+    fetchExperiments();
+  }, [fetchExperiments]);
+
+  const updateVariant = (index, changes) => {
+    setVariants(variants.map((variant, i) => (i === index ? { ...variant, ...changes } : variant)));
+  };
+
+  const updateOverride = (variantIndex, overrideIndex, changes) => {
+    const overrides = variants[variantIndex].overrides.map((override, i) => (
+      i === overrideIndex ? { ...override, ...changes } : override
+    ));
+    updateVariant(variantIndex, { overrides });
+  };
+
+  const resetForm = () => {
+    setName('');
+    setDescription('');
+    setVariants([emptyVariant('control'), emptyVariant('treatment')]);
+    setShowForm(false);
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    setBusy(true);
+    try {
+      await api.post('/api/admin/experiments', {
+        name,
+        description,
+        variants: variants.map((variant) => ({
+          name: variant.name,
+          weight: parseInt(variant.weight) || 1,
+          overrides: Object.fromEntries(
+            variant.overrides.filter((override) => override.key).map((override) => [override.key, override.value])
+          )
+        }))
+      });
+      showToast('Experiment created', 'success');
+      resetForm();
+      fetchExperiments();
+    } catch (err) {
+      console.error('Error creating experiment:', err);
+      alert(`Failed to create experiment: ${err.response?.data?.message || err.response?.data?.error || err.message}`);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleAction = async (experiment, action) => {
+    if (action === 'start' && !window.confirm(`Start "${experiment.name}"? New sessions will be split between its variants.`)) return;
+    if (action === 'stop' && !window.confirm(`Stop "${experiment.name}"? It can't be restarted.`)) return;
+    setBusy(true);
+    try {
+      const response = await api.post(`/api/admin/experiments/${experiment.id}/${action}`);
+      showToast(response.data.message || 'Done', 'success');
+      fetchExperiments();
+    } catch (err) {
+      console.error(`Error trying to ${action} experiment:`, err);
+      alert(`Failed to ${action} experiment: ${err.response?.data?.message || err.response?.data?.error || err.message}`);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="photo-submissions-panel-overlay" onClick={onClose}>
+      <div className="photo-submissions-panel" onClick={(e) => e.stopPropagation()}>
+        <div className="photo-submissions-header">
+          <h2>🧪 Experiments</h2>
+          <button className="close-button" onClick={onClose}>×</button>
+        </div>
+
+        {toast && (
+          <div className={`toast toast-${toast.type}`}>
+            {toast.message}
+          </div>
+        )}
+
+        {error && <div className="error-banner">{error}</div>}
+
+        <p className="replay-description">
+          Each session in a running experiment is assigned a variant by weight and keeps it. A variant's setting
+          overrides apply to that session's pairs and votes only. One experiment can run at a time.
+        </p>
+
+        {!showForm && (
+          <div className="settings-sections-nav">
+            <button className="section-nav-btn" onClick={() => setShowForm(true)} disabled={busy || loading}>
+              ➕ New Experiment
+            </button>
+          </div>
+        )}
+
+        {showForm && (
+          <form className="experiment-form" onSubmit={handleCreate}>
+            <input
+              type="text"
+              className="search-input"
+              placeholder="Experiment name"
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              required
+            />
+            <input
+              type="text"
+              className="search-input"
+              placeholder="Description (optional)"
+              value={description}
+              onChange={(e) => setDescription(e.target.value)}
+            />
+
+            {variants.map((variant, variantIndex) => (
+              <div key={variantIndex} className="experiment-variant">
+                <div className="experiment-variant-header">
+                  <input
+                    type="text"
+                    className="search-input"
+                    placeholder="Variant name"
+                    value={variant.name}
+                    onChange={(e) => updateVariant(variantIndex, { name: e.target.value })}
+                    required
+                  />
+                  <label className="explain-note">
+                    Weight
+                    <input
+                      type="number"
+                      className="search-input"
+                      min="1"
+                      max="100"
+                      value={variant.weight}
+                      onChange={(e) => updateVariant(variantIndex, { weight: e.target.value })}
+                    />
+                  </label>
+                  {variants.length > 2 && (
+                    <button
+                      type="button"
+                      className="reject-button"
+                      onClick={() => setVariants(variants.filter((_, i) => i !== variantIndex))}
+                    >
+                      Remove
+                    </button>
+                  )}
+                </div>
+
+                {variant.overrides.map((override, overrideIndex) => (
+                  <div key={overrideIndex} className="experiment-override">
+                    <select
+                      className="search-input"
+                      value={override.key}
+                      onChange={(e) => updateOverride(variantIndex, overrideIndex, { key: e.target.value })}
+                    >
+                      <option value="">Choose a setting</option>
+                      {overridableSettings.map((key) => (
+                        <option key={key} value={key}>{key}</option>
+                      ))}
+                    </select>
+                    <input
+                      type="text"
+                      className="search-input"
+                      placeholder="Value"
+                      value={override.value}
+                      onChange={(e) => updateOverride(variantIndex, overrideIndex, { value: e.target.value })}
+                    />
+                    <button
+                      type="button"
+                      className="close-button"
+                      onClick={() => updateVariant(variantIndex, {
+                        overrides: variant.overrides.filter((_, i) => i !== overrideIndex)
+                      })}
+                    >
+                      ×
+                    </button>
+                  </div>
+                ))}
+
+                <button
+                  type="button"
+                  className="section-nav-btn"
+                  onClick={() => updateVariant(variantIndex, { overrides: [...variant.overrides, { key: '', value: '' }] })}
+                >
+                  + Override
+                </button>
+              </div>
+            ))}
+
+            <div className="submission-actions">
+              {variants.length < 5 && (
+                <button
+                  type="button"
+                  className="section-nav-btn"
+                  onClick={() => setVariants([...variants, emptyVariant(`variant ${variants.length + 1}`)])}
+                >
+                  + Variant
+                </button>
+              )}
+              <button type="submit" className="approve-button" disabled={busy}>
+                ✅ Create
+              </button>
+              <button type="button" className="reject-button" onClick={resetForm} disabled={busy}>
+                Cancel
+              </button>
+            </div>
+          </form>
+        )}
+
+        {loading ? (
+          <div className="loading">Loading...</div>
+        ) : experiments.length === 0 ? (
+          <div className="no-submissions">
+            <p>No experiments yet</p>
+          </div>
+        ) : (
+          experiments.map((experiment) => (
+            <div key={experiment.id} className="replay-job">
+              <h3 className="explain-heading">
+                {experiment.name} - {EXPERIMENT_STATUS_LABELS[experiment.status] || experiment.status}
+              </h3>
+              {experiment.description && <p className="explain-note">{experiment.description}</p>}
+
+              <div className="submission-actions">
+                {experiment.status === 'draft' && (
+                  <button className="approve-button" onClick={() => handleAction(experiment, 'start')} disabled={busy}>
+                    ▶️ Start
+                  </button>
+                )}
+                {experiment.status === 'running' && (
+                  <button className="reject-button" onClick={() => handleAction(experiment, 'stop')} disabled={busy}>
+                    ⏹ Stop
+                  </button>
+                )}
+              </div>
+
+              <div className="items-table">
+                <table>
+                  <thead>
+                    <tr>
+                      <th>Variant</th>
+                      <th>Overrides</th>
+                      <th>Sessions</th>
+                      <th>Votes / session</th>
+                      <th>Skip rate</th>
+                      <th>Avg rating change</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {experiment.variants.map((variant) => (
+                      <tr key={variant.id}>
+                        <td>{variant.name} <span className="explain-note">({variant.weight})</span></td>
+                        <td className="explain-note">{formatOverrides(variant.overrides)}</td>
+                        <td>{variant.sessions.toLocaleString()}</td>
+                        <td className="explain-factor">{variant.votes_per_session.toFixed(1)}</td>
+                        <td className="explain-factor">{(variant.skip_rate * 100).toFixed(1)}%</td>
+                        <td className="explain-factor">
+                          {variant.mean_rating_change === null ? '-' : variant.mean_rating_change.toFixed(1)}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </div>
+          ))
+        )}
+      </div>
+    </div>
+  );
+};
+
+// Position Bias Panel
+const PositionBiasPanel = ({ onClose, api }) => {
+  const [report, setReport] = useState(null);
+  const [minVotes, setMinVotes] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  const fetchReport = useCallback(async () => {
+    setLoading(true);
+    try {
+      const params = new URLSearchParams();
+      if (parseInt(minVotes) > 0) params.set('minVotes', parseInt(minVotes));
+      const response = await api.get(`/api/admin/position-bias?${params.toString()}`);
+      setReport(response.data);
+      setError('');
+    } catch (err) {
+      console.error('Error fetching position bias:', err);
+      if (err.response?.status === 401) {
+        onClose();
+        window.location.reload();
+      } else {
+        setError(err.response?.data?.message || err.response?.data?.error || 'Failed to load position bias');
+      }
+    } finally {
+      setLoading(false);
+    }
+  }, [api, minVotes, onClose]);
+
+  useEffect(() => {
+    fetchReport();
+    // Reload on demand only - not on every keystroke in the filter
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, []);
+
+  const formatShare = (share) => (share === null ? '-' : `${(share * 100).toFixed(1)}%`);
+
+  return (
+    <div className="photo-submissions-panel-overlay" onClick={onClose}>
+      <div className="photo-submissions-panel" onClick={(e) => e.stopPropagation()}>
+        <div className="photo-submissions-header">
+          <h2>↔️ Position Bias</h2>
+          <button className="close-button" onClick={onClose}>×</button>
+        </div>
+
+        {error && <div className="error-banner">{error}</div>}
+
+        <p className="replay-description">
+          How often voters pick the item shown on the left. Sides are random, so an unbiased voter picks left about
+          50% of the time; a z-score beyond ±2 is unlikely to be chance. Ties, "don't know either" answers, best-of-N
+          answers and quarantined votes aren't counted.
+        </p>
+
+        <form
+          className="explain-form"
+          onSubmit={(e) => {
+            e.preventDefault();
+            fetchReport();
+          }}
+        >
+          <input
+            type="number"
+            min="1"
+            className="search-input"
+            placeholder={`Min. votes per voter (${report?.settings.minVotes ?? 20})`}
+            value={minVotes}
+            onChange={(e) => setMinVotes(e.target.value)}
+          />
+          <button type="submit" className="section-nav-btn" disabled={loading}>
+            {loading ? 'Loading...' : 'Refresh'}
+          </button>
+        </form>
+
+        {report && (
+          <div className="replay-job">
+            <p className="replay-summary">
+              Overall: left picked in <strong>{formatShare(report.overall.leftShare)}</strong> of{' '}
+              {report.overall.votes.toLocaleString()} votes (z = {report.overall.zScore})
+              {' - '}{report.votersConsidered} voters, {report.voters.length} with at least {report.settings.minVotes} votes
+              {' - '}correction {report.settings.correctionEnabled
+                ? `on for voters picking one side ${Math.round(report.settings.threshold * 100)}%+ of the time`
+                : 'off'}
+            </p>
+
+            {report.voters.length === 0 ? (
+              <div className="no-submissions">
+                <p>No voters with enough votes yet</p>
+              </div>
+            ) : (
+              <div className="items-table">
+                <table>
+                  <thead>
+                    <tr>
+                      <th>Voter</th>
+                      <th>Votes</th>
+                      <th>Picked left</th>
+                      <th>z-score</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {report.voters.map((voter) => (
+                      <tr key={voter.userId ? `user-${voter.userId}` : `session-${voter.userSessionId}`}>
+                        <td>
+                          {voter.username || (voter.userId ? `User #${voter.userId}` : `Session ${voter.userSessionId.slice(0, 12)}…`)}
+                          {voter.biased && <div className="explain-note">strongly biased</div>}
+                        </td>
+                        <td>{voter.votes}</td>
+                        <td>
+                          <div className="explain-chance">
+                            <div className="explain-chance-bar" style={{ width: `${voter.leftShare * 100}%` }} />
+                          </div>
+                          {formatShare(voter.leftShare)}
+                        </td>
+                        <td className={Math.abs(voter.zScore) >= 2 ? 'explain-factor explain-penalty' : 'explain-factor'}>
+                          {voter.zScore}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+// Paradoxes Panel
+const ParadoxesPanel = ({ onClose, api }) => {
+  const [report, setReport] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [running, setRunning] = useState(false);
+  const [error, setError] = useState('');
+
+  const fetchReport = useCallback(async () => {
+    setLoading(true);
+    try {
+      const response = await api.get('/api/admin/paradoxes');
+      setReport(response.data);
+      setError('');
+    } catch (err) {
+      console.error('Error fetching paradoxes:', err);
+      if (err.response?.status === 401) {
+        onClose();
+        window.location.reload();
+      } else {
+        setError(err.response?.data?.message || err.response?.data?.error || 'Failed to load paradoxes');
+      }
+    } finally {
+      setLoading(false);
+    }
+  }, [api, onClose]);
+
+  useEffect(() => {
+    fetchReport();
+  }, [fetchReport]);
+
+  const handleRun = async () => {
+    setRunning(true);
+    try {
+      await api.post('/api/admin/paradox-analysis');
+      await fetchReport();
+    } catch (err) {
+      console.error('Error running paradox analysis:', err);
+      setError(err.response?.data?.message || err.response?.data?.error || 'Failed to run paradox analysis');
+    } finally {
+      setRunning(false);
+    }
+  };
+
+  const formatShare = (share) => `${Math.round(share * 100)}%`;
+
+  return (
+    <div className="photo-submissions-panel-overlay" onClick={onClose}>
+      <div className="photo-submissions-panel" onClick={(e) => e.stopPropagation()}>
+        <div className="photo-submissions-header">
+          <h2>🔄 Paradoxes</h2>
+          <button className="close-button" onClick={onClose}>×</button>
+        </div>
+
+        {error && <div className="error-banner">{error}</div>}
+
+        <p className="replay-description">
+          A preference cycle is three items where each beats the next and the last beats the first, every pair with at
+          least {report?.settings.minPairVotes ?? 5} votes and a {formatShare(report?.settings.minShare ?? 0.6)}+ majority.
+          Its strength is its weakest majority. Controversy compares an item's results with what its rating predicts:
+          1 is as predictable as expected, higher means voters split on it (scored once it has{' '}
+          {report?.settings.minVotes ?? 10}+ votes).
+        </p>
+
+        <div className="explain-form">
+          <span className="replay-summary">
+            {report?.computedAt ? `Last analysed ${new Date(report.computedAt).toLocaleString()}` : 'Not analysed yet'}
+          </span>
+          <button className="section-nav-btn" onClick={handleRun} disabled={running || loading}>
+            {running ? 'Analysing...' : 'Run now'}
+          </button>
+        </div>
+
+        {report && (
+          <div className="replay-job">
+            <h3>Preference cycles ({report.totalCycles})</h3>
+            {report.cycles.length === 0 ? (
+              <div className="no-submissions">
+                <p>No preference cycles found</p>
+              </div>
+            ) : (
+              <div className="items-table">
+                <table>
+                  <thead>
+                    <tr>
+                      <th>Cycle</th>
+                      <th>Strength</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {report.cycles.map((cycle) => (
+                      <tr key={cycle.id}>
+                        <td>
+                          {cycle.items.map((item, index) => {
+                            const link = cycle.links[index];
+                            return (
+                              <span key={item.id}>
+                                <a href={`/items/${item.id}`} target="_blank" rel="noopener noreferrer">{item.title}</a>
+                                {' '}
+                                <span className="explain-note">
+                                  beats ({formatShare(link.share)} of {link.votes}) →
+                                </span>{' '}
+                              </span>
+                            );
+                          })}
+                          <a href={`/items/${cycle.items[0].id}`} target="_blank" rel="noopener noreferrer">{cycle.items[0].title}</a>
+                        </td>
+                        <td>{formatShare(cycle.strength)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+
+            <h3>Most controversial</h3>
+            {report.controversial.length === 0 ? (
+              <div className="no-submissions">
+                <p>No items with enough votes yet</p>
+              </div>
+            ) : (
+              <div className="items-table">
+                <table>
+                  <thead>
+                    <tr>
+                      <th>Item</th>
+                      <th>Rating</th>
+                      <th>Votes</th>
+                      <th>Cycles</th>
+                      <th>Controversy</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {report.controversial.map((item) => (
+                      <tr key={item.id}>
+                        <td>
+                          <a href={`/items/${item.id}`} target="_blank" rel="noopener noreferrer">{item.title}</a>
+                        </td>
+                        <td>{Math.round(item.elo_rating)}</td>
+                        <td>{item.controversy_votes}</td>
+                        <td>{item.cycle_count}</td>
+                        <td>{parseFloat(item.controversy_score).toFixed(2)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+// Tournaments Panel
+const TOURNAMENT_STATUS_LABELS = {
+  running: 'Running',
+  completed: 'Completed',
+  cancelled: 'Cancelled'
+};
+
+const TournamentsPanel = ({ onClose, api }) => {
+  const [tournaments, setTournaments] = useState([]);
+  const [categories, setCategories] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+  const [toast, setToast] = useState(null);
+  const [showForm, setShowForm] = useState(false);
+  const [name, setName] = useState('');
+  const [description, setDescription] = useState('');
+  const [poolType, setPoolType] = useState('category');
+  const [categoryId, setCategoryId] = useState('');
+  const [size, setSize] = useState(16);
+  const [itemIds, setItemIds] = useState('');
+  const [roundMinutes, setRoundMinutes] = useState('');
+  const [countsTowardElo, setCountsTowardElo] = useState('');
+
+  const showToast = (message, type) => {
+    setToast({ message, type });
+    setTimeout(() => setToast(null), 3000);
+  };
+
+  const fetchTournaments = useCallback(async () => {
+    try {
+      const response = await api.get('/api/admin/tournaments');
+      setTournaments(response.data.tournaments);
+      setError('');
+    } catch (err) {
+      console.error('Error fetching tournaments:', err);
+      if (err.response?.status === 401) {
+        onClose();
+        window.location.reload();
+      } else {
+        setError(err.response?.data?.error || 'Failed to load tournaments');
+      }
+    } finally {
+      setLoading(false);
+    }
+  }, [api, onClose]);
+
+  useEffect(() => {
+    fetchTournaments();
+    axios.get('/api/categories').then(response => {
+      setCategories(response.data.categories || []);
+    }).catch(err => {
+      console.error('Error fetching categories:', err);
+    });
+  }, [fetchTournaments]);
+
+  const resetForm = () => {
+    setName('');
+    setDescription('');
+    setPoolType('category');
+    setCategoryId('');
+    setSize(16);
+    setItemIds('');
+    setRoundMinutes('');
+    setCountsTowardElo('');
+    setShowForm(false);
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    setBusy(true);
+    try {
+      const pool = poolType === 'category'
+        ? { categoryId, size }
+        : { itemIds: itemIds.split(',').map((id) => id.trim()).filter(Boolean) };
+      await api.post('/api/admin/tournaments', {
+        name,
+        description,
+        ...pool,
+        roundMinutes: roundMinutes || undefined,
+        countsTowardElo: countsTowardElo === '' ? undefined : countsTowardElo === 'true'
+      });
+      showToast('Tournament started', 'success');
+      resetForm();
+      fetchTournaments();
+    } catch (err) {
+      console.error('Error creating tournament:', err);
+      alert(`Failed to create tournament: ${err.response?.data?.message || err.response?.data?.error || err.message}`);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleAction = async (tournament, action) => {
+    if (action === 'advance' && !window.confirm(`Close the ${tournament.currentRoundName} of "${tournament.name}" now?`)) return;
+    if (action === 'cancel' && !window.confirm(`Cancel "${tournament.name}"? It can't be resumed.`)) return;
+    setBusy(true);
+    try {
+      const response = await api.post(`/api/admin/tournaments/${tournament.id}/${action}`);
+      showToast(response.data.message || 'Done', 'success');
+      fetchTournaments();
+    } catch (err) {
+      console.error(`Error trying to ${action} tournament:`, err);
+      alert(`Failed to ${action} tournament: ${err.response?.data?.message || err.response?.data?.error || err.message}`);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="photo-submissions-panel-overlay" onClick={onClose}>
+      <div className="photo-submissions-panel" onClick={(e) => e.stopPropagation()}>
+        <div className="photo-submissions-header">
+          <h2>🏟️ Tournaments</h2>
+          <button className="close-button" onClick={onClose}>×</button>
+        </div>
+
+        {toast && (
+          <div className={`toast toast-${toast.type}`}>
+            {toast.message}
+          </div>
+        )}
+
+        {error && <div className="error-banner">{error}</div>}
+
+        <p className="replay-description">
+          Entries are seeded by rating into a single-elimination bracket; top seeds get byes when the pool isn't a
+          power of two. Each round is open for voting for its window, then the scheduler advances the winners (a tie
+          goes to the better seed). Leave the round length or Elo option empty to use the settings defaults.
+        </p>
+
+        {!showForm && (
+          <div className="settings-sections-nav">
+            <button className="section-nav-btn" onClick={() => setShowForm(true)} disabled={busy || loading}>
+              ➕ New Tournament
+            </button>
+          </div>
+        )}
+
+        {showForm && (
+          <form className="experiment-form" onSubmit={handleCreate}>
+            <input
+              type="text"
+              className="search-input"
+              placeholder="Tournament name"
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              required
+            />
+            <input
+              type="text"
+              className="search-input"
+              placeholder="Description (optional)"
+              value={description}
+              onChange={(e) => setDescription(e.target.value)}
+            />
+
+            <div className="experiment-variant-header">
+              <select className="search-input" value={poolType} onChange={(e) => setPoolType(e.target.value)}>
+                <option value="category">Top items in a category</option>
+                <option value="items">Hand-picked items</option>
+              </select>
+              {poolType === 'category' ? (
+                <>
+                  <select
+                    className="search-input"
+                    value={categoryId}
+                    onChange={(e) => setCategoryId(e.target.value)}
+                    required
+                  >
+                    <option value="">Choose a category</option>
+                    {categories.map((category) => (
+                      <option key={category.id} value={category.id}>{category.name}</option>
+                    ))}
+                  </select>
+                  <label className="explain-note">
+                    Items
+                    <input
+                      type="number"
+                      className="search-input"
+                      min="4"
+                      max="128"
+                      value={size}
+                      onChange={(e) => setSize(e.target.value)}
+                    />
+                  </label>
+                </>
+              ) : (
+                <input
+                  type="text"
+                  className="search-input"
+                  placeholder="Item IDs, comma separated"
+                  value={itemIds}
+                  onChange={(e) => setItemIds(e.target.value)}
+                  required
+                />
+              )}
+            </div>
+
+            <div className="experiment-variant-header">
+              <label className="explain-note">
+                Round length (minutes)
+                <input
+                  type="number"
+                  className="search-input"
+                  min="1"
+                  max="43200"
+                  placeholder="Default"
+                  value={roundMinutes}
+                  onChange={(e) => setRoundMinutes(e.target.value)}
+                />
+              </label>
+              <label className="explain-note">
+                Votes count toward Elo
+                <select className="search-input" value={countsTowardElo} onChange={(e) => setCountsTowardElo(e.target.value)}>
+                  <option value="">Default</option>
+                  <option value="true">Yes</option>
+                  <option value="false">No</option>
+                </select>
+              </label>
+            </div>
+
+            <div className="submission-actions">
+              <button type="submit" className="approve-button" disabled={busy}>
+                ✅ Start
+              </button>
+              <button type="button" className="reject-button" onClick={resetForm} disabled={busy}>
+                Cancel
+              </button>
+            </div>
+          </form>
+        )}
+
+        {loading ? (
+          <div className="loading">Loading...</div>
+        ) : tournaments.length === 0 ? (
+          <div className="no-submissions">
+            <p>No tournaments yet</p>
+          </div>
+        ) : (
+          tournaments.map((tournament) => (
+            <div key={tournament.id} className="replay-job">
+              <h3 className="explain-heading">
+                <a href={`/tournaments/${tournament.id}`} target="_blank" rel="noopener noreferrer">{tournament.name}</a>
+                {' '}- {TOURNAMENT_STATUS_LABELS[tournament.status] || tournament.status}
+              </h3>
+              <p className="explain-note">
+                {tournament.entryCount} items{tournament.categoryName ? ` from ${tournament.categoryName}` : ''},{' '}
+                {tournament.roundMinutes} minute rounds, votes {tournament.countsTowardElo ? 'count' : "don't count"} toward Elo
+              </p>
+              {tournament.status === 'running' && (
+                <p className="explain-note">
+                  {tournament.currentRoundName} closes {new Date(tournament.roundEndsAt).toLocaleString()}
+                </p>
+              )}
+              {tournament.winner && (
+                <p className="explain-note">🏆 Winner: {tournament.winner.title}</p>
+              )}
+
+              {tournament.status === 'running' && (
+                <div className="submission-actions">
+                  <button className="approve-button" onClick={() => handleAction(tournament, 'advance')} disabled={busy}>
+                    ⏭ Close round now
+                  </button>
+                  <button className="reject-button" onClick={() => handleAction(tournament, 'cancel')} disabled={busy}>
+                    ⏹ Cancel
+                  </button>
+                </div>
+              )}
+            </div>
+          ))
+        )}
+      </div>
+    </div>
+  );
+};
+
+// Settings Panel
+const SettingsPanel = ({ onClose, settings, settingsLoading, onUpdate, api }) => {
+  // Selection Algorithm
+  const [selectionStrategy, setSelectionStrategy] = useState('weighted');
+  const [familiarityWeight, setFamiliarityWeight] = useState(0.5);
+  const [cooldownPeriod, setCooldownPeriod] = useState(30);
+  const [itemsNeedingVotesConfidence, setItemsNeedingVotesConfidence] = useState(0.8);
+  const [itemsNeedingVotesComparison, setItemsNeedingVotesComparison] = useState(20);
+  
+  // ELO Rating System
+  const [ratingEngine, setRatingEngine] = useState('elo');
+  const [glickoTau, setGlickoTau] = useState(0.5);
+  const [positionBiasCorrection, setPositionBiasCorrection] = useState('false');
+  const [positionBiasThreshold, setPositionBiasThreshold] = useState(0.7);
+  const [positionBiasMinVotes, setPositionBiasMinVotes] = useState(20);
+  const [baseKFactor, setBaseKFactor] = useState(32);
+  const [highConfidenceK, setHighConfidenceK] = useState(16);
+  const [mediumConfidenceK, setMediumConfidenceK] = useState(24);
+  const [lowConfidenceK, setLowConfidenceK] = useState(32);
+  const [highConfidenceThreshold, setHighConfidenceThreshold] = useState(0.8);
+  const [mediumConfidenceThreshold, setMediumConfidenceThreshold] = useState(0.33);
+  
+  // Upset Detection
+  const [upsetThreshold, setUpsetThreshold] = useState(200);
+  
+  // Familiarity Calculation
+  const [minComparisonsForConfidence, setMinComparisonsForConfidence] = useState(30);
+  const [comparisonSaturationPoint, setComparisonSaturationPoint] = useState(50);
+  const [recencyDecayDays, setRecencyDecayDays] = useState(30);
+  const [comparisonFactorWeight, setComparisonFactorWeight] = useState(0.40);
+  const [winRateFactorWeight, setWinRateFactorWeight] = useState(0.25);
+  const [recencyFactorWeight, setRecencyFactorWeight] = useState(0.20);
+  const [engagementFactorWeight, setEngagementFactorWeight] = useState(0.15);
+  
+  // Wikipedia Auto-Fetch
+  const [apiDelay, setApiDelay] = useState(300);
+  const [minItemsThreshold, setMinItemsThreshold] = useState(50);
+  const [batchSize, setBatchSize] = useState(10);
+  const [growthBatchSize, setGrowthBatchSize] = useState(5);
+  const [growthIntervalMinutes, setGrowthIntervalMinutes] = useState(30);
+  
+  // Scheduler
+  const [schedulerIntervalMinutes, setSchedulerIntervalMinutes] = useState(10);
+
+  // Abuse Protection
+  const [voteRateLimit, setVoteRateLimit] = useState(30);
+  const [skipRateLimit, setSkipRateLimit] = useState(60);
+  const [commentRateLimit, setCommentRateLimit] = useState(5);
+  const [submissionRateLimit, setSubmissionRateLimit] = useState(10);
+  const [anomalyMaxVotesPerMinute, setAnomalyMaxVotesPerMinute] = useState(20);
+  const [anomalySingleItemThreshold, setAnomalySingleItemThreshold] = useState(0.6);
+  const [anomalyMinMedianDecisionMs, setAnomalyMinMedianDecisionMs] = useState(400);
+  
+  const [saving, setSaving] = useState(false);
+  const [message, setMessage] = useState(null);
+  const [activeSection, setActiveSection] = useState('selection');
+
+  useEffect(() => {
+    if (settings) {
+      // Selection Algorithm
+      setSelectionStrategy(settings.selection_strategy?.value ?? 'weighted');
+      setFamiliarityWeight(settings.familiarity_weight?.value ?? 0.5);
+      setCooldownPeriod(settings.cooldown_period?.value ?? 30);
+      setItemsNeedingVotesConfidence(settings.items_needing_votes_confidence_threshold?.value ?? 0.8);
+      setItemsNeedingVotesComparison(settings.items_needing_votes_comparison_threshold?.value ?? 20);
+      
+      // ELO Rating System
+      setRatingEngine(settings.rating_engine?.value ?? 'elo');
+      setGlickoTau(settings.glicko_tau?.value ?? 0.5);
+      setPositionBiasCorrection(String(settings.position_bias_correction_enabled?.value ?? 'false'));
+      setPositionBiasThreshold(settings.position_bias_threshold?.value ?? 0.7);
+      setPositionBiasMinVotes(settings.position_bias_min_votes?.value ?? 20);
+      setBaseKFactor(settings.base_k_factor?.value ?? 32);
+      setHighConfidenceK(settings.high_confidence_k?.value ?? 16);
+      setMediumConfidenceK(settings.medium_confidence_k?.value ?? 24);
+      setLowConfidenceK(settings.low_confidence_k?.value ?? 32);
+      setHighConfidenceThreshold(settings.high_confidence_threshold?.value ?? 0.8);
+      setMediumConfidenceThreshold(settings.medium_confidence_threshold?.value ?? 0.33);
+      
+      // Upset Detection
+      setUpsetThreshold(settings.upset_threshold?.value ?? 200);
+      
+      // Familiarity Calculation
+      setMinComparisonsForConfidence(settings.min_comparisons_for_confidence?.value ?? 30);
+      setComparisonSaturationPoint(settings.comparison_saturation_point?.value ?? 50);
+      setRecencyDecayDays(settings.recency_decay_days?.value ?? 30);
+      setComparisonFactorWeight(settings.comparison_factor_weight?.value ?? 0.40);
+      setWinRateFactorWeight(settings.win_rate_factor_weight?.value ?? 0.25);
+      setRecencyFactorWeight(settings.recency_factor_weight?.value ?? 0.20);
+      setEngagementFactorWeight(settings.engagement_factor_weight?.value ?? 0.15);
+      
+      // Wikipedia Auto-Fetch
+      setApiDelay(settings.api_delay?.value ?? 300);
+      setMinItemsThreshold(settings.min_items_threshold?.value ?? 50);
+      setBatchSize(settings.batch_size?.value ?? 10);
+      setGrowthBatchSize(settings.growth_batch_size?.value ?? 5);
+      setGrowthIntervalMinutes(settings.growth_interval_minutes?.value ?? 30);
+      
+      // Scheduler
+      setSchedulerIntervalMinutes(settings.scheduler_interval_minutes?.value ?? 10);
+      
+      // Abuse Protection
+      setVoteRateLimit(settings.vote_rate_limit_per_minute?.value ?? 30);
+      setSkipRateLimit(settings.skip_rate_limit_per_minute?.value ?? 60);
+      setCommentRateLimit(settings.comment_rate_limit_per_minute?.value ?? 5);
+      setSubmissionRateLimit(settings.submission_rate_limit_per_hour?.value ?? 10);
+      setAnomalyMaxVotesPerMinute(settings.anomaly_max_votes_per_minute?.value ?? 20);
+      setAnomalySingleItemThreshold(settings.anomaly_single_item_threshold?.value ?? 0.6);
+      setAnomalyMinMedianDecisionMs(settings.anomaly_min_median_decision_ms?.value ?? 400);
+    }
+  }, [settings]);
+
+  const handleSave = async () => {
+    setSaving(true);
+    setMessage(null);
+    try {
+      await api.put('/api/admin/settings', {
+        // Selection Algorithm
+        selection_strategy: selectionStrategy,
+        familiarity_weight: familiarityWeight,
+        cooldown_period: cooldownPeriod,
+        items_needing_votes_confidence_threshold: itemsNeedingVotesConfidence,
+        items_needing_votes_comparison_threshold: itemsNeedingVotesComparison,
+        
+        // ELO Rating System
+        rating_engine: ratingEngine,
+        glicko_tau: glickoTau,
+        position_bias_correction_enabled: positionBiasCorrection,
+        position_bias_threshold: positionBiasThreshold,
+        position_bias_min_votes: positionBiasMinVotes,
+        base_k_factor: baseKFactor,
+        high_confidence_k: highConfidenceK,
+        medium_confidence_k: mediumConfidenceK,
+        low_confidence_k: lowConfidenceK,
+        high_confidence_threshold: highConfidenceThreshold,
+        medium_confidence_threshold: mediumConfidenceThreshold,
+        
+        // Upset Detection
+        upset_threshold: upsetThreshold,
+        
+        // Familiarity Calculation
+        min_comparisons_for_confidence: minComparisonsForConfidence,
+        comparison_saturation_point: comparisonSaturationPoint,
+        recency_decay_days: recencyDecayDays,
+        comparison_factor_weight: comparisonFactorWeight,
+        win_rate_factor_weight: winRateFactorWeight,
+        recency_factor_weight: recencyFactorWeight,
+        engagement_factor_weight: engagementFactorWeight,
+        
+        // Wikipedia Auto-Fetch
+        api_delay: apiDelay,
+        min_items_threshold: minItemsThreshold,
+        batch_size: batchSize,
+        growth_batch_size: growthBatchSize,
+        growth_interval_minutes: growthIntervalMinutes,
+        
+        // Scheduler
+        scheduler_interval_minutes: schedulerIntervalMinutes,
+        
+        // Abuse Protection
+        vote_rate_limit_per_minute: voteRateLimit,
+        skip_rate_limit_per_minute: skipRateLimit,
+        comment_rate_limit_per_minute: commentRateLimit,
+        submission_rate_limit_per_hour: submissionRateLimit,
+        anomaly_max_votes_per_minute: anomalyMaxVotesPerMinute,
+        anomaly_single_item_threshold: anomalySingleItemThreshold,
+        anomaly_min_median_decision_ms: anomalyMinMedianDecisionMs
+      });
+      setMessage({ type: 'success', text: 'Settings saved successfully! Note: Scheduler interval changes require server restart.' });
+      onUpdate();
+      setTimeout(() => {
+        setMessage(null);
+      }, 5000);
+    } catch (err) {
+      console.error('Error saving settings:', err);
+      const errorMsg = err.response?.data?.error || err.response?.data?.details?.join(', ') || 'Failed to save settings';
+      setMessage({ 
+        type: 'error', 
+        text: errorMsg
+      });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const varietyWeight = 1 - familiarityWeight;
+  const itemsNeedingVotesPercent = (varietyWeight * 0.5 * 100).toFixed(1);
+  const randomPercent = (varietyWeight * 0.5 * 100).toFixed(1);
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal-content settings-modal" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <h2>⚙️ Application Settings</h2>
+          <button className="modal-close" onClick={onClose}>×</button>
+        </div>
+
+        {settingsLoading ? (
+          <div className="loading">Loading settings...</div>
+        ) : (
+          <div className="settings-content">
+            {message && (
+              <div className={`settings-message ${message.type}`}>
+                {message.text}
+              </div>
+            )}
+
+            {/* Section Navigation */}
             <div className="settings-sections-nav">
               <button 
                 className={`section-nav-btn ${activeSection === 'selection' ? 'active' : ''}`}
@@ -1390,6 +2999,12 @@ const SettingsPanel = ({ onClose, settings, settingsLoading, onUpdate, api }) =>
               >
                 Scheduler
               </button>
+              <button 
+                className={`section-nav-btn ${activeSection === 'abuse' ? 'active' : ''}`}
+                onClick={() => setActiveSection('abuse')}
+              >
+                Abuse Protection
+              </button>
             </div>
 
             {/* Selection Algorithm Section */}
@@ -1397,6 +3012,26 @@ const SettingsPanel = ({ onClose, settings, settingsLoading, onUpdate, api }) =>
               <div className="settings-section">
                 <h3 className="settings-section-title">Selection Algorithm</h3>
                 
+                <div className="setting-group">
+                  <label className="setting-label">
+                    <span className="setting-name">Selection Strategy</span>
+                    <span className="setting-description">
+                      Weighted favors items with few votes, top-rated items and variety. Active picks the matchups whose
+                      votes are expected to reduce ranking uncertainty the most: close ratings between items with low confidence.
+                    </span>
+                  </label>
+                  <div className="setting-control">
+                    <select
+                      value={selectionStrategy}
+                      onChange={(e) => setSelectionStrategy(e.target.value)}
+                      className="setting-input"
+                    >
+                      <option value="weighted">Weighted</option>
+                      <option value="active">Active (information gain)</option>
+                    </select>
+                  </div>
+                </div>
+
                 <div className="setting-group">
                   <label className="setting-label">
                     <span className="setting-name">Familiarity Weight</span>
@@ -1523,6 +3158,53 @@ const SettingsPanel = ({ onClose, settings, settingsLoading, onUpdate, api }) =>
               <div className="settings-section">
                 <h3 className="settings-section-title">ELO Rating System</h3>
                 
+                <div className="setting-group">
+                  <label className="setting-label">
+                    <span className="setting-name">Rating Engine</span>
+                    <span className="setting-description">
+                      Elo uses the K-factors below; Glicko-2 tracks a rating deviation per item and derives confidence from it.
+                      After switching, run <code>npm run replay-ratings</code> to recompute existing ratings with the new engine.
+                    </span>
+                  </label>
+                  <div className="setting-control">
+                    <select
+                      value={ratingEngine}
+                      onChange={(e) => setRatingEngine(e.target.value)}
+                      className="setting-input"
+                    >
+                      <option value="elo">Elo</option>
+                      <option value="glicko2">Glicko-2</option>
+                    </select>
+                  </div>
+                </div>
+
+                {ratingEngine === 'glicko2' && (
+                  <div className="setting-group">
+                    <label className="setting-label">
+                      <span className="setting-name">Glicko-2 Tau</span>
+                      <span className="setting-description">
+                        System constant limiting how quickly volatility changes (0.3-1.2, lower = steadier ratings)
+                      </span>
+                    </label>
+                    <div className="setting-control">
+                      <input
+                        type="number"
+                        min="0.2"
+                        max="1.5"
+                        step="0.1"
+                        value={glickoTau}
+                        onChange={(e) => {
+                          const val = parseFloat(e.target.value);
+                          if (!isNaN(val) && val >= 0.2 && val <= 1.5) {
+                            setGlickoTau(val);
+                          }
+                        }}
+                        className="setting-input"
+                      />
+                    </div>
+                  </div>
+                )}
+
                 <div className="setting-group">
                   <label className="setting-label">
                     <span className="setting-name">Base K-Factor</span>
@@ -1672,6 +3354,78 @@ const SettingsPanel = ({ onClose, settings, settingsLoading, onUpdate, api }) =>
                     />
                   </div>
                 </div>
+
+                <div className="setting-group">
+                  <label className="setting-label">
+                    <span className="setting-name">Position Bias Correction</span>
+                    <span className="setting-description">
+                      Discount votes for the side a strongly side-biased user or session habitually picks (see Position Bias)
+                    </span>
+                  </label>
+                  <div className="setting-control">
+                    <select
+                      value={positionBiasCorrection}
+                      onChange={(e) => setPositionBiasCorrection(e.target.value)}
+                      className="setting-input"
+                    >
+                      <option value="false">Off</option>
+                      <option value="true">On</option>
+                    </select>
+                  </div>
+                </div>
+
+                {positionBiasCorrection === 'true' && (
+                  <>
+                    <div className="setting-group">
+                      <label className="setting-label">
+                        <span className="setting-name">Position Bias Threshold</span>
+                        <span className="setting-description">
+                          Share of picks for one side that counts as strongly biased (0.55 - 1.0)
+                        </span>
+                      </label>
+                      <div className="setting-control">
+                        <input
+                          type="number"
+                          min="0.55"
+                          max="1"
+                          step="0.05"
+                          value={positionBiasThreshold}
+                          onChange={(e) => {
+                            const val = parseFloat(e.target.value);
+                            if (!isNaN(val) && val > 0.5 && val <= 1) {
+                              setPositionBiasThreshold(val);
+                            }
+                          }}
+                          className="setting-input"
+                        />
+                      </div>
+                    </div>
+
+                    <div className="setting-group">
+                      <label className="setting-label">
+                        <span className="setting-name">Position Bias Minimum Votes</span>
+                        <span className="setting-description">
+                          Votes a user or session needs before their side habit is judged
+                        </span>
+                      </label>
+                      <div className="setting-control">
+                        <input
+                          type="number"
+                          min="1"
+                          step="1"
+                          value={positionBiasMinVotes}
+                          onChange={(e) => {
+                            const val = parseInt(e.target.value);
+                            if (!isNaN(val) && val >= 1) {
+                              setPositionBiasMinVotes(val);
+                            }
+                          }}
+                          className="setting-input"
+                        />
+                      </div>
+                    </div>
+                  </>
+                )}
               </div>
             )}
 
@@ -2061,6 +3815,182 @@ const SettingsPanel = ({ onClose, settings, settingsLoading, onUpdate, api }) =>
               </div>
             )}
 
+            {/* Abuse Protection Section */}
+            {activeSection === 'abuse' && (
+              <div className="settings-section">
+                <h3 className="settings-section-title">Abuse Protection</h3>
+                
+                <div className="setting-group">
+                  <label className="setting-label">
+                    <span className="setting-name">Votes per Minute</span>
+                    <span className="setting-description">
+                      Maximum votes per minute from one user or session before requests are rejected
+                    </span>
+                  </label>
+                  <div className="setting-control">
+                    <input
+                      type="number"
+                      min="1"
+                      step="1"
+                      value={voteRateLimit}
+                      onChange={(e) => {
+                        const val = parseInt(e.target.value);
+                        if (!isNaN(val) && val >= 1) {
+                          setVoteRateLimit(val);
+                        }
+                      }}
+                      className="setting-input"
+                    />
+                  </div>
+                </div>
+
+                <div className="setting-group">
+                  <label className="setting-label">
+                    <span className="setting-name">Skips per Minute</span>
+                    <span className="setting-description">
+                      Maximum skips per minute from one user or session
+                    </span>
+                  </label>
+                  <div className="setting-control">
+                    <input
+                      type="number"
+                      min="1"
+                      step="1"
+                      value={skipRateLimit}
+                      onChange={(e) => {
+                        const val = parseInt(e.target.value);
+                        if (!isNaN(val) && val >= 1) {
+                          setSkipRateLimit(val);
+                        }
+                      }}
+                      className="setting-input"
+                    />
+                  </div>
+                </div>
+
+                <div className="setting-group">
+                  <label className="setting-label">
+                    <span className="setting-name">Comments per Minute</span>
+                    <span className="setting-description">
+                      Maximum comments per minute from one user or session
+                    </span>
+                  </label>
+                  <div className="setting-control">
+                    <input
+                      type="number"
+                      min="1"
+                      step="1"
+                      value={commentRateLimit}
+                      onChange={(e) => {
+                        const val = parseInt(e.target.value);
+                        if (!isNaN(val) && val >= 1) {
+                          setCommentRateLimit(val);
+                        }
+                      }}
+                      className="setting-input"
+                    />
+                  </div>
+                </div>
+
+                <div className="setting-group">
+                  <label className="setting-label">
+                    <span className="setting-name">Submissions per Hour</span>
+                    <span className="setting-description">
+                      Maximum photo and item submissions per hour from one user or session
+                    </span>
+                  </label>
+                  <div className="setting-control">
+                    <input
+                      type="number"
+                      min="1"
+                      step="1"
+                      value={submissionRateLimit}
+                      onChange={(e) => {
+                        const val = parseInt(e.target.value);
+                        if (!isNaN(val) && val >= 1) {
+                          setSubmissionRateLimit(val);
+                        }
+                      }}
+                      className="setting-input"
+                    />
+                  </div>
+                </div>
+
+                <div className="setting-group">
+                  <label className="setting-label">
+                    <span className="setting-name">Inhuman Votes per Minute</span>
+                    <span className="setting-description">
+                      Sustained voting speed that gets a user or session flagged for review
+                    </span>
+                  </label>
+                  <div className="setting-control">
+                    <input
+                      type="number"
+                      min="1"
+                      step="1"
+                      value={anomalyMaxVotesPerMinute}
+                      onChange={(e) => {
+                        const val = parseFloat(e.target.value);
+                        if (!isNaN(val) && val > 0) {
+                          setAnomalyMaxVotesPerMinute(val);
+                        }
+                      }}
+                      className="setting-input"
+                    />
+                  </div>
+                </div>
+
+                <div className="setting-group">
+                  <label className="setting-label">
+                    <span className="setting-name">Single-Item Bias Threshold</span>
+                    <span className="setting-description">
+                      Share of recent votes picking the same winner that gets a user or session flagged (0.0 - 1.0)
+                    </span>
+                  </label>
+                  <div className="setting-control">
+                    <input
+                      type="number"
+                      min="0"
+                      max="1"
+                      step="0.05"
+                      value={anomalySingleItemThreshold}
+                      onChange={(e) => {
+                        const val = parseFloat(e.target.value);
+                        if (!isNaN(val) && val >= 0 && val <= 1) {
+                          setAnomalySingleItemThreshold(val);
+                        }
+                      }}
+                      className="setting-input"
+                    />
+                  </div>
+                </div>
+
+                <div className="setting-group">
+                  <label className="setting-label">
+                    <span className="setting-name">Too-Fast Decision Time (ms)</span>
+                    <span className="setting-description">
+                      Median time per vote below which a user or session is flagged for deciding faster than anyone could look at both items (0 = off)
+                    </span>
+                  </label>
+                  <div className="setting-control">
+                    <input
+                      type="number"
+                      min="0"
+                      step="50"
+                      value={anomalyMinMedianDecisionMs}
+                      onChange={(e) => {
+                        const val = parseInt(e.target.value);
+                        if (!isNaN(val) && val >= 0) {
+                          setAnomalyMinMedianDecisionMs(val);
+                        }
+                      }}
+                      className="setting-input"
+                    />
+                  </div>
+                </div>
+              </div>
+            )}
+
             <div className="settings-actions">
               <button 
                 className="save-button" 
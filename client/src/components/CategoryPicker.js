@@ -0,0 +1,81 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import './CategoryPicker.css';
+
+const CategoryPicker = ({ selected = [], mode = 'mixed', onChange, disabled = false }) => {
+  const [categories, setCategories] = useState([]);
+
+  useEffect(() => {
+    const fetchCategories = async () => {
+      try {
+        const response = await axios.get('/api/categories');
+        setCategories(response.data.categories || []);
+      } catch (error) {
+        console.error('Error fetching categories:', error);
+      }
+    };
+
+    fetchCategories();
+  }, []);
+
+  // Hide the picker until categories are available (nothing to choose from)
+  if (categories.length === 0) {
+    return null;
+  }
+
+  const toggleCategory = (slug) => {
+    const next = selected.includes(slug)
+      ? selected.filter(s => s !== slug)
+      : [...selected, slug];
+    onChange({ categories: next, mode });
+  };
+
+  return (
+    <div className="category-picker">
+      <div className="category-picker-chips">
+        <button
+          type="button"
+          className={`category-chip ${selected.length === 0 ? 'active' : ''}`}
+          onClick={() => onChange({ categories: [], mode })}
+          disabled={disabled}
+        >
+          All
+        </button>
+        {categories.map(cat => (
+          <button
+            key={cat.slug}
+            type="button"
+            className={`category-chip ${selected.includes(cat.slug) ? 'active' : ''}`}
+            onClick={() => toggleCategory(cat.slug)}
+            disabled={disabled}
+            title={cat.description || cat.name}
+          >
+            {cat.name}
+          </button>
+        ))}
+      </div>
+      <div className="category-picker-mode">
+        <span className="category-picker-label">Matchups:</span>
+        <button
+          type="button"
+          className={`mode-toggle ${mode === 'mixed' ? 'active' : ''}`}
+          onClick={() => onChange({ categories: selected, mode: 'mixed' })}
+          disabled={disabled}
+        >
+          Mixed
+        </button>
+        <button
+          type="button"
+          className={`mode-toggle ${mode === 'same' ? 'active' : ''}`}
+          onClick={() => onChange({ categories: selected, mode: 'same' })}
+          disabled={disabled}
+          title="Only compare items from the same category"
+        >
+          Same category
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default CategoryPicker;
@@ -1,20 +1,37 @@
 import React, { useState, useEffect, useCallback, useRef } from 'react';
 import axios from 'axios';
-import { useSearchParams } from 'react-router-dom';
+import { useSearchParams, useNavigate } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
 import Toast from './Toast';
 import AccountPrompt from './AccountPrompt';
 import TrendingItems from './TrendingItems';
+import CategoryPicker from './CategoryPicker';
 import CommentsModal from './CommentsModal';
 import { ComparisonSkeleton } from './SkeletonLoader';
 import { animateNumber } from '../utils/numberAnimation';
 import './Comparison.css';
 
+// Upcoming random comparisons are prefetched in batches so the next pair shows without a round-trip
+const QUEUE_SIZE = 8;
+const QUEUE_REFILL_AT = 3;
+
+// Optional preference strength sent with a win (keys 1-3)
+const VOTE_STRENGTHS = [
+  { value: 'slight', label: 'Slightly', key: '1' },
+  { value: 'clear', label: 'Clearly', key: '2' },
+  { value: 'overwhelming', label: 'Overwhelmingly', key: '3' }
+];
+
+// Best-of-N mode (?bestOf=4) shows this many items at once
+const GROUP_SIZES = [3, 4, 5, 6];
+
 const Comparison = ({ userSessionId }) => {
   const [searchParams, setSearchParams] = useSearchParams();
+  const navigate = useNavigate();
   const [items, setItems] = useState(null);
   const [loading, setLoading] = useState(true);
   const [selected, setSelected] = useState(null);
+  const [strength, setStrength] = useState(null);
   const [voting, setVoting] = useState(false);
   const [error, setError] = useState(null);
   const [toast, setToast] = useState(null);
@@ -24,11 +41,34 @@ const Comparison = ({ userSessionId }) => {
   const [globalStats, setGlobalStats] = useState(null);
   const [commentsModal, setCommentsModal] = useState({ open: false, itemId: null, itemTitle: null });
   const [isSharedComparison, setIsSharedComparison] = useState(false);
+  // Best-of-N: the items on screen, the order they're ranked in, and the answer being submitted
+  const [group, setGroup] = useState(null);
+  const [ranking, setRanking] = useState([]);
+  const [rankMode, setRankMode] = useState(false);
+  const [groupAnswer, setGroupAnswer] = useState(null);
+  const [dragOverIndex, setDragOverIndex] = useState(null);
+  const dragIndexRef = useRef(null);
   const { token, isAuthenticated } = useAuth();
   const statsRef = useRef(null);
+  // Pending "load next comparison" timer and the latest fetch, so an undo can cancel them
+  const nextComparisonTimerRef = useRef(null);
+  const fetchIdRef = useRef(0);
+  // Local queue of reserved pairs (GET /api/comparison/batch) and the pair on screen
+  const queueRef = useRef([]);
+  const queueRequestRef = useRef(null);
+  const queuePoolRef = useRef(null);
+  const itemsRef = useRef(null);
+  // When the pair on screen was shown, to report how long the voter took to decide
+  const shownAtRef = useRef(null);
+
+  // Category pool lives in the URL (?categories=music,movies-tv&mode=same) so it survives reloads
+  const selectedCategories = (searchParams.get('categories') || '').split(',').filter(Boolean);
+  const comparisonMode = searchParams.get('mode') === 'same' ? 'same' : 'mixed';
+  const requestedGroupSize = parseInt(searchParams.get('bestOf'));
+  const bestOf = GROUP_SIZES.includes(requestedGroupSize) ? requestedGroupSize : null;
 
-  const showToast = (message, type = 'success') => {
-    setToast({ message, type });
+  const showToast = (message, type = 'success', action = null) => {
+    setToast({ message, type, action });
   };
 
   const hideToast = () => {
@@ -53,11 +93,44 @@ const Comparison = ({ userSessionId }) => {
     );
   };
 
+  // Top up the local queue. The server hands back the session's outstanding reserved pairs
+  // first (resume), so pairs already queued or on screen are skipped by token
+  const fillQueue = useCallback(() => {
+    if (queueRequestRef.current) return queueRequestRef.current;
+
+    const params = new URLSearchParams();
+    params.set('count', QUEUE_SIZE);
+    params.set('resume', 'true');
+    const sessionId = localStorage.getItem('userSessionId');
+    if (sessionId) params.set('sessionId', sessionId);
+    if (searchParams.get('categories')) params.set('categories', searchParams.get('categories'));
+    if (searchParams.get('mode') === 'same') params.set('mode', 'same');
+    const poolKey = `${searchParams.get('mode') || ''}|${searchParams.get('categories') || ''}`;
+
+    queueRequestRef.current = axios.get(`/api/comparison/batch?${params.toString()}`)
+      .then(response => {
+        // The category selection changed while this was loading
+        if (queuePoolRef.current !== poolKey) return;
+        const known = new Set([
+          ...queueRef.current.map(pair => pair.comparisonToken),
+          itemsRef.current?.comparisonToken
+        ]);
+        const pairs = (response.data.pairs || [])
+          .filter(pair => !known.has(pair.comparisonToken))
+          .map(pair => ({ ...pair, pool: response.data.pool }));
+        queueRef.current.push(...pairs);
+        // Warm the image cache so queued pairs render instantly
+        preloadImages(pairs.flatMap(pair => [pair.item1.image_url, pair.item2.image_url]));
+      })
+      .finally(() => {
+        queueRequestRef.current = null;
+      });
+    return queueRequestRef.current;
+  }, [searchParams]);
+
   const fetchComparison = useCallback(async (item1Id = null, item2Id = null) => {
-    setLoading(true);
     setSelected(null);
     setError(null);
-    setItemStats({ item1: null, item2: null });
     
     // Reset opacity if it was faded out
     const grid = document.querySelector('.comparison-grid');
@@ -66,38 +139,46 @@ const Comparison = ({ userSessionId }) => {
       grid.style.transition = 'opacity 0.3s';
     }
     
+    const fetchId = ++fetchIdRef.current;
+    
+    // Check if this is a shared comparison (from URL params or function params)
+    const sharedItem1 = item1Id || searchParams.get('item1');
+    const sharedItem2 = item2Id || searchParams.get('item2');
+    const isShared = Boolean(sharedItem1 && sharedItem2);
+    
+    // Queued pairs already carry their stats - only show the loader if we have to wait
+    if (isShared || queueRef.current.length === 0) {
+      setLoading(true);
+      setItemStats({ item1: null, item2: null });
+    }
+    
     try {
-      let url;
-      let isShared = false;
-      
-      // Check if this is a shared comparison (from URL params or function params)
-      if (item1Id && item2Id) {
-        url = `/api/comparison/specific?item1=${item1Id}&item2=${item2Id}`;
-        isShared = true;
+      let data;
+      if (isShared) {
+        const response = await axios.get(`/api/comparison/specific?item1=${sharedItem1}&item2=${sharedItem2}`);
+        data = response.data;
       } else {
-        // Check URL query parameters for shared comparison
-        const urlItem1 = searchParams.get('item1');
-        const urlItem2 = searchParams.get('item2');
-        
-        if (urlItem1 && urlItem2) {
-          url = `/api/comparison/specific?item1=${urlItem1}&item2=${urlItem2}`;
-          isShared = true;
-        } else {
-          // Get random comparison
-          const sessionId = localStorage.getItem('userSessionId');
-          url = sessionId ? `/api/comparison?sessionId=${encodeURIComponent(sessionId)}` : '/api/comparison';
-          isShared = false;
+        if (queueRef.current.length === 0) {
+          await fillQueue();
+        }
+        data = queueRef.current.shift();
+        if (!data) {
+          throw Object.assign(new Error('No comparisons available'), { response: { status: 404 } });
         }
       }
       
+      // A vote was undone while this was loading - keep showing the undone pair
+      if (fetchId !== fetchIdRef.current) {
+        if (!isShared) queueRef.current.unshift(data);
+        return;
+      }
       setIsSharedComparison(isShared);
-      const response = await axios.get(url);
       
       // Preload images before setting items (but don't wait too long)
       // This ensures images are ready when we render, but doesn't block state updates
       const imageUrls = [
-        response.data?.item1?.image_url,
-        response.data?.item2?.image_url
+        data?.item1?.image_url,
+        data?.item2?.image_url
       ].filter(Boolean);
       
       // Preload images with a max wait time to not delay state updates too much
@@ -107,13 +188,21 @@ const Comparison = ({ userSessionId }) => {
       ]);
       
       // Now set items - images should be preloaded
-      setItems(response.data);
+      setItems(data);
       
-      // Fetch detailed stats for hover display
-      if (response.data?.item1?.id && response.data?.item2?.id) {
+      if (!isShared) {
+        // Batch pairs include the hover stats
+        setItemStats({ item1: data.item1, item2: data.item2 });
+        if (queueRef.current.length < QUEUE_REFILL_AT) {
+          fillQueue().catch(err => {
+            console.error('Error refilling comparison queue:', err);
+          });
+        }
+      } else if (data?.item1?.id && data?.item2?.id) {
+        // Fetch detailed stats for hover display
         Promise.all([
-          axios.get(`/api/items/${response.data.item1.id}`),
-          axios.get(`/api/items/${response.data.item2.id}`)
+          axios.get(`/api/items/${data.item1.id}`),
+          axios.get(`/api/items/${data.item2.id}`)
         ]).then(([item1Res, item2Res]) => {
           setItemStats({
             item1: item1Res.data,
@@ -126,10 +215,12 @@ const Comparison = ({ userSessionId }) => {
       }
     } catch (error) {
       console.error('Error fetching comparison:', error);
-      const isShared = (item1Id && item2Id) || (searchParams.get('item1') && searchParams.get('item2'));
+      const isFiltered = searchParams.get('categories') || searchParams.get('mode') === 'same';
       const errorMessage = error.response?.status === 404
         ? isShared 
           ? 'This shared comparison is no longer available. The items may have been removed.'
+          : isFiltered
+          ? error.response?.data?.message || 'Not enough items for this category selection. Try picking more categories.'
           : 'Not enough items in database. The database is growing, please try again in a moment!'
         : error.code === 'ERR_NETWORK'
         ? 'Network error. Please check your internet connection.'
@@ -140,7 +231,45 @@ const Comparison = ({ userSessionId }) => {
     } finally {
       setLoading(false);
     }
-  }, [searchParams]);
+  }, [searchParams, fillQueue]);
+
+  const fetchGroup = useCallback(async () => {
+    setGroupAnswer(null);
+    setError(null);
+    setLoading(true);
+    const fetchId = ++fetchIdRef.current;
+
+    try {
+      const params = new URLSearchParams();
+      params.set('count', bestOf);
+      if (userSessionId) params.set('sessionId', userSessionId);
+      if (searchParams.get('categories')) params.set('categories', searchParams.get('categories'));
+      if (searchParams.get('mode') === 'same') params.set('mode', 'same');
+      const response = await axios.get(`/api/comparison/group?${params.toString()}`);
+
+      // A vote was undone while this was loading - keep showing the undone group
+      if (fetchId !== fetchIdRef.current) return;
+
+      await Promise.race([
+        preloadImages(response.data.items.map(item => item.image_url)),
+        new Promise(resolve => setTimeout(resolve, 300))
+      ]);
+      setGroup(response.data);
+      setRanking(response.data.items.map(item => item.id));
+    } catch (error) {
+      console.error('Error fetching comparison group:', error);
+      const errorMessage = error.response?.status === 404
+        ? error.response?.data?.message || 'Not enough items for this many at once. Try fewer items or more categories.'
+        : error.code === 'ERR_NETWORK'
+        ? 'Network error. Please check your internet connection.'
+        : 'Failed to load comparison. Please try again.';
+
+      setError(errorMessage);
+      showToast(errorMessage, 'error');
+    } finally {
+      setLoading(false);
+    }
+  }, [searchParams, bestOf, userSessionId]);
 
   const checkComparisonCount = useCallback(async () => {
     if (!userSessionId) return;
@@ -191,20 +320,84 @@ const Comparison = ({ userSessionId }) => {
     }
   }, []);
 
+  // A different category selection starts a new queue
   useEffect(() => {
-    fetchComparison();
+    queuePoolRef.current = `${searchParams.get('mode') || ''}|${searchParams.get('categories') || ''}`;
+    queueRef.current = [];
+  }, [searchParams]);
+
+  useEffect(() => {
+    itemsRef.current = items;
+    shownAtRef.current = items ? performance.now() : null;
+  }, [items]);
+
+  useEffect(() => {
+    if (bestOf) {
+      fetchGroup();
+    } else {
+      fetchComparison();
+    }
     fetchGlobalStats();
     
     // Check comparison count for anonymous users
     if (!isAuthenticated && userSessionId) {
       checkComparisonCount();
     }
-  }, [fetchComparison, fetchGlobalStats, isAuthenticated, userSessionId, checkComparisonCount]);
+  }, [bestOf, fetchGroup, fetchComparison, fetchGlobalStats, isAuthenticated, userSessionId, checkComparisonCount]);
 
-  const handleVote = useCallback(async (winnerId) => {
+  const handleUndo = useCallback(async (votedItems) => {
+    hideToast();
+    
+    try {
+      const headers = token ? { Authorization: `Bearer ${token}` } : {};
+      const response = await axios.post('/api/comparison/undo', { userSessionId }, { headers });
+      
+      // Cancel loading the next comparison and bring the undone pair back with a fresh token
+      clearTimeout(nextComparisonTimerRef.current);
+      fetchIdRef.current++;
+      // If the next queued pair is already showing, put it back at the front of the queue
+      const showing = itemsRef.current;
+      if (showing && showing.comparisonToken !== votedItems.comparisonToken && !isSharedComparison) {
+        queueRef.current.unshift(showing);
+      }
+      const grid = document.querySelector('.comparison-grid');
+      if (grid) {
+        grid.style.opacity = '1';
+      }
+      setItems({ ...votedItems, comparisonToken: response.data.comparisonToken });
+      setSelected(null);
+      setLoading(false);
+      showToast('Vote undone - pick again!', 'info');
+
+      // Refresh hover stats - the ratings went back to their pre-vote values
+      setItemStats({ item1: null, item2: null });
+      Promise.all([
+        axios.get(`/api/items/${votedItems.item1.id}`),
+        axios.get(`/api/items/${votedItems.item2.id}`)
+      ]).then(([item1Res, item2Res]) => {
+        setItemStats({
+          item1: item1Res.data,
+          item2: item2Res.data
+        });
+      }).catch(err => {
+        console.error('Error fetching item stats:', err);
+      });
+
+      fetchGlobalStats();
+      if (!isAuthenticated && userSessionId) {
+        checkComparisonCount();
+      }
+    } catch (error) {
+      console.error('Error undoing vote:', error);
+      showToast(error.response?.data?.message || 'Failed to undo vote. Please try again.', 'error');
+    }
+  }, [token, userSessionId, isAuthenticated, isSharedComparison, fetchGlobalStats, checkComparisonCount]);
+
+  // outcome: 'win' (winnerId is the pick), 'tie', or 'unfamiliar' ("don't know either")
+  const handleVote = useCallback(async (winnerId, outcome = 'win') => {
     if (voting || !items || loading) return;
     
-    setSelected(winnerId);
+    setSelected(outcome === 'win' ? winnerId : outcome);
     setVoting(true);
     setError(null);
 
@@ -214,8 +407,12 @@ const Comparison = ({ userSessionId }) => {
       const response = await axios.post('/api/comparison/vote', {
         item1Id: items.item1.id,
         item2Id: items.item2.id,
-        winnerId,
-        userSessionId
+        winnerId: outcome === 'win' ? winnerId : null,
+        outcome,
+        strength: outcome === 'win' ? strength : null,
+        decisionMs: shownAtRef.current !== null ? Math.round(performance.now() - shownAtRef.current) : null,
+        userSessionId,
+        comparisonToken: items.comparisonToken
       }, { headers });
 
       // Check if we should prompt for account
@@ -227,21 +424,61 @@ const Comparison = ({ userSessionId }) => {
         }
       }
 
-      // Show upset pick feedback if user picked an underdog
-      if (response.data.wasUpset) {
-        showToast('🎯 Upset pick! You chose the underdog!', 'success');
+      // Queued pairs carry stats from when they were fetched - keep them in step with this vote
+      // ("don't know either" answers don't change ratings or counts)
+      const updateQueuedItem = (item) => {
+        if (item.id !== items.item1.id && item.id !== items.item2.id) return item;
+        const won = outcome === 'win' && item.id === winnerId;
+        const lost = outcome === 'win' && item.id !== winnerId;
+        return {
+          ...item,
+          elo_rating: item.id === items.item1.id ? response.data.newRatings.item1 : response.data.newRatings.item2,
+          comparison_count: (item.comparison_count || 0) + 1,
+          wins: (item.wins || 0) + (won ? 1 : 0),
+          losses: (item.losses || 0) + (lost ? 1 : 0)
+        };
+      };
+      if (outcome !== 'unfamiliar') {
+        queueRef.current = queueRef.current.map(pair => ({
+          ...pair,
+          item1: updateQueuedItem(pair.item1),
+          item2: updateQueuedItem(pair.item2)
+        }));
       }
 
+      // Strength applies to one vote at a time
+      setStrength(null);
+
+      // Confirm the vote (with upset pick feedback if user picked an underdog) and offer an undo
+      const votedItems = items;
+      const confirmation = outcome === 'tie'
+        ? "🤝 It's a tie!"
+        : outcome === 'unfamiliar'
+        ? "🤷 Got it - you'll see these less often"
+        : response.data.wasUpset ? '🎯 Upset pick! You chose the underdog!' : 'Vote recorded!';
+      // How earlier voters answered the same pair (absent until someone else has voted on it)
+      const agreement = response.data.agreement;
+      const agreementNote = agreement
+        ? outcome === 'tie'
+          ? ` ${Math.round(agreement.share * 100)}% of voters called it a tie too.`
+          : ` ${Math.round(agreement.share * 100)}% of voters agreed with you.`
+        : '';
+      showToast(
+        confirmation + agreementNote,
+        'success',
+        { label: 'Undo', onClick: () => handleUndo(votedItems) }
+      );
+
       // Wait a moment to show the selection with animation, then fetch new comparison
       // Keep sequential to avoid state race conditions, but reduce delays slightly
-      setTimeout(() => {
+      nextComparisonTimerRef.current = setTimeout(() => {
         // Add a brief fade-out effect before loading next
         if (document.querySelector('.comparison-grid')) {
           document.querySelector('.comparison-grid').style.opacity = '0.5';
           document.querySelector('.comparison-grid').style.transition = 'opacity 0.3s';
         }
         
-        setTimeout(() => {
+        nextComparisonTimerRef.current = setTimeout(() => {
           // Fetch new comparison sequentially (not in background) to maintain state order
           fetchComparison();
           fetchGlobalStats(); // Update global stats after vote
@@ -253,6 +490,19 @@ const Comparison = ({ userSessionId }) => {
       }, 600);
     } catch (error) {
       console.error('Error submitting vote:', error);
+      // Expired/used comparison tokens can't be retried - move on to a fresh comparison
+      if (error.response?.data?.code?.startsWith('COMPARISON_TOKEN')) {
+        showToast(error.response.data.message, 'error');
+        setSelected(null);
+        fetchComparison();
+        return;
+      }
+      // Rate limited votes are rejected before the token is used, so the same comparison can be retried
+      if (error.response?.data?.code === 'RATE_LIMITED') {
+        showToast(error.response.data.message, 'error');
+        setSelected(null);
+        return;
+      }
       const errorMessage = error.response?.status === 400
         ? 'Invalid vote. Please try again.'
         : error.code === 'ERR_NETWORK'
@@ -265,19 +515,142 @@ const Comparison = ({ userSessionId }) => {
     } finally {
       setVoting(false);
     }
-  }, [voting, items, loading, token, userSessionId, isAuthenticated, fetchComparison, fetchGlobalStats, checkComparisonCount]);
+  }, [voting, items, loading, token, strength, userSessionId, isAuthenticated, fetchComparison, fetchGlobalStats, checkComparisonCount, handleUndo]);
 
   const handleSkip = useCallback(async () => {
     if (voting || loading) return;
     
+    // Use up the pair's token so it isn't kept reserved for this session (non-blocking)
+    if (items?.comparisonToken) {
+      axios.post('/api/comparison/skip', {
+        item1Id: items.item1.id,
+        item2Id: items.item2.id,
+        userSessionId,
+        comparisonToken: items.comparisonToken
+      }).catch(err => {
+        console.error('Error recording skip:', err);
+      });
+    }
+    
     showToast('Skipped! Loading next comparison...', 'info');
     fetchComparison();
-  }, [voting, loading, fetchComparison]);
+  }, [voting, loading, items, userSessionId, fetchComparison]);
+
+  const handleGroupUndo = useCallback(async (votedGroup) => {
+    hideToast();
+
+    try {
+      const headers = token ? { Authorization: `Bearer ${token}` } : {};
+      const response = await axios.post('/api/comparison/undo', { userSessionId }, { headers });
+
+      // Cancel loading the next group and bring the undone one back with a fresh token
+      clearTimeout(nextComparisonTimerRef.current);
+      fetchIdRef.current++;
+      setGroup({ ...votedGroup, comparisonToken: response.data.comparisonToken });
+      setRanking(votedGroup.items.map(item => item.id));
+      setGroupAnswer(null);
+      setLoading(false);
+      showToast('Vote undone - pick again!', 'info');
+
+      fetchGlobalStats();
+      if (!isAuthenticated && userSessionId) {
+        checkComparisonCount();
+      }
+    } catch (error) {
+      console.error('Error undoing vote:', error);
+      showToast(error.response?.data?.message || 'Failed to undo vote. Please try again.', 'error');
+    }
+  }, [token, userSessionId, isAuthenticated, fetchGlobalStats, checkComparisonCount]);
+
+  // answer: { pick: itemId } or { ranking: [itemId, ...] } (best first)
+  const handleGroupVote = useCallback(async (answer) => {
+    if (voting || loading || !group) return;
+
+    setGroupAnswer(answer);
+    setVoting(true);
+    setError(null);
+
+    try {
+      const headers = token ? { Authorization: `Bearer ${token}` } : {};
+      const response = await axios.post('/api/comparison/group/vote', {
+        itemIds: group.items.map(item => item.id),
+        ...answer,
+        userSessionId,
+        comparisonToken: group.comparisonToken
+      }, { headers });
+
+      if (response.data.shouldPromptAccount && !isAuthenticated) {
+        setComparisonCount(response.data.comparisonCount || 0);
+        if (!localStorage.getItem('accountPromptShown')) {
+          setShowAccountPrompt(true);
+          localStorage.setItem('accountPromptShown', 'true');
+        }
+      }
+
+      const votedGroup = group;
+      showToast(
+        answer.ranking
+          ? `Ranking recorded - that's ${response.data.comparisons} matchups!`
+          : 'Pick recorded!',
+        'success',
+        { label: 'Undo', onClick: () => handleGroupUndo(votedGroup) }
+      );
+
+      nextComparisonTimerRef.current = setTimeout(() => {
+        fetchGroup();
+        fetchGlobalStats();
+        if (!isAuthenticated && userSessionId) {
+          checkComparisonCount();
+        }
+      }, 750);
+    } catch (error) {
+      console.error('Error submitting group vote:', error);
+      if (error.response?.data?.code?.startsWith('COMPARISON_TOKEN')) {
+        showToast(error.response.data.message, 'error');
+        fetchGroup();
+        return;
+      }
+      if (error.response?.data?.code === 'RATE_LIMITED') {
+        showToast(error.response.data.message, 'error');
+        setGroupAnswer(null);
+        return;
+      }
+      const errorMessage = error.response?.status === 400
+        ? 'Invalid vote. Please try again.'
+        : error.code === 'ERR_NETWORK'
+        ? 'Network error. Please check your connection and try again.'
+        : 'Failed to submit vote. Please try again.';
+
+      setError(errorMessage);
+      showToast(errorMessage, 'error');
+      setGroupAnswer(null);
+    } finally {
+      setVoting(false);
+    }
+  }, [voting, loading, group, token, userSessionId, isAuthenticated, fetchGroup, fetchGlobalStats, checkComparisonCount, handleGroupUndo]);
+
+  const handleGroupSkip = useCallback(() => {
+    if (voting || loading) return;
+    // Group tokens aren't reserved for the session, so an unused one simply expires
+    showToast('Skipped! Loading next comparison...', 'info');
+    fetchGroup();
+  }, [voting, loading, fetchGroup]);
+
+  // Move a ranked item from one position to another (drag and drop or the arrow buttons)
+  const moveRanked = (from, to) => {
+    setRanking(current => {
+      if (from === null || to < 0 || to >= current.length || from === to) return current;
+      const next = [...current];
+      const [moved] = next.splice(from, 1);
+      next.splice(to, 0, moved);
+      return next;
+    });
+  };
 
   // Keyboard shortcuts
   useEffect(() => {
     const handleKeyPress = (e) => {
-      if (voting || loading || !items) return;
+      if (bestOf || voting || loading || !items) return;
       
       // Prevent keyboard shortcuts when typing in inputs
       if (e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA') {
@@ -290,15 +663,50 @@ const Comparison = ({ userSessionId }) => {
       } else if (e.key === 'ArrowRight' || e.key === 'd' || e.key === 'D') {
         e.preventDefault();
         handleVote(items.item2.id);
+      } else if (e.key === 'ArrowUp' || e.key === 'w' || e.key === 'W') {
+        e.preventDefault();
+        handleVote(null, 'tie');
+      } else if (e.key === 'ArrowDown' || e.key === 'x' || e.key === 'X') {
+        e.preventDefault();
+        handleVote(null, 'unfamiliar');
       } else if (e.key === ' ' || e.key === 's' || e.key === 'S') {
         e.preventDefault();
         handleSkip();
+      } else {
+        const strengthOption = VOTE_STRENGTHS.find(option => option.key === e.key);
+        if (strengthOption) {
+          e.preventDefault();
+          setStrength(current => (current === strengthOption.value ? null : strengthOption.value));
+        }
+      }
+    };
+
+    window.addEventListener('keydown', handleKeyPress);
+    return () => window.removeEventListener('keydown', handleKeyPress);
+  }, [bestOf, items, voting, loading, handleVote, handleSkip]);
+
+  // Best-of-N shortcuts: 1-N picks an item, Space/S skips (ranking is done with the mouse)
+  useEffect(() => {
+    const handleKeyPress = (e) => {
+      if (!bestOf || voting || loading || !group) return;
+
+      if (e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA') {
+        return;
+      }
+
+      const position = parseInt(e.key);
+      if (!rankMode && position >= 1 && position <= group.items.length) {
+        e.preventDefault();
+        handleGroupVote({ pick: group.items[position - 1].id });
+      } else if (e.key === ' ' || e.key === 's' || e.key === 'S') {
+        e.preventDefault();
+        handleGroupSkip();
       }
     };
 
     window.addEventListener('keydown', handleKeyPress);
     return () => window.removeEventListener('keydown', handleKeyPress);
-  }, [items, voting, loading, handleVote, handleSkip]);
+  }, [bestOf, group, rankMode, voting, loading, handleGroupVote, handleGroupSkip]);
 
   const handleAccountPromptClose = () => {
     setShowAccountPrompt(false);
@@ -339,12 +747,82 @@ const Comparison = ({ userSessionId }) => {
   };
   
   const handleViewOriginal = () => {
-    // Clear query parameters and fetch a new random comparison
-    setSearchParams({});
+    // Clear shared item parameters (keep the category pool) and fetch a new random comparison
+    const params = new URLSearchParams(searchParams);
+    params.delete('item1');
+    params.delete('item2');
+    setSearchParams(params);
     setIsSharedComparison(false);
     fetchComparison();
   };
 
+  const handlePoolChange = ({ categories, mode }) => {
+    // Changing search params re-creates fetchComparison, which triggers a new fetch
+    const params = new URLSearchParams(searchParams);
+    params.delete('item1');
+    params.delete('item2');
+    if (categories.length > 0) {
+      params.set('categories', categories.join(','));
+    } else {
+      params.delete('categories');
+    }
+    if (mode === 'same') {
+      params.set('mode', 'same');
+    } else {
+      params.delete('mode');
+    }
+    setSearchParams(params);
+  };
+
+  const handleFormatChange = (size) => {
+    // Changing search params re-creates the fetch callbacks, which triggers a new fetch
+    clearTimeout(nextComparisonTimerRef.current);
+    const params = new URLSearchParams(searchParams);
+    params.delete('item1');
+    params.delete('item2');
+    if (size) {
+      params.set('bestOf', size);
+    } else {
+      params.delete('bestOf');
+    }
+    setSearchParams(params);
+  };
+
+  const formatPicker = (
+    <div className="format-picker" role="group" aria-label="How many items at once">
+      <button
+        type="button"
+        className={`format-option ${!bestOf ? 'active' : ''}`}
+        onClick={() => handleFormatChange(null)}
+        disabled={voting}
+        aria-pressed={!bestOf}
+      >
+        Pairs
+      </button>
+      {GROUP_SIZES.map(size => (
+        <button
+          key={size}
+          type="button"
+          className={`format-option ${bestOf === size ? 'active' : ''}`}
+          onClick={() => handleFormatChange(size)}
+          disabled={voting}
+          aria-pressed={bestOf === size}
+        >
+          Best of {size}
+        </button>
+      ))}
+    </div>
+  );
+
+  const categoryPicker = (
+    <CategoryPicker
+      selected={selectedCategories}
+      mode={comparisonMode}
+      onChange={handlePoolChange}
+      disabled={voting}
+    />
+  );
+
   const copyToClipboard = (url, text) => {
     navigator.clipboard.writeText(url).then(() => {
       showToast('Link copied to clipboard!', 'success');
@@ -368,6 +846,231 @@ const Comparison = ({ userSessionId }) => {
     return `https://en.wikipedia.org/wiki/${encodeURIComponent(title.replace(/\s+/g, '_'))}`;
   };
 
+  const overlays = (
+    <>
+    {toast && (
+      <Toast
+        message={toast.message}
+        type={toast.type}
+        onClose={hideToast}
+        action={toast.action}
+        duration={toast.action ? 6000 : 3000}
+      />
+    )}
+
+    {showAccountPrompt && !isAuthenticated && (
+      <AccountPrompt
+        onClose={handleAccountPromptClose}
+        onRegister={handleAccountCreated}
+        comparisonCount={comparisonCount}
+      />
+    )}
+    </>
+  );
+
+  const globalStatsBadges = globalStats && (
+    <div className="global-stats" ref={statsRef}>
+      <div className="stat-badge">
+        <strong className="stat-total-comparisons">{globalStats.totalComparisons.toLocaleString()}</strong> total votes
+      </div>
+      <div className="stat-badge">
+        <strong className="stat-total-items">{globalStats.totalItems.toLocaleString()}</strong> items ranked
+      </div>
+      <div className="stat-badge highlight">
+        <strong className="stat-today-comparisons">{globalStats.todayComparisons.toLocaleString()}</strong> today
+      </div>
+    </div>
+  );
+
+  if (bestOf) {
+    if (loading && !group) {
+      return <ComparisonSkeleton />;
+    }
+
+    const itemsById = new Map((group?.items || []).map(item => [item.id, item]));
+    const shownItems = rankMode
+      ? ranking.map(id => itemsById.get(id)).filter(Boolean)
+      : group?.items || [];
+
+    return (
+      <div className="comparison-container">
+        {overlays}
+
+        <div className="comparison-header">
+          <h1>What is the Best Thing? 🎯</h1>
+          {formatPicker}
+          {categoryPicker}
+        </div>
+
+        {!group ? (
+          <div className="error-state">
+            <div className="error-icon">⚠️</div>
+            <div className="error-message">{error || 'Failed to load comparison'}</div>
+            <button onClick={fetchGroup} className="retry-button">
+              Try Again
+            </button>
+          </div>
+        ) : (
+          <>
+            <div
+              className={`group-grid group-size-${shownItems.length} ${rankMode ? 'ranking' : ''}`}
+              role={rankMode ? 'list' : undefined}
+            >
+              {shownItems.map((item, index) => {
+                const isPicked = groupAnswer?.pick === item.id;
+                const isPassedOver = Boolean(groupAnswer?.pick) && !isPicked;
+                return (
+                  <div
+                    key={item.id}
+                    className={`comparison-item group-item ${isPicked ? 'selected winner' : ''} ${
+                      isPassedOver ? 'loser' : ''
+                    } ${voting ? 'voting' : ''} ${dragOverIndex === index ? 'drag-over' : ''}`}
+                    onClick={rankMode ? undefined : () => handleGroupVote({ pick: item.id })}
+                    draggable={rankMode && !voting}
+                    onDragStart={() => {
+                      dragIndexRef.current = index;
+                    }}
+                    onDragOver={(e) => {
+                      if (!rankMode) return;
+                      e.preventDefault();
+                      setDragOverIndex(index);
+                    }}
+                    onDragLeave={() => setDragOverIndex(null)}
+                    onDrop={(e) => {
+                      e.preventDefault();
+                      moveRanked(dragIndexRef.current, index);
+                      dragIndexRef.current = null;
+                      setDragOverIndex(null);
+                    }}
+                    onDragEnd={() => {
+                      dragIndexRef.current = null;
+                      setDragOverIndex(null);
+                    }}
+                    role={rankMode ? 'listitem' : 'button'}
+                    tabIndex={rankMode ? undefined : 0}
+                    aria-label={rankMode ? `${index + 1}. ${item.title}` : `Pick ${item.title} as the best`}
+                  >
+                    <div className="item-image-container">
+                      {item.image_url ? (
+                        <img
+                          src={item.image_url}
+                          alt={item.title}
+                          className="item-image"
+                          loading="eager"
+                          draggable={false}
+                          onError={(e) => {
+                            e.target.src = 'https://via.placeholder.com/400x300?text=No+Image';
+                          }}
+                        />
+                      ) : (
+                        <div className="item-placeholder">No Image</div>
+                      )}
+                      <div className={`group-position-badge ${rankMode ? 'rank' : ''}`}>
+                        {rankMode ? `#${index + 1}` : index + 1}
+                      </div>
+                      <div className="item-hover-stats">
+                        <div className="hover-stat">
+                          <strong>Rating:</strong> {Math.round(item.elo_rating)}
+                        </div>
+                        <div className="hover-stat">
+                          <strong>Votes:</strong> {item.comparison_count || 0}
+                        </div>
+                        <div className="hover-stat">
+                          <strong>W/L:</strong> {item.wins || 0}/{item.losses || 0}
+                        </div>
+                      </div>
+                    </div>
+                    <div className="item-info">
+                      <h2 className="item-title">
+                        <a
+                          href={getWikipediaUrl(item.title)}
+                          target="_blank"
+                          rel="noopener noreferrer"
+                          className="item-title-link"
+                          onClick={(e) => e.stopPropagation()}
+                          title="Learn more on Wikipedia"
+                        >
+                          {item.title}
+                        </a>
+                      </h2>
+                      {item.description && (
+                        <p className="item-description">{item.description}</p>
+                      )}
+                      {rankMode && (
+                        <div className="rank-move-buttons">
+                          <button
+                            type="button"
+                            onClick={() => moveRanked(index, index - 1)}
+                            disabled={voting || index === 0}
+                            title="Move up"
+                          >
+                            ↑
+                          </button>
+                          <button
+                            type="button"
+                            onClick={() => moveRanked(index, index + 1)}
+                            disabled={voting || index === shownItems.length - 1}
+                            title="Move down"
+                          >
+                            ↓
+                          </button>
+                        </div>
+                      )}
+                      {isPicked && <div className="vote-badge">✓ Best!</div>}
+                    </div>
+                  </div>
+                );
+              })}
+            </div>
+
+            <div className="comparison-instructions">
+              <p className="subtitle">
+                {rankMode ? 'Drag them into order, best first, then submit your ranking!' : 'Click the best one!'}
+                <br />
+                <span className="keyboard-hint">
+                  {rankMode
+                    ? '💡 Drag an item onto another to move it there, or use the ↑ ↓ buttons'
+                    : `💡 Press 1-${shownItems.length} to pick • Space/S to skip`}
+                </span>
+              </p>
+              {globalStatsBadges}
+              <div className="comparison-controls">
+                <button
+                  onClick={() => setRankMode(current => !current)}
+                  disabled={voting || loading}
+                  className="skip-button"
+                  title={rankMode ? 'Just pick the best one' : 'Put every item in order'}
+                >
+                  {rankMode ? '☝️ Just pick one' : '🔢 Rank them all'}
+                </button>
+                {rankMode && (
+                  <button
+                    onClick={() => handleGroupVote({ ranking })}
+                    disabled={voting || loading}
+                    className="share-button"
+                    title="Submit this ranking"
+                  >
+                    ✅ Submit ranking
+                  </button>
+                )}
+                <button
+                  onClick={handleGroupSkip}
+                  disabled={voting || loading}
+                  className="skip-button"
+                  title="Skip these items (Space or S)"
+                >
+                  ►►► Skip
+                </button>
+              </div>
+            </div>
+          </>
+        )}
+
+        <TrendingItems />
+      </div>
+    );
+  }
+
   if (loading && !items) {
     return <ComparisonSkeleton />;
   }
@@ -382,6 +1085,7 @@ const Comparison = ({ userSessionId }) => {
             Try Again
           </button>
         </div>
+        {categoryPicker}
       </div>
     );
   }
@@ -402,27 +1106,16 @@ const Comparison = ({ userSessionId }) => {
 
   const isItem1Selected = selected === items.item1.id;
   const isItem2Selected = selected === items.item2.id;
+  const isTieSelected = selected === 'tie';
 
   return (
     <div className="comparison-container">
-      {toast && (
-        <Toast
-          message={toast.message}
-          type={toast.type}
-          onClose={hideToast}
-        />
-      )}
-
-      {showAccountPrompt && !isAuthenticated && (
-        <AccountPrompt
-          onClose={handleAccountPromptClose}
-          onRegister={handleAccountCreated}
-          comparisonCount={comparisonCount}
-        />
-      )}
+      {overlays}
 
       <div className="comparison-header">
         <h1>What is the Best Thing? 🎯</h1>
+        {!isSharedComparison && formatPicker}
+        {!isSharedComparison && categoryPicker}
       </div>
 
       <div className="comparison-grid">
@@ -492,7 +1185,8 @@ const Comparison = ({ userSessionId }) => {
               <p className="item-description">{items.item1.description}</p>
             )}
             {isItem1Selected && <div className="vote-badge">✓ Voted!</div>}
-            {voting && !isItem1Selected && (
+            {isTieSelected && <div className="vote-badge tie">🤝 Tie</div>}
+            {voting && !isItem1Selected && !isTieSelected && (
               <div className="vote-loading">Processing...</div>
             )}
           </div>
@@ -568,7 +1262,8 @@ const Comparison = ({ userSessionId }) => {
               <p className="item-description">{items.item2.description}</p>
             )}
             {isItem2Selected && <div className="vote-badge">✓ Voted!</div>}
-            {voting && !isItem2Selected && (
+            {isTieSelected && <div className="vote-badge tie">🤝 Tie</div>}
+            {voting && !isItem2Selected && !isTieSelected && (
               <div className="vote-loading">Processing...</div>
             )}
           </div>
@@ -592,22 +1287,26 @@ const Comparison = ({ userSessionId }) => {
           Click on the one you think is better!
           <br />
           <span className="keyboard-hint">
-            💡 Use ← → arrows or A/D keys to vote • Space/S to skip
+            💡 Use ← → arrows or A/D keys to vote • 1/2/3 for how strongly • ↑/W for a tie • ↓/X if you don't know either • Space/S to skip
           </span>
         </p>
-        {globalStats && (
-          <div className="global-stats" ref={statsRef}>
-            <div className="stat-badge">
-              <strong className="stat-total-comparisons">{globalStats.totalComparisons.toLocaleString()}</strong> total votes
-            </div>
-            <div className="stat-badge">
-              <strong className="stat-total-items">{globalStats.totalItems.toLocaleString()}</strong> items ranked
-            </div>
-            <div className="stat-badge highlight">
-              <strong className="stat-today-comparisons">{globalStats.todayComparisons.toLocaleString()}</strong> today
-            </div>
-          </div>
-        )}
+        <div className="strength-picker" role="group" aria-label="How strongly do you prefer your pick?">
+          <span className="strength-picker-label">How strongly? (optional)</span>
+          {VOTE_STRENGTHS.map(option => (
+            <button
+              key={option.value}
+              type="button"
+              className={`strength-option ${strength === option.value ? 'active' : ''}`}
+              onClick={() => setStrength(current => (current === option.value ? null : option.value))}
+              disabled={voting || loading}
+              aria-pressed={strength === option.value}
+              title={`${option.label} better (${option.key})`}
+            >
+              {option.label}
+            </button>
+          ))}
+        </div>
+        {globalStatsBadges}
         {isSharedComparison && (
           <div className="shared-comparison-badge">
             <span>🔗 Shared Comparison</span>
@@ -621,6 +1320,22 @@ const Comparison = ({ userSessionId }) => {
           </div>
         )}
         <div className="comparison-controls">
+          <button
+            onClick={() => handleVote(null, 'tie')}
+            disabled={voting || loading}
+            className="skip-button"
+            title="They're equally good (↑ or W)"
+          >
+            🤝 Tie
+          </button>
+          <button
+            onClick={() => handleVote(null, 'unfamiliar')}
+            disabled={voting || loading}
+            className="skip-button"
+            title="I don't know either of these (↓ or X)"
+          >
+            🤷 Don't know either
+          </button>
           <button
             onClick={handleSkip}
             disabled={voting || loading}
@@ -637,6 +1352,14 @@ const Comparison = ({ userSessionId }) => {
           >
             📤 Share
           </button>
+          <button
+            onClick={() => navigate(`/items/${items.item1.id}/vs/${items.item2.id}`)}
+            disabled={voting || loading}
+            className="share-button"
+            title="How this matchup has gone so far"
+          >
+            📊 Head-to-head
+          </button>
         </div>
       </div>
 
@@ -0,0 +1,229 @@
+import React, { useState, useEffect } from 'react';
+import { useParams, useNavigate, Link } from 'react-router-dom';
+import axios from 'axios';
+import './HeadToHead.css';
+
+const STRENGTH_LABELS = {
+  slight: 'slightly',
+  clear: 'clearly',
+  overwhelming: 'overwhelmingly'
+};
+
+const formatPercent = (share) => `${Math.round(share * 100)}%`;
+
+const HeadToHead = () => {
+  const { a, b } = useParams();
+  const navigate = useNavigate();
+  const [data, setData] = useState(null);
+  const [bucket, setBucket] = useState('week');
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [copied, setCopied] = useState(false);
+
+  useEffect(() => {
+    const fetchHeadToHead = async () => {
+      setLoading(true);
+      setError(null);
+      try {
+        const response = await axios.get(`/api/items/${a}/vs/${b}?bucket=${bucket}`);
+        setData(response.data);
+      } catch (err) {
+        console.error('Error fetching head-to-head:', err);
+        setError(err.response?.status === 404 ? 'Item not found' : 'Failed to load head-to-head history. Please try again.');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchHeadToHead();
+  }, [a, b, bucket]);
+
+  const copyLink = () => {
+    navigator.clipboard.writeText(window.location.href).then(() => {
+      setCopied(true);
+      setTimeout(() => setCopied(false), 2000);
+    }).catch(() => {
+      alert('Failed to copy link');
+    });
+  };
+
+  const shareOnTwitter = () => {
+    const text = `${data.item1.title} vs ${data.item2.title} - who wins? See the head-to-head on The Best Thing!`;
+    window.open(`https://twitter.com/intent/tweet?text=${encodeURIComponent(text)}&url=${encodeURIComponent(window.location.href)}`, '_blank');
+  };
+
+  if (loading && !data) {
+    return (
+      <div className="head-to-head-container">
+        <div className="head-to-head-loading">Loading head-to-head...</div>
+      </div>
+    );
+  }
+
+  if (error || !data) {
+    return (
+      <div className="head-to-head-container">
+        <div className="error-state">
+          <h2>⚠️ {error || 'Item not found'}</h2>
+          <button className="back-button" onClick={() => navigate('/')}>
+            ← Back to Voting
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  const { item1, item2, predicted } = data;
+  const titleFor = (itemId) => (parseInt(itemId) === item1.id ? item1.title : item2.title);
+
+  const renderItem = (item, wins, winProbability) => (
+    <Link to={`/items/${item.id}`} className="h2h-item">
+      {item.image_url ? (
+        <img
+          src={item.image_url}
+          alt={item.title}
+          className="h2h-item-image"
+          onError={(e) => {
+            e.target.src = 'https://via.placeholder.com/300x200?text=No+Image';
+          }}
+        />
+      ) : (
+        <div className="h2h-item-placeholder">No Image</div>
+      )}
+      <h2 className="h2h-item-title">{item.title}</h2>
+      <div className="h2h-item-rating">Rating {Math.round(item.elo_rating)}</div>
+      <div className="h2h-item-wins">{wins}</div>
+      <div className="h2h-item-label">{wins === 1 ? 'win' : 'wins'}</div>
+      <div className="h2h-item-predicted">{formatPercent(winProbability)} predicted</div>
+    </Link>
+  );
+
+  return (
+    <div className="head-to-head-container">
+      <div className="item-detail-header">
+        <button className="back-button" onClick={() => navigate('/')}>
+          ← Back to Voting
+        </button>
+
+        <div className="share-buttons">
+          <button className="share-btn" onClick={copyLink} title="Copy link">
+            {copied ? '✓ Copied' : '📋 Copy Link'}
+          </button>
+          <button className="share-btn twitter" onClick={shareOnTwitter} title="Share on Twitter">
+            🐦 Twitter
+          </button>
+        </div>
+      </div>
+
+      <div className="h2h-card">
+        <div className="h2h-matchup">
+          {renderItem(item1, data.item1Wins, predicted.item1WinProbability)}
+          <div className="h2h-versus">
+            <span>VS</span>
+            <div className="h2h-meetings">
+              {data.meetings} {data.meetings === 1 ? 'meeting' : 'meetings'}
+              {data.ties > 0 && <div>{data.ties} {data.ties === 1 ? 'tie' : 'ties'}</div>}
+            </div>
+          </div>
+          {renderItem(item2, data.item2Wins, predicted.item2WinProbability)}
+        </div>
+
+        {data.meetings > 0 ? (
+          <div className="h2h-split">
+            <div className="h2h-split-row">
+              <span className="h2h-split-label">Voters</span>
+              <div className="h2h-split-bar">
+                <div className="h2h-split-fill" style={{ width: `${data.item1Share * 100}%` }} />
+              </div>
+              <span className="h2h-split-value">{formatPercent(data.item1Share)} – {formatPercent(1 - data.item1Share)}</span>
+            </div>
+            <div className="h2h-split-row">
+              <span className="h2h-split-label">Ratings</span>
+              <div className="h2h-split-bar">
+                <div className="h2h-split-fill predicted" style={{ width: `${predicted.item1WinProbability * 100}%` }} />
+              </div>
+              <span className="h2h-split-value">
+                {formatPercent(predicted.item1WinProbability)} – {formatPercent(predicted.item2WinProbability)}
+              </span>
+            </div>
+          </div>
+        ) : (
+          <p className="h2h-empty">
+            These two haven't met yet. Current ratings give {item1.title} a {formatPercent(predicted.item1WinProbability)} chance.
+          </p>
+        )}
+
+        <div className="h2h-actions">
+          <Link to={`/?item1=${item1.id}&item2=${item2.id}`} className="h2h-vote-link">
+            🗳️ Vote on this matchup
+          </Link>
+          <Link to={`/items/${item2.id}/vs/${item1.id}`} className="h2h-swap-link">
+            ⇄ Swap sides
+          </Link>
+        </div>
+      </div>
+
+      {data.timeline.length > 0 && (
+        <div className="h2h-card">
+          <div className="h2h-section-header">
+            <h3>Split over time</h3>
+            <div className="h2h-bucket-toggle">
+              {['day', 'week'].map(option => (
+                <button
+                  key={option}
+                  className={bucket === option ? 'active' : ''}
+                  onClick={() => setBucket(option)}
+                  disabled={loading}
+                >
+                  {option === 'day' ? 'Daily' : 'Weekly'}
+                </button>
+              ))}
+            </div>
+          </div>
+          <div className="h2h-timeline">
+            {data.timeline.map(period => (
+              <div key={period.period} className="h2h-timeline-row">
+                <span className="h2h-timeline-date">
+                  {new Date(period.period).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' })}
+                </span>
+                <div className="h2h-timeline-bar" title={`${period.item1Wins} – ${period.ties} – ${period.item2Wins}`}>
+                  <div className="h2h-timeline-item1" style={{ flex: period.item1Wins }} />
+                  <div className="h2h-timeline-tie" style={{ flex: period.ties }} />
+                  <div className="h2h-timeline-item2" style={{ flex: period.item2Wins }} />
+                </div>
+                <span className="h2h-timeline-share" title={`${item1.title}'s share of all meetings so far`}>
+                  {formatPercent(period.item1ShareToDate)}
+                </span>
+              </div>
+            ))}
+          </div>
+          <p className="h2h-legend">
+            <span className="h2h-legend-item1" /> {item1.title} wins
+            <span className="h2h-legend-tie" /> ties
+            <span className="h2h-legend-item2" /> {item2.title} wins
+          </p>
+        </div>
+      )}
+
+      {data.recentVotes.length > 0 && (
+        <div className="h2h-card">
+          <h3>Recent votes</h3>
+          <ul className="h2h-recent">
+            {data.recentVotes.map(vote => (
+              <li key={vote.comparisonId}>
+                <span className="h2h-recent-result">
+                  {vote.outcome === 'tie'
+                    ? '🤝 Tie'
+                    : `${titleFor(vote.winnerId)} won${vote.strength ? ` ${STRENGTH_LABELS[vote.strength]}` : ''}`}
+                </span>
+                <span className="h2h-recent-date">{new Date(vote.createdAt).toLocaleString()}</span>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default HeadToHead;
@@ -5,6 +5,8 @@ import { useAuth } from '../contexts/AuthContext';
 import { ItemDetailSkeleton } from './ItemDetailSkeleton';
 import PhotoSubmissionModal from './PhotoSubmissionModal';
 import Comments from './Comments';
+import RatingHistoryChart from './RatingHistoryChart';
+import OpponentBreakdown from './OpponentBreakdown';
 import './ItemDetail.css';
 
 const ItemDetail = () => {
@@ -166,6 +168,20 @@ const ItemDetail = () => {
                 <div className="stat-value">#{item.rank || 'N/A'}</div>
               </div>
               
+              {item.bradleyTerry && (
+                <div className="stat-card bt-rank" title="Rank range from the Bradley–Terry model (95% of bootstrap resamples)">
+                  <div className="stat-label">Likely Rank</div>
+                  <div className="stat-value">
+                    {item.bradleyTerry.rankLower === item.bradleyTerry.rankUpper
+                      ? `#${item.bradleyTerry.rankLower}`
+                      : `#${item.bradleyTerry.rankLower}–#${item.bradleyTerry.rankUpper}`}
+                  </div>
+                  <div className="stat-detail">
+                    BT score {Math.round(item.bradleyTerry.score)} ({Math.round(item.bradleyTerry.scoreLower)}–{Math.round(item.bradleyTerry.scoreUpper)})
+                  </div>
+                </div>
+              )}
+              
               <div className="stat-card rating">
                 <div className="stat-label">Elo Rating</div>
                 <div className="stat-value">{Math.round(item.elo_rating)}</div>
@@ -190,6 +206,30 @@ const ItemDetail = () => {
                 <div className="stat-label">Losses</div>
                 <div className="stat-value">{item.losses || 0}</div>
               </div>
+
+              {item.avgMargin !== null && item.avgMargin !== undefined && (
+                <div className="stat-card margin" title={`Average over ${item.marginVotes} wins where voters said how strongly (1 = slightly, 3 = overwhelmingly)`}>
+                  <div className="stat-label">Avg. Margin</div>
+                  <div className="stat-value">{item.avgMargin.toFixed(1)} / 3</div>
+                </div>
+              )}
+
+              {item.medianDecisionMs !== null && item.medianDecisionMs !== undefined && (
+                <div className="stat-card decision-time" title={`Median time voters took to decide, over ${item.timedVotes} timed votes`}>
+                  <div className="stat-label">Decision Time</div>
+                  <div className="stat-value">{(item.medianDecisionMs / 1000).toFixed(1)}s</div>
+                </div>
+              )}
+
+              {item.controversyScore !== null && item.controversyScore !== undefined && (
+                <div
+                  className="stat-card controversy"
+                  title={`How much more surprising its ${item.controversyVotes} results are than its rating predicts (1 = as expected)${item.cycleCount > 0 ? `; part of ${item.cycleCount} preference cycle${item.cycleCount !== 1 ? 's' : ''}` : ''}`}
+                >
+                  <div className="stat-label">Controversy</div>
+                  <div className="stat-value">{item.controversyScore.toFixed(2)}</div>
+                </div>
+              )}
             </div>
 
             <div className="item-actions">
@@ -205,43 +245,11 @@ const ItemDetail = () => {
           </div>
         </div>
 
-        {item.topOpponents && item.topOpponents.length > 0 && (
-          <div className="section top-opponents">
-            <h2>🏆 Most Common Opponents</h2>
-            <div className="opponents-grid">
-              {item.topOpponents.map((opponent) => (
-                <Link
-                  key={opponent.id}
-                  to={`/items/${opponent.id}`}
-                  className="opponent-card"
-                >
-                  <div className="opponent-image">
-                    {opponent.imageUrl ? (
-                      <img
-                        src={opponent.imageUrl}
-                        alt={opponent.title}
-                        onError={(e) => {
-                          e.target.src = 'https://via.placeholder.com/60x60?text=No+Image';
-                        }}
-                      />
-                    ) : (
-                      <div className="opponent-placeholder">📷</div>
-                    )}
-                  </div>
-                  <div className="opponent-info">
-                    <div className="opponent-title">{opponent.title}</div>
-                    <div className="opponent-stats">
-                      <span className="match-count">{opponent.matchCount} matches</span>
-                      <span className="win-loss">
-                        {opponent.wins}W - {opponent.losses}L
-                      </span>
-                    </div>
-                  </div>
-                </Link>
-              ))}
-            </div>
-          </div>
-        )}
+        <div className="section rating-history-section">
+          <RatingHistoryChart itemId={item.id} />
+        </div>
+
+        <OpponentBreakdown itemId={item.id} />
 
         {item.recentComparisons && item.recentComparisons.length > 0 && (
           <div className="section recent-comparisons">
@@ -254,9 +262,13 @@ const ItemDetail = () => {
                   className="comparison-item"
                 >
                   <div className="comparison-result">
-                    <span className={`result-badge ${comparison.won ? 'won' : 'lost'}`}>
-                      {comparison.won ? '✅ Won' : '❌ Lost'}
-                    </span>
+                    {comparison.tie ? (
+                      <span className="result-badge tie">🤝 Tie</span>
+                    ) : (
+                      <span className={`result-badge ${comparison.won ? 'won' : 'lost'}`}>
+                        {comparison.won ? '✅ Won' : '❌ Lost'}
+                      </span>
+                    )}
                     <span className="comparison-date">
                       {formatDate(comparison.createdAt)}
                     </span>
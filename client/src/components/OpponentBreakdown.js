@@ -0,0 +1,138 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import axios from 'axios';
+import './OpponentBreakdown.css';
+
+const SORTS = [
+  { value: 'meetings', label: 'Most met' },
+  { value: 'closest', label: 'Closest' },
+  { value: 'recent', label: 'Recent' }
+];
+const PREVIEW_COUNT = 10;
+const MAX_OPPONENTS = 200;
+
+const OpponentBreakdown = ({ itemId }) => {
+  const [sort, setSort] = useState('meetings');
+  const [showAll, setShowAll] = useState(false);
+  const [opponents, setOpponents] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    const fetchOpponents = async () => {
+      setLoading(true);
+      try {
+        const limit = showAll ? MAX_OPPONENTS : PREVIEW_COUNT;
+        const response = await axios.get(`/api/items/${itemId}/opponents?sort=${sort}&limit=${limit}`);
+        setOpponents(response.data.opponents || []);
+        setTotal(response.data.total || 0);
+      } catch (error) {
+        console.error('Error fetching opponents:', error);
+        setOpponents([]);
+        setTotal(0);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    if (itemId) {
+      fetchOpponents();
+    }
+  }, [itemId, sort, showAll]);
+
+  if (!loading && total === 0) {
+    return null;
+  }
+
+  return (
+    <div className="section opponent-breakdown">
+      <div className="opponent-breakdown-header">
+        <h2>🏆 Opponents</h2>
+        <div className="opponent-breakdown-toggle">
+          {SORTS.map(option => (
+            <button
+              key={option.value}
+              className={sort === option.value ? 'active' : ''}
+              onClick={() => setSort(option.value)}
+            >
+              {option.label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {loading && opponents.length === 0 ? (
+        <div className="opponent-breakdown-empty">Loading...</div>
+      ) : (
+        <div className="opponent-breakdown-table">
+          <table>
+            <thead>
+              <tr>
+                <th>Opponent</th>
+                <th>Record</th>
+                <th title="Average ratings just before their meetings: this item vs the opponent">Ratings at the time</th>
+                <th title="Underdog wins by this item / by the opponent">Upsets</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {opponents.map(({ opponent, ...record }) => (
+                <tr key={opponent.id}>
+                  <td>
+                    <Link to={`/items/${opponent.id}`} className="opponent-breakdown-item">
+                      {opponent.image_url ? (
+                        <img
+                          src={opponent.image_url}
+                          alt={opponent.title}
+                          onError={(e) => {
+                            e.target.src = 'https://via.placeholder.com/40x40?text=No+Image';
+                          }}
+                        />
+                      ) : (
+                        <span className="opponent-breakdown-placeholder">📷</span>
+                      )}
+                      <span>{opponent.title}</span>
+                    </Link>
+                  </td>
+                  <td className="opponent-breakdown-record">
+                    <span className="wins">{record.wins}W</span>
+                    {' - '}
+                    <span className="losses">{record.losses}L</span>
+                    {record.ties > 0 && ` - ${record.ties}T`}
+                    <div className="opponent-breakdown-detail">{Math.round(record.share * 100)}% of {record.meetings}</div>
+                  </td>
+                  <td>
+                    {record.avgRatingAtTime !== null && record.avgOpponentRatingAtTime !== null
+                      ? `${record.avgRatingAtTime} vs ${record.avgOpponentRatingAtTime}`
+                      : '-'}
+                  </td>
+                  <td>
+                    {record.upsetsInflicted > 0 || record.upsetsSuffered > 0 ? (
+                      <>
+                        {record.upsetsInflicted > 0 && <span className="upsets-inflicted">🎯 {record.upsetsInflicted}</span>}
+                        {record.upsetsSuffered > 0 && <span className="upsets-suffered">💥 {record.upsetsSuffered}</span>}
+                      </>
+                    ) : '-'}
+                  </td>
+                  <td>
+                    <Link to={`/items/${itemId}/vs/${opponent.id}`} className="opponent-breakdown-h2h" title="Head-to-head history">
+                      📊
+                    </Link>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {total > PREVIEW_COUNT && (
+        <button className="opponent-breakdown-more" onClick={() => setShowAll(!showAll)} disabled={loading}>
+          {showAll ? 'Show fewer' : `Show all ${Math.min(total, MAX_OPPONENTS)} opponents`}
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default OpponentBreakdown;
@@ -20,7 +20,7 @@ const Rankings = () => {
   const [isSearching, setIsSearching] = useState(false);
   const [categories, setCategories] = useState([]);
   const [selectedCategory, setSelectedCategory] = useState('');
-  const [sortOrder, setSortOrder] = useState('highest'); // 'highest' or 'lowest'
+  const [sortOrder, setSortOrder] = useState('highest'); // 'highest', 'lowest', 'bt' (Bradley-Terry) or 'controversy'
   const [showItemModal, setShowItemModal] = useState(false);
   const [commentsModal, setCommentsModal] = useState({ open: false, itemId: null, itemTitle: null });
 
@@ -43,7 +43,7 @@ const Rankings = () => {
     setSearchResults(null);
     try {
       const categoryParam = selectedCategory ? `&category_id=${selectedCategory}` : '';
-      const sortParam = sortOrder === 'lowest' ? `&sort=lowest` : '';
+      const sortParam = sortOrder === 'highest' ? '' : `&sort=${sortOrder}`;
       const response = await axios.get(`/api/items/ranking?limit=${limit}${categoryParam}${sortParam}`);
       setRankings(response.data.rankings || []);
       setTotalItems(response.data.total || response.data.rankings?.length || 0);
@@ -192,6 +192,8 @@ const Rankings = () => {
               >
                 <option value="highest">Highest Rated</option>
                 <option value="lowest">Lowest Rated</option>
+                <option value="bt">Bradley–Terry (with rank ranges)</option>
+                <option value="controversy">Most Controversial</option>
               </select>
             </div>
             <div className="limit-controls">
@@ -273,6 +275,13 @@ const Rankings = () => {
                     ? `#${item.rank}`
                     : `#${index + 1}`
                   }
+                  {searchResults === null && sortOrder === 'bt' && item.bt_rank_lower && (
+                    <div className="rank-range" title="95% of bootstrap resamples put this item in this range">
+                      {item.bt_rank_lower === item.bt_rank_upper
+                        ? `#${item.bt_rank_lower}`
+                        : `#${item.bt_rank_lower}–#${item.bt_rank_upper}`}
+                    </div>
+                  )}
                 </div>
                 <div className="rank-image">
                   {item.image_url ? (
@@ -302,15 +311,31 @@ const Rankings = () => {
                   )}
                 </div>
                 <div className="rank-stats">
-                  <div className="stat">
-                    <strong>Rating:</strong> {Math.round(item.elo_rating)}
-                  </div>
+                  {searchResults === null && sortOrder === 'bt' && item.bt_score !== null && item.bt_score !== undefined ? (
+                    <div className="stat">
+                      <strong>BT Score:</strong> {Math.round(item.bt_score)}
+                    </div>
+                  ) : (
+                    <div className="stat">
+                      <strong>Rating:</strong> {Math.round(item.elo_rating)}
+                    </div>
+                  )}
+                  {searchResults === null && sortOrder === 'controversy' && item.controversy_score !== null && item.controversy_score !== undefined && (
+                    <div className="stat" title="How much more surprising its results are than its rating predicts (1 = as expected)">
+                      <strong>Controversy:</strong> {parseFloat(item.controversy_score).toFixed(2)}
+                    </div>
+                  )}
                   <div className="stat">
                     <strong>Votes:</strong> {item.comparison_count || 0}
                   </div>
                   <div className="stat">
                     <strong>W/L:</strong> {item.wins || 0}/{item.losses || 0}
                   </div>
+                  {item.avg_margin !== null && item.avg_margin !== undefined && (
+                    <div className="stat" title="Average margin of victory (1 = slightly, 3 = overwhelmingly)">
+                      <strong>Margin:</strong> {item.avg_margin.toFixed(1)}
+                    </div>
+                  )}
                   {item.comment_count > 0 && (
                     <div className="stat">
                       <strong>💬</strong> {item.comment_count}
@@ -0,0 +1,99 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import './RatingHistoryChart.css';
+
+const CHART_WIDTH = 600;
+const CHART_HEIGHT = 200;
+const PADDING = 30;
+
+const RatingHistoryChart = ({ itemId }) => {
+  const [bucket, setBucket] = useState('day');
+  const [history, setHistory] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    const fetchHistory = async () => {
+      setLoading(true);
+      try {
+        const days = bucket === 'week' ? 365 : 90;
+        const response = await axios.get(`/api/items/${itemId}/history?bucket=${bucket}&days=${days}`);
+        setHistory(response.data.history || []);
+      } catch (error) {
+        console.error('Error fetching rating history:', error);
+        setHistory([]);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    if (itemId) {
+      fetchHistory();
+    }
+  }, [itemId, bucket]);
+
+  const renderChart = () => {
+    // Start the line at the first bucket's opening rating so a single bucket still draws a segment
+    const points = history.length > 0
+      ? [{ rating: history[0].open, label: history[0].bucket_start }, ...history.map(b => ({ rating: b.close, label: b.bucket_start }))]
+      : [];
+    const ratings = points.map(p => p.rating);
+    const min = Math.min(...ratings);
+    const max = Math.max(...ratings);
+    const range = max - min || 1;
+
+    const toX = (index) => PADDING + (index / (points.length - 1)) * (CHART_WIDTH - PADDING * 2);
+    const toY = (rating) => CHART_HEIGHT - PADDING - ((rating - min) / range) * (CHART_HEIGHT - PADDING * 2);
+    const line = points.map((p, index) => `${toX(index)},${toY(p.rating)}`).join(' ');
+
+    return (
+      <svg
+        className="rating-history-svg"
+        viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`}
+        preserveAspectRatio="none"
+        role="img"
+        aria-label="Rating history chart"
+      >
+        <text x={4} y={PADDING} className="rating-history-axis">{Math.round(max)}</text>
+        <text x={4} y={CHART_HEIGHT - PADDING} className="rating-history-axis">{Math.round(min)}</text>
+        <polyline points={line} className="rating-history-line" />
+        {points.slice(1).map((p, index) => (
+          <circle key={p.label} cx={toX(index + 1)} cy={toY(p.rating)} r={3} className="rating-history-point">
+            <title>{`${new Date(p.label).toLocaleDateString()}: ${Math.round(p.rating)}`}</title>
+          </circle>
+        ))}
+      </svg>
+    );
+  };
+
+  return (
+    <div className="rating-history">
+      <div className="rating-history-header">
+        <h2>📈 Rating History</h2>
+        <div className="rating-history-toggle">
+          <button
+            className={bucket === 'day' ? 'active' : ''}
+            onClick={() => setBucket('day')}
+          >
+            Daily
+          </button>
+          <button
+            className={bucket === 'week' ? 'active' : ''}
+            onClick={() => setBucket('week')}
+          >
+            Weekly
+          </button>
+        </div>
+      </div>
+
+      {loading ? (
+        <div className="rating-history-empty">Loading...</div>
+      ) : history.length === 0 ? (
+        <div className="rating-history-empty">No rating history yet - vote on this item to start the chart!</div>
+      ) : (
+        renderChart()
+      )}
+    </div>
+  );
+};
+
+export default RatingHistoryChart;
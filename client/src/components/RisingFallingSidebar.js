@@ -6,6 +6,7 @@ import './RisingFallingSidebar.css';
 const RisingFallingSidebar = () => {
   const [rising, setRising] = useState([]);
   const [falling, setFalling] = useState([]);
+  const [rivalries, setRivalries] = useState([]);
   const [loading, setLoading] = useState(true);
 
   useEffect(() => {
@@ -24,9 +25,23 @@ const RisingFallingSidebar = () => {
       }
     };
 
+    const fetchRivalries = async () => {
+      try {
+        const response = await axios.get('/api/rivalries?limit=3');
+        setRivalries(response.data.rivalries || []);
+      } catch (error) {
+        console.error('Error fetching rivalries:', error);
+        setRivalries([]);
+      }
+    };
+
     fetchRisingFalling();
+    fetchRivalries();
     // Refresh every 30 seconds
-    const interval = setInterval(fetchRisingFalling, 30000);
+    const interval = setInterval(() => {
+      fetchRisingFalling();
+      fetchRivalries();
+    }, 30000);
     return () => clearInterval(interval);
   }, []);
 
@@ -60,6 +75,7 @@ const RisingFallingSidebar = () => {
                       <div className="trend-item-title">{item.title}</div>
                       <div className="trend-item-rating">
                         Rating: {Math.round(item.elo_rating)}
+                        {item.rating_change !== undefined && ` (+${Math.round(item.rating_change)})`}
                       </div>
                     </div>
                   </Link>
@@ -86,6 +102,7 @@ const RisingFallingSidebar = () => {
                       <div className="trend-item-title">{item.title}</div>
                       <div className="trend-item-rating">
                         Rating: {Math.round(item.elo_rating)}
+                        {item.rating_change !== undefined && ` (${Math.round(item.rating_change)})`}
                       </div>
                     </div>
                   </Link>
@@ -95,6 +112,32 @@ const RisingFallingSidebar = () => {
           )}
         </>
       )}
+
+      {rivalries.length > 0 && (
+        <div className="trend-section">
+          <h3 className="trend-title rivalry-title">
+            <span className="trend-icon">⚔️</span> Rivalries
+          </h3>
+          <div className="trend-list">
+            {rivalries.map((rivalry, index) => (
+              <Link
+                key={`${rivalry.item1.id}-${rivalry.item2.id}`}
+                to={`/items/${rivalry.item1.id}/vs/${rivalry.item2.id}`}
+                className="trend-item rivalry-item"
+              >
+                <div className="trend-rank">{index + 1}</div>
+                <div className="trend-content">
+                  <div className="trend-item-title">{rivalry.item1.title} vs {rivalry.item2.title}</div>
+                  <div className="trend-item-rating">
+                    {rivalry.item1Wins}–{rivalry.item2Wins}
+                    {rivalry.ties > 0 && ` (${rivalry.ties} tied)`} in {rivalry.meetings} meetings
+                  </div>
+                </div>
+              </Link>
+            ))}
+          </div>
+        </div>
+      )}
     </div>
   );
 };
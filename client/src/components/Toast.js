@@ -1,7 +1,7 @@
 import React, { useEffect } from 'react';
 import './Toast.css';
 
-const Toast = ({ message, type = 'success', onClose, duration = 3000 }) => {
+const Toast = ({ message, type = 'success', onClose, duration = 3000, action = null }) => {
   useEffect(() => {
     if (duration && onClose) {
       const timer = setTimeout(() => {
@@ -18,6 +18,11 @@ const Toast = ({ message, type = 'success', onClose, duration = 3000 }) => {
           {type === 'success' ? '✓' : type === 'error' ? '✕' : 'ℹ'}
         </span>
         <span className="toast-message">{message}</span>
+        {action && (
+          <button className="toast-action" onClick={action.onClick}>
+            {action.label}
+          </button>
+        )}
         {onClose && (
           <button className="toast-close" onClick={onClose}>
             ×
@@ -0,0 +1,180 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useParams, useNavigate, Link } from 'react-router-dom';
+import axios from 'axios';
+import Toast from './Toast';
+import { formatTimeLeft } from './Tournaments';
+import './TournamentBracket.css';
+
+const TournamentBracket = ({ userSessionId }) => {
+  const { id } = useParams();
+  const navigate = useNavigate();
+  const [data, setData] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [voting, setVoting] = useState(null); // match ID being voted on
+  const [toast, setToast] = useState(null);
+
+  const fetchBracket = useCallback(async () => {
+    try {
+      const response = await axios.get(`/api/tournaments/${id}`);
+      setData(response.data);
+      setError(null);
+    } catch (err) {
+      console.error('Error fetching tournament:', err);
+      setError(err.response?.status === 404 ? 'Tournament not found' : 'Failed to load tournament. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  }, [id]);
+
+  useEffect(() => {
+    fetchBracket();
+  }, [fetchBracket]);
+
+  const vote = async (match, winnerId) => {
+    setVoting(match.id);
+    try {
+      await axios.post(`/api/tournaments/${id}/matches/${match.id}/vote`, {
+        winnerId,
+        comparisonToken: match.comparisonToken,
+        userSessionId
+      });
+      await fetchBracket();
+    } catch (err) {
+      console.error('Error voting in tournament:', err);
+      setToast({ message: err.response?.data?.message || 'Failed to submit vote', type: 'error' });
+      // The round may have closed (or the match's token expired) in the meantime
+      fetchBracket();
+    } finally {
+      setVoting(null);
+    }
+  };
+
+  if (loading && !data) {
+    return (
+      <div className="bracket-container">
+        <div className="bracket-loading">Loading tournament...</div>
+      </div>
+    );
+  }
+
+  if (error || !data) {
+    return (
+      <div className="bracket-container">
+        <div className="error-state">
+          <h2>⚠️ {error || 'Tournament not found'}</h2>
+          <button className="back-button" onClick={() => navigate('/tournaments')}>
+            ← All Tournaments
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  const { tournament, rounds } = data;
+
+  const renderSide = (match, item, votes) => {
+    if (!item) {
+      return <div className="bracket-side empty">{match.status === 'bye' ? 'Bye' : 'TBD'}</div>;
+    }
+
+    const canVote = match.status === 'open' && !match.myVote && tournament.status === 'running';
+    const className = [
+      'bracket-side',
+      match.winnerId === item.id ? 'winner' : '',
+      match.winnerId && match.winnerId !== item.id ? 'eliminated' : '',
+      match.myVote === item.id ? 'my-vote' : '',
+      canVote ? 'votable' : ''
+    ].filter(Boolean).join(' ');
+
+    return (
+      <button
+        className={className}
+        onClick={() => canVote && vote(match, item.id)}
+        disabled={!canVote || voting === match.id}
+        title={canVote ? `Vote for ${item.title}` : item.title}
+      >
+        <span className="bracket-seed">{item.seed}</span>
+        {item.image_url ? (
+          <img
+            src={item.image_url}
+            alt=""
+            onError={(e) => {
+              e.target.style.visibility = 'hidden';
+            }}
+          />
+        ) : (
+          <span className="bracket-image-placeholder">📷</span>
+        )}
+        <span className="bracket-title">{item.title}</span>
+        {match.status !== 'bye' && match.status !== 'pending' && <span className="bracket-votes">{votes}</span>}
+      </button>
+    );
+  };
+
+  return (
+    <div className="bracket-container">
+      <div className="item-detail-header">
+        <button className="back-button" onClick={() => navigate('/tournaments')}>
+          ← All Tournaments
+        </button>
+      </div>
+
+      <div className="bracket-header">
+        <h1>{tournament.name}</h1>
+        {tournament.description && <p>{tournament.description}</p>}
+        <div className="bracket-meta">
+          <span>{tournament.entryCount} items, seeded by rating</span>
+          {tournament.categoryName && <span>{tournament.categoryName}</span>}
+          {tournament.countsTowardElo && <span>Votes also count toward the rankings</span>}
+        </div>
+
+        {tournament.status === 'running' && (
+          <div className="bracket-banner">
+            <strong>{tournament.currentRoundName}</strong> voting closes in {formatTimeLeft(tournament.roundEndsAt)}.
+            Pick a winner in each match - most votes advances, a tie goes to the better seed.
+          </div>
+        )}
+        {tournament.status === 'completed' && tournament.winner && (
+          <div className="bracket-banner champion">
+            🏆 Champion: <Link to={`/items/${tournament.winner.id}`}>{tournament.winner.title}</Link>
+          </div>
+        )}
+        {tournament.status === 'cancelled' && (
+          <div className="bracket-banner cancelled">This tournament was cancelled.</div>
+        )}
+      </div>
+
+      <div className="bracket">
+        {rounds.map(round => (
+          <div key={round.round} className={`bracket-round ${round.round === tournament.currentRound && tournament.status === 'running' ? 'current' : ''}`}>
+            <h3 className="bracket-round-name">{round.name}</h3>
+            <div className="bracket-matches">
+              {round.matches.map(match => (
+                <div key={match.id} className={`bracket-match ${match.status}`}>
+                  {renderSide(match, match.item1, match.item1Votes)}
+                  {renderSide(match, match.item2, match.item2Votes)}
+                  {match.item1 && match.item2 && (
+                    <Link to={`/items/${match.item1.id}/vs/${match.item2.id}`} className="bracket-h2h">
+                      📊 Head-to-head
+                    </Link>
+                  )}
+                </div>
+              ))}
+            </div>
+          </div>
+        ))}
+      </div>
+
+      {toast && (
+        <Toast
+          message={toast.message}
+          type={toast.type}
+          onClose={() => setToast(null)}
+        />
+      )}
+    </div>
+  );
+};
+
+export default TournamentBracket;
@@ -0,0 +1,77 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import axios from 'axios';
+import './Tournaments.css';
+
+// "2h 15m", "3d 4h" - time left in a round's voting window
+export const formatTimeLeft = (endsAt) => {
+  const minutes = Math.max(0, Math.ceil((new Date(endsAt).getTime() - Date.now()) / 60000));
+  if (minutes >= 24 * 60) return `${Math.floor(minutes / (24 * 60))}d ${Math.floor((minutes % (24 * 60)) / 60)}h`;
+  if (minutes >= 60) return `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+  return `${minutes}m`;
+};
+
+const Tournaments = () => {
+  const [tournaments, setTournaments] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const fetchTournaments = async () => {
+      try {
+        const response = await axios.get('/api/tournaments');
+        setTournaments(response.data.tournaments || []);
+      } catch (err) {
+        console.error('Error fetching tournaments:', err);
+        setError('Failed to load tournaments. Please try again.');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchTournaments();
+  }, []);
+
+  return (
+    <div className="tournaments-container">
+      <h1>🏟️ Tournaments</h1>
+      <p className="tournaments-intro">
+        Items are seeded by their rating and meet head to head. Vote in each round before it closes - the winners advance.
+      </p>
+
+      {loading ? (
+        <div className="tournaments-empty">Loading tournaments...</div>
+      ) : error ? (
+        <div className="tournaments-empty">{error}</div>
+      ) : tournaments.length === 0 ? (
+        <div className="tournaments-empty">No tournaments yet. Check back soon!</div>
+      ) : (
+        <div className="tournaments-list">
+          {tournaments.map(tournament => (
+            <Link key={tournament.id} to={`/tournaments/${tournament.id}`} className="tournament-card">
+              <div className="tournament-card-header">
+                <h2>{tournament.name}</h2>
+                <span className={`tournament-status ${tournament.status}`}>
+                  {tournament.status === 'running' ? 'Live' : 'Finished'}
+                </span>
+              </div>
+              {tournament.description && <p className="tournament-card-description">{tournament.description}</p>}
+              <div className="tournament-card-meta">
+                <span>{tournament.entryCount} items</span>
+                {tournament.categoryName && <span>{tournament.categoryName}</span>}
+                {tournament.status === 'running' && (
+                  <span>
+                    {tournament.currentRoundName} - closes in {formatTimeLeft(tournament.roundEndsAt)}
+                  </span>
+                )}
+                {tournament.winner && <span className="tournament-card-winner">🏆 {tournament.winner.title}</span>}
+              </div>
+            </Link>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default Tournaments;
@@ -6,6 +6,12 @@ const { seedPopularCulture } = require('../scripts/seed-popular-culture');
 const { assignDefaultCategories } = require('../scripts/assign-default-categories');
 const { assignIntelligentCategories } = require('../scripts/assign-intelligent-categories');
 const { updateMissingImages } = require('../scripts/update-missing-images');
+const { runBradleyTerryFit } = require('../utils/bradley-terry');
+const { refreshSelectionItems, removeSelectionItem } = require('../utils/selection-index');
+const { rebuildSimilarityClusters } = require('../utils/similarity-detector');
+const { getPositionBiasReport } = require('../utils/position-bias');
+const { runParadoxAnalysis, getPreferenceCycles, getControversyRankings } = require('../utils/paradoxes');
+const { getCycleMinPairVotes, getCycleMinShare, getControversyMinVotes } = require('../utils/settings');
 
 /**
  * Trigger category seeding (protected by secret)
@@ -146,6 +152,130 @@ const triggerUpdateImages = async (req, res) => {
   }
 };
 
+/**
+ * Refit Bradley-Terry rankings now instead of waiting for the schedule
+ * POST /api/admin/bradley-terry-fit
+ */
+const triggerBradleyTerryFit = async (req, res) => {
+  try {
+    const result = await runBradleyTerryFit();
+    if (!result) {
+      return res.status(409).json({
+        error: 'Fit already running',
+        message: 'A Bradley-Terry fit is already in progress. Try again shortly.'
+      });
+    }
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('Error in triggerBradleyTerryFit:', error);
+    res.status(500).json({
+      error: 'Failed to fit Bradley-Terry rankings',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Rebuild the content similarity clusters now instead of waiting for the schedule
+ * POST /api/admin/similarity-clusters
+ */
+const triggerSimilarityClusters = async (req, res) => {
+  try {
+    const result = await rebuildSimilarityClusters();
+    if (!result) {
+      return res.status(409).json({
+        error: 'Rebuild already running',
+        message: 'A similarity cluster rebuild is already in progress. Try again shortly.'
+      });
+    }
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('Error in triggerSimilarityClusters:', error);
+    res.status(500).json({
+      error: 'Failed to rebuild similarity clusters',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Left/right position bias, overall and for the most biased users/sessions
+ * GET /api/admin/position-bias?minVotes=20&limit=50
+ */
+const getPositionBias = async (req, res) => {
+  try {
+    const minVotes = parseInt(req.query.minVotes) || null;
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+    const report = await getPositionBiasReport({ minVotes, limit });
+    res.json(report);
+  } catch (error) {
+    console.error('Error in getPositionBias:', error);
+    res.status(500).json({
+      error: 'Failed to fetch position bias',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Preference cycles and the most controversial items from the latest paradox analysis
+ * GET /api/admin/paradoxes?limit=50&offset=0&itemId=123
+ */
+const getParadoxes = async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+    const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+    const itemId = parseInt(req.query.itemId) || null;
+
+    const [cycleResult, controversyResult, minPairVotes, minShare, minVotes] = await Promise.all([
+      getPreferenceCycles({ limit, offset, itemId }),
+      getControversyRankings({ limit: 20 }),
+      getCycleMinPairVotes(),
+      getCycleMinShare(),
+      getControversyMinVotes()
+    ]);
+
+    res.json({
+      cycles: cycleResult.cycles,
+      totalCycles: cycleResult.total,
+      controversial: controversyResult.rankings.filter(item => item.controversy_score !== null),
+      computedAt: controversyResult.computedAt,
+      settings: { minPairVotes, minShare, minVotes },
+      limit,
+      offset
+    });
+  } catch (error) {
+    console.error('Error in getParadoxes:', error);
+    res.status(500).json({
+      error: 'Failed to fetch paradoxes',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Run the paradox analysis now instead of waiting for the schedule
+ * POST /api/admin/paradox-analysis
+ */
+const triggerParadoxAnalysis = async (req, res) => {
+  try {
+    const result = await runParadoxAnalysis();
+    if (!result) {
+      return res.status(409).json({
+        error: 'Analysis already running',
+        message: 'A paradox analysis is already in progress. Try again shortly.'
+      });
+    }
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('Error in triggerParadoxAnalysis:', error);
+    res.status(500).json({
+      error: 'Failed to run paradox analysis',
+      message: error.message
+    });
+  }
+};
+
 /**
  * Get all items for admin dashboard (with pagination)
  * GET /api/admin/items?page=1&limit=50&search=query
@@ -323,6 +453,7 @@ const createItem = async (req, res) => {
         'id, title, image_url, description, category_id, elo_rating, comparison_count, wins, losses, created_at'
       );
       
+      refreshSelectionItems([item.id]);
       res.json({ success: true, item });
     } catch (err) {
       if (err.statusCode === 400) {
@@ -373,6 +504,7 @@ const updateItem = async (req, res) => {
         return res.status(404).json({ error: 'Item not found' });
       }
       
+      refreshSelectionItems([item.id]);
       res.json({ success: true, item });
     } catch (err) {
       if (err.statusCode === 400) {
@@ -409,6 +541,7 @@ const deleteItem = async (req, res) => {
       return res.status(404).json({ error: 'Item not found' });
     }
     
+    removeSelectionItem(id);
     res.json({ success: true, message: 'Item deleted' });
   } catch (error) {
     console.error('Error deleting item:', error);
@@ -586,13 +719,16 @@ const getSettings = async (req, res) => {
       
       const settings = {};
       result.rows.forEach(row => {
-        // Determine if setting is float or int
+        // Determine if setting is text (true/false, memory/database), float or int
+        const isText = isNaN(parseFloat(row.value));
         const isFloat = row.key.includes('weight') || 
                        row.key.includes('threshold') || 
                        row.key.includes('k_factor') ||
-                       row.key === 'familiarity_weight';
+                       row.key.includes('per_minute') ||
+                       row.key === 'familiarity_weight' ||
+                       row.key === 'glicko_tau';
         settings[row.key] = {
-          value: isFloat ? parseFloat(row.value) : parseInt(row.value),
+          value: isText ? row.value : (isFloat ? parseFloat(row.value) : parseInt(row.value)),
           description: row.description,
           updated_at: row.updated_at
         };
@@ -612,13 +748,16 @@ const getSettings = async (req, res) => {
         
         const settings = {};
         rows.forEach(row => {
-          // Determine if setting is float or int
+          // Determine if setting is text (true/false, memory/database), float or int
+          const isText = isNaN(parseFloat(row.value));
           const isFloat = row.key.includes('weight') || 
                          row.key.includes('threshold') || 
                          row.key.includes('k_factor') ||
-                         row.key === 'familiarity_weight';
+                         row.key.includes('per_minute') ||
+                         row.key === 'familiarity_weight' ||
+                         row.key === 'glicko_tau';
           settings[row.key] = {
-            value: isFloat ? parseFloat(row.value) : parseInt(row.value),
+            value: isText ? row.value : (isFloat ? parseFloat(row.value) : parseInt(row.value)),
             description: row.description,
             updated_at: row.updated_at
           };
@@ -649,6 +788,10 @@ const updateSettings = async (req, res) => {
     
     // Validation rules for each setting
     const validations = {
+      selection_strategy: (v) => {
+        if (v !== 'weighted' && v !== 'active') return 'must be weighted or active';
+        return null;
+      },
       familiarity_weight: (v) => {
         const val = parseFloat(v);
         if (isNaN(val) || val < 0 || val > 1) return 'must be between 0 and 1';
@@ -772,6 +915,160 @@ const updateSettings = async (req, res) => {
         const val = parseInt(v);
         if (isNaN(val) || val < 1) return 'must be a positive integer';
         return null;
+      },
+      rate_limiting_enabled: (v) => {
+        if (v !== 'true' && v !== 'false') return 'must be true or false';
+        return null;
+      },
+      rating_engine: (v) => {
+        if (v !== 'elo' && v !== 'glicko2') return 'must be elo or glicko2';
+        return null;
+      },
+      glicko_tau: (v) => {
+        const val = parseFloat(v);
+        if (isNaN(val) || val < 0.2 || val > 1.5) return 'must be between 0.2 and 1.5';
+        return null;
+      },
+      rate_limit_store: (v) => {
+        if (v !== 'memory' && v !== 'database') return 'must be memory or database';
+        return null;
+      },
+      vote_rate_limit_per_minute: (v) => {
+        const val = parseInt(v);
+        if (isNaN(val) || val < 1) return 'must be a positive integer';
+        return null;
+      },
+      skip_rate_limit_per_minute: (v) => {
+        const val = parseInt(v);
+        if (isNaN(val) || val < 1) return 'must be a positive integer';
+        return null;
+      },
+      comment_rate_limit_per_minute: (v) => {
+        const val = parseInt(v);
+        if (isNaN(val) || val < 1) return 'must be a positive integer';
+        return null;
+      },
+      submission_rate_limit_per_hour: (v) => {
+        const val = parseInt(v);
+        if (isNaN(val) || val < 1) return 'must be a positive integer';
+        return null;
+      },
+      anomaly_detection_enabled: (v) => {
+        if (v !== 'true' && v !== 'false') return 'must be true or false';
+        return null;
+      },
+      anomaly_check_interval_minutes: (v) => {
+        const val = parseInt(v);
+        if (isNaN(val) || val < 1) return 'must be a positive integer';
+        return null;
+      },
+      anomaly_window_minutes: (v) => {
+        const val = parseInt(v);
+        if (isNaN(val) || val < 1) return 'must be a positive integer';
+        return null;
+      },
+      anomaly_min_votes: (v) => {
+        const val = parseInt(v);
+        if (isNaN(val) || val < 1) return 'must be a positive integer';
+        return null;
+      },
+      anomaly_max_votes_per_minute: (v) => {
+        const val = parseFloat(v);
+        if (isNaN(val) || val <= 0) return 'must be a positive number';
+        return null;
+      },
+      anomaly_single_item_threshold: (v) => {
+        const val = parseFloat(v);
+        if (isNaN(val) || val <= 0 || val > 1) return 'must be between 0 and 1';
+        return null;
+      },
+      anomaly_min_median_decision_ms: (v) => {
+        const val = parseInt(v);
+        if (isNaN(val) || val < 0) return 'must be a non-negative integer';
+        return null;
+      },
+      undo_window_seconds: (v) => {
+        const val = parseInt(v);
+        if (isNaN(val) || val < 1) return 'must be a positive integer';
+        return null;
+      },
+      decision_time_min_ms: (v) => {
+        const val = parseInt(v);
+        if (isNaN(val) || val < 0) return 'must be a non-negative integer';
+        return null;
+      },
+      decision_time_max_seconds: (v) => {
+        const val = parseInt(v);
+        if (isNaN(val) || val < 1) return 'must be a positive integer';
+        return null;
+      },
+      position_bias_correction_enabled: (v) => {
+        if (v !== 'true' && v !== 'false') return 'must be true or false';
+        return null;
+      },
+      position_bias_threshold: (v) => {
+        const val = parseFloat(v);
+        if (isNaN(val) || val <= 0.5 || val > 1) return 'must be above 0.5 and at most 1';
+        return null;
+      },
+      position_bias_min_votes: (v) => {
+        const val = parseInt(v);
+        if (isNaN(val) || val < 1) return 'must be a positive integer';
+        return null;
+      },
+      bt_fit_interval_minutes: (v) => {
+        const val = parseInt(v);
+        if (isNaN(val) || val < 1) return 'must be a positive integer';
+        return null;
+      },
+      bt_bootstrap_samples: (v) => {
+        const val = parseInt(v);
+        if (isNaN(val) || val < 0 || val > 1000) return 'must be between 0 and 1000';
+        return null;
+      },
+      selection_index_rebuild_minutes: (v) => {
+        const val = parseInt(v);
+        if (isNaN(val) || val < 1) return 'must be a positive integer';
+        return null;
+      },
+      similarity_rebuild_minutes: (v) => {
+        const val = parseInt(v);
+        if (isNaN(val) || val < 1) return 'must be a positive integer';
+        return null;
+      },
+      paradox_analysis_interval_minutes: (v) => {
+        const val = parseInt(v);
+        if (isNaN(val) || val < 1) return 'must be a positive integer';
+        return null;
+      },
+      cycle_min_pair_votes: (v) => {
+        const val = parseInt(v);
+        if (isNaN(val) || val < 1) return 'must be a positive integer';
+        return null;
+      },
+      cycle_min_share: (v) => {
+        const val = parseFloat(v);
+        if (isNaN(val) || val <= 0.5 || val > 1) return 'must be above 0.5 and at most 1';
+        return null;
+      },
+      controversy_min_votes: (v) => {
+        const val = parseInt(v);
+        if (isNaN(val) || val < 1) return 'must be a positive integer';
+        return null;
+      },
+      tournament_round_minutes: (v) => {
+        const val = parseInt(v);
+        if (isNaN(val) || val < 1 || val > 43200) return 'must be between 1 and 43200 (30 days)';
+        return null;
+      },
+      tournament_votes_count_toward_elo: (v) => {
+        if (v !== 'true' && v !== 'false') return 'must be true or false';
+        return null;
+      },
+      tournament_check_interval_minutes: (v) => {
+        const val = parseInt(v);
+        if (isNaN(val) || val < 1) return 'must be a positive integer';
+        return null;
       }
     };
     
@@ -785,9 +1082,10 @@ const updateSettings = async (req, res) => {
         }
       }
       
-      // Determine if it's a float or int based on key
-      const isFloat = key.includes('weight') || key.includes('threshold') || key.includes('k_factor');
-      const stringValue = isFloat ? parseFloat(value).toString() : parseInt(value).toString();
+      // Determine if it's text (true/false, memory/database), a float or an int based on key
+      const isText = typeof value === 'string' && isNaN(parseFloat(value));
+      const isFloat = key.includes('weight') || key.includes('threshold') || key.includes('k_factor') || key.includes('per_minute') || key === 'glicko_tau';
+      const stringValue = isText ? value : (isFloat ? parseFloat(value).toString() : parseInt(value).toString());
       updates.push({ key, value: stringValue });
     }
     
@@ -812,6 +1110,54 @@ const updateSettings = async (req, res) => {
       const { invalidateSettingsCache } = require('../utils/settings');
       invalidateSettingsCache();
       
+      // Restart anomaly detection if its schedule was changed
+      if (updates.some(u => u.key === 'anomaly_detection_enabled' || u.key === 'anomaly_check_interval_minutes')) {
+        const scheduler = require('../utils/scheduler');
+        scheduler.restartAnomalyDetection().catch(err => {
+          console.error('Error restarting anomaly detection:', err);
+        });
+      }
+      
+      // Reschedule Bradley-Terry fits if their interval was changed
+      if (updates.some(u => u.key === 'bt_fit_interval_minutes')) {
+        const scheduler = require('../utils/scheduler');
+        scheduler.startBradleyTerryFits().catch(err => {
+          console.error('Error rescheduling Bradley-Terry fits:', err);
+        });
+      }
+      
+      // Reschedule selection index rebuilds if their interval was changed
+      if (updates.some(u => u.key === 'selection_index_rebuild_minutes')) {
+        const scheduler = require('../utils/scheduler');
+        scheduler.startSelectionIndexRebuilds().catch(err => {
+          console.error('Error rescheduling selection index rebuilds:', err);
+        });
+      }
+      
+      // Reschedule similarity cluster rebuilds if their interval was changed
+      if (updates.some(u => u.key === 'similarity_rebuild_minutes')) {
+        const scheduler = require('../utils/scheduler');
+        scheduler.startSimilarityClusterRebuilds().catch(err => {
+          console.error('Error rescheduling similarity cluster rebuilds:', err);
+        });
+      }
+      
+      // Reschedule paradox analyses if their interval was changed
+      if (updates.some(u => u.key === 'paradox_analysis_interval_minutes')) {
+        const scheduler = require('../utils/scheduler');
+        scheduler.startParadoxAnalyses().catch(err => {
+          console.error('Error rescheduling paradox analyses:', err);
+        });
+      }
+      
+      // Reschedule tournament round checks if their interval was changed
+      if (updates.some(u => u.key === 'tournament_check_interval_minutes')) {
+        const scheduler = require('../utils/scheduler');
+        scheduler.startTournamentChecks().catch(err => {
+          console.error('Error rescheduling tournament checks:', err);
+        });
+      }
+      
       res.json({ 
         success: true, 
         message: 'Settings updated successfully',
@@ -846,6 +1192,54 @@ const updateSettings = async (req, res) => {
               });
             }
             
+            // Restart anomaly detection if its schedule was changed
+            if (updates.some(u => u.key === 'anomaly_detection_enabled' || u.key === 'anomaly_check_interval_minutes')) {
+              const scheduler = require('../utils/scheduler');
+              scheduler.restartAnomalyDetection().catch(err => {
+                console.error('Error restarting anomaly detection:', err);
+              });
+            }
+            
+            // Reschedule Bradley-Terry fits if their interval was changed
+            if (updates.some(u => u.key === 'bt_fit_interval_minutes')) {
+              const scheduler = require('../utils/scheduler');
+              scheduler.startBradleyTerryFits().catch(err => {
+                console.error('Error rescheduling Bradley-Terry fits:', err);
+              });
+            }
+            
+            // Reschedule selection index rebuilds if their interval was changed
+            if (updates.some(u => u.key === 'selection_index_rebuild_minutes')) {
+              const scheduler = require('../utils/scheduler');
+              scheduler.startSelectionIndexRebuilds().catch(err => {
+                console.error('Error rescheduling selection index rebuilds:', err);
+              });
+            }
+            
+            // Reschedule similarity cluster rebuilds if their interval was changed
+            if (updates.some(u => u.key === 'similarity_rebuild_minutes')) {
+              const scheduler = require('../utils/scheduler');
+              scheduler.startSimilarityClusterRebuilds().catch(err => {
+                console.error('Error rescheduling similarity cluster rebuilds:', err);
+              });
+            }
+            
+            // Reschedule paradox analyses if their interval was changed
+            if (updates.some(u => u.key === 'paradox_analysis_interval_minutes')) {
+              const scheduler = require('../utils/scheduler');
+              scheduler.startParadoxAnalyses().catch(err => {
+                console.error('Error rescheduling paradox analyses:', err);
+              });
+            }
+            
+            // Reschedule tournament round checks if their interval was changed
+            if (updates.some(u => u.key === 'tournament_check_interval_minutes')) {
+              const scheduler = require('../utils/scheduler');
+              scheduler.startTournamentChecks().catch(err => {
+                console.error('Error rescheduling tournament checks:', err);
+              });
+            }
+            
             res.json({ 
               success: true, 
               message: 'Settings updated successfully',
@@ -867,6 +1261,11 @@ module.exports = {
   triggerSeedPopularCulture,
   triggerUpdateImages,
   triggerAssignCategories,
+  triggerBradleyTerryFit,
+  triggerSimilarityClusters,
+  getPositionBias,
+  getParadoxes,
+  triggerParadoxAnalysis,
   getAdminItems,
   createItem,
   updateItem,
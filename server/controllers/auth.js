@@ -74,7 +74,7 @@ const register = async (req, res) => {
 
           // Update user comparisons count
           const countResult = await dbInstance.query(`
-            SELECT COUNT(*) as count FROM comparisons WHERE user_id = $1
+            SELECT COUNT(*) as count FROM comparisons WHERE user_id = $1 AND outcome != 'unfamiliar'
           `, [userId]).catch(() => ({ rows: [{ count: '0' }] }));
           
           if (countResult.rows[0]) {
@@ -179,7 +179,7 @@ const register = async (req, res) => {
 
             // Update user comparisons count
             dbInstance.get(`
-              SELECT COUNT(*) as count FROM comparisons WHERE user_id = ?
+              SELECT COUNT(*) as count FROM comparisons WHERE user_id = ? AND outcome != 'unfamiliar'
             `, [userId], (err, row) => {
               if (!err && row) {
                 dbInstance.run(`
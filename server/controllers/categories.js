@@ -1,4 +1,5 @@
 const db = require('../database');
+const { getCategoryStandings } = require('../utils/category-ratings');
 
 /**
  * Get all categories
@@ -64,6 +65,7 @@ const getCategories = async (req, res) => {
 /**
  * Get category by slug
  * GET /api/categories/:slug
+ * Pass ?standings=true (optional &limit=, &offset=) to include per-category Elo standings
  */
 const getCategoryBySlug = async (req, res) => {
   try {
@@ -98,6 +100,13 @@ const getCategoryBySlug = async (req, res) => {
       return res.status(404).json({ error: 'Category not found' });
     }
     
+    if (req.query.standings === 'true') {
+      const limit = Math.min(parseInt(req.query.limit) || 25, 500);
+      const offset = parseInt(req.query.offset) || 0;
+      const { standings, total } = await getCategoryStandings(category.id, { limit, offset });
+      return res.json({ category, standings, total });
+    }
+    
     res.json({ category });
   } catch (error) {
     console.error('Error fetching category:', error);
@@ -1,24 +1,500 @@
 const db = require('../database');
-const { updateEloRatings } = require('../utils/elo');
 const wikipediaFetcher = require('../services/wikipedia-fetcher');
 // Removed unused selection-config imports - using simple weighted random now
 const { updateFamiliarityMetrics } = require('../utils/familiarity-calculator');
-const { updateItemMetricsAfterVote } = require('../utils/item-metrics-updater');
-const { updateUserStatsInDatabase } = require('../utils/user-stats-calculator');
+const { getPairKey, issueComparisonToken, issueGroupToken, verifyComparisonToken, verifyGroupToken, redeemComparisonToken, sendTokenError } = require('../utils/comparison-tokens');
+const { MAX_RESERVED_PAIRS, getPoolKey, reservePairs, getReservedPairs } = require('../utils/comparison-reservations');
+const { getActiveFlag } = require('../utils/vote-quarantine');
+const { undoLastVote } = require('../utils/vote-undo');
+const { VOTE_OUTCOMES, MIN_GROUP_SIZE, MAX_GROUP_SIZE, castVote, castGroupVote, recordUnfamiliar } = require('../services/vote-service');
+const { VOTE_STRENGTHS } = require('../utils/vote-strength');
+const { parseDecisionMs } = require('../utils/decision-time');
+const { randomizeSides } = require('../utils/position-bias');
+const { getPairAgreement } = require('../utils/head-to-head');
 const settings = require('../utils/settings');
-const { getSimilarityGroup, calculateDiversityPenalty } = require('../utils/similarity-detector');
+const { getItemSimilarityGroup, calculateDiversityPenalty } = require('../utils/similarity-detector');
+const { queryMany } = require('../utils/db-helpers');
+const { pickInformativePair, informativePairProbabilities } = require('../utils/pair-selection');
+const { sampleSelectionCandidates, refreshSelectionItems } = require('../utils/selection-index');
+const { recordExperimentSkip } = require('../utils/experiments');
 
-const getRandomComparison = async (req, res) => {
+const COMPARISON_MODES = ['mixed', 'same'];
+const DEFAULT_BATCH_SIZE = 5;
+const MAX_BATCH_SIZE = 10;
+const DEFAULT_GROUP_SIZE = 4;
+const EXPLAIN_SIMULATIONS = 1000;
+const EXPLAIN_TOP_PAIRS = 10;
+
+/**
+ * Resolve the item pool for a comparison request
+ * Reads ?categories=slug1,slug2 (optional) and ?mode=mixed|same
+ * @param {Object} query - Request query parameters
+ * @returns {Promise<Object>} { categories, categoryIds, mode } or { status, error, message } if invalid
+ */
+const resolveComparisonPool = async (query = {}) => {
+  const mode = query.mode || 'mixed';
+  if (!COMPARISON_MODES.includes(mode)) {
+    return {
+      status: 400,
+      error: 'Invalid mode',
+      message: `Mode must be one of: ${COMPARISON_MODES.join(', ')}`
+    };
+  }
+
+  const slugs = [...new Set(
+    String(query.categories || '')
+      .split(',')
+      .map(slug => slug.trim().toLowerCase())
+      .filter(Boolean)
+  )];
+
+  if (slugs.length === 0) {
+    return { categories: [], categoryIds: [], mode };
+  }
+
+  const rows = await queryMany(
+    `SELECT id, slug FROM categories WHERE slug IN (${slugs.map(() => '?').join(', ')})`,
+    slugs
+  );
+  const foundSlugs = rows.map(row => row.slug);
+  const missing = slugs.filter(slug => !foundSlugs.includes(slug));
+
+  if (missing.length > 0) {
+    return {
+      status: 404,
+      error: 'Category not found',
+      message: `Unknown category: ${missing.join(', ')}`
+    };
+  }
+
+  return {
+    categories: foundSlugs,
+    categoryIds: rows.map(row => parseInt(row.id)),
+    mode
+  };
+};
+
+/**
+ * Pick two distinct items from the weighted candidates
+ * In 'same' mode both items must share a category - the partner is taken from the
+ * top candidates first, then from the wider (already weight-ordered) candidate list
+ * @param {Array} topItems - Highest weighted items to draw item1 from
+ * @param {Array} candidates - Full candidate list used as fallback for the partner
+ * @param {string} mode - 'mixed' or 'same'
+ * @returns {Object|null} { item1, item2 } or null if no valid pair exists
+ */
+const pickComparisonPair = (topItems, candidates, mode) => {
+  const shuffled = [...topItems].sort(() => Math.random() - 0.5);
+
+  if (mode !== 'same') {
+    const item1 = shuffled[0];
+    const item2 = item1 && shuffled.find(item => item.id !== item1.id);
+    return item1 && item2 ? { item1, item2 } : null;
+  }
+
+  for (const item1 of shuffled) {
+    if (!item1.category_id) continue;
+    const isPartner = item => item.id !== item1.id && item.category_id === item1.category_id;
+    const item2 = shuffled.find(isPartner) || candidates.find(isPartner);
+    if (item2) {
+      return { item1, item2 };
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Pick several distinct items for a best-of-N comparison from the weighted candidates
+ * Drawn from the top candidates like a pair. Items from a similarity group already in the set are
+ * passed over while there are others, so the set isn't several versions of the same thing.
+ * In 'same' mode every item shares the first item's category
+ * @param {Array} topItems - Highest weighted items to draw from first
+ * @param {Array} candidates - Full candidate list used as fallback
+ * @param {number} count - Items wanted
+ * @param {string} mode - 'mixed' or 'same'
+ * @returns {Array|null} Items in display order, or null if there aren't enough
+ */
+const pickComparisonGroup = (topItems, candidates, count, mode) => {
+  const shuffled = [...topItems].sort(() => Math.random() - 0.5);
+  const groupOf = (item) => (item.similarityGroup !== undefined ? item.similarityGroup : getItemSimilarityGroup(item));
+
+  const fill = (first, pool) => {
+    const picked = [first];
+    const seenGroups = new Set([groupOf(first)].filter(Boolean));
+    // First pass skips repeated similarity groups, the second takes whatever is left
+    for (const allowRepeats of [false, true]) {
+      for (const item of pool) {
+        if (picked.length >= count) break;
+        if (picked.some(other => other.id === item.id)) continue;
+        const group = groupOf(item);
+        if (!allowRepeats && group && seenGroups.has(group)) continue;
+        picked.push(item);
+        if (group) seenGroups.add(group);
+      }
+    }
+    return picked.length === count ? picked : null;
+  };
+
+  if (mode !== 'same') {
+    return shuffled.length > 0 ? fill(shuffled[0], [...shuffled, ...candidates]) : null;
+  }
+
+  for (const first of shuffled) {
+    if (!first.category_id) continue;
+    const picked = fill(first, [...shuffled, ...candidates].filter(item => item.category_id === first.category_id));
+    if (picked) return picked;
+  }
+
+  return null;
+};
+
+/**
+ * Recency multiplier for an item seen a number of comparisons ago (same steps as the weighted query)
+ */
+const recencyDecayFor = (comparisonsAgo) => {
+  if (comparisonsAgo <= 5) return 0.1;
+  if (comparisonsAgo <= 10) return 0.3;
+  if (comparisonsAgo <= 20) return 0.5;
+  if (comparisonsAgo <= 30) return 0.7;
+  return 1.0;
+};
+
+/**
+ * Pick several distinct pairs from one set of scored candidates
+ * Items and similarity groups already placed in the queue - earlier in this batch or in pairs the
+ * session still has reserved - are decayed as if they had just been voted on, so the recency and
+ * diversity rules hold across the whole queue
+ * @param {Array} candidates - Scored candidate rows (finalWeight, optional similarityGroup)
+ * @param {Object} options - { count, mode, strategy, reservedPairs, diversityEnabled, penaltyStrength }
+ *   reservedPairs: [{ item1: { id, title }, item2: { id, title } }] already in the session's queue
+ * @returns {Array} [{ item1, item2 }] in queue order (may be shorter than count)
+ */
+const pickComparisonBatch = (candidates, { count, mode, strategy, reservedPairs = [], diversityEnabled, penaltyStrength }) => {
+  const candidatesById = new Map(candidates.map(item => [item.id, item]));
+  const itemPositions = new Map(); // item id -> queue position it was last placed at
+  const groupPositions = new Map(); // similarity group -> queue position it was last placed at
+  const usedPairs = new Set();
+
+  const groupOf = (item) => {
+    if (!diversityEnabled) return null;
+    return item.similarityGroup !== undefined ? item.similarityGroup : getItemSimilarityGroup(item);
+  };
+
+  const place = (item1, item2, position) => {
+    usedPairs.add(getPairKey(item1.id, item2.id));
+    [item1, item2].forEach(item => {
+      itemPositions.set(item.id, position);
+      const group = groupOf(item);
+      if (group) groupPositions.set(group, position);
+    });
+  };
+
+  // Reserved pairs are served before this batch
+  reservedPairs.forEach((pair, index) => place(pair.item1, pair.item2, index - reservedPairs.length));
+
+  const pairs = [];
+  for (let position = 0; position < count; position++) {
+    const adjusted = candidates.map(item => {
+      const itemPosition = itemPositions.get(item.id);
+      const group = groupOf(item);
+      const groupPosition = group ? groupPositions.get(group) : undefined;
+      const batchPenalty = (itemPosition !== undefined ? recencyDecayFor(position - itemPosition) : 1.0) *
+        (groupPosition !== undefined ? calculateDiversityPenalty(position - groupPosition, penaltyStrength, group) : 1.0);
+      return { ...item, batchPenalty, batchWeight: (item.finalWeight || 1.0) * batchPenalty };
+    });
+
+    let pair = null;
+    if (strategy === 'active') {
+      pair = pickInformativePair(adjusted, mode, usedPairs);
+    } else {
+      adjusted.sort((a, b) => {
+        const weightDiff = b.batchWeight - a.batchWeight;
+        // Near-equal weights are shuffled, but never past an item that is already queued
+        if (Math.abs(weightDiff) < 0.1 && a.batchPenalty === b.batchPenalty) {
+          return Math.random() - 0.5;
+        }
+        return weightDiff;
+      });
+      // A handful of redraws if the pair is already queued
+      for (let attempt = 0; attempt < 5 && !pair; attempt++) {
+        const candidate = pickComparisonPair(adjusted.slice(0, 20), adjusted, mode);
+        if (!candidate) break;
+        if (!usedPairs.has(getPairKey(candidate.item1.id, candidate.item2.id))) {
+          pair = candidate;
+        }
+      }
+    }
+    if (!pair) break;
+
+    place(pair.item1, pair.item2, position);
+    pairs.push({ item1: candidatesById.get(pair.item1.id), item2: candidatesById.get(pair.item2.id) });
+  }
+
+  return pairs;
+};
+
+/**
+ * Selection factors of a scored candidate (the Postgres and SQLite paths name them differently)
+ */
+const selectionFactors = (item) => {
+  const factor = (...values) => {
+    const value = values.find(v => v !== undefined && v !== null);
+    return value === undefined ? 1.0 : parseFloat(value);
+  };
+  return {
+    voteWeight: factor(item.vote_weight, item.voteWeight),
+    familiarityMultiplier: factor(item.familiarityMultiplier),
+    eloBonus: factor(item.elo_bonus, item.eloBonus),
+    recencyDecay: factor(item.recency_decay, item.recencyDecay),
+    diversityPenalty: factor(item.diversityPenalty),
+    popularityBonus: factor(item.popularity_bonus, item.popularityBonus)
+  };
+};
+
+/**
+ * Break down a selection: every candidate's weight factors and how likely it is to be served
+ * (an item's probability is its chance of being in the served pair, so they add up to 2)
+ * The weighted strategy shuffles near-equal weights and draws from the top 20, so its odds are
+ * estimated by re-running the draw; the active strategy's odds are exact
+ * Both are conditional on this candidate pool (the pool itself is a random sample of items)
+ * @param {Array} candidates - Scored candidate rows
+ * @param {Object} options - { mode, strategy, recentlySeen, recentlySeenGroups }
+ * @returns {Object} { candidates, pairs, simulations }
+ */
+const explainSelection = (candidates, { mode, strategy, recentlySeen, recentlySeenGroups }) => {
+  const roundProbability = (probability) => Math.round(probability * 10000) / 10000;
+  const itemOdds = new Map();
+  const pairOdds = new Map();
+  const addOdds = (pair, probability) => {
+    const key = getPairKey(pair.item1.id, pair.item2.id);
+    const entry = pairOdds.get(key) || { item1: pair.item1, item2: pair.item2, probability: 0, gain: pair.gain, winProbability: pair.winProbability };
+    entry.probability += probability;
+    pairOdds.set(key, entry);
+    [pair.item1.id, pair.item2.id].forEach(id => itemOdds.set(id, (itemOdds.get(id) || 0) + probability));
+  };
+
+  let simulations = 0;
+  if (strategy === 'active') {
+    informativePairProbabilities(candidates, mode).forEach(pair => addOdds(pair, pair.probability));
+  } else {
+    simulations = EXPLAIN_SIMULATIONS;
+    for (let run = 0; run < simulations; run++) {
+      const sorted = [...candidates].sort((a, b) => {
+        const weightDiff = (b.finalWeight || 0) - (a.finalWeight || 0);
+        if (Math.abs(weightDiff) < 0.1) {
+          return Math.random() - 0.5;
+        }
+        return weightDiff;
+      });
+      const pair = pickComparisonPair(sorted.slice(0, 20), sorted, mode);
+      if (pair) addOdds(pair, 1 / simulations);
+    }
+  }
+
+  const explained = candidates.map(item => {
+    const factors = selectionFactors(item);
+    const similarityGroup = item.similarityGroup !== undefined ? item.similarityGroup : getItemSimilarityGroup(item);
+    return {
+      id: item.id,
+      title: item.title,
+      category_name: item.category_name || null,
+      elo_rating: parseFloat(item.elo_rating),
+      comparison_count: parseInt(item.comparison_count || 0),
+      rating_confidence: item.rating_confidence !== undefined ? parseFloat(item.rating_confidence) : null,
+      factors,
+      finalWeight: item.finalWeight !== undefined
+        ? parseFloat(item.finalWeight)
+        : Object.values(factors).reduce((product, value) => product * value, 1.0),
+      seenComparisonsAgo: recentlySeen.get(item.id) ?? null,
+      similarityGroup: similarityGroup || null,
+      similarityGroupSeenAgo: similarityGroup ? recentlySeenGroups.get(similarityGroup) ?? null : null,
+      probability: roundProbability(itemOdds.get(item.id) || 0)
+    };
+  }).sort((a, b) => b.probability - a.probability || b.finalWeight - a.finalWeight);
+
+  const pairs = [...pairOdds.values()]
+    .sort((a, b) => b.probability - a.probability)
+    .slice(0, EXPLAIN_TOP_PAIRS)
+    .map(pair => ({
+      item1: { id: pair.item1.id, title: pair.item1.title },
+      item2: { id: pair.item2.id, title: pair.item2.title },
+      probability: roundProbability(pair.probability),
+      gain: pair.gain ?? null,
+      winProbability: pair.winProbability ?? null
+    }));
+
+  return { candidates: explained, pairs, simulations };
+};
+
+/**
+ * Load items for a batch of comparisons with the stats shown on hover
+ * (the same numbers GET /api/items/:id reports), so the client needs no extra requests
+ * @param {Array} itemIds - Item IDs
+ * @returns {Promise<Map>} item id -> item
+ */
+const loadComparisonItems = async (itemIds) => {
+  if (itemIds.length === 0) return new Map();
+
+  const rows = await queryMany(`
+    SELECT i.id, i.title, i.image_url, i.description, i.elo_rating, i.comparison_count, i.wins, i.losses,
+           c.id as category_id, c.name as category_name, c.slug as category_slug,
+           (SELECT COUNT(*) FROM comments cm WHERE cm.item_id = i.id) as comment_count,
+           (SELECT COUNT(*) + 1 FROM items ranked WHERE ranked.elo_rating > i.elo_rating) as rank
+    FROM items i
+    LEFT JOIN categories c ON i.category_id = c.id
+    WHERE i.id IN (${itemIds.map(() => '?').join(', ')})
+  `, itemIds);
+
+  return new Map(rows.map(row => [row.id, {
+    ...row,
+    comment_count: parseInt(row.comment_count || 0),
+    rank: parseInt(row.rank),
+    winRate: row.comparison_count > 0
+      ? parseFloat(((row.wins / row.comparison_count) * 100).toFixed(1))
+      : 0
+  }]));
+};
+
+/**
+ * Serve the next comparison, or a batch of upcoming comparisons for the session's queue
+ * @param {Object} options - { batch, explain, group }
+ *   batch: { count, resume } for GET /api/comparison/batch
+ *   explain: report the selection instead of serving a pair (GET /api/admin/comparison/explain)
+ *   group: { count } to serve several items at once (GET /api/comparison/group)
+ */
+const serveComparisons = async (req, res, { batch = null, explain = false, group = null } = {}) => {
   const dbInstance = db.getDb();
   
   // Check if we need to fetch more items (do this in background, don't block)
-  wikipediaFetcher.checkAndFetchIfNeeded().catch(err => {
-    console.error('Error checking/fetching Wikipedia items:', err);
-  });
+  if (!explain) {
+    wikipediaFetcher.checkAndFetchIfNeeded().catch(err => {
+      console.error('Error checking/fetching Wikipedia items:', err);
+    });
+  }
   
   // Get user session ID from query or body (for user-specific recency tracking)
   const userSessionId = req.query.sessionId || req.body?.userSessionId || null;
   
+  // Resolve category pool (e.g. ?categories=food-drinks&mode=same)
+  let pool;
+  try {
+    pool = await resolveComparisonPool(req.query);
+  } catch (err) {
+    console.error('[WeightedRandom] Error resolving category pool:', err);
+    return res.status(500).json({ error: 'Failed to fetch comparison', message: err.message });
+  }
+
+  if (pool.error) {
+    return res.status(pool.status).json({ error: pool.error, message: pool.message });
+  }
+
+  // Category IDs come from the database, so they are safe to inline like the recency values below
+  const categoryFilter = pool.categoryIds.length > 0
+    ? `AND i.category_id IN (${pool.categoryIds.join(', ')})`
+    : '';
+  const poolInfo = { categories: pool.categories, mode: pool.mode };
+
+  // Every served pair carries a single-use token that the vote/skip must present.
+  // Sides are random so neither item of a pair is favoured by being shown on the left
+  const sendPair = async (first, second) => {
+    const [item1, item2] = randomizeSides(first, second);
+    const comparisonToken = await issueComparisonToken(item1.id, item2.id);
+    res.json({ item1, item2, pool: poolInfo, comparisonToken });
+  };
+
+  // Batches are reserved for the session until each pair is voted on, skipped or expires.
+  // With ?resume=true the session's outstanding pairs for this pool come back first (e.g. after a reload)
+  const poolKey = getPoolKey(pool);
+  let reservedPairs = [];
+  let resumedPairs = [];
+  let batchSize = 0;
+  if (batch) {
+    try {
+      reservedPairs = await getReservedPairs(userSessionId);
+    } catch (err) {
+      console.error('[BatchSelection] Error loading reserved pairs:', err);
+      return res.status(500).json({ error: 'Failed to fetch comparisons', message: err.message });
+    }
+    const poolReservations = reservedPairs.filter(reservation => reservation.pool_key === poolKey);
+    resumedPairs = batch.resume ? poolReservations : [];
+    batchSize = Math.min(
+      batch.count - resumedPairs.length,
+      MAX_RESERVED_PAIRS - poolReservations.length
+    );
+  }
+
+  const sendBatch = async (pairs) => {
+    const served = [];
+    for (const pair of pairs) {
+      const [item1, item2] = randomizeSides(pair.item1, pair.item2);
+      served.push({ item1, item2, comparisonToken: await issueComparisonToken(item1.id, item2.id) });
+    }
+    await reservePairs(userSessionId, poolKey, served);
+
+    const queued = [
+      ...resumedPairs.map(reservation => ({
+        item1Id: reservation.item1_id,
+        item2Id: reservation.item2_id,
+        comparisonToken: reservation.comparison_token
+      })),
+      ...served.map(pair => ({
+        item1Id: pair.item1.id,
+        item2Id: pair.item2.id,
+        comparisonToken: pair.comparisonToken
+      }))
+    ];
+    const items = await loadComparisonItems([...new Set(queued.flatMap(pair => [pair.item1Id, pair.item2Id]))]);
+
+    if (served.length > 0) {
+      console.log(`[BatchSelection] Reserved ${served.length} pairs for session ${userSessionId}: ${served.map(pair => `${pair.item1.title} vs ${pair.item2.title}`).join(', ')}`);
+    }
+    res.json({
+      pairs: queued
+        .filter(pair => items.has(pair.item1Id) && items.has(pair.item2Id))
+        .map(pair => ({
+          item1: items.get(pair.item1Id),
+          item2: items.get(pair.item2Id),
+          comparisonToken: pair.comparisonToken
+        })),
+      pool: poolInfo,
+      reserved: reservedPairs.filter(reservation => reservation.pool_key === poolKey).length + served.length
+    });
+  };
+
+  // The queue is already full (or fully resumed) - nothing new to pick
+  if (batch && batchSize <= 0) {
+    return sendBatch([]);
+  }
+
+  const sendNotEnoughItems = (found) => {
+    console.error('[WeightedRandom] Not enough items for comparison pool:', poolInfo, 'Found:', found);
+    return res.status(404).json({
+      error: 'Not enough items with images in database',
+      message: pool.mode === 'same'
+        ? 'Could not find two items with valid images in the same category. Try another category or mixed mode.'
+        : pool.categories.length > 0
+        ? `Found only ${found} items with valid images in the selected categories. Need at least 2.`
+        : `Found only ${found} items with valid images. Need at least 2.`
+    });
+  };
+
+  // Best-of-N comparisons serve several items with one token for the whole set
+  const sendGroup = async (candidates) => {
+    const picked = pickComparisonGroup(candidates.slice(0, 20), candidates, group.count, pool.mode);
+    if (!picked) {
+      return sendNotEnoughItems(candidates.length);
+    }
+    const itemIds = picked.map(item => item.id);
+    const items = await loadComparisonItems(itemIds);
+    console.log(`[GroupSelection] Selected ${picked.map(item => item.title).join(', ')}`);
+    res.json({
+      items: itemIds.filter(id => items.has(id)).map(id => items.get(id)),
+      pool: poolInfo,
+      comparisonToken: await issueGroupToken(itemIds)
+    });
+  };
+
   // Helper function to get recently seen items with recency ranking
   // Returns a map of item_id -> comparisons_ago (how many comparisons ago it was seen, 1 = most recent)
   const getRecentlySeenItems = async () => {
@@ -177,19 +653,20 @@ const getRandomComparison = async (req, res) => {
           ),
           ranked_groups AS (
             SELECT 
+              iwt.item_id,
               iwt.title,
               iwt.comparison_id,
               ROW_NUMBER() OVER (ORDER BY iwt.comparison_id DESC) as comparisons_ago
             FROM items_with_titles iwt
           )
-          SELECT title, MIN(comparisons_ago) as comparisons_ago
+          SELECT item_id, title, MIN(comparisons_ago) as comparisons_ago
           FROM ranked_groups
-          GROUP BY title
+          GROUP BY item_id, title
         `, [userSessionId, recentLimit]);
         
         const groupMap = new Map();
         for (const row of result.rows) {
-          const similarityGroup = getSimilarityGroup(row.title);
+          const similarityGroup = getItemSimilarityGroup({ id: row.item_id, title: row.title });
           if (similarityGroup) {
             const comparisonsAgo = parseInt(row.comparisons_ago);
             const currentAgo = groupMap.get(similarityGroup);
@@ -246,7 +723,7 @@ const getRandomComparison = async (req, res) => {
             // For each item, find its similarity group and most recent appearance
             (items || []).forEach(item => {
               if (item.title) {
-                const similarityGroup = getSimilarityGroup(item.title);
+                const similarityGroup = getItemSimilarityGroup(item);
                 if (similarityGroup) {
                   const rank = itemToRank.get(item.comparison_id);
                   if (rank) {
@@ -300,6 +777,62 @@ const getRandomComparison = async (req, res) => {
     const penaltyStrength = await settings.getDiversityPenaltyStrength();
     const popularityEnabled = await settings.getWikipediaPopularityEnabled();
     const popularityStrength = await settings.getWikipediaPopularityStrength();
+    // 'active' picks the pair whose vote is expected to tell us the most (see utils/pair-selection)
+    const selectionStrategy = await settings.getSelectionStrategy();
+    // Batches pick all their pairs from the same scored candidates
+    const batchOptions = batch && {
+      count: batchSize,
+      mode: pool.mode,
+      strategy: selectionStrategy,
+      reservedPairs: reservedPairs.map(reservation => ({
+        item1: { id: reservation.item1_id, title: reservation.item1_title },
+        item2: { id: reservation.item2_id, title: reservation.item2_title }
+      })),
+      diversityEnabled,
+      penaltyStrength
+    };
+    const sendPickedBatch = (candidates, options = {}) => {
+      const pairs = pickComparisonBatch(candidates, { ...batchOptions, ...options });
+      if (pairs.length === 0 && resumedPairs.length === 0) {
+        return sendNotEnoughItems(candidates.length);
+      }
+      return sendBatch(pairs);
+    };
+    // Draw the candidate pool from the in-memory weight index (O(log n) per draw).
+    // The SQL queries below are only used while the index is cold
+    const indexedCandidates = sampleSelectionCandidates({
+      count: dbType === 'postgres' ? 50 : 100,
+      categoryIds: pool.categoryIds,
+      recentlySeen,
+      recencyDecayFor
+    });
+    // The admin explainer reports the scored candidates instead of serving a pair
+    const sendExplanation = (candidates, options = {}) => {
+      const strategy = options.strategy || selectionStrategy;
+      const explanation = explainSelection(candidates, {
+        mode: pool.mode,
+        strategy,
+        recentlySeen,
+        recentlySeenGroups
+      });
+      res.json({
+        sessionId: userSessionId,
+        strategy,
+        source: indexedCandidates ? 'index' : 'sql',
+        fallback: Boolean(options.fallback),
+        pool: poolInfo,
+        settings: {
+          diversityEnabled,
+          diversityPenaltyStrength: penaltyStrength,
+          popularityEnabled,
+          popularityStrength
+        },
+        recentlySeenItems: recentlySeen.size,
+        simulations: explanation.simulations,
+        candidates: explanation.candidates,
+        pairs: explanation.pairs
+      });
+    };
     
     if (dbType === 'postgres') {
       // Build recency decay values as a CTE
@@ -330,10 +863,11 @@ const getRandomComparison = async (req, res) => {
       
       // Calculate 80th percentile ELO threshold (top 20% cutoff) in a CTE
       const eloThresholdCTE = `elo_threshold AS (
-        SELECT PERCENTILE_CONT(0.8) WITHIN GROUP (ORDER BY elo_rating) as threshold
-        FROM items
-        WHERE image_url IS NOT NULL AND image_url != '' AND image_url != 'null' 
-          AND image_url NOT LIKE '%placeholder.com%'
+        SELECT PERCENTILE_CONT(0.8) WITHIN GROUP (ORDER BY i.elo_rating) as threshold
+        FROM items i
+        WHERE i.image_url IS NOT NULL AND i.image_url != '' AND i.image_url != 'null' 
+          AND i.image_url NOT LIKE '%placeholder.com%'
+          ${categoryFilter}
       )`;
       
       // Combine CTEs properly
@@ -341,7 +875,9 @@ const getRandomComparison = async (req, res) => {
         ? `WITH ${eloThresholdCTE}, ${recencyCTE.replace('WITH ', '')}`
         : `WITH ${eloThresholdCTE}`;
       
-      return db.query(`
+      const candidateQuery = indexedCandidates
+        ? Promise.resolve({ rows: indexedCandidates })
+        : db.query(`
         ${allCTEs}
         SELECT i.id, i.title, i.image_url, i.description, i.elo_rating, i.comparison_count,
                i.familiarity_score, i.rating_confidence, i.wikipedia_pageviews,
@@ -370,6 +906,7 @@ const getRandomComparison = async (req, res) => {
         ${recencyJoin}
         WHERE i.image_url IS NOT NULL AND i.image_url != '' AND i.image_url != 'null' 
           AND i.image_url NOT LIKE '%placeholder.com%'
+          ${categoryFilter}
         ORDER BY (
           (CASE 
             WHEN i.comparison_count = 0 THEN 50.0
@@ -386,13 +923,11 @@ const getRandomComparison = async (req, res) => {
           ${recencySelect}
         ) * RANDOM() DESC
         LIMIT 50
-      `).then(async (result) => {
+      `);
+      
+      return candidateQuery.then(async (result) => {
         if (!result || !result.rows || result.rows.length < 2) {
-          console.error('[WeightedRandom] Not enough items with images in database. Found:', result?.rows?.length || 0);
-          return res.status(404).json({ 
-            error: 'Not enough items with images in database',
-            message: 'Please ensure there are at least 2 items with valid images (not placeholders)'
-          });
+          return sendNotEnoughItems(result?.rows?.length || 0);
         }
         
         // Apply diversity penalty and popularity bonus if enabled
@@ -412,14 +947,15 @@ const getRandomComparison = async (req, res) => {
         }
         
         let itemsWithDiversity = result.rows;
+        let scoredCandidates = result.rows;
         if (diversityEnabled && recentlySeenGroups.size > 0) {
           itemsWithDiversity = result.rows.map(item => {
-            const similarityGroup = getSimilarityGroup(item.title);
+            const similarityGroup = getItemSimilarityGroup(item);
             let diversityPenalty = 1.0;
             
             if (similarityGroup) {
               const comparisonsAgo = recentlySeenGroups.get(similarityGroup);
-              diversityPenalty = calculateDiversityPenalty(comparisonsAgo, penaltyStrength);
+              diversityPenalty = calculateDiversityPenalty(comparisonsAgo, penaltyStrength, similarityGroup);
             }
             
             // Calculate final weight with diversity penalty and popularity bonus
@@ -438,6 +974,7 @@ const getRandomComparison = async (req, res) => {
               similarityGroup,
               diversityPenalty,
               familiarityMultiplier,
+              popularityBonus,
               finalWeight
             };
           });
@@ -450,6 +987,7 @@ const getRandomComparison = async (req, res) => {
             }
             return weightDiff;
           });
+          scoredCandidates = itemsWithDiversity;
           itemsWithDiversity = itemsWithDiversity.slice(0, 20);
         } else {
           // Even if diversity is disabled, we still need to apply familiarity multiplier and popularity bonus
@@ -495,18 +1033,35 @@ const getRandomComparison = async (req, res) => {
             }
             return weightDiff;
           });
+          scoredCandidates = itemsWithDiversity;
           itemsWithDiversity = itemsWithDiversity.slice(0, 20);
         }
         
-        const shuffled = itemsWithDiversity.sort(() => Math.random() - 0.5);
-      let item1 = shuffled[0];
-      let item2 = shuffled.find(item => item.id !== item1.id) || shuffled[1];
-      if (item1.id === item2.id && shuffled.length > 1) {
-        item2 = shuffled[1];
-      }
+        if (explain) {
+          return sendExplanation(scoredCandidates);
+        }
+        if (batch) {
+          return sendPickedBatch(scoredCandidates);
+        }
+        if (group) {
+          return sendGroup(scoredCandidates);
+        }
+        
+        const pair = selectionStrategy === 'active'
+          ? pickInformativePair(scoredCandidates, pool.mode)
+          : pickComparisonPair(itemsWithDiversity, result.rows, pool.mode);
+        if (!pair) {
+          return sendNotEnoughItems(result.rows.length);
+        }
+        const { item1, item2 } = pair;
+        
+        if (selectionStrategy === 'active') {
+          console.log(`[ActiveSelection] Selected ${item1.title} vs ${item2.title} (information gain: ${pair.gain.toFixed(3)} bits, p=${pair.winProbability.toFixed(2)})`);
+          return sendPair(item1, item2);
+        }
         
         console.log(`[WeightedRandom] Selected items: ${item1.title} (${item1.comparison_count} votes, weight: ${item1.vote_weight}, elo_bonus: ${item1.elo_bonus}, popularity: ${item1.popularity_bonus || 1.0}, decay: ${item1.recency_decay}${item1.diversityPenalty !== undefined ? `, diversity: ${item1.diversityPenalty}` : ''}) vs ${item2.title} (${item2.comparison_count} votes, weight: ${item2.vote_weight}, elo_bonus: ${item2.elo_bonus}, popularity: ${item2.popularity_bonus || 1.0}, decay: ${item2.recency_decay}${item2.diversityPenalty !== undefined ? `, diversity: ${item2.diversityPenalty}` : ''})`);
-        res.json({ item1, item2 });
+        return sendPair(item1, item2);
       }).catch(err => {
         if (!result || !result.rows || result.rows.length < 2) {
           console.error('[WeightedRandom] Not enough items with images in database. Found:', result?.rows?.length || 0);
@@ -548,23 +1103,28 @@ const getRandomComparison = async (req, res) => {
             AND i.image_url != '' 
             AND i.image_url != 'null' 
             AND i.image_url NOT LIKE '%placeholder.com%'
+            ${categoryFilter}
           ORDER BY RANDOM()
       LIMIT 20
         `).then(fallbackResult => {
-          if (!fallbackResult || !fallbackResult.rows || fallbackResult.rows.length < 2) {
-            return res.status(404).json({ 
-              error: 'Not enough items with images',
-              message: `Found only ${fallbackResult?.rows?.length || 0} items with valid images. Need at least 2.`
-            });
+          if (explain && fallbackResult && fallbackResult.rows) {
+            return sendExplanation(fallbackResult.rows, { strategy: 'weighted', fallback: true });
           }
-          const shuffled = fallbackResult.rows.sort(() => Math.random() - 0.5);
-      let item1 = shuffled[0];
-      let item2 = shuffled.find(item => item.id !== item1.id) || shuffled[1];
-      if (item1.id === item2.id && shuffled.length > 1) {
-        item2 = shuffled[1];
-      }
+          if (batch && fallbackResult && fallbackResult.rows) {
+            return sendPickedBatch(fallbackResult.rows, { strategy: 'weighted' });
+          }
+          if (group && fallbackResult && fallbackResult.rows) {
+            return sendGroup(fallbackResult.rows);
+          }
+          const pair = fallbackResult && fallbackResult.rows
+            ? pickComparisonPair(fallbackResult.rows, fallbackResult.rows, pool.mode)
+            : null;
+          if (!pair) {
+            return sendNotEnoughItems(fallbackResult?.rows?.length || 0);
+          }
+          const { item1, item2 } = pair;
           console.log(`[WeightedRandom] Fallback: Selected ${item1.title} vs ${item2.title}`);
-          res.json({ item1, item2 });
+          return sendPair(item1, item2);
         }).catch(fallbackErr => {
           console.error('[WeightedRandom] Fallback query also failed:', fallbackErr);
           res.status(500).json({ 
@@ -616,10 +1176,10 @@ const getRandomComparison = async (req, res) => {
             // Calculate diversity penalty
             let diversityPenalty = 1.0;
             if (diversityEnabled && recentlySeenGroups.size > 0) {
-              const similarityGroup = getSimilarityGroup(item.title);
+              const similarityGroup = getItemSimilarityGroup(item);
               if (similarityGroup) {
                 const groupComparisonsAgo = recentlySeenGroups.get(similarityGroup);
-                diversityPenalty = calculateDiversityPenalty(groupComparisonsAgo, penaltyStrength);
+                diversityPenalty = calculateDiversityPenalty(groupComparisonsAgo, penaltyStrength, similarityGroup);
               }
             }
             
@@ -663,7 +1223,7 @@ const getRandomComparison = async (req, res) => {
               recencyDecay, 
               diversityPenalty,
               popularityBonus,
-              similarityGroup: diversityEnabled ? getSimilarityGroup(item.title) : null,
+              similarityGroup: diversityEnabled ? getItemSimilarityGroup(item) : null,
               finalWeight 
             };
           });
@@ -678,18 +1238,42 @@ const getRandomComparison = async (req, res) => {
             return weightDiff;
           });
           
-          // Take top 20 and shuffle
-          const topItems = weightedItems.slice(0, 20).sort(() => Math.random() - 0.5);
-          let item1 = topItems[0];
-          let item2 = topItems.find(item => item.id !== item1.id) || topItems[1];
-          if (item1.id === item2.id && topItems.length > 1) {
-            item2 = topItems[1];
+          if (explain) {
+            return sendExplanation(weightedItems);
+          }
+          if (batch) {
+            return sendPickedBatch(weightedItems);
+          }
+          if (group) {
+            return sendGroup(weightedItems);
+          }
+          
+          // Take top 20 and pick a pair (same-category partners may come from further down the list)
+          // The active strategy scores every candidate pair instead
+          const pair = selectionStrategy === 'active'
+            ? pickInformativePair(weightedItems, pool.mode)
+            : pickComparisonPair(weightedItems.slice(0, 20), weightedItems, pool.mode);
+          if (!pair) {
+            return sendNotEnoughItems(rows.length);
+          }
+          const { item1, item2 } = pair;
+          
+          if (selectionStrategy === 'active') {
+            console.log(`[ActiveSelection] Selected ${item1.title} vs ${item2.title} (information gain: ${pair.gain.toFixed(3)} bits, p=${pair.winProbability.toFixed(2)})`);
+            return sendPair(item1, item2);
           }
           
           console.log(`[WeightedRandom] Selected items: ${item1.title} (${item1.comparison_count || 0} votes, weight: ${item1.voteWeight}, elo_bonus: ${item1.eloBonus}, popularity: ${item1.popularityBonus || 1.0}, decay: ${item1.recencyDecay}${item1.diversityPenalty !== undefined ? `, diversity: ${item1.diversityPenalty}` : ''}) vs ${item2.title} (${item2.comparison_count || 0} votes, weight: ${item2.voteWeight}, elo_bonus: ${item2.eloBonus}, popularity: ${item2.popularityBonus || 1.0}, decay: ${item2.recencyDecay}${item2.diversityPenalty !== undefined ? `, diversity: ${item2.diversityPenalty}` : ''})`);
-          res.json({ item1, item2 });
+          return sendPair(item1, item2);
         };
       
+      if (indexedCandidates) {
+        if (indexedCandidates.length < 2) {
+          return sendNotEnoughItems(indexedCandidates.length);
+        }
+        return processItems(indexedCandidates, recentlySeen);
+      }
+      
       // Try with categories and extra columns first, fallback to simple query if columns don't exist
       return new Promise((resolve, reject) => {
     dbInstance.all(`
@@ -706,6 +1290,7 @@ const getRandomComparison = async (req, res) => {
           ) comment_stats ON i.id = comment_stats.item_id
           WHERE i.image_url IS NOT NULL AND i.image_url != '' AND i.image_url != 'null' 
             AND i.image_url NOT LIKE '%placeholder.com%'
+            ${categoryFilter}
       ORDER BY RANDOM()
           LIMIT 100
     `, async (err, rows) => {
@@ -746,11 +1331,7 @@ const getRandomComparison = async (req, res) => {
       }
       
           if (!rows || rows.length < 2) {
-            console.error('[WeightedRandom] Not enough items with images in database. Found:', rows?.length || 0);
-            return res.status(404).json({ 
-              error: 'Not enough items with images in database',
-              message: `Found only ${rows?.length || 0} items with valid images. Need at least 2.`
-            });
+            return sendNotEnoughItems(rows?.length || 0);
           }
           
           processItems(rows, recentlySeen).then(() => {
@@ -778,6 +1359,59 @@ const getRandomComparison = async (req, res) => {
   }
 };
 
+/**
+ * Get the next comparison
+ * GET /api/comparison?sessionId=&categories=&mode=
+ */
+const getRandomComparison = (req, res) => serveComparisons(req, res);
+
+/**
+ * Get a batch of upcoming comparisons for the client's local queue
+ * GET /api/comparison/batch?count=5&sessionId=...&categories=&mode=&resume=true
+ * Pairs come with item stats included and are reserved for the session (see utils/comparison-reservations)
+ */
+const getComparisonBatch = (req, res) => {
+  const count = req.query.count !== undefined ? parseInt(req.query.count) : DEFAULT_BATCH_SIZE;
+  if (isNaN(count) || count < 1 || count > MAX_BATCH_SIZE) {
+    return res.status(400).json({
+      error: 'Invalid count',
+      message: `count must be between 1 and ${MAX_BATCH_SIZE}`
+    });
+  }
+  if (!req.query.sessionId) {
+    return res.status(400).json({
+      error: 'Missing sessionId',
+      message: 'Batches are reserved per session - send your sessionId.'
+    });
+  }
+
+  return serveComparisons(req, res, { batch: { count, resume: req.query.resume === 'true' } });
+};
+
+/**
+ * Get a best-of-N comparison: several items to pick the best of (or rank)
+ * GET /api/comparison/group?count=4&sessionId=...&categories=&mode=
+ * Items come with stats included and share one comparisonToken
+ */
+const getComparisonGroup = (req, res) => {
+  const count = req.query.count !== undefined ? parseInt(req.query.count) : DEFAULT_GROUP_SIZE;
+  if (isNaN(count) || count < MIN_GROUP_SIZE || count > MAX_GROUP_SIZE) {
+    return res.status(400).json({
+      error: 'Invalid count',
+      message: `count must be between ${MIN_GROUP_SIZE} and ${MAX_GROUP_SIZE}`
+    });
+  }
+
+  return serveComparisons(req, res, { group: { count } });
+};
+
+/**
+ * Explain pair selection for a session: the candidate pool with every weight factor and
+ * each candidate's chance of being served (admin only)
+ * GET /api/admin/comparison/explain?sessionId=...&categories=&mode=
+ */
+const explainComparison = (req, res) => serveComparisons(req, res, { explain: true });
+
 /**
  * Get comparison count for a session (to check if account prompt should show)
  */
@@ -808,329 +1442,340 @@ const getSessionComparisonCount = (req, res) => {
 
 /**
  * Submit a vote for a comparison
+ * Body: { item1Id, item2Id, winnerId, outcome?, userSessionId, comparisonToken }
+ * outcome is 'win' (the default - winnerId required), 'tie' (equally good) or 'unfamiliar' (don't know either)
  */
-const submitVote = (req, res) => {
-  const { item1Id, item2Id, winnerId, userSessionId } = req.body;
+const submitVote = async (req, res) => {
+  const { item1Id, item2Id, userSessionId, comparisonToken } = req.body;
+  const outcome = req.body.outcome || 'win';
+  const winnerId = outcome === 'win' ? req.body.winnerId : null;
+  // Preference strength is optional and only means something when there's a winner
+  const strength = outcome === 'win' ? req.body.strength || null : null;
+  // How long the pair was on screen before the vote, measured by the client (optional)
+  const decisionMs = parseDecisionMs(req.body.decisionMs);
+  
+  if (!VOTE_OUTCOMES.includes(outcome)) {
+    return res.status(400).json({
+      error: 'Invalid outcome',
+      message: `outcome must be one of: ${VOTE_OUTCOMES.join(', ')}`
+    });
+  }
+  
+  if (strength && !VOTE_STRENGTHS[strength]) {
+    return res.status(400).json({
+      error: 'Invalid strength',
+      message: `strength must be one of: ${Object.keys(VOTE_STRENGTHS).join(', ')}`
+    });
+  }
   
-  if (!item1Id || !item2Id || !winnerId) {
+  if (decisionMs === undefined) {
+    return res.status(400).json({
+      error: 'Invalid decisionMs',
+      message: 'decisionMs must be a non-negative number of milliseconds'
+    });
+  }
+  
+  if (!item1Id || !item2Id || (outcome === 'win' && !winnerId)) {
     return res.status(400).json({ error: 'Missing required fields' });
   }
   
-  if (winnerId !== item1Id && winnerId !== item2Id) {
+  if (outcome === 'win' && winnerId !== item1Id && winnerId !== item2Id) {
     return res.status(400).json({ error: 'Winner must be one of the two items' });
   }
   
-  const dbInstance = db.getDb();
+  // Only accept votes for a pair the server actually served, once. The token is used up
+  // in the vote's transaction, so a vote that fails can be retried with it.
+  // The token also says which item was shown on the left
+  const token = verifyComparisonToken(comparisonToken, item1Id, item2Id);
+  if (token.error) {
+    return sendTokenError(res, token.error);
+  }
+  const leftItemId = token.leftItemId;
+  
   const userId = req.userId || null;
   
-  // Get current Elo ratings and confidence (rating_confidence may not exist yet if migration hasn't run)
-  // Try to get both columns, but handle gracefully if rating_confidence doesn't exist
-  dbInstance.get(`
-    SELECT elo_rating, rating_confidence FROM items WHERE id = ?
-  `, [item1Id], (err, item1) => {
-    if (err) {
-      // If rating_confidence column doesn't exist, try without it
-      if (err.message && err.message.includes('rating_confidence')) {
-        return dbInstance.get(`
-    SELECT elo_rating FROM items WHERE id = ?
-  `, [item1Id], (err, item1) => {
-    if (err) {
-            console.error('Error fetching item1:', err);
-            return res.status(500).json({ error: 'Database error' });
-          }
-          item1.rating_confidence = 0;
-          fetchItem2(item1);
-        });
+  // "Don't know either" never touches ratings, so it isn't quarantined
+  if (outcome === 'unfamiliar') {
+    try {
+      const result = await recordUnfamiliar({
+        item1Id,
+        item2Id,
+        decisionMs,
+        leftItemId,
+        userId,
+        userSessionId: userSessionId || null,
+        experimentVariantId: req.experimentVariant?.variantId || null,
+        token
+      });
+      if (!result) {
+        return res.status(404).json({ error: 'Item not found' });
+      }
+      if (result.error) {
+        return sendTokenError(res, result.error);
       }
-      console.error('Error fetching item1:', err);
-      return res.status(500).json({ error: 'Database error' });
+      // Lower familiarity lowers the items' selection weight
+      refreshSelectionItems([item1Id, item2Id]);
+      return res.json({ success: true, outcome });
+    } catch (err) {
+      console.error('Error recording unfamiliar answer:', err);
+      return res.status(500).json({ error: 'Failed to process vote' });
     }
-    
-    if (!item1.rating_confidence) item1.rating_confidence = 0;
-    fetchItem2(item1);
-  });
+  }
   
-  const fetchItem2 = (item1Data) => {
-    dbInstance.get(`
-      SELECT elo_rating, rating_confidence FROM items WHERE id = ?
-    `, [item2Id], (err, item2) => {
-      if (err) {
-        // If rating_confidence column doesn't exist, try without it
-        if (err.message && err.message.includes('rating_confidence')) {
-          return dbInstance.get(`
-      SELECT elo_rating FROM items WHERE id = ?
-    `, [item2Id], (err, item2) => {
-      if (err) {
-              console.error('Error fetching item2:', err);
-              return res.status(500).json({ error: 'Database error' });
-            }
-            item2.rating_confidence = 0;
-            processVote(item1Data, item2);
-          });
-        }
-        console.error('Error fetching item2:', err);
-        return res.status(500).json({ error: 'Database error' });
-      }
-      
-      if (!item2.rating_confidence) item2.rating_confidence = 0;
-      processVote(item1Data, item2).catch(err => {
-        console.error('Error in processVote:', err);
-        return res.status(500).json({ error: 'Failed to process vote' });
+  // How earlier voters answered this pair, for "62% of voters agreed with you"
+  let agreement = null;
+  try {
+    agreement = await getPairAgreement(item1Id, item2Id, winnerId);
+  } catch (err) {
+    console.error('Error fetching pair agreement:', err);
+  }
+  
+  try {
+    // Votes from a user/session flagged by anomaly detection are stored but don't count
+    // until an admin reviews the flag - respond as usual so the voter isn't tipped off
+    const activeFlag = await getActiveFlag(userId, userSessionId);
+    const result = await castVote({
+      item1Id,
+      item2Id,
+      winnerId,
+      strength,
+      decisionMs,
+      leftItemId,
+      userId,
+      userSessionId: userSessionId || null,
+      experimentVariantId: req.experimentVariant?.variantId || null,
+      flagId: activeFlag ? activeFlag.id : null,
+      token
+    });
+    if (!result) {
+      return res.status(404).json({ error: 'Item not found' });
+    }
+    if (result.error) {
+      return sendTokenError(res, result.error);
+    }
+
+    if (activeFlag) {
+      return res.json({
+        success: true,
+        outcome,
+        strength,
+        newRatings: {
+          item1: result.newRating1,
+          item2: result.newRating2
+        },
+        wasUpset: result.wasUpset,
+        agreement,
+        shouldPromptAccount: false
       });
+    }
+
+    refreshSelectionItems([item1Id, item2Id]);
+
+    const response = {
+      success: true,
+      outcome,
+      strength,
+      newRatings: {
+        item1: result.newRating1,
+        item2: result.newRating2
+      },
+      wasUpset: result.wasUpset,
+      agreement,
+      shouldPromptAccount: false
+    };
+
+    // Anonymous voters are nudged to create an account after 10 comparisons
+    if (result.comparisonCount !== null) {
+      response.shouldPromptAccount = result.comparisonCount >= 10;
+      response.comparisonCount = result.comparisonCount;
+    }
+
+    res.json(response);
+  } catch (err) {
+    console.error('Error processing vote:', err);
+    res.status(500).json({ error: 'Failed to process vote' });
+  }
+};
+
+/**
+ * Submit a best-of-N answer: a single pick or a full ranking
+ * POST /api/comparison/group/vote
+ * Body: { itemIds, pick } or { itemIds, ranking: [best, ..., worst] }, plus comparisonToken and userSessionId
+ * The answer is recorded as one grouped submission and rated as the pairwise wins it implies
+ */
+const submitGroupVote = async (req, res) => {
+  const { userSessionId, comparisonToken } = req.body;
+  const toIds = (values) => (Array.isArray(values) ? values.map(value => parseInt(value)) : null);
+  const itemIds = toIds(req.body.itemIds);
+  const ranking = req.body.ranking !== undefined && req.body.ranking !== null
+    ? toIds(req.body.ranking)
+    : req.body.pick !== undefined && req.body.pick !== null ? [parseInt(req.body.pick)] : null;
+
+  if (!itemIds || itemIds.length < MIN_GROUP_SIZE || itemIds.length > MAX_GROUP_SIZE ||
+      itemIds.some(isNaN) || new Set(itemIds).size !== itemIds.length) {
+    return res.status(400).json({
+      error: 'Invalid items',
+      message: `itemIds must list ${MIN_GROUP_SIZE} to ${MAX_GROUP_SIZE} different items`
     });
-  };
-  
-  const processVote = async (item1Data, item2Data) => {
-    // Calculate new Elo ratings with dynamic K-factor based on confidence
-      const item1Won = winnerId === item1Id;
-    const confidence1 = item1Data.rating_confidence || 0;
-    const confidence2 = item2Data.rating_confidence || 0;
-    const { newRating1, newRating2 } = await updateEloRatings(
-      item1Data.elo_rating,
-      item2Data.elo_rating,
-      item1Won,
-      confidence1,
-      confidence2
-    );
+  }
 
-    // Calculate rating difference and detect upsets
-    const ratingDiff = Math.abs(item1Data.elo_rating - item2Data.elo_rating);
-    const winnerRating = item1Won ? item1Data.elo_rating : item2Data.elo_rating;
-    const loserRating = item1Won ? item2Data.elo_rating : item1Data.elo_rating;
-    const upsetThreshold = await settings.getUpsetThreshold();
-    const wasUpset = ratingDiff > upsetThreshold && winnerRating < loserRating;
-    
-    // Insert comparison record with rating_difference and was_upset (include user_id if authenticated)
-    const dbType = db.getDbType();
-    const insertSql = dbType === 'postgres'
-      ? `INSERT INTO comparisons (item1_id, item2_id, winner_id, user_id, user_session_id, rating_difference, was_upset)
-         VALUES ($1, $2, $3, $4, $5, $6, $7)`
-      : `INSERT INTO comparisons (item1_id, item2_id, winner_id, user_id, user_session_id, rating_difference, was_upset)
-         VALUES (?, ?, ?, ?, ?, ?, ?)`;
-    
-    const insertParams = dbType === 'postgres'
-      ? [item1Id, item2Id, winnerId, userId, userSessionId || null, ratingDiff, wasUpset]
-      : [item1Id, item2Id, winnerId, userId, userSessionId || null, ratingDiff, wasUpset ? 1 : 0];
+  if (!ranking || ranking.length === 0) {
+    return res.status(400).json({
+      error: 'Missing required fields',
+      message: 'Send either pick (one item ID) or ranking (every item ID, best first)'
+    });
+  }
 
-    dbInstance.run(insertSql, insertParams, function(err) {
-        if (err) {
-          console.error('Error inserting comparison:', err);
-          return res.status(500).json({ error: 'Failed to record comparison' });
-        }
-        
-        // Update item ratings and stats
-        const updates = [
-          {
-            rating: newRating1,
-            wins: item1Won ? 1 : 0,
-            losses: item1Won ? 0 : 1,
-            id: item1Id
-          },
-          {
-            rating: newRating2,
-            wins: !item1Won ? 1 : 0,
-            losses: !item1Won ? 0 : 1,
-            id: item2Id
-          }
-        ];
-        
-        let completed = 0;
-        const now = new Date().toISOString();
-        
-        // Store wasUpset in response for frontend feedback
-        const responseData = {
-          success: true,
-          newRatings: {
-            item1: newRating1,
-            item2: newRating2
-          },
-          wasUpset: wasUpset
-        };
-        
-        // Update item metrics (peak rating, streaks, upsets) - async, non-blocking
-        const winnerIdFinal = item1Won ? item1Id : item2Id;
-        const loserIdFinal = item1Won ? item2Id : item1Id;
-        updateItemMetricsAfterVote(winnerIdFinal, loserIdFinal, 
-          item1Won ? newRating1 : newRating2, 
-          item1Won ? newRating2 : newRating1, 
-          wasUpset
-        ).catch(err => {
-          console.error('Error updating item metrics:', err);
-        });
-        
-        updates.forEach(update => {
-          // Update item with new rating, stats, and last_compared_at
-          // Build SQL without last_compared_at to avoid errors if column doesn't exist
-          // last_compared_at is handled separately by updateFamiliarityMetrics
-          const updateSql = dbType === 'postgres'
-            ? `UPDATE items
-               SET elo_rating = $1,
-                   comparison_count = comparison_count + 1,
-                   wins = wins + $2,
-                   losses = losses + $3
-               WHERE id = $4`
-            : `UPDATE items
-            SET elo_rating = ?,
-                comparison_count = comparison_count + 1,
-                wins = wins + ?,
-                losses = losses + ?
-               WHERE id = ?`;
-          
-          const updateParams = dbType === 'postgres'
-            ? [update.rating, update.wins, update.losses, update.id]
-            : [update.rating, update.wins, update.losses, update.id];
-          
-          dbInstance.run(updateSql, updateParams, (err) => {
-            if (err) {
-              // Silently ignore "column doesn't exist" errors - migrations haven't run yet
-              if (!err.message || !err.message.includes('no such column')) {
-              console.error('Error updating item:', err);
-              }
-            }
-            completed++;
-            if (completed === 2) {
-              // Update familiarity and rating confidence for both items (async, non-blocking)
-              updateFamiliarityMetrics(db, item1Id, {
-                lastComparedAt: now,
-                familiarityScore: true,
-                ratingConfidence: true
-              }).catch(err => {
-                // Silently ignore "column doesn't exist" errors - migrations haven't run yet
-                if (!err.message || !err.message.includes('no such column')) {
-                  console.error('Error updating familiarity for item1:', err);
-                }
-              });
-              
-              updateFamiliarityMetrics(db, item2Id, {
-                lastComparedAt: now,
-                familiarityScore: true,
-                ratingConfidence: true
-              }).catch(err => {
-                // Silently ignore "column doesn't exist" errors - migrations haven't run yet
-                if (!err.message || !err.message.includes('no such column')) {
-                  console.error('Error updating familiarity for item2:', err);
-                }
-              });
-              // Update user account if authenticated
-              if (userId) {
-                dbInstance.run(`
-                  UPDATE users 
-                  SET comparisons_count = comparisons_count + 1,
-                      last_active = CURRENT_TIMESTAMP
-                  WHERE id = ?
-                `, [userId], () => {});
-                
-                // Update user statistics (upset picks, patterns) - async, non-blocking
-                updateUserStatsInDatabase(userId).catch(err => {
-                  // Silently ignore "column doesn't exist" errors - migrations haven't run yet
-                  if (!err.message || !err.message.includes('no such column')) {
-                    console.error('Error updating user stats:', err);
-                  }
-                });
-              }
-              
-              // Update user session if provided (for anonymous users) and check if should prompt
-              if (userSessionId && !userId) {
-                const dbType = db.getDbType();
-                // PostgreSQL requires table qualification in ON CONFLICT UPDATE
-                const upsertSql = dbType === 'postgres'
-                  ? `INSERT INTO user_sessions (session_id, comparisons_count, last_active)
-                     VALUES ($1, 1, CURRENT_TIMESTAMP)
-                     ON CONFLICT(session_id) DO UPDATE SET
-                       comparisons_count = user_sessions.comparisons_count + 1,
-                       last_active = CURRENT_TIMESTAMP`
-                  : `INSERT INTO user_sessions (session_id, comparisons_count, last_active)
-                     VALUES (?, 1, CURRENT_TIMESTAMP)
-                     ON CONFLICT(session_id) DO UPDATE SET
-                       comparisons_count = comparisons_count + 1,
-                       last_active = CURRENT_TIMESTAMP`;
-                
-                const upsertParams = dbType === 'postgres' ? [userSessionId] : [userSessionId];
-                
-                if (dbType === 'postgres') {
-                  // Use db.query() for PostgreSQL
-                  console.log('[PostgreSQL] Updating user session:', userSessionId);
-                  db.query(upsertSql, upsertParams).then((insertResult) => {
-                    console.log('[PostgreSQL] User session upsert successful, rows:', insertResult.rowCount);
-                    // Get updated count
-                    return db.query('SELECT comparisons_count FROM user_sessions WHERE session_id = $1', [userSessionId]);
-                  }).then(result => {
-                    console.log('[PostgreSQL] Fetched session count:', result.rows[0]);
-                    const comparisonCount = result.rows[0] ? result.rows[0].comparisons_count : 0;
-                    const shouldPromptAccount = comparisonCount >= 10;
-                    
-                    res.json({
-                      ...responseData,
-                      shouldPromptAccount,
-                      comparisonCount
-                    });
-                  }).catch(err => {
-                    console.error('[PostgreSQL] Error updating user session:', err);
-                    console.error('[PostgreSQL] SQL:', upsertSql);
-                    console.error('[PostgreSQL] Params:', upsertParams);
-                    // Continue anyway - don't fail the vote if session update fails
-                    res.json({
-                      ...responseData,
-                      shouldPromptAccount: false
-                    });
-                  });
-                } else {
-                  // Use SQLite callback API
-                  // Note: upsertSql already has correct SQLite syntax for this branch
-                  dbInstance.run(upsertSql, upsertParams, function(err) {
-                    if (err) {
-                      console.error('[SQLite] Error updating user session:', err);
-                      console.error('[SQLite] SQL:', upsertSql);
-                      console.error('[SQLite] Params:', upsertParams);
-                      // Continue anyway - don't fail the vote if session update fails
-                      // Still send response even if session update failed
-                      return res.json({
-                        ...responseData,
-                        shouldPromptAccount: false
-                      });
-                    }
-                    
-                    // Get updated count to determine if we should prompt
-                    dbInstance.get(`
-                      SELECT comparisons_count FROM user_sessions WHERE session_id = ?
-                    `, [userSessionId], (err, row) => {
-                      if (err) {
-                        console.error('[SQLite] Error getting user session count:', err);
-                      }
-                      const comparisonCount = row ? row.comparisons_count : 0;
-                      const shouldPromptAccount = comparisonCount >= 10;
-                      
-                      res.json({
-                        ...responseData,
-                        shouldPromptAccount,
-                        comparisonCount
-                      });
-                    });
-                  });
-                }
-              } else {
-                res.json({
-                  ...responseData,
-                  shouldPromptAccount: false
-                });
-              }
-            }
-          });
-        });
-      });
+  const isPick = ranking.length === 1;
+  if (!ranking.every(id => itemIds.includes(id)) || new Set(ranking).size !== ranking.length ||
+      (!isPick && ranking.length !== itemIds.length)) {
+    return res.status(400).json({
+      error: isPick ? 'Invalid pick' : 'Invalid ranking',
+      message: isPick ? 'The pick must be one of the items' : 'A ranking must list every item exactly once, best first'
+    });
+  }
+
+  const token = verifyGroupToken(comparisonToken, itemIds);
+  if (token.error) {
+    return sendTokenError(res, token.error);
+  }
+
+  const userId = req.userId || null;
+
+  try {
+    // Answers from a flagged user/session are stored quarantined, with the usual response
+    const activeFlag = await getActiveFlag(userId, userSessionId);
+    const result = await castGroupVote({
+      itemIds,
+      ranking,
+      userId,
+      userSessionId: userSessionId || null,
+      experimentVariantId: req.experimentVariant?.variantId || null,
+      flagId: activeFlag ? activeFlag.id : null,
+      token
+    });
+    if (!result) {
+      return res.status(404).json({ error: 'Item not found' });
+    }
+    if (result.error) {
+      return sendTokenError(res, result.error);
+    }
+
+    if (!activeFlag) {
+      refreshSelectionItems(itemIds);
+    }
+
+    const response = {
+      success: true,
+      groupId: result.groupId,
+      answerType: result.answerType,
+      comparisons: result.comparisons.length,
+      ratings: result.ratings,
+      shouldPromptAccount: false
     };
-  };
+
+    // Anonymous voters are nudged to create an account after 10 comparisons
+    if (result.comparisonCount !== null) {
+      response.shouldPromptAccount = result.comparisonCount >= 10;
+      response.comparisonCount = result.comparisonCount;
+    }
+
+    res.json(response);
+  } catch (err) {
+    console.error('Error processing grouped vote:', err);
+    res.status(500).json({ error: 'Failed to process vote' });
+  }
+};
+
+/**
+ * Undo the caller's most recent vote (within the undo window)
+ * POST /api/comparison/undo
+ * Body: { userSessionId? } - logged-in users are identified by their token
+ * Responds with the restored ratings and a fresh comparisonToken so the pair can be voted on again
+ */
+const undoVote = async (req, res) => {
+  try {
+    const result = await undoLastVote({
+      userId: req.userId || null,
+      userSessionId: req.body.userSessionId || null
+    });
+
+    if (result.error) {
+      return res.status(result.error.status).json({
+        error: result.error.error,
+        code: result.error.code,
+        message: result.error.message
+      });
+    }
+
+    const { comparison, group, ratings } = result;
+
+    // A best-of-N submission is undone as a whole and its items can be ranked again
+    if (group) {
+      refreshSelectionItems(group.itemIds);
+      return res.json({
+        success: true,
+        undone: {
+          groupId: group.id,
+          itemIds: group.itemIds
+        },
+        ratings: group.ratings,
+        comparisonToken: await issueGroupToken(group.itemIds)
+      });
+    }
+
+    refreshSelectionItems([comparison.item1_id, comparison.item2_id]);
+    // The pair goes back on screen with the same sides as before
+    const shownOnRight = parseInt(comparison.left_item_id) === parseInt(comparison.item2_id);
+    const comparisonToken = shownOnRight
+      ? await issueComparisonToken(comparison.item2_id, comparison.item1_id)
+      : await issueComparisonToken(comparison.item1_id, comparison.item2_id);
+
+    res.json({
+      success: true,
+      undone: {
+        comparisonId: comparison.id,
+        item1Id: comparison.item1_id,
+        item2Id: comparison.item2_id,
+        winnerId: comparison.winner_id,
+        outcome: comparison.outcome
+      },
+      ratings,
+      comparisonToken
+    });
+  } catch (error) {
+    console.error('Error undoing vote:', error);
+    res.status(500).json({ error: 'Failed to undo vote', message: error.message });
+  }
+};
 
 /**
  * Handle skip comparison - update skip_count and last_compared_at for both items
  */
-const submitSkip = (req, res) => {
-  const { item1Id, item2Id, userSessionId } = req.body;
+const submitSkip = async (req, res) => {
+  const { item1Id, item2Id, userSessionId, comparisonToken } = req.body;
   
   if (!item1Id || !item2Id) {
     return res.status(400).json({ error: 'Missing required fields' });
   }
   
+  // A skip uses up the comparison token just like a vote
+  try {
+    const tokenResult = await redeemComparisonToken(comparisonToken, item1Id, item2Id);
+    if (tokenResult.error) {
+      return sendTokenError(res, tokenResult.error);
+    }
+  } catch (err) {
+    console.error('Error redeeming comparison token:', err);
+    return res.status(500).json({ error: 'Failed to record skip' });
+  }
+  
+  if (req.experimentVariant) {
+    recordExperimentSkip(req.experimentVariant, userSessionId).catch(err => {
+      console.error('Error recording experiment skip:', err);
+    });
+  }
+  
   const dbInstance = db.getDb();
   const dbType = db.getDbType();
   const now = new Date().toISOString();
@@ -1164,27 +1809,30 @@ const submitSkip = (req, res) => {
       if (completed === 2) {
         // Update familiarity metrics for both items (async, non-blocking)
         // Skip reduces engagement factor, so familiarity may decrease slightly
-        updateFamiliarityMetrics(db, item1Id, {
-          lastComparedAt: now,
-          skipCount: true,
-          familiarityScore: true
-        }).catch(err => {
-          // Silently ignore "column doesn't exist" errors - migrations haven't run yet
-          if (!err.message || !err.message.includes('no such column')) {
-            console.error('Error updating familiarity after skip for item1:', err);
-          }
-        });
-        
-        updateFamiliarityMetrics(db, item2Id, {
-          lastComparedAt: now,
-          skipCount: true,
-          familiarityScore: true
-        }).catch(err => {
-          // Silently ignore "column doesn't exist" errors - migrations haven't run yet
-          if (!err.message || !err.message.includes('no such column')) {
-            console.error('Error updating familiarity after skip for item2:', err);
-          }
-        });
+        const familiarityUpdates = [
+          updateFamiliarityMetrics(db, item1Id, {
+            lastComparedAt: now,
+            skipCount: true,
+            familiarityScore: true
+          }).catch(err => {
+            // Silently ignore "column doesn't exist" errors - migrations haven't run yet
+            if (!err.message || !err.message.includes('no such column')) {
+              console.error('Error updating familiarity after skip for item1:', err);
+            }
+          }),
+          updateFamiliarityMetrics(db, item2Id, {
+            lastComparedAt: now,
+            skipCount: true,
+            familiarityScore: true
+          }).catch(err => {
+            // Silently ignore "column doesn't exist" errors - migrations haven't run yet
+            if (!err.message || !err.message.includes('no such column')) {
+              console.error('Error updating familiarity after skip for item2:', err);
+            }
+          })
+        ];
+        // Lower familiarity lowers the items' selection weight
+        Promise.all(familiarityUpdates).then(() => refreshSelectionItems([item1Id, item2Id]));
         
         res.json({
           success: true,
@@ -1256,7 +1904,8 @@ const getSpecificComparison = async (req, res) => {
         });
       }
       
-      res.json({ item1, item2 });
+      const comparisonToken = await issueComparisonToken(item1Id, item2Id);
+      res.json({ item1, item2, comparisonToken });
     } else {
       // SQLite version
       dbInstance.all(`
@@ -1300,7 +1949,12 @@ const getSpecificComparison = async (req, res) => {
           });
         }
         
-        res.json({ item1, item2 });
+        issueComparisonToken(item1Id, item2Id).then(comparisonToken => {
+          res.json({ item1, item2, comparisonToken });
+        }).catch(tokenErr => {
+          console.error('Error issuing comparison token:', tokenErr);
+          res.status(500).json({ error: 'Failed to fetch comparison', message: tokenErr.message });
+        });
       });
     }
   } catch (error) {
@@ -1314,8 +1968,13 @@ const getSpecificComparison = async (req, res) => {
 
 module.exports = {
   getRandomComparison,
+  getComparisonBatch,
+  getComparisonGroup,
+  explainComparison,
   getSpecificComparison,
   getSessionComparisonCount,
   submitVote,
-  submitSkip
+  submitGroupVote,
+  submitSkip,
+  undoVote
 };
@@ -0,0 +1,90 @@
+const {
+  EXPERIMENT_SETTINGS,
+  listExperiments,
+  createExperiment,
+  startExperiment,
+  stopExperiment
+} = require('../utils/experiments');
+
+/**
+ * Send an EXPERIMENT_ERRORS entry
+ */
+const sendExperimentError = (res, experimentError) => {
+  return res.status(experimentError.status).json({
+    error: experimentError.error,
+    code: experimentError.code,
+    message: experimentError.message
+  });
+};
+
+/**
+ * List experiments with per-variant results
+ * GET /api/admin/experiments
+ * Also returns the settings a variant may override
+ */
+const getExperiments = async (req, res) => {
+  try {
+    const experiments = await listExperiments();
+    res.json({ experiments, overridableSettings: Object.keys(EXPERIMENT_SETTINGS) });
+  } catch (error) {
+    console.error('Error fetching experiments:', error);
+    res.status(500).json({ error: 'Failed to fetch experiments', message: error.message });
+  }
+};
+
+/**
+ * Create a draft experiment
+ * POST /api/admin/experiments
+ * Body: { name, description?, variants: [{ name, weight?, overrides: { setting_key: value } }] }
+ */
+const postExperiment = async (req, res) => {
+  try {
+    const result = await createExperiment(req.body || {});
+    if (result.error) {
+      return sendExperimentError(res, result.error);
+    }
+    res.status(201).json({ success: true, experiment: result.experiment });
+  } catch (error) {
+    console.error('Error creating experiment:', error);
+    res.status(500).json({ error: 'Failed to create experiment', message: error.message });
+  }
+};
+
+/**
+ * Build a handler for an experiment action (start, stop)
+ */
+const experimentAction = (action, actionName, successMessage) => async (req, res) => {
+  try {
+    const experimentId = parseInt(req.params.id);
+    if (!experimentId) {
+      return res.status(400).json({ error: 'Invalid experiment ID' });
+    }
+
+    const result = await action(experimentId);
+    if (result.error) {
+      return sendExperimentError(res, result.error);
+    }
+
+    res.json({ success: true, experiment: result.experiment, message: successMessage });
+  } catch (error) {
+    console.error(`Error trying to ${actionName} experiment:`, error);
+    res.status(500).json({ error: `Failed to ${actionName} experiment`, message: error.message });
+  }
+};
+
+/**
+ * POST /api/admin/experiments/:id/start
+ */
+const startExperimentHandler = experimentAction(startExperiment, 'start', 'Experiment started - new sessions are being assigned to variants.');
+
+/**
+ * POST /api/admin/experiments/:id/stop
+ */
+const stopExperimentHandler = experimentAction(stopExperiment, 'stop', 'Experiment stopped - all sessions use the normal settings again.');
+
+module.exports = {
+  getExperiments,
+  postExperiment,
+  startExperiment: startExperimentHandler,
+  stopExperiment: stopExperimentHandler
+};
@@ -0,0 +1,155 @@
+const { queryMany, queryOne } = require('../utils/db-helpers');
+const { FLAG_STATUSES, getFlag, approveFlag, rejectFlag } = require('../utils/vote-quarantine');
+const anomalyDetector = require('../utils/anomaly-detector');
+
+/**
+ * Parse a flag's JSON details column
+ */
+const parseFlag = (flag) => {
+  let details = {};
+  try {
+    details = flag.details ? JSON.parse(flag.details) : {};
+  } catch (err) {
+    details = {};
+  }
+  return {
+    ...flag,
+    reasons: flag.reason ? flag.reason.split(',') : [],
+    details,
+    quarantined_votes: flag.quarantined_votes !== undefined ? parseInt(flag.quarantined_votes) : undefined
+  };
+};
+
+/**
+ * Get flagged users/sessions (admin only)
+ * GET /api/admin/flagged-sessions?status=pending&limit=50&offset=0
+ */
+const getFlaggedSessions = async (req, res) => {
+  try {
+    const status = req.query.status || 'pending';
+    const limit = parseInt(req.query.limit) || 50;
+    const offset = parseInt(req.query.offset) || 0;
+
+    if (!FLAG_STATUSES.includes(status)) {
+      return res.status(400).json({
+        error: 'Invalid status',
+        message: `Status must be one of: ${FLAG_STATUSES.join(', ')}`
+      });
+    }
+
+    const flags = await queryMany(`
+      SELECT f.id, f.user_id, f.user_session_id, f.reason, f.details, f.status,
+             f.flagged_at, f.reviewed_at, u.username,
+             (SELECT COUNT(*) FROM comparisons c WHERE c.flag_id = f.id AND c.quarantined = TRUE) as quarantined_votes
+      FROM flagged_sessions f
+      LEFT JOIN users u ON f.user_id = u.id
+      WHERE f.status = ?
+      ORDER BY f.flagged_at DESC, f.id DESC
+      LIMIT ? OFFSET ?
+    `, [status, limit, offset]);
+
+    const countRow = await queryOne('SELECT COUNT(*) as total FROM flagged_sessions WHERE status = ?', [status]);
+    const total = parseInt(countRow?.total || 0);
+
+    res.json({
+      flags: flags.map(parseFlag),
+      pagination: {
+        total,
+        limit,
+        offset,
+        totalPages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching flagged sessions:', error);
+    res.status(500).json({ error: 'Failed to fetch flagged sessions', message: error.message });
+  }
+};
+
+/**
+ * Approve a flag - its quarantined votes are counted
+ * POST /api/admin/flagged-sessions/:id/approve
+ */
+const approveFlaggedSession = async (req, res) => {
+  try {
+    const flagId = parseInt(req.params.id);
+    if (!flagId) {
+      return res.status(400).json({ error: 'Invalid flag ID' });
+    }
+
+    const flag = await getFlag(flagId);
+    if (!flag) {
+      return res.status(404).json({ error: 'Flag not found' });
+    }
+
+    if (flag.status !== 'pending') {
+      return res.status(400).json({ error: 'Flag has already been reviewed' });
+    }
+
+    const result = await approveFlag(flagId);
+
+    res.json({
+      success: true,
+      flag: parseFlag(result.flag),
+      restoredVotes: result.restoredVotes,
+      message: `Flag approved - ${result.restoredVotes} vote(s) now count toward ratings.`
+    });
+  } catch (error) {
+    console.error('Error approving flagged session:', error);
+    res.status(500).json({ error: 'Failed to approve flag', message: error.message });
+  }
+};
+
+/**
+ * Reject a flag - its quarantined votes stay excluded
+ * POST /api/admin/flagged-sessions/:id/reject
+ */
+const rejectFlaggedSession = async (req, res) => {
+  try {
+    const flagId = parseInt(req.params.id);
+    if (!flagId) {
+      return res.status(400).json({ error: 'Invalid flag ID' });
+    }
+
+    const flag = await getFlag(flagId);
+    if (!flag) {
+      return res.status(404).json({ error: 'Flag not found' });
+    }
+
+    if (flag.status !== 'pending') {
+      return res.status(400).json({ error: 'Flag has already been reviewed' });
+    }
+
+    const result = await rejectFlag(flagId);
+
+    res.json({
+      success: true,
+      flag: parseFlag(result.flag),
+      message: 'Flag rejected - its votes will not count.'
+    });
+  } catch (error) {
+    console.error('Error rejecting flagged session:', error);
+    res.status(500).json({ error: 'Failed to reject flag', message: error.message });
+  }
+};
+
+/**
+ * Run the anomaly check now instead of waiting for the schedule
+ * POST /api/admin/anomaly-check
+ */
+const runAnomalyCheck = async (req, res) => {
+  try {
+    const result = await anomalyDetector.runAnomalyCheck();
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('Error running anomaly check:', error);
+    res.status(500).json({ error: 'Failed to run anomaly check', message: error.message });
+  }
+};
+
+module.exports = {
+  getFlaggedSessions,
+  approveFlaggedSession,
+  rejectFlaggedSession,
+  runAnomalyCheck
+};
@@ -1,4 +1,6 @@
 const db = require('../database');
+const { queryOne } = require('../utils/db-helpers');
+const { refreshSelectionItems } = require('../utils/selection-index');
 
 /**
  * Submit a new item for approval
@@ -322,6 +324,12 @@ const approveItem = async (req, res) => {
       });
     }
 
+    // Make the new item selectable without waiting for the next index rebuild
+    const approvedItem = await queryOne('SELECT id FROM items WHERE title = ?', [submission.title]);
+    if (approvedItem) {
+      refreshSelectionItems([approvedItem.id]);
+    }
+
     res.json({
       success: true,
       message: 'Item approved and added to database'
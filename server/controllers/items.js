@@ -1,5 +1,12 @@
 const db = require('../database');
 const { queryMany, queryOne } = require('../utils/db-helpers');
+const { getCategoryStandings } = require('../utils/category-ratings');
+const { getBradleyTerryRankings, getItemBradleyTerry } = require('../utils/bradley-terry');
+const { BUCKETS, getRatingHistory, getRatingMovers } = require('../utils/rating-history');
+const { attachAverageMargins, getAverageMargin } = require('../utils/vote-strength');
+const { getItemDecisionTime } = require('../utils/decision-time');
+const { OPPONENT_SORTS, getHeadToHead, getItemOpponents, getRivalries } = require('../utils/head-to-head');
+const { getItemControversy, getControversyRankings } = require('../utils/paradoxes');
 
 const getRankings = async (req, res) => {
   try {
@@ -15,6 +22,48 @@ const getRankings = async (req, res) => {
       limit = 10000;
     }
     
+    // Category-specific standings (?category_id=3&rating=category) use the per-category Elo track
+    if (req.query.rating === 'category') {
+      if (!categoryId) {
+        return res.status(400).json({ error: 'category_id is required for category ratings' });
+      }
+      
+      const { standings, total } = await getCategoryStandings(categoryId, { limit, offset, sortOrder });
+      return res.json({
+        rankings: standings,
+        rating: 'category',
+        limit,
+        offset,
+        total
+      });
+    }
+    
+    // Bradley-Terry standings (?sort=bt) come from the latest batch fit and include rank ranges (overall only)
+    if (req.query.sort === 'bt') {
+      const btResult = await getBradleyTerryRankings({ limit, offset, categoryId });
+      return res.json({
+        rankings: btResult.rankings,
+        sort: 'bt',
+        fitted_at: btResult.fittedAt,
+        limit,
+        offset,
+        total: btResult.total
+      });
+    }
+    
+    // Controversy standings (?sort=controversy) come from the latest paradox analysis
+    if (req.query.sort === 'controversy') {
+      const controversyResult = await getControversyRankings({ limit, offset, categoryId });
+      return res.json({
+        rankings: controversyResult.rankings,
+        sort: 'controversy',
+        computed_at: controversyResult.computedAt,
+        limit,
+        offset,
+        total: controversyResult.total
+      });
+    }
+    
     let rankings, total;
     const categoryParams = categoryId ? [categoryId] : [];
     
@@ -85,7 +134,7 @@ const getRankings = async (req, res) => {
       }
       
       return res.json({
-        rankings,
+        rankings: await attachAverageMargins(rankings),
         limit: rankings.length,
         offset: 0,
         total
@@ -176,7 +225,7 @@ const getRankings = async (req, res) => {
     }
     
     res.json({
-      rankings,
+      rankings: await attachAverageMargins(rankings),
       limit,
       offset,
       total
@@ -241,7 +290,7 @@ const getPersonalRankings = async (req, res) => {
         WITH user_comparisons AS (
           SELECT item1_id, item2_id, winner_id
           FROM comparisons
-          WHERE user_id = $1
+          WHERE user_id = $1 AND outcome != 'unfamiliar'
         ),
         item_appearances AS (
           SELECT item1_id as item_id, winner_id
@@ -300,7 +349,7 @@ const getPersonalRankings = async (req, res) => {
           WITH user_comparisons AS (
             SELECT item1_id, item2_id, winner_id
             FROM comparisons
-            WHERE user_id = ?
+            WHERE user_id = ? AND outcome != 'unfamiliar'
           ),
           item_appearances AS (
             SELECT item1_id as item_id, winner_id
@@ -469,6 +518,18 @@ const getItemById = async (req, res) => {
     `, [item.elo_rating]);
     const rank = rankResult ? parseInt(rankResult.rank) : null;
     
+    // Bradley-Terry rank range from the latest batch fit
+    const bradleyTerry = await getItemBradleyTerry(id);
+    
+    // How strongly voters preferred it when it won (votes with a preference strength)
+    const margin = await getAverageMargin(id);
+    
+    // How long voters take to decide on its pairs (outliers left out)
+    const decisionTime = await getItemDecisionTime(id);
+    
+    // Controversy and preference cycles from the latest paradox analysis
+    const controversy = await getItemControversy(id);
+    
     // Calculate win rate
     const winRate = item.comparison_count > 0 
       ? ((item.wins / item.comparison_count) * 100).toFixed(1)
@@ -491,11 +552,12 @@ const getItemById = async (req, res) => {
           WHEN c.item1_id = ? THEN i2.image_url
           ELSE i1.image_url
         END as opponent_image,
-        CASE WHEN c.winner_id = ? THEN 1 ELSE 0 END as won
+        CASE WHEN c.winner_id = ? THEN 1 ELSE 0 END as won,
+        c.outcome
       FROM comparisons c
       LEFT JOIN items i1 ON c.item1_id = i1.id
       LEFT JOIN items i2 ON c.item2_id = i2.id
-      WHERE (c.item1_id = ? OR c.item2_id = ?)
+      WHERE (c.item1_id = ? OR c.item2_id = ?) AND c.outcome != 'unfamiliar'
       ORDER BY c.created_at DESC
       LIMIT 10
     `, [id, id, id, id, id, id]) || [];
@@ -517,11 +579,12 @@ const getItemById = async (req, res) => {
         END as opponent_image,
         COUNT(*) as match_count,
         SUM(CASE WHEN c.winner_id = ? THEN 1 ELSE 0 END) as wins,
-        SUM(CASE WHEN c.winner_id != ? THEN 1 ELSE 0 END) as losses
+        SUM(CASE WHEN c.winner_id != ? THEN 1 ELSE 0 END) as losses,
+        SUM(CASE WHEN c.outcome = 'tie' THEN 1 ELSE 0 END) as ties
       FROM comparisons c
       LEFT JOIN items i1 ON c.item1_id = i1.id
       LEFT JOIN items i2 ON c.item2_id = i2.id
-      WHERE (c.item1_id = ? OR c.item2_id = ?)
+      WHERE (c.item1_id = ? OR c.item2_id = ?) AND c.outcome != 'unfamiliar'
       GROUP BY opponent_id, opponent_title, opponent_image
       ORDER BY match_count DESC
       LIMIT 5
@@ -531,7 +594,23 @@ const getItemById = async (req, res) => {
     const response = {
       ...item,
       rank,
+      bradleyTerry: bradleyTerry ? {
+        score: parseFloat(bradleyTerry.score),
+        scoreLower: parseFloat(bradleyTerry.score_lower),
+        scoreUpper: parseFloat(bradleyTerry.score_upper),
+        rank: parseInt(bradleyTerry.rank),
+        rankLower: parseInt(bradleyTerry.rank_lower),
+        rankUpper: parseInt(bradleyTerry.rank_upper),
+        fittedAt: bradleyTerry.fitted_at
+      } : null,
       winRate: parseFloat(winRate),
+      avgMargin: margin.avg_margin,
+      marginVotes: margin.margin_votes,
+      medianDecisionMs: decisionTime.median_decision_ms,
+      timedVotes: decisionTime.timed_votes,
+      controversyScore: controversy ? parseFloat(controversy.score) : null,
+      controversyVotes: controversy ? parseInt(controversy.votes) : 0,
+      cycleCount: controversy ? parseInt(controversy.cycle_count) : 0,
       recentComparisons: recentComparisons.map(c => ({
         id: c.id,
         createdAt: c.created_at,
@@ -540,7 +619,8 @@ const getItemById = async (req, res) => {
           title: c.opponent_title,
           imageUrl: c.opponent_image
         },
-        won: c.won === true || c.won === 1
+        won: c.won === true || c.won === 1,
+        tie: c.outcome === 'tie'
       })),
       topOpponents: topOpponents.map(o => ({
         id: o.opponent_id,
@@ -548,7 +628,8 @@ const getItemById = async (req, res) => {
         imageUrl: o.opponent_image,
         matchCount: parseInt(o.match_count || 0),
         wins: parseInt(o.wins || 0),
-        losses: parseInt(o.losses || 0)
+        losses: parseInt(o.losses || 0),
+        ties: parseInt(o.ties || 0)
       }))
     };
     
@@ -676,9 +757,30 @@ const getTrendingItems = (req, res) => {
 
 /**
  * Get rising and falling items
- * Items with recent wins (rising) vs recent losses (falling)
+ * Items with the biggest net rating change over the last day (or ?bucket=week) according to
+ * rating_history. Falls back to recent win/loss counts until history has been recorded.
  */
-const getRisingFalling = (req, res) => {
+const getRisingFalling = async (req, res) => {
+  const limit = parseInt(req.query.limit) || 3;
+  const bucket = req.query.bucket === 'week' ? 'week' : 'day';
+  
+  try {
+    const { rising, falling } = await getRatingMovers({ bucket, limit });
+    if (rising.length > 0 || falling.length > 0) {
+      return res.json({ rising, falling, bucket });
+    }
+  } catch (err) {
+    // rating_history may not exist yet if migrations haven't run
+    console.error('Error fetching rating movers, falling back to recent win/loss counts:', err.message);
+  }
+  
+  getRisingFallingFromComparisons(req, res);
+};
+
+/**
+ * Rising/falling fallback based on wins (rising) vs losses (falling) in the last 24 hours
+ */
+const getRisingFallingFromComparisons = (req, res) => {
   const limit = parseInt(req.query.limit) || 3;
   const dbInstance = db.getDb();
   const dbType = db.getDbType();
@@ -844,6 +946,12 @@ const getItemStats = async (req, res) => {
       return res.status(404).json({ error: 'Item not found' });
     }
 
+    const [margin, decisionTime, controversy] = await Promise.all([
+      getAverageMargin(itemId),
+      getItemDecisionTime(itemId),
+      getItemControversy(itemId)
+    ]);
+
     // Calculate trend direction
     let trend = 'stable';
     if (item.rating_change_last_7days) {
@@ -870,6 +978,17 @@ const getItemStats = async (req, res) => {
       longestWinStreak: item.longest_win_streak || 0,
       // Upsets
       upsetWinCount: item.upset_win_count || 0,
+      // Average margin of victory (1 slight - 3 overwhelming) over wins with a preference strength
+      avgMargin: margin.avg_margin,
+      marginVotes: margin.margin_votes,
+      // Decision time on its pairs, outliers left out
+      medianDecisionMs: decisionTime.median_decision_ms,
+      avgDecisionMs: decisionTime.avg_decision_ms,
+      timedVotes: decisionTime.timed_votes,
+      // Controversy from the latest paradox analysis (null until the item has enough votes)
+      controversyScore: controversy ? parseFloat(controversy.score) : null,
+      controversyVotes: controversy ? parseInt(controversy.votes) : 0,
+      cycleCount: controversy ? parseInt(controversy.cycle_count) : 0,
       // Trends
       rating7DaysAgo: item.rating_7days_ago,
       rating30DaysAgo: item.rating_30days_ago,
@@ -886,6 +1005,146 @@ const getItemStats = async (req, res) => {
   }
 };
 
+/**
+ * Get an item's rating history
+ * GET /api/items/:id/history?bucket=day|week|none&days=90
+ */
+const getItemHistory = async (req, res) => {
+  try {
+    const itemId = parseInt(req.params.id);
+    if (!itemId) {
+      return res.status(400).json({ error: 'Invalid item ID' });
+    }
+    
+    const bucketParam = req.query.bucket || 'day';
+    if (bucketParam !== 'none' && !BUCKETS.includes(bucketParam)) {
+      return res.status(400).json({
+        error: 'Invalid bucket',
+        message: `Bucket must be one of: ${[...BUCKETS, 'none'].join(', ')}`
+      });
+    }
+    const bucket = bucketParam === 'none' ? null : bucketParam;
+    const days = req.query.days ? parseInt(req.query.days) : null;
+    if (req.query.days && (!days || days < 1)) {
+      return res.status(400).json({ error: 'Invalid days', message: 'days must be a positive number' });
+    }
+    
+    const item = await queryOne('SELECT id, title, elo_rating FROM items WHERE id = ?', [itemId]);
+    if (!item) {
+      return res.status(404).json({ error: 'Item not found' });
+    }
+    
+    const history = await getRatingHistory(itemId, { bucket, days });
+    
+    res.json({
+      itemId: item.id,
+      title: item.title,
+      currentRating: item.elo_rating,
+      bucket: bucketParam,
+      days,
+      history
+    });
+  } catch (error) {
+    console.error('Error fetching item history:', error);
+    res.status(500).json({ error: 'Failed to fetch item history' });
+  }
+};
+
+/**
+ * Head-to-head history of two items
+ * GET /api/items/:a/vs/:b?bucket=day|week&recent=10
+ * Meetings, each side's wins and ties, the split over time, the most recent meetings and the
+ * win probability predicted from the current ratings, all told from item :a's side
+ */
+const getItemHeadToHead = async (req, res) => {
+  try {
+    const item1Id = parseInt(req.params.a);
+    const item2Id = parseInt(req.params.b);
+    if (!item1Id || !item2Id || item1Id === item2Id) {
+      return res.status(400).json({ error: 'Invalid item IDs', message: 'Two different item IDs are required' });
+    }
+
+    const bucket = req.query.bucket || 'week';
+    if (!BUCKETS.includes(bucket)) {
+      return res.status(400).json({
+        error: 'Invalid bucket',
+        message: `Bucket must be one of: ${BUCKETS.join(', ')}`
+      });
+    }
+    const recent = Math.min(Math.max(parseInt(req.query.recent) || 10, 1), 50);
+
+    const headToHead = await getHeadToHead(item1Id, item2Id, { bucket, recent });
+    if (!headToHead) {
+      return res.status(404).json({ error: 'Item not found' });
+    }
+
+    res.json(headToHead);
+  } catch (error) {
+    console.error('Error fetching head-to-head:', error);
+    res.status(500).json({ error: 'Failed to fetch head-to-head history' });
+  }
+};
+
+/**
+ * Every opponent an item has met: record, ratings at the time and upsets each way
+ * GET /api/items/:id/opponents?sort=meetings|closest|recent&limit=50&offset=0
+ */
+const getItemOpponentBreakdown = async (req, res) => {
+  try {
+    const itemId = parseInt(req.params.id);
+    if (!itemId) {
+      return res.status(400).json({ error: 'Invalid item ID' });
+    }
+
+    const sort = req.query.sort || 'meetings';
+    if (!OPPONENT_SORTS.includes(sort)) {
+      return res.status(400).json({
+        error: 'Invalid sort',
+        message: `sort must be one of: ${OPPONENT_SORTS.join(', ')}`
+      });
+    }
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+    const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+
+    const item = await queryOne('SELECT id, title, elo_rating FROM items WHERE id = ?', [itemId]);
+    if (!item) {
+      return res.status(404).json({ error: 'Item not found' });
+    }
+
+    const { opponents, total } = await getItemOpponents(itemId, { sort, limit, offset });
+    res.json({
+      itemId: item.id,
+      title: item.title,
+      currentRating: item.elo_rating,
+      sort,
+      total,
+      limit,
+      offset,
+      opponents
+    });
+  } catch (error) {
+    console.error('Error fetching item opponents:', error);
+    res.status(500).json({ error: 'Failed to fetch item opponents' });
+  }
+};
+
+/**
+ * The most contested pairs: many meetings and a close split
+ * GET /api/rivalries?limit=20&minMeetings=5
+ */
+const getRivalryList = async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+    const minMeetings = Math.max(parseInt(req.query.minMeetings) || 5, 1);
+
+    const rivalries = await getRivalries({ limit, minMeetings });
+    res.json({ rivalries, minMeetings });
+  } catch (error) {
+    console.error('Error fetching rivalries:', error);
+    res.status(500).json({ error: 'Failed to fetch rivalries' });
+  }
+};
+
 module.exports = {
   getRankings,
   getPersonalRankings,
@@ -893,5 +1152,9 @@ module.exports = {
   getItemById,
   getTrendingItems,
   getRisingFalling,
-  getItemStats
+  getItemStats,
+  getItemHistory,
+  getItemHeadToHead,
+  getItemOpponentBreakdown,
+  getRivalryList
 };
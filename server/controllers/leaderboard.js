@@ -33,7 +33,7 @@ const getRegisteredUserStats = async (userId, dbType, dbInstance) => {
             u.average_rating_difference,
             u.longest_correct_streak,
             (SELECT MAX(rating_difference) FROM comparisons 
-             WHERE user_id = u.id AND was_upset = true) as biggest_upset
+             WHERE user_id = u.id AND was_upset = true AND quarantined = FALSE) as biggest_upset
           FROM users u
           WHERE u.id = $1
         `, [userId])
@@ -53,7 +53,7 @@ const getRegisteredUserStats = async (userId, dbType, dbInstance) => {
               dbInstance.get(`
                 SELECT MAX(rating_difference) as biggest_upset
                 FROM comparisons
-                WHERE user_id = ? AND was_upset = 1
+                WHERE user_id = ? AND was_upset = 1 AND quarantined = FALSE
               `, [userId], (err2, row2) => {
                 resolve2(err2 ? null : (row2?.biggest_upset || null));
               });
@@ -93,8 +93,9 @@ const getRegisteredUserStats = async (userId, dbType, dbInstance) => {
 const calculateStatsFromComparisons = async (userId, sessionId, dbType, dbInstance) => {
   try {
     const whereClause = userId 
-      ? (dbType === 'postgres' ? 'user_id = $1' : 'user_id = ?')
-      : (dbType === 'postgres' ? 'user_session_id = $1' : 'user_session_id = ?');
+      ? (dbType === 'postgres' ? 'user_id = $1 AND quarantined = FALSE' : 'user_id = ? AND quarantined = FALSE')
+      : (dbType === 'postgres' ? 'user_session_id = $1 AND quarantined = FALSE' : 'user_session_id = ? AND quarantined = FALSE');
+    const countedClause = `${whereClause} AND outcome != 'unfamiliar'`;
     const params = userId ? [userId] : [sessionId];
 
     const stats = dbType === 'postgres'
@@ -106,7 +107,7 @@ const calculateStatsFromComparisons = async (userId, sessionId, dbType, dbInstan
             AVG(rating_difference) as avg_diff,
             MAX(CASE WHEN was_upset = true THEN rating_difference ELSE NULL END) as biggest_upset
           FROM comparisons
-          WHERE ${whereClause}
+          WHERE ${countedClause}
         `, params)
       : await new Promise((resolve, reject) => {
           // Check if columns exist first
@@ -134,7 +135,7 @@ const calculateStatsFromComparisons = async (userId, sessionId, dbType, dbInstan
                 AVG(rating_difference) as avg_diff,
                 MAX(CASE WHEN was_upset = 1 THEN rating_difference ELSE NULL END) as biggest_upset
               FROM comparisons
-              WHERE ${whereClause}
+              WHERE ${countedClause}
             `, params, (err2, row) => {
               if (err2) reject(err2);
               else resolve(row || {
@@ -0,0 +1,113 @@
+const {
+  getReplayJob,
+  getLatestReplayJob,
+  startReplayJob,
+  pauseReplayJob,
+  resumeReplayJob,
+  applyReplayJob,
+  cancelReplayJob
+} = require('../utils/rating-replay');
+
+/**
+ * Send a REPLAY_ERRORS entry
+ */
+const sendReplayError = (res, replayError) => {
+  return res.status(replayError.status).json({
+    error: replayError.error,
+    code: replayError.code,
+    message: replayError.message
+  });
+};
+
+/**
+ * Get the latest rating replay job (or a specific one with ?id=)
+ * GET /api/admin/rating-replay
+ */
+const getRatingReplay = async (req, res) => {
+  try {
+    const job = req.query.id
+      ? await getReplayJob(parseInt(req.query.id))
+      : await getLatestReplayJob();
+    res.json({ job });
+  } catch (error) {
+    console.error('Error fetching rating replay:', error);
+    res.status(500).json({ error: 'Failed to fetch rating replay', message: error.message });
+  }
+};
+
+/**
+ * Start recomputing all ratings from the comparisons log
+ * POST /api/admin/rating-replay
+ * Body: { dryRun: true } to preview rank changes before applying; { engine } to override the rating engine
+ */
+const startRatingReplay = async (req, res) => {
+  try {
+    const dryRun = req.body.dryRun !== false;
+    const result = await startReplayJob({ dryRun, engineName: req.body.engine || null });
+    if (result.error) {
+      return sendReplayError(res, result.error);
+    }
+
+    res.status(202).json({
+      success: true,
+      job: result.job,
+      message: dryRun
+        ? 'Dry run started - review the rank changes before applying.'
+        : 'Rating recompute started - results are applied when it finishes.'
+    });
+  } catch (error) {
+    console.error('Error starting rating replay:', error);
+    res.status(500).json({ error: 'Failed to start rating replay', message: error.message });
+  }
+};
+
+/**
+ * Build a handler for a job action (pause, resume, apply, cancel)
+ */
+const jobAction = (action, actionName, successMessage) => async (req, res) => {
+  try {
+    const jobId = parseInt(req.params.id);
+    if (!jobId) {
+      return res.status(400).json({ error: 'Invalid job ID' });
+    }
+
+    const result = await action(jobId);
+    if (result.error) {
+      return sendReplayError(res, result.error);
+    }
+
+    res.json({ success: true, job: result.job, message: successMessage });
+  } catch (error) {
+    console.error(`Error trying to ${actionName} rating replay:`, error);
+    res.status(500).json({ error: `Failed to ${actionName} rating replay`, message: error.message });
+  }
+};
+
+/**
+ * POST /api/admin/rating-replay/:id/pause
+ */
+const pauseRatingReplay = jobAction(pauseReplayJob, 'pause', 'Replay will pause after the current batch.');
+
+/**
+ * POST /api/admin/rating-replay/:id/resume
+ */
+const resumeRatingReplay = jobAction(resumeReplayJob, 'resume', 'Replay resumed from its last checkpoint.');
+
+/**
+ * POST /api/admin/rating-replay/:id/apply
+ */
+const applyRatingReplay = jobAction(applyReplayJob, 'apply', 'Applying recomputed ratings.');
+
+/**
+ * POST /api/admin/rating-replay/:id/cancel
+ */
+const cancelRatingReplay = jobAction(cancelReplayJob, 'cancel', 'Replay discarded - live ratings are unchanged.');
+
+module.exports = {
+  getRatingReplay,
+  startRatingReplay,
+  pauseRatingReplay,
+  resumeRatingReplay,
+  applyRatingReplay,
+  cancelRatingReplay
+};
@@ -1,4 +1,5 @@
 const { count, queryOne } = require('../utils/db-helpers');
+const { getPairDifficulty } = require('../utils/decision-time');
 
 /**
  * Get global statistics
@@ -8,12 +9,12 @@ const getGlobalStats = async (req, res) => {
     // Get multiple stats in parallel using helper functions
     const [totalItems, totalComparisons, totalUsers, todayComparisonsResult] = await Promise.all([
       count('items'),
-      count('comparisons'),
+      count('comparisons', "outcome != 'unfamiliar'"),
       count('user_sessions'),
       queryOne(`
         SELECT COUNT(*) as count 
         FROM comparisons 
-        WHERE DATE(created_at) = CURRENT_DATE
+        WHERE DATE(created_at) = CURRENT_DATE AND outcome != 'unfamiliar'
       `)
     ]);
     
@@ -31,7 +32,25 @@ const getGlobalStats = async (req, res) => {
   }
 };
 
+/**
+ * Get the hardest and easiest pairs
+ * GET /api/stats/pair-difficulty?limit=10&minVotes=3
+ * Hardest: slow, split decisions. Easiest: quick, (nearly) unanimous ones
+ */
+const getPairDifficultyStats = async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 10, 1), 50);
+    const minVotes = Math.max(parseInt(req.query.minVotes) || 3, 1);
+    const result = await getPairDifficulty({ limit, minVotes });
+    res.json({ ...result, minVotes });
+  } catch (err) {
+    console.error('Error fetching pair difficulty:', err);
+    res.status(500).json({ error: 'Failed to fetch pair difficulty' });
+  }
+};
+
 module.exports = {
-  getGlobalStats
+  getGlobalStats,
+  getPairDifficultyStats
 };
 
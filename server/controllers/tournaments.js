@@ -0,0 +1,192 @@
+const {
+  listTournaments,
+  createTournament,
+  advanceTournament,
+  cancelTournament,
+  getTournamentBracket,
+  castTournamentVote
+} = require('../utils/tournaments');
+const { refreshSelectionItems } = require('../utils/selection-index');
+
+/**
+ * Send a TOURNAMENT_ERRORS entry
+ */
+const sendTournamentError = (res, tournamentError) => {
+  return res.status(tournamentError.status).json({
+    error: tournamentError.error,
+    code: tournamentError.code,
+    message: tournamentError.message
+  });
+};
+
+/**
+ * List running and finished tournaments
+ * GET /api/tournaments
+ */
+const getTournaments = async (req, res) => {
+  try {
+    const tournaments = await listTournaments();
+    res.json({ tournaments });
+  } catch (error) {
+    console.error('Error fetching tournaments:', error);
+    res.status(500).json({ error: 'Failed to fetch tournaments', message: error.message });
+  }
+};
+
+/**
+ * A tournament's bracket, with the voter's own picks and a token for each match they can vote in
+ * GET /api/tournaments/:id
+ */
+const getTournament = async (req, res) => {
+  try {
+    const tournamentId = parseInt(req.params.id);
+    if (!tournamentId) {
+      return res.status(400).json({ error: 'Invalid tournament ID' });
+    }
+
+    const bracket = await getTournamentBracket(tournamentId, {
+      userId: req.userId || null,
+      clientIp: req.ip
+    });
+    if (!bracket) {
+      return res.status(404).json({ error: 'Tournament not found' });
+    }
+    res.json(bracket);
+  } catch (error) {
+    console.error('Error fetching tournament:', error);
+    res.status(500).json({ error: 'Failed to fetch tournament', message: error.message });
+  }
+};
+
+/**
+ * Vote in an open tournament match
+ * POST /api/tournaments/:id/matches/:matchId/vote
+ * Body: { winnerId, comparisonToken, userSessionId }
+ */
+const voteInTournament = async (req, res) => {
+  try {
+    const tournamentId = parseInt(req.params.id);
+    const matchId = parseInt(req.params.matchId);
+    const winnerId = parseInt(req.body.winnerId);
+    const userId = req.userId || null;
+    const userSessionId = req.body.userSessionId || null;
+
+    if (!tournamentId || !matchId) {
+      return res.status(400).json({ error: 'Invalid tournament or match ID' });
+    }
+    if (!winnerId) {
+      return res.status(400).json({ error: 'Missing required fields', message: 'winnerId is required' });
+    }
+    if (!userId && !userSessionId) {
+      return res.status(400).json({ error: 'Missing required fields', message: 'userSessionId is required' });
+    }
+
+    const result = await castTournamentVote({
+      tournamentId,
+      matchId,
+      winnerId,
+      token: req.body.comparisonToken,
+      userId,
+      userSessionId,
+      clientIp: req.ip
+    });
+    if (result.error) {
+      return sendTournamentError(res, result.error);
+    }
+
+    if (result.countedTowardElo) {
+      refreshSelectionItems([result.item1Id, result.item2Id]);
+    }
+
+    res.json({
+      success: true,
+      matchId,
+      winnerId,
+      item1Votes: result.item1Votes,
+      item2Votes: result.item2Votes,
+      countedTowardElo: result.countedTowardElo
+    });
+  } catch (error) {
+    console.error('Error voting in tournament:', error);
+    res.status(500).json({ error: 'Failed to process vote', message: error.message });
+  }
+};
+
+/**
+ * List every tournament, cancelled ones included
+ * GET /api/admin/tournaments
+ */
+const getAdminTournaments = async (req, res) => {
+  try {
+    const tournaments = await listTournaments({ includeCancelled: true });
+    res.json({ tournaments });
+  } catch (error) {
+    console.error('Error fetching tournaments:', error);
+    res.status(500).json({ error: 'Failed to fetch tournaments', message: error.message });
+  }
+};
+
+/**
+ * Create a tournament and open its first round
+ * POST /api/admin/tournaments
+ * Body: { name, description?, categoryId and size? | itemIds, roundMinutes?, countsTowardElo? }
+ */
+const postTournament = async (req, res) => {
+  try {
+    const result = await createTournament(req.body || {});
+    if (result.error) {
+      return sendTournamentError(res, result.error);
+    }
+    res.status(201).json({ success: true, tournament: result.tournament });
+  } catch (error) {
+    console.error('Error creating tournament:', error);
+    res.status(500).json({ error: 'Failed to create tournament', message: error.message });
+  }
+};
+
+/**
+ * Build a handler for a tournament action (advance, cancel)
+ */
+const tournamentAction = (action, actionName, successMessage) => async (req, res) => {
+  try {
+    const tournamentId = parseInt(req.params.id);
+    if (!tournamentId) {
+      return res.status(400).json({ error: 'Invalid tournament ID' });
+    }
+
+    const result = await action(tournamentId);
+    if (result.error) {
+      return sendTournamentError(res, result.error);
+    }
+
+    res.json({ success: true, tournament: result.tournament, message: successMessage });
+  } catch (error) {
+    console.error(`Error trying to ${actionName} tournament:`, error);
+    res.status(500).json({ error: `Failed to ${actionName} tournament`, message: error.message });
+  }
+};
+
+/**
+ * Close the current round now instead of waiting for its window to end
+ * POST /api/admin/tournaments/:id/advance
+ */
+const advanceTournamentHandler = tournamentAction(
+  (tournamentId) => advanceTournament(tournamentId, { force: true }),
+  'advance',
+  'Round closed - winners have advanced.'
+);
+
+/**
+ * POST /api/admin/tournaments/:id/cancel
+ */
+const cancelTournamentHandler = tournamentAction(cancelTournament, 'cancel', 'Tournament cancelled.');
+
+module.exports = {
+  getTournaments,
+  getTournament,
+  voteInTournament,
+  getAdminTournaments,
+  postTournament,
+  advanceTournament: advanceTournamentHandler,
+  cancelTournament: cancelTournamentHandler
+};
@@ -1,5 +1,6 @@
 const path = require('path');
 const fs = require('fs');
+const { AsyncLocalStorage } = require('async_hooks');
 
 // Detect database type from environment
 const DATABASE_URL = process.env.DATABASE_URL || process.env.POSTGRES_URL;
@@ -8,6 +9,10 @@ const USE_POSTGRES = !!DATABASE_URL;
 let db = null;
 let dbType = null;
 
+// Set while code runs inside db-helpers' withTransaction: the PostgreSQL client holding the
+// transaction (queries below are routed to it), or `true` for SQLite's single connection
+const transactionContext = new AsyncLocalStorage();
+
 // SQLite setup (for development)
 let sqlite3 = null;
 let DB_PATH = null;
@@ -225,7 +230,7 @@ const createTables = async () => {
           id SERIAL PRIMARY KEY,
           item1_id INTEGER NOT NULL REFERENCES items(id),
           item2_id INTEGER NOT NULL REFERENCES items(id),
-          winner_id INTEGER NOT NULL REFERENCES items(id),
+          winner_id INTEGER REFERENCES items(id), -- NULL for ties and "don't know either" answers
           user_session_id VARCHAR(255),
           user_id INTEGER REFERENCES users(id),
           created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
@@ -451,7 +456,7 @@ const createTables = async () => {
               id INTEGER PRIMARY KEY AUTOINCREMENT,
               item1_id INTEGER NOT NULL,
               item2_id INTEGER NOT NULL,
-              winner_id INTEGER NOT NULL,
+              winner_id INTEGER, -- NULL for ties and "don't know either" answers
               user_session_id TEXT,
               user_id INTEGER REFERENCES users(id),
               created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
@@ -716,6 +721,12 @@ const convertSql = (sql) => {
   }
 };
 
+// PostgreSQL queries go to the current transaction's client if there is one, otherwise the pool
+const getQueryTarget = () => {
+  const transactionClient = transactionContext.getStore();
+  return transactionClient && transactionClient !== true ? transactionClient : db;
+};
+
 // Database wrapper to provide a unified interface
 // For backward compatibility, returns an object that works like SQLite's Database
 const getDb = () => {
@@ -769,7 +780,7 @@ const getDb = () => {
             params = [];
           }
           
-          const queryPromise = db.query(normalizedSql, params);
+          const queryPromise = getQueryTarget().query(normalizedSql, params);
           if (!queryPromise || typeof queryPromise.then !== 'function') {
             throw new Error('db.query did not return a Promise');
           }
@@ -838,7 +849,7 @@ const getDb = () => {
           let queryPromise;
           
           try {
-            queryPromise = db.query(normalizedSql, params);
+            queryPromise = getQueryTarget().query(normalizedSql, params);
           } catch (queryErr) {
             // db.query() threw synchronously (shouldn't happen, but catch it)
             if (callback) return callback(queryErr);
@@ -910,7 +921,7 @@ const getDb = () => {
           let queryPromise;
           
           try {
-            queryPromise = db.query(normalizedSql, params);
+            queryPromise = getQueryTarget().query(normalizedSql, params);
           } catch (queryErr) {
             // db.query() threw synchronously (shouldn't happen, but catch it)
             if (callback) return callback(queryErr);
@@ -975,7 +986,7 @@ const getDbType = () => {
 // Helper to run queries (abstracts SQLite vs PostgreSQL differences)
 const query = (sql, params = []) => {
   if (USE_POSTGRES) {
-    return db.query(sql, params);
+    return getQueryTarget().query(sql, params);
   } else {
     return new Promise((resolve, reject) => {
       db.all(sql, params, (err, rows) => {
@@ -989,7 +1000,7 @@ const query = (sql, params = []) => {
 // Helper to run single query (returns single row)
 const queryOne = async (sql, params = []) => {
   if (USE_POSTGRES) {
-    const result = await db.query(sql, params);
+    const result = await getQueryTarget().query(sql, params);
     return result.rows[0] || null;
   } else {
     return new Promise((resolve, reject) => {
@@ -1004,7 +1015,7 @@ const queryOne = async (sql, params = []) => {
 // Helper to run insert/update/delete (returns changes/rows)
 const run = (sql, params = []) => {
   if (USE_POSTGRES) {
-    return db.query(sql, params);
+    return getQueryTarget().query(sql, params);
   } else {
     return new Promise((resolve, reject) => {
       db.run(sql, params, function(err) {
@@ -1061,6 +1072,14 @@ const insertOrIgnore = (table, columns, values) => {
   }
 };
 
+// Check out a dedicated PostgreSQL client (for transactions - caller must release it)
+const connect = () => {
+  if (!USE_POSTGRES) {
+    throw new Error('connect() is only available for PostgreSQL');
+  }
+  return db.connect();
+};
+
 const close = async () => {
   if (USE_POSTGRES) {
     await db.end();
@@ -1087,5 +1106,7 @@ module.exports = {
   run,
   serialize,
   insertOrIgnore,
+  connect,
+  transactionContext,
   close
 };
@@ -9,11 +9,22 @@ const apiRoutes = require('./routes');
 const scheduler = require('./utils/scheduler');
 const { runMigrations } = require('./utils/db-migration');
 const { autoSeedIfEmpty } = require('./utils/auto-seed');
+const { resumeInterruptedReplayJobs } = require('./utils/rating-replay');
 
 const app = express();
 // Railway sets PORT automatically, fallback to 3001 for local dev
 const PORT = process.env.PORT || 3001;
 
+// Behind a proxy (e.g. Railway) set TRUST_PROXY so req.ip is the client's address (used by rate limiting):
+// a number of proxy hops, "true", or a list of proxy addresses. Off by default - otherwise any client
+// could pick its own req.ip with an X-Forwarded-For header
+const parseTrustProxy = (value) => {
+  if (!value || value === 'false') return false;
+  if (value === 'true') return true;
+  return /^\d+$/.test(value) ? parseInt(value) : value;
+};
+app.set('trust proxy', parseTrustProxy(process.env.TRUST_PROXY));
+
 // Middleware
 app.use(cors());
 app.use(express.json());
@@ -87,6 +98,29 @@ const initializeWithRetry = async (maxRetries = 10, delay = 10000) => {
         
         // Start the scheduler to grow the database over time
         scheduler.startScheduler();
+        
+        // Start the background job that flags suspicious voting
+        scheduler.startAnomalyDetection();
+        
+        // Refit Bradley-Terry rankings periodically
+        scheduler.startBradleyTerryFits();
+        
+        // Keep the in-memory selection weight index fresh
+        scheduler.startSelectionIndexRebuilds();
+        
+        // Recompute content similarity clusters for diversity filtering
+        scheduler.startSimilarityClusterRebuilds();
+        
+        // Look for preference cycles and score item controversy periodically
+        scheduler.startParadoxAnalyses();
+        
+        // Close tournament rounds when their voting window ends
+        scheduler.startTournamentChecks();
+        
+        // Continue any rating replay the last shutdown interrupted
+        resumeInterruptedReplayJobs().catch(err => {
+          console.error('Error resuming rating replay jobs (non-fatal):', err);
+        });
       });
       
       return; // Success, exit the retry loop
@@ -12,10 +12,16 @@ const bulkImportController = require('../controllers/bulk-import');
 const categoriesController = require('../controllers/categories');
 const photoSubmissionsController = require('../controllers/photo-submissions');
 const itemSubmissionsController = require('../controllers/item-submissions');
+const flaggedSessionsController = require('../controllers/flagged-sessions');
+const ratingReplayController = require('../controllers/rating-replay');
+const experimentsController = require('../controllers/experiments');
+const tournamentsController = require('../controllers/tournaments');
 const bulkLookupController = require('../controllers/bulk-lookup');
 const llmQueryController = require('../controllers/llm-query');
 const { adminAuth, adminLogin } = require('../utils/admin-auth');
 const { authenticate, optionalAuthenticate } = require('../utils/auth');
+const { voteRateLimiter, skipRateLimiter, commentRateLimiter, submissionRateLimiter } = require('../utils/rate-limiter');
+const { applyExperimentVariant } = require('../utils/experiments');
 const multer = require('multer');
 
 // Configure multer for file uploads (memory storage for Excel/CSV files)
@@ -41,11 +47,15 @@ const upload = multer({
 });
 
 // Comparisons
-router.get('/comparison', optionalAuthenticate, comparisonsController.getRandomComparison);
+router.get('/comparison', optionalAuthenticate, applyExperimentVariant, comparisonsController.getRandomComparison);
+router.get('/comparison/batch', optionalAuthenticate, applyExperimentVariant, comparisonsController.getComparisonBatch);
+router.get('/comparison/group', optionalAuthenticate, applyExperimentVariant, comparisonsController.getComparisonGroup);
 router.get('/comparison/specific', optionalAuthenticate, comparisonsController.getSpecificComparison);
 router.get('/comparison/count', comparisonsController.getSessionComparisonCount);
-router.post('/comparison/vote', optionalAuthenticate, comparisonsController.submitVote);
-router.post('/comparison/skip', optionalAuthenticate, comparisonsController.submitSkip);
+router.post('/comparison/vote', optionalAuthenticate, voteRateLimiter, applyExperimentVariant, comparisonsController.submitVote);
+router.post('/comparison/group/vote', optionalAuthenticate, voteRateLimiter, applyExperimentVariant, comparisonsController.submitGroupVote);
+router.post('/comparison/skip', optionalAuthenticate, skipRateLimiter, applyExperimentVariant, comparisonsController.submitSkip);
+router.post('/comparison/undo', optionalAuthenticate, comparisonsController.undoVote);
 
 // Categories
 router.get('/categories', categoriesController.getCategories);
@@ -58,6 +68,10 @@ router.get('/items/trending', itemsController.getTrendingItems);
 router.get('/items/rising-falling', itemsController.getRisingFalling);
 router.get('/items/search', itemsController.searchItem);
 router.get('/items/:id/stats', itemsController.getItemStats);
+router.get('/items/:id/history', itemsController.getItemHistory);
+router.get('/items/:id/opponents', itemsController.getItemOpponentBreakdown);
+router.get('/items/:a/vs/:b', itemsController.getItemHeadToHead);
+router.get('/rivalries', itemsController.getRivalryList);
 router.get('/items/:id', itemsController.getItemById);
 
 // Leaderboard
@@ -71,10 +85,11 @@ router.get('/auth/stats', authenticate, authController.getUserStats);
 
 // Stats
 router.get('/stats', statsController.getGlobalStats);
+router.get('/stats/pair-difficulty', statsController.getPairDifficultyStats);
 
 // Comments
 router.get('/items/:itemId/comments', commentsController.getComments);
-router.post('/items/:itemId/comments', optionalAuthenticate, commentsController.createComment);
+router.post('/items/:itemId/comments', optionalAuthenticate, commentRateLimiter, commentsController.createComment);
 router.delete('/comments/:commentId', authenticate, commentsController.deleteComment);
 
 // Collections (Favorites)
@@ -83,11 +98,16 @@ router.post('/collections/:comparisonId', authenticate, collectionsController.ad
 router.delete('/collections/:comparisonId', authenticate, collectionsController.removeFromCollection);
 router.get('/collections/check/:comparisonId', optionalAuthenticate, collectionsController.checkInCollection);
 
+// Tournaments
+router.get('/tournaments', tournamentsController.getTournaments);
+router.get('/tournaments/:id', optionalAuthenticate, tournamentsController.getTournament);
+router.post('/tournaments/:id/matches/:matchId/vote', optionalAuthenticate, voteRateLimiter, tournamentsController.voteInTournament);
+
 // Photo Submissions
-router.post('/photo-submissions', optionalAuthenticate, photoSubmissionsController.submitPhoto);
+router.post('/photo-submissions', optionalAuthenticate, submissionRateLimiter, photoSubmissionsController.submitPhoto);
 
 // Item Submissions
-router.post('/item-submissions', optionalAuthenticate, itemSubmissionsController.submitItem);
+router.post('/item-submissions', optionalAuthenticate, submissionRateLimiter, itemSubmissionsController.submitItem);
 
 // Admin endpoints
 router.post('/admin/login', adminLogin);
@@ -98,11 +118,17 @@ router.post('/admin/seed-top2000', adminAuth, adminController.triggerSeedTop2000
 router.post('/admin/seed-popular-culture', adminAuth, adminController.triggerSeedPopularCulture);
 router.post('/admin/update-images', adminAuth, adminController.triggerUpdateImages);
 router.post('/admin/assign-categories', adminAuth, adminController.triggerAssignCategories);
+router.post('/admin/bradley-terry-fit', adminAuth, adminController.triggerBradleyTerryFit);
+router.post('/admin/similarity-clusters', adminAuth, adminController.triggerSimilarityClusters);
 router.get('/admin/items', adminAuth, adminController.getAdminItems);
 router.post('/admin/items', adminAuth, adminController.createItem);
 router.put('/admin/items/:id', adminAuth, adminController.updateItem);
 router.delete('/admin/items/:id', adminAuth, adminController.deleteItem);
 router.get('/admin/stats', adminAuth, adminController.getAdminStats);
+router.get('/admin/position-bias', adminAuth, adminController.getPositionBias);
+router.get('/admin/paradoxes', adminAuth, adminController.getParadoxes);
+router.post('/admin/paradox-analysis', adminAuth, adminController.triggerParadoxAnalysis);
+router.get('/admin/comparison/explain', adminAuth, comparisonsController.explainComparison);
 router.get('/admin/settings', adminAuth, adminController.getSettings);
 router.put('/admin/settings', adminAuth, adminController.updateSettings);
 router.post('/admin/bulk-lookup', adminAuth, upload.single('file'), bulkLookupController.bulkLookup);
@@ -124,6 +150,24 @@ router.post('/admin/photo-submissions/:id/reject', adminAuth, photoSubmissionsCo
 router.get('/admin/item-submissions', adminAuth, itemSubmissionsController.getItemSubmissions);
 router.post('/admin/item-submissions/:id/approve', adminAuth, itemSubmissionsController.approveItem);
 router.post('/admin/item-submissions/:id/reject', adminAuth, itemSubmissionsController.rejectItem);
+router.get('/admin/flagged-sessions', adminAuth, flaggedSessionsController.getFlaggedSessions);
+router.post('/admin/flagged-sessions/:id/approve', adminAuth, flaggedSessionsController.approveFlaggedSession);
+router.post('/admin/flagged-sessions/:id/reject', adminAuth, flaggedSessionsController.rejectFlaggedSession);
+router.post('/admin/anomaly-check', adminAuth, flaggedSessionsController.runAnomalyCheck);
+router.get('/admin/rating-replay', adminAuth, ratingReplayController.getRatingReplay);
+router.post('/admin/rating-replay', adminAuth, ratingReplayController.startRatingReplay);
+router.post('/admin/rating-replay/:id/pause', adminAuth, ratingReplayController.pauseRatingReplay);
+router.post('/admin/rating-replay/:id/resume', adminAuth, ratingReplayController.resumeRatingReplay);
+router.post('/admin/rating-replay/:id/apply', adminAuth, ratingReplayController.applyRatingReplay);
+router.post('/admin/rating-replay/:id/cancel', adminAuth, ratingReplayController.cancelRatingReplay);
+router.get('/admin/experiments', adminAuth, experimentsController.getExperiments);
+router.post('/admin/experiments', adminAuth, experimentsController.postExperiment);
+router.post('/admin/experiments/:id/start', adminAuth, experimentsController.startExperiment);
+router.post('/admin/experiments/:id/stop', adminAuth, experimentsController.stopExperiment);
+router.get('/admin/tournaments', adminAuth, tournamentsController.getAdminTournaments);
+router.post('/admin/tournaments', adminAuth, tournamentsController.postTournament);
+router.post('/admin/tournaments/:id/advance', adminAuth, tournamentsController.advanceTournament);
+router.post('/admin/tournaments/:id/cancel', adminAuth, tournamentsController.cancelTournament);
 
 // Health check
 router.get('/health', (req, res) => {
@@ -0,0 +1,56 @@
+/**
+ * Script to recompute every item's rating from the comparisons history
+ * Uses the rating engine from settings, or switches to the given engine first
+ * Usage: node server/scripts/replay-ratings.js [elo|glicko2]
+ */
+
+require('dotenv').config();
+const db = require('../database');
+const { runMigrations } = require('../utils/db-migration');
+const { execute } = require('../utils/db-helpers');
+const { RATING_ENGINES } = require('../utils/rating-engine');
+const { replayRatings } = require('../utils/rating-replay');
+const settings = require('../utils/settings');
+
+async function replay(engineName) {
+  if (engineName && !RATING_ENGINES.includes(engineName)) {
+    throw new Error(`Unknown rating engine "${engineName}" - use one of: ${RATING_ENGINES.join(', ')}`);
+  }
+
+  await db.init();
+  await runMigrations();
+
+  if (engineName) {
+    // New votes must use the same engine the ratings were replayed with
+    await execute(`
+      UPDATE settings SET value = ?, updated_at = CURRENT_TIMESTAMP WHERE key = 'rating_engine'
+    `, [engineName]);
+    settings.invalidateSettingsCache();
+  }
+
+  const engine = await settings.getRatingEngine();
+  console.log(`\n🔁 Replaying votes with the ${engine} rating engine...\n`);
+
+  const result = await replayRatings({
+    engineName: engine,
+    onProgress: (done, total) => console.log(`   ${done}/${total} comparisons replayed`)
+  });
+
+  const summary = result.rank_changes ? result.rank_changes.summary : null;
+  console.log(`\n✅ Replayed ${result.processed_comparisons} comparisons (job ${result.id})`);
+  if (summary) {
+    console.log(`   ${summary.items_moved} of ${summary.items} items changed rank\n`);
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  replay(process.argv[2]).catch(err => {
+    console.error('\n❌ Fatal error:', err);
+    process.exit(1);
+  }).then(() => {
+    process.exit(0);
+  });
+}
+
+module.exports = { replay };
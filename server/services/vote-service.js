@@ -0,0 +1,365 @@
+// Vote service
+// Applies a vote in one transaction: the comparison row, both items' Elo ratings and counts,
+// rating history, the per-category track, item metrics (peak, streaks, trends), familiarity,
+// the undo snapshot and the voter's comparison count either all land or none do.
+// Both item rows are locked first, so two votes on the same item can't overwrite each other's rating.
+// A vote's outcome (comparisons.outcome) is one of VOTE_OUTCOMES:
+// - win: winner_id is the item picked
+// - tie: no winner; rated as a draw (half a point each)
+// - unfamiliar: the voter knows neither item; stored with no winner, leaves ratings alone and
+//   lowers both items' familiarity instead
+// A win can also carry a preference strength (comparisons.strength, see vote-strength) that
+// scales the rating update. Votes record the client-measured decision time (comparisons.decision_ms,
+// see decision-time) as sent, and the item shown on the left (comparisons.left_item_id), which
+// position bias correction can use to discount the vote (see position-bias).
+// A best-of-N answer (castGroupVote) is split into the pairwise wins it implies, which are applied
+// one after another in a single transaction and linked to one comparison_groups row.
+// The comparison token a vote presents is marked used in the vote's transaction, so a vote that
+// fails leaves its token unused.
+
+const db = require('../database');
+const { queryOne, execute, insertAndReturn, withTransaction, lockRows } = require('../utils/db-helpers');
+const { getRatingEngine, scoreForItem1, resultsForScore, stateFromRow } = require('../utils/rating-engine');
+const { updateFamiliarityMetrics } = require('../utils/familiarity-calculator');
+const { updateItemMetricsAfterVote } = require('../utils/item-metrics-updater');
+const { updateCategoryRatingsAfterVote } = require('../utils/category-ratings');
+const { recordRatingChange } = require('../utils/rating-history');
+const { captureVoteSnapshot, saveVoteSnapshot } = require('../utils/vote-undo');
+const { recordQuarantinedVote, lockPendingFlag } = require('../utils/vote-quarantine');
+const { markTokenUsed } = require('../utils/comparison-tokens');
+const { positionCorrectionFor } = require('../utils/position-bias');
+const { refreshVoterStats } = require('../utils/user-stats-calculator');
+const settings = require('../utils/settings');
+
+const VOTE_OUTCOMES = ['win', 'tie', 'unfamiliar'];
+// Items served together in a best-of-N comparison
+const MIN_GROUP_SIZE = 3;
+const MAX_GROUP_SIZE = 6;
+
+/**
+ * Apply the new rating state and win/loss to an item
+ * @param {boolean|null} won - true for a win, false for a loss, null for a tie
+ */
+const applyItemResult = async (itemId, state, won) => {
+  await execute(`
+    UPDATE items
+    SET elo_rating = ?,
+        rating_deviation = ?,
+        rating_volatility = ?,
+        comparison_count = comparison_count + 1,
+        wins = wins + ?,
+        losses = losses + ?
+    WHERE id = ?
+  `, [state.rating, state.deviation, state.volatility, won === true ? 1 : 0, won === false ? 1 : 0, itemId]);
+};
+
+/**
+ * Count the vote for the user account or anonymous session
+ * @returns {Promise<number|null>} The session's comparison count (anonymous voters only)
+ */
+const countVoterComparison = async (userId, userSessionId) => {
+  if (userId) {
+    await execute(`
+      UPDATE users
+      SET comparisons_count = comparisons_count + 1,
+          last_active = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `, [userId]);
+    return null;
+  }
+
+  if (!userSessionId) return null;
+
+  await execute(`
+    INSERT INTO user_sessions (session_id, comparisons_count, last_active)
+    VALUES (?, 1, CURRENT_TIMESTAMP)
+    ON CONFLICT (session_id) DO UPDATE SET
+      comparisons_count = user_sessions.comparisons_count + 1,
+      last_active = CURRENT_TIMESTAMP
+  `, [userSessionId]);
+
+  const session = await queryOne('SELECT comparisons_count FROM user_sessions WHERE session_id = ?', [userSessionId]);
+  return session ? parseInt(session.comparisons_count) || 0 : 0;
+};
+
+/**
+ * Apply a vote to every rating it affects
+ * Must be called inside withTransaction
+ * @param {Object} vote - { item1Id, item2Id, winnerId (null for a tie), strength, decisionMs, leftItemId, userId, userSessionId, experimentVariantId, groupId, countVoter }
+ *   countVoter: false when the caller counts the voter's comparison itself (a best-of-N answer counts once)
+ * @returns {Promise<Object|null>} { comparisonId, newRating1, newRating2, wasUpset, comparisonCount },
+ *   or null if either item doesn't exist
+ */
+const applyVote = async ({ item1Id, item2Id, winnerId = null, strength = null, decisionMs = null, leftItemId = null, userId = null, userSessionId = null, experimentVariantId = null, groupId = null, countVoter = true }) => {
+  const dbType = db.getDbType();
+
+  // Lock both items - ratings are read and written under the lock
+  const items = await lockRows('items', [item1Id, item2Id], 'id, elo_rating, rating_deviation, rating_volatility, rating_confidence');
+  const item1 = items.find(item => parseInt(item.id) === parseInt(item1Id));
+  const item2 = items.find(item => parseInt(item.id) === parseInt(item2Id));
+  if (!item1 || !item2) return null;
+
+  const before1 = stateFromRow(item1);
+  const before2 = stateFromRow(item2);
+  const rating1 = before1.rating;
+  const rating2 = before2.rating;
+
+  // Calculate new ratings with the active rating engine (Elo or Glicko-2)
+  const isTie = winnerId === null;
+  const item1Score = scoreForItem1(winnerId, item1Id);
+  const [won1, won2] = resultsForScore(item1Score);
+  const item1Won = item1Score === 1;
+  const engine = await getRatingEngine();
+  const positionCorrection = await positionCorrectionFor({ winnerId, leftItemId, userId, userSessionId });
+  const { state1, state2 } = await engine.rateMatch(before1, before2, item1Score, strength, positionCorrection);
+  const newRating1 = state1.rating;
+  const newRating2 = state2.rating;
+
+  // Calculate rating difference and detect upsets (a tie is never an upset)
+  const ratingDiff = Math.abs(rating1 - rating2);
+  const winnerRating = item1Won ? rating1 : rating2;
+  const loserRating = item1Won ? rating2 : rating1;
+  const wasUpset = !isTie && ratingDiff > await settings.getUpsetThreshold() && winnerRating < loserRating;
+
+  // Save both items' state before the vote so it can be undone
+  const snapshot = await captureVoteSnapshot(item1Id, item2Id);
+
+  const comparison = await insertAndReturn('comparisons', {
+    item1_id: item1Id,
+    item2_id: item2Id,
+    winner_id: winnerId,
+    outcome: isTie ? 'tie' : 'win',
+    strength,
+    decision_ms: decisionMs,
+    left_item_id: leftItemId,
+    position_correction: positionCorrection !== 1 ? positionCorrection : null,
+    user_id: userId,
+    user_session_id: userSessionId,
+    rating_difference: ratingDiff,
+    was_upset: dbType === 'postgres' ? wasUpset : (wasUpset ? 1 : 0),
+    experiment_variant_id: experimentVariantId,
+    group_id: groupId
+  }, 'id');
+  const comparisonId = comparison.id;
+
+  await applyItemResult(item1Id, state1, won1);
+  await applyItemResult(item2Id, state2, won2);
+
+  await recordRatingChange({
+    itemId: item1Id,
+    comparisonId,
+    opponentId: item2Id,
+    ratingBefore: rating1,
+    ratingAfter: newRating1,
+    won: won1
+  });
+  await recordRatingChange({
+    itemId: item2Id,
+    comparisonId,
+    opponentId: item1Id,
+    ratingBefore: rating2,
+    ratingAfter: newRating2,
+    won: won2
+  });
+
+  // Category rows are only written by votes on these items, which wait on the item locks
+  await updateCategoryRatingsAfterVote(item1Id, item2Id, winnerId, strength, positionCorrection);
+
+  // Peak rating, streaks, upsets and rating trends (reads the rating history written above)
+  await updateItemMetricsAfterVote(
+    item1Won ? item1Id : item2Id,
+    item1Won ? item2Id : item1Id,
+    item1Won ? newRating1 : newRating2,
+    item1Won ? newRating2 : newRating1,
+    wasUpset,
+    isTie
+  );
+
+  const now = new Date().toISOString();
+  for (const itemId of [item1Id, item2Id]) {
+    await updateFamiliarityMetrics(db, itemId, {
+      lastComparedAt: now,
+      familiarityScore: true,
+      ratingConfidence: true
+    });
+  }
+
+  if (snapshot) {
+    await saveVoteSnapshot(comparisonId, snapshot);
+  }
+
+  const comparisonCount = countVoter ? await countVoterComparison(userId, userSessionId) : null;
+
+  return { comparisonId, newRating1, newRating2, wasUpset, comparisonCount };
+};
+
+/**
+ * Mark the vote's comparison token used, if it presented one
+ * Must be called inside the vote's transaction
+ * @returns {Promise<Object>} {} or { error: TOKEN_ERRORS.USED }
+ */
+const useVoteToken = async (token) => (token ? markTokenUsed(token) : {});
+
+/**
+ * Record a vote and apply it to every rating it affects, atomically
+ * With a flagId (the voter is flagged) the vote is stored quarantined instead, unless the flag
+ * was approved since it was looked up.
+ * @param {Object} vote - { item1Id, item2Id, winnerId (null for a tie), strength, decisionMs, leftItemId, userId, userSessionId,
+ *   experimentVariantId, flagId, token (a verified comparison token) }
+ * @returns {Promise<Object|null>} { comparisonId, newRating1, newRating2, wasUpset, comparisonCount },
+ *   { error } with TOKEN_ERRORS.USED, or null if either item doesn't exist
+ */
+const castVote = async ({ token = null, flagId = null, ...vote }) => {
+  let quarantined = false;
+  const result = await withTransaction(async () => {
+    const tokenUse = await useVoteToken(token);
+    if (tokenUse.error) return tokenUse;
+
+    quarantined = !!flagId && await lockPendingFlag(flagId);
+    return quarantined
+      ? recordQuarantinedVote({ ...vote, flagId })
+      : applyVote(vote);
+  });
+  if (result && !result.error && !quarantined) {
+    refreshVoterStats(vote.userId);
+  }
+  return result;
+};
+
+/**
+ * Record that the voter doesn't know either item
+ * Stored as an 'unfamiliar' comparison so the pair counts as seen, but ratings, wins/losses and the
+ * voter's comparison count are untouched. Both items' unfamiliar_count goes up, which lowers their
+ * familiarity_score (and so how often they're picked). An undo snapshot is saved like for a vote.
+ * @param {Object} answer - { item1Id, item2Id, decisionMs, leftItemId, userId, userSessionId, experimentVariantId, token }
+ * @returns {Promise<Object|null>} { comparisonId }, { error } with TOKEN_ERRORS.USED, or null if either item doesn't exist
+ */
+const recordUnfamiliar = async ({ item1Id, item2Id, decisionMs = null, leftItemId = null, userId = null, userSessionId = null, experimentVariantId = null, token = null }) => {
+  return withTransaction(async () => {
+    const tokenUse = await useVoteToken(token);
+    if (tokenUse.error) return tokenUse;
+
+    const items = await lockRows('items', [item1Id, item2Id], 'id');
+    if (items.length !== 2) return null;
+
+    const snapshot = await captureVoteSnapshot(item1Id, item2Id);
+
+    const comparison = await insertAndReturn('comparisons', {
+      item1_id: item1Id,
+      item2_id: item2Id,
+      winner_id: null,
+      outcome: 'unfamiliar',
+      decision_ms: decisionMs,
+      left_item_id: leftItemId,
+      user_id: userId,
+      user_session_id: userSessionId,
+      experiment_variant_id: experimentVariantId
+    }, 'id');
+
+    const now = new Date().toISOString();
+    for (const itemId of [item1Id, item2Id]) {
+      await execute('UPDATE items SET unfamiliar_count = COALESCE(unfamiliar_count, 0) + 1 WHERE id = ?', [itemId]);
+      await updateFamiliarityMetrics(db, itemId, {
+        lastComparedAt: now,
+        familiarityScore: true
+      });
+    }
+
+    if (snapshot) {
+      await saveVoteSnapshot(comparison.id, snapshot);
+    }
+
+    return { comparisonId: comparison.id };
+  });
+};
+
+/**
+ * Pairwise wins implied by a best-of-N answer
+ * Each ranked item beats every item ranked below it and every unranked item, so a single pick
+ * beats the rest and a full ranking implies every pair. Pairs keep the order the items were shown in.
+ * @param {Array} itemIds - Items in the order they were served
+ * @param {Array} ranking - Item IDs best first (one ID for a single pick)
+ * @returns {Array} [{ item1Id, item2Id, winnerId }]
+ */
+const decomposeGroupAnswer = (itemIds, ranking) => {
+  const unranked = itemIds.filter(id => !ranking.includes(id));
+  const pairs = [];
+  ranking.forEach((winnerId, index) => {
+    [...ranking.slice(index + 1), ...unranked].forEach(loserId => {
+      const [item1Id, item2Id] = itemIds.indexOf(winnerId) < itemIds.indexOf(loserId)
+        ? [winnerId, loserId]
+        : [loserId, winnerId];
+      pairs.push({ item1Id, item2Id, winnerId });
+    });
+  });
+  return pairs;
+};
+
+/**
+ * Record a best-of-N answer as one grouped submission and apply the pairwise wins it implies, atomically
+ * Pairs are applied in order, each at the ratings the previous ones left behind. The answer counts
+ * as one of the voter's comparisons, however many pairs it implies.
+ * With a flagId (the voter is flagged) the pairs are stored quarantined instead, unless the flag
+ * was approved since it was looked up.
+ * @param {Object} answer - { itemIds, ranking, userId, userSessionId, experimentVariantId, flagId, token }
+ *   ranking: item IDs best first - one ID for a single pick, or every ID for a full ranking
+ * @returns {Promise<Object|null>} { groupId, answerType, comparisons: [{ comparisonId, item1Id, item2Id, winnerId }],
+ *   ratings: { itemId: rating }, comparisonCount }, { error } with TOKEN_ERRORS.USED, or null if an item doesn't exist
+ */
+const castGroupVote = async ({ itemIds, ranking, userId = null, userSessionId = null, experimentVariantId = null, flagId = null, token = null }) => {
+  const answerType = ranking.length === 1 ? 'pick' : 'ranking';
+  const pairs = decomposeGroupAnswer(itemIds, ranking);
+
+  let quarantined = false;
+  const result = await withTransaction(async () => {
+    const tokenUse = await useVoteToken(token);
+    if (tokenUse.error) return tokenUse;
+
+    quarantined = !!flagId && await lockPendingFlag(flagId);
+
+    // Lock every item up front, in ID order, so applying the pairs one by one can't deadlock with other votes
+    const items = await lockRows('items', itemIds, 'id, elo_rating');
+    if (items.length !== itemIds.length) return null;
+
+    const group = await insertAndReturn('comparison_groups', {
+      item_ids: JSON.stringify(itemIds),
+      answer_type: answerType,
+      ranking: JSON.stringify(ranking),
+      user_id: userId,
+      user_session_id: userSessionId
+    }, 'id');
+
+    const ratings = Object.fromEntries(items.map(item => [item.id, parseFloat(item.elo_rating)]));
+    const comparisons = [];
+    for (const pair of pairs) {
+      const vote = { ...pair, userId, userSessionId, groupId: group.id };
+      const applied = quarantined
+        ? await recordQuarantinedVote({ ...vote, flagId, experimentVariantId })
+        : await applyVote({ ...vote, experimentVariantId, countVoter: false });
+      if (!applied) throw new Error(`Could not apply grouped vote ${pair.item1Id} vs ${pair.item2Id}`);
+
+      comparisons.push({ comparisonId: applied.comparisonId, ...pair });
+      ratings[pair.item1Id] = applied.newRating1;
+      ratings[pair.item2Id] = applied.newRating2;
+    }
+    const comparisonCount = quarantined ? null : await countVoterComparison(userId, userSessionId);
+
+    return { groupId: group.id, answerType, comparisons, ratings, comparisonCount };
+  });
+
+  if (result && !result.error && !quarantined) {
+    refreshVoterStats(userId);
+  }
+  return result;
+};
+
+module.exports = {
+  VOTE_OUTCOMES,
+  MIN_GROUP_SIZE,
+  MAX_GROUP_SIZE,
+  applyVote,
+  castVote,
+  castGroupVote,
+  decomposeGroupAnswer,
+  recordUnfamiliar
+};
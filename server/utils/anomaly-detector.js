@@ -0,0 +1,151 @@
+// Anomaly detector
+// Looks at recent votes per user/anonymous session and flags voting no person would produce:
+// - inhuman cadence: sustained votes per minute above anomaly_max_votes_per_minute
+// - single-item bias: one item winning at least anomaly_single_item_threshold of the votes
+// - too fast: a median client-reported decision time below anomaly_min_median_decision_ms
+//   (judged once at least anomaly_min_votes of the votes were timed)
+// Flagged votes are pulled into quarantine until an admin reviews the flag.
+// A best-of-N submission counts as one vote, judged by its first comparison (the top pick's win).
+
+const { queryMany } = require('./db-helpers');
+const { toSqlTimestamp, parseTimestamp } = require('./rating-history');
+const { createFlag, quarantineCountedVotes } = require('./vote-quarantine');
+const { median } = require('./decision-time');
+const settings = require('./settings');
+
+const MINUTE_MS = 60 * 1000;
+const MIN_SPAN_MS = 1000; // Timestamps have one-second resolution
+
+/**
+ * Key identifying who cast a vote (users are tracked by account, everyone else by session)
+ */
+const getActorKey = (row) => {
+  return row.user_id ? `user:${row.user_id}` : `session:${row.user_session_id}`;
+};
+
+/**
+ * Check one user's/session's votes against the thresholds
+ * @param {Array} allVotes - Votes in chronological order (a best-of-N submission counts once)
+ * @param {Object} thresholds - { minVotes, maxVotesPerMinute, singleItemThreshold, minMedianDecisionMs (0 = off) }
+ * @returns {Object|null} { reasons, details } or null if nothing looks wrong
+ */
+const evaluateVotes = (allVotes, { minVotes, maxVotesPerMinute, singleItemThreshold, minMedianDecisionMs = 0 }) => {
+  const seenGroups = new Set();
+  const votes = allVotes.filter(vote => {
+    if (!vote.group_id) return true;
+    if (seenGroups.has(vote.group_id)) return false;
+    seenGroups.add(vote.group_id);
+    return true;
+  });
+  if (votes.length < minVotes) return null;
+
+  const reasons = [];
+  const details = { voteCount: votes.length };
+
+  const first = parseTimestamp(votes[0].created_at).getTime();
+  const last = parseTimestamp(votes[votes.length - 1].created_at).getTime();
+  const spanMinutes = Math.max(last - first, MIN_SPAN_MS) / MINUTE_MS;
+  const votesPerMinute = (votes.length - 1) / spanMinutes;
+  details.votesPerMinute = Math.round(votesPerMinute * 10) / 10;
+  if (votesPerMinute > maxVotesPerMinute) {
+    reasons.push('inhuman_cadence');
+  }
+
+  // Ties have no winner and don't count toward any item
+  const winsByItem = new Map();
+  votes.forEach(vote => {
+    if (vote.winner_id === null) return;
+    winsByItem.set(vote.winner_id, (winsByItem.get(vote.winner_id) || 0) + 1);
+  });
+  const [topItemId, topWins] = [...winsByItem.entries()].sort((a, b) => b[1] - a[1])[0] || [null, 0];
+  const topShare = topWins / votes.length;
+  details.topItemId = topItemId;
+  details.topItemShare = Math.round(topShare * 100) / 100;
+  if (topShare >= singleItemThreshold) {
+    reasons.push('single_item_bias');
+  }
+
+  // Votes from older clients (and best-of-N answers) have no decision time
+  const decisionTimes = votes
+    .filter(vote => vote.decision_ms !== null && vote.decision_ms !== undefined)
+    .map(vote => parseInt(vote.decision_ms));
+  if (minMedianDecisionMs > 0 && decisionTimes.length >= minVotes) {
+    const medianDecisionMs = median(decisionTimes);
+    details.medianDecisionMs = Math.round(medianDecisionMs);
+    if (medianDecisionMs < minMedianDecisionMs) {
+      reasons.push('too_fast');
+    }
+  }
+
+  return reasons.length > 0 ? { reasons, details } : null;
+};
+
+/**
+ * Run one anomaly check over the recent voting window
+ * @returns {Promise<Object>} { checked, flagged: [{ flagId, userId, userSessionId, reasons, quarantinedVotes }] }
+ */
+const runAnomalyCheck = async () => {
+  const [windowMinutes, minVotes, maxVotesPerMinute, singleItemThreshold, minMedianDecisionMs] = await Promise.all([
+    settings.getAnomalyWindowMinutes(),
+    settings.getAnomalyMinVotes(),
+    settings.getAnomalyMaxVotesPerMinute(),
+    settings.getAnomalySingleItemThreshold(),
+    settings.getAnomalyMinMedianDecisionMs()
+  ]);
+  const since = toSqlTimestamp(new Date(Date.now() - windowMinutes * MINUTE_MS));
+
+  const [votes, flags] = await Promise.all([
+    queryMany(`
+      SELECT id, winner_id, user_id, user_session_id, group_id, decision_ms, created_at
+      FROM comparisons
+      WHERE created_at >= ? AND quarantined = FALSE AND outcome != 'unfamiliar'
+        AND (user_id IS NOT NULL OR user_session_id IS NOT NULL)
+      ORDER BY created_at ASC, id ASC
+    `, [since]),
+    queryMany(`
+      SELECT id, user_id, user_session_id, status, reviewed_at
+      FROM flagged_sessions
+      WHERE status = 'pending' OR reviewed_at >= ?
+      ORDER BY CASE WHEN status = 'pending' THEN 1 ELSE 0 END, reviewed_at ASC
+    `, [since])
+  ]);
+
+  // Later rows win: a pending flag, otherwise the most recent review
+  const flagsByActor = new Map();
+  flags.forEach(flag => flagsByActor.set(getActorKey(flag), flag));
+
+  const votesByActor = new Map();
+  votes.forEach(vote => {
+    const key = getActorKey(vote);
+    if (!votesByActor.has(key)) votesByActor.set(key, []);
+    votesByActor.get(key).push(vote);
+  });
+
+  const flagged = [];
+  for (const [actorKey, actorVotes] of votesByActor) {
+    const existingFlag = flagsByActor.get(actorKey);
+    // Already waiting for review - new votes are quarantined as they arrive
+    if (existingFlag && existingFlag.status === 'pending') continue;
+
+    // Only judge votes cast after the last review
+    const reviewedAt = existingFlag ? parseTimestamp(existingFlag.reviewed_at).getTime() : 0;
+    const candidateVotes = actorVotes.filter(vote => parseTimestamp(vote.created_at).getTime() >= reviewedAt);
+
+    const anomaly = evaluateVotes(candidateVotes, { minVotes, maxVotesPerMinute, singleItemThreshold, minMedianDecisionMs });
+    if (!anomaly) continue;
+
+    const { user_id: userId, user_session_id: userSessionId } = candidateVotes[0];
+    const flag = await createFlag({ userId, userSessionId, reasons: anomaly.reasons, details: anomaly.details });
+    const quarantinedVotes = await quarantineCountedVotes(flag.id, candidateVotes.map(vote => vote.id));
+
+    console.log(`Flagged ${actorKey} for ${anomaly.reasons.join(', ')} (${quarantinedVotes} votes quarantined)`);
+    flagged.push({ flagId: flag.id, userId, userSessionId, reasons: anomaly.reasons, quarantinedVotes });
+  }
+
+  return { checked: votesByActor.size, flagged };
+};
+
+module.exports = {
+  evaluateVotes,
+  runAnomalyCheck
+};
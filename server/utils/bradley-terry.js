@@ -0,0 +1,314 @@
+// Bradley-Terry ranking
+// Fits P(i beats j) = p_i / (p_i + p_j) to all counted comparisons at once, so unlike Elo the
+// result doesn't depend on the order votes came in. Scores are log-strengths on the Elo scale
+// (1500 = average, +400 = 10x the odds of winning).
+// Uncertainty comes from a Poisson bootstrap over the comparisons: each item gets a 95% score
+// interval and the range of ranks it lands in across the resamples.
+// Fits run on a schedule (see scheduler.startBradleyTerryFits) and are stored in bt_scores.
+
+const { queryMany, queryOne, execute, withTransaction } = require('./db-helpers');
+const { toSqlTimestamp } = require('./rating-history');
+const settings = require('./settings');
+
+const BASE_SCORE = 1500;
+const SCORE_SCALE = 400 / Math.LN10;
+// Every item gets one virtual win and one virtual loss against an average opponent, which keeps
+// undefeated/winless items finite and pulls items with few votes towards the middle
+const PRIOR_WINS = 1;
+const PRIOR_GAMES = 2;
+const MAX_ITERATIONS = 500;
+const TOLERANCE = 1e-4; // Max change in log-strength (~0.02 score points)
+const INTERVAL_LOWER = 0.025;
+const INTERVAL_UPPER = 0.975;
+const INSERT_BATCH = 200;
+
+let fitRunning = false;
+
+/**
+ * Aggregate counted comparisons into per-pair win counts (a tie is half a win for each side)
+ * @returns {Promise<Object>} { itemIds, pairs: [{ i, j, winsI, winsJ }], comparisonCounts }
+ */
+const loadPairs = async () => {
+  const items = await queryMany('SELECT id FROM items ORDER BY id');
+  const itemIds = items.map(item => item.id);
+  const indexOf = new Map(itemIds.map((id, index) => [id, index]));
+
+  const rows = await queryMany(`
+    SELECT item1_id, item2_id, winner_id, COUNT(*) as total
+    FROM comparisons
+    WHERE quarantined = FALSE AND outcome != 'unfamiliar'
+    GROUP BY item1_id, item2_id, winner_id
+  `);
+
+  const pairs = new Map();
+  const comparisonCounts = new Array(itemIds.length).fill(0);
+  rows.forEach(row => {
+    const index1 = indexOf.get(row.item1_id);
+    const index2 = indexOf.get(row.item2_id);
+    if (index1 === undefined || index2 === undefined || index1 === index2) return;
+
+    const i = Math.min(index1, index2);
+    const j = Math.max(index1, index2);
+    const key = `${i}:${j}`;
+    if (!pairs.has(key)) pairs.set(key, { i, j, winsI: 0, winsJ: 0 });
+    const pair = pairs.get(key);
+    const total = parseInt(row.total);
+    if (row.winner_id === null) {
+      pair.winsI += total / 2;
+      pair.winsJ += total / 2;
+    } else if (row.winner_id === itemIds[i]) {
+      pair.winsI += total;
+    } else {
+      pair.winsJ += total;
+    }
+    comparisonCounts[i] += total;
+    comparisonCounts[j] += total;
+  });
+
+  return { itemIds, pairs: [...pairs.values()], comparisonCounts };
+};
+
+/**
+ * Maximum-likelihood strengths via Hunter's MM algorithm
+ * @param {number} itemCount - Number of items
+ * @param {Array} pairs - [{ i, j, winsI, winsJ }]
+ * @param {Float64Array} initial - Optional starting strengths (warm start)
+ * @returns {Float64Array} Strength p_i for each item
+ */
+const fitStrengths = (itemCount, pairs, initial = null) => {
+  const wins = new Float64Array(itemCount).fill(PRIOR_WINS);
+  pairs.forEach(pair => {
+    wins[pair.i] += pair.winsI;
+    wins[pair.j] += pair.winsJ;
+  });
+
+  let strengths = initial ? Float64Array.from(initial) : new Float64Array(itemCount).fill(1);
+  for (let iteration = 0; iteration < MAX_ITERATIONS; iteration++) {
+    const denominators = new Float64Array(itemCount);
+    for (let i = 0; i < itemCount; i++) {
+      denominators[i] = PRIOR_GAMES / (strengths[i] + 1);
+    }
+    pairs.forEach(pair => {
+      const games = pair.winsI + pair.winsJ;
+      if (games === 0) return;
+      const share = games / (strengths[pair.i] + strengths[pair.j]);
+      denominators[pair.i] += share;
+      denominators[pair.j] += share;
+    });
+
+    let maxChange = 0;
+    const next = new Float64Array(itemCount);
+    for (let i = 0; i < itemCount; i++) {
+      next[i] = wins[i] / denominators[i];
+      maxChange = Math.max(maxChange, Math.abs(Math.log(next[i] / strengths[i])));
+    }
+    strengths = next;
+    if (maxChange < TOLERANCE) break;
+  }
+  return strengths;
+};
+
+const toScore = (strength) => BASE_SCORE + SCORE_SCALE * Math.log(strength);
+
+/**
+ * Draw from a Poisson distribution
+ * Knuth's method for small means, normal approximation for large ones
+ */
+const samplePoisson = (mean) => {
+  if (mean === 0) return 0;
+  if (mean > 30) {
+    const u1 = Math.random() || Number.MIN_VALUE;
+    const u2 = Math.random();
+    const normal = Math.sqrt(-2 * Math.log(u1)) * Math.cos(2 * Math.PI * u2);
+    return Math.max(0, Math.round(mean + Math.sqrt(mean) * normal));
+  }
+  const limit = Math.exp(-mean);
+  let count = 0;
+  let product = Math.random();
+  while (product > limit) {
+    count++;
+    product *= Math.random();
+  }
+  return count;
+};
+
+/**
+ * Rank of each item (1 = best) for a set of scores
+ */
+const ranksFor = (scores) => {
+  const order = Array.from(scores.keys()).sort((a, b) => scores[b] - scores[a]);
+  const ranks = new Int32Array(scores.length);
+  order.forEach((index, position) => {
+    ranks[index] = position + 1;
+  });
+  return ranks;
+};
+
+/**
+ * Value at a quantile of a sorted array
+ */
+const quantile = (sorted, q) => {
+  const position = Math.min(sorted.length - 1, Math.max(0, Math.round(q * (sorted.length - 1))));
+  return sorted[position];
+};
+
+/**
+ * Fit the model and bootstrap score/rank intervals
+ * @param {Object} data - From loadPairs()
+ * @param {number} samples - Bootstrap resamples
+ * @returns {Promise<Array>} One result per item
+ */
+const fitWithIntervals = async ({ itemIds, pairs, comparisonCounts }, samples) => {
+  const itemCount = itemIds.length;
+  const strengths = fitStrengths(itemCount, pairs);
+  const scores = Array.from(strengths, toScore);
+  const ranks = ranksFor(scores);
+
+  const sampleScores = itemIds.map(() => new Float64Array(samples));
+  const sampleRanks = itemIds.map(() => new Int32Array(samples));
+  for (let sample = 0; sample < samples; sample++) {
+    // Poisson bootstrap: every comparison appears Poisson(1) times in the resample
+    const resampled = pairs.map(pair => ({
+      i: pair.i,
+      j: pair.j,
+      winsI: samplePoisson(pair.winsI),
+      winsJ: samplePoisson(pair.winsJ)
+    }));
+    const resampledScores = Array.from(fitStrengths(itemCount, resampled, strengths), toScore);
+    const resampledRanks = ranksFor(resampledScores);
+    for (let i = 0; i < itemCount; i++) {
+      sampleScores[i][sample] = resampledScores[i];
+      sampleRanks[i][sample] = resampledRanks[i];
+    }
+    // Let requests in between resamples
+    await new Promise(resolve => setImmediate(resolve));
+  }
+
+  return itemIds.map((itemId, i) => {
+    const sortedScores = sampleScores[i].sort();
+    const sortedRanks = sampleRanks[i].sort();
+    return {
+      itemId,
+      score: scores[i],
+      scoreLower: samples > 0 ? quantile(sortedScores, INTERVAL_LOWER) : scores[i],
+      scoreUpper: samples > 0 ? quantile(sortedScores, INTERVAL_UPPER) : scores[i],
+      rank: ranks[i],
+      // The point-estimate rank always lies inside the range
+      rankLower: samples > 0 ? Math.min(ranks[i], quantile(sortedRanks, INTERVAL_LOWER)) : ranks[i],
+      rankUpper: samples > 0 ? Math.max(ranks[i], quantile(sortedRanks, INTERVAL_UPPER)) : ranks[i],
+      comparisonCount: comparisonCounts[i]
+    };
+  });
+};
+
+/**
+ * Fit Bradley-Terry scores for every item and replace bt_scores
+ * Skipped if a fit is already running
+ * @returns {Promise<Object|null>} { items, comparisons, samples, fittedAt } or null if skipped
+ */
+const runBradleyTerryFit = async () => {
+  if (fitRunning) return null;
+  fitRunning = true;
+
+  try {
+    const samples = await settings.getBradleyTerryBootstrapSamples();
+    const data = await loadPairs();
+    const results = await fitWithIntervals(data, samples);
+    const fittedAt = toSqlTimestamp(new Date());
+
+    await withTransaction(async () => {
+      await execute('DELETE FROM bt_scores');
+      for (let start = 0; start < results.length; start += INSERT_BATCH) {
+        const batch = results.slice(start, start + INSERT_BATCH);
+        const params = [];
+        batch.forEach(result => {
+          params.push(result.itemId, result.score, result.scoreLower, result.scoreUpper,
+            result.rank, result.rankLower, result.rankUpper, result.comparisonCount, fittedAt);
+        });
+        await execute(`
+          INSERT INTO bt_scores
+            (item_id, score, score_lower, score_upper, rank, rank_lower, rank_upper, comparison_count, fitted_at)
+          VALUES ${batch.map(() => '(?, ?, ?, ?, ?, ?, ?, ?, ?)').join(', ')}
+        `, params);
+      }
+    });
+
+    const comparisons = data.pairs.reduce((sum, pair) => sum + pair.winsI + pair.winsJ, 0);
+    console.log(`Bradley-Terry fit: ${results.length} items, ${comparisons} comparisons, ${samples} bootstrap samples`);
+    return { items: results.length, comparisons, samples, fittedAt };
+  } finally {
+    fitRunning = false;
+  }
+};
+
+/**
+ * When the stored Bradley-Terry scores were fitted (null if never)
+ */
+const getLastFitTime = async () => {
+  const row = await queryOne('SELECT MAX(fitted_at) as fitted_at FROM bt_scores');
+  return row?.fitted_at || null;
+};
+
+/**
+ * Stored Bradley-Terry result for one item
+ * @returns {Promise<Object|null>} { score, score_lower, score_upper, rank, rank_lower, rank_upper, fitted_at }
+ */
+const getItemBradleyTerry = async (itemId) => {
+  return queryOne(`
+    SELECT score, score_lower, score_upper, rank, rank_lower, rank_upper, comparison_count, fitted_at
+    FROM bt_scores
+    WHERE item_id = ?
+  `, [itemId]);
+};
+
+/**
+ * Rankings ordered by Bradley-Terry score
+ * Items added since the last fit have no interval yet and sort as average
+ * Ranks are fitted across all items, so a category-filtered list leaves them out (null) rather
+ * than show global positions next to the category's own numbering
+ * @param {Object} options - { limit, offset, categoryId }
+ * @returns {Promise<Object>} { rankings, total, fittedAt }
+ */
+const getBradleyTerryRankings = async ({ limit = 100, offset = 0, categoryId = null } = {}) => {
+  const where = categoryId ? 'WHERE i.category_id = ?' : '';
+  const categoryParams = categoryId ? [categoryId] : [];
+  const rankColumns = categoryId
+    ? 'NULL as bt_rank, NULL as bt_rank_lower, NULL as bt_rank_upper'
+    : 'bt.rank as bt_rank, bt.rank_lower as bt_rank_lower, bt.rank_upper as bt_rank_upper';
+
+  const rankings = await queryMany(`
+    SELECT i.id, i.title, i.image_url, i.description, i.elo_rating, i.comparison_count, i.wins, i.losses,
+           c.id as category_id, c.name as category_name, c.slug as category_slug,
+           COALESCE(comment_stats.comment_count, 0) as comment_count,
+           bt.score as bt_score, bt.score_lower as bt_score_lower, bt.score_upper as bt_score_upper,
+           ${rankColumns}
+    FROM items i
+    LEFT JOIN categories c ON i.category_id = c.id
+    LEFT JOIN (
+      SELECT item_id, COUNT(*) as comment_count
+      FROM comments
+      GROUP BY item_id
+    ) comment_stats ON i.id = comment_stats.item_id
+    LEFT JOIN bt_scores bt ON bt.item_id = i.id
+    ${where}
+    ORDER BY COALESCE(bt.score, ${BASE_SCORE}) DESC, i.elo_rating DESC
+    LIMIT ? OFFSET ?
+  `, [...categoryParams, limit, offset]);
+
+  const countResult = await queryOne(`SELECT COUNT(*) as total FROM items i ${where}`, categoryParams);
+
+  return {
+    rankings,
+    total: parseInt(countResult?.total || 0),
+    fittedAt: await getLastFitTime()
+  };
+};
+
+module.exports = {
+  fitStrengths,
+  runBradleyTerryFit,
+  getLastFitTime,
+  getItemBradleyTerry,
+  getBradleyTerryRankings,
+  BASE_SCORE
+};
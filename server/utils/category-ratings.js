@@ -0,0 +1,137 @@
+const { queryMany, queryOne, execute } = require('./db-helpers');
+const { getRatingEngine, scoreForItem1, resultsForScore, stateFromRow } = require('./rating-engine');
+const { calculateRatingConfidence } = require('./familiarity-calculator');
+const { DEFAULT_DEVIATION, DEFAULT_VOLATILITY } = require('./glicko2');
+
+const DEFAULT_CATEGORY_RATING = 1500;
+
+/**
+ * Get an item's rating track within a category
+ * Items that have never had a same-category matchup start at the default rating
+ * @param {number} itemId - Item ID
+ * @param {number} categoryId - Category ID
+ * @returns {Promise<Object>} { elo_rating, comparison_count, wins, losses, rating_confidence, rating_deviation, rating_volatility }
+ */
+const getCategoryRating = async (itemId, categoryId) => {
+  const row = await queryOne(`
+    SELECT elo_rating, comparison_count, wins, losses, rating_confidence, rating_deviation, rating_volatility
+    FROM item_category_ratings
+    WHERE item_id = ? AND category_id = ?
+  `, [itemId, categoryId]);
+
+  return {
+    elo_rating: row ? parseFloat(row.elo_rating) : DEFAULT_CATEGORY_RATING,
+    comparison_count: row ? parseInt(row.comparison_count) || 0 : 0,
+    wins: row ? parseInt(row.wins) || 0 : 0,
+    losses: row ? parseInt(row.losses) || 0 : 0,
+    rating_confidence: row ? parseFloat(row.rating_confidence) || 0 : 0,
+    rating_deviation: row && row.rating_deviation !== null ? parseFloat(row.rating_deviation) : DEFAULT_DEVIATION,
+    rating_volatility: row && row.rating_volatility !== null ? parseFloat(row.rating_volatility) : DEFAULT_VOLATILITY
+  };
+};
+
+/**
+ * Write one side of a same-category result to the category rating track
+ * @param {boolean|null} won - true for a win, false for a loss, null for a tie
+ */
+const saveCategoryResult = async (itemId, categoryId, state, won, confidence, now) => {
+  await execute(`
+    INSERT INTO item_category_ratings
+      (item_id, category_id, elo_rating, comparison_count, wins, losses, rating_confidence,
+       rating_deviation, rating_volatility, last_compared_at)
+    VALUES (?, ?, ?, 1, ?, ?, ?, ?, ?, ?)
+    ON CONFLICT (item_id, category_id) DO UPDATE SET
+      elo_rating = excluded.elo_rating,
+      comparison_count = item_category_ratings.comparison_count + 1,
+      wins = item_category_ratings.wins + excluded.wins,
+      losses = item_category_ratings.losses + excluded.losses,
+      rating_confidence = excluded.rating_confidence,
+      rating_deviation = excluded.rating_deviation,
+      rating_volatility = excluded.rating_volatility,
+      last_compared_at = excluded.last_compared_at
+  `, [itemId, categoryId, state.rating, won === true ? 1 : 0, won === false ? 1 : 0, confidence, state.deviation, state.volatility, now]);
+};
+
+/**
+ * Update the per-category rating track after a vote (with the active rating engine)
+ * Only same-category matchups count - cross-category votes only move the global rating
+ * @param {number} item1Id - First item in the comparison
+ * @param {number} item2Id - Second item in the comparison
+ * @param {number|null} winnerId - ID of the winning item, or null for a tie
+ * @param {string|null} strength - Preference strength of the vote (see vote-strength)
+ * @param {number|null} correction - Position bias correction of the vote (see position-bias)
+ * @returns {Promise<Object|null>} { categoryId, newRating1, newRating2 } or null if not a same-category matchup
+ */
+const updateCategoryRatingsAfterVote = async (item1Id, item2Id, winnerId, strength = null, correction = 1) => {
+  const items = await queryMany(`
+    SELECT id, category_id FROM items WHERE id IN (?, ?)
+  `, [item1Id, item2Id]);
+
+  const item1 = items.find(item => parseInt(item.id) === parseInt(item1Id));
+  const item2 = items.find(item => parseInt(item.id) === parseInt(item2Id));
+
+  if (!item1 || !item2 || !item1.category_id || item1.category_id !== item2.category_id) {
+    return null;
+  }
+
+  const categoryId = item1.category_id;
+  const rating1 = await getCategoryRating(item1Id, categoryId);
+  const rating2 = await getCategoryRating(item2Id, categoryId);
+  const item1Score = scoreForItem1(winnerId, item1Id);
+  const [won1, won2] = resultsForScore(item1Score);
+
+  const engine = await getRatingEngine();
+  const { state1, state2 } = await engine.rateMatch(stateFromRow(rating1), stateFromRow(rating2), item1Score, strength, correction);
+
+  // Confidence reflects same-category matchups (or the category deviation), not global comparisons
+  const confidence1 = await calculateRatingConfidence(rating1.comparison_count + 1, state1.deviation);
+  const confidence2 = await calculateRatingConfidence(rating2.comparison_count + 1, state2.deviation);
+  const now = new Date().toISOString();
+
+  await saveCategoryResult(item1Id, categoryId, state1, won1, confidence1, now);
+  await saveCategoryResult(item2Id, categoryId, state2, won2, confidence2, now);
+
+  return { categoryId, newRating1: state1.rating, newRating2: state2.rating };
+};
+
+/**
+ * Get category-specific standings
+ * Every item in the category is included; items without same-category matchups
+ * sit at the default rating with zero confidence
+ * @param {number} categoryId - Category ID
+ * @param {Object} options - { limit, offset, sortOrder: 'ASC' | 'DESC' }
+ * @returns {Promise<Object>} { standings, total }
+ */
+const getCategoryStandings = async (categoryId, { limit = 100, offset = 0, sortOrder = 'DESC' } = {}) => {
+  const order = sortOrder === 'ASC' ? 'ASC' : 'DESC';
+
+  const standings = await queryMany(`
+    SELECT i.id, i.title, i.image_url, i.description, i.elo_rating, i.comparison_count, i.wins, i.losses,
+           c.id as category_id, c.name as category_name, c.slug as category_slug,
+           COALESCE(icr.elo_rating, ${DEFAULT_CATEGORY_RATING}) as category_elo_rating,
+           COALESCE(icr.comparison_count, 0) as category_comparison_count,
+           COALESCE(icr.wins, 0) as category_wins,
+           COALESCE(icr.losses, 0) as category_losses,
+           COALESCE(icr.rating_confidence, 0) as category_rating_confidence
+    FROM items i
+    LEFT JOIN categories c ON i.category_id = c.id
+    LEFT JOIN item_category_ratings icr ON icr.item_id = i.id AND icr.category_id = i.category_id
+    WHERE i.category_id = ?
+    ORDER BY category_elo_rating ${order}, category_comparison_count DESC, i.elo_rating ${order}
+    LIMIT ? OFFSET ?
+  `, [categoryId, limit, offset]);
+
+  const countResult = await queryOne(`SELECT COUNT(*) as total FROM items WHERE category_id = ?`, [categoryId]);
+
+  return {
+    standings,
+    total: parseInt(countResult?.total || 0)
+  };
+};
+
+module.exports = {
+  getCategoryRating,
+  updateCategoryRatingsAfterVote,
+  getCategoryStandings,
+  DEFAULT_CATEGORY_RATING
+};
@@ -0,0 +1,95 @@
+// Comparison reservations
+// Batches of upcoming pairs (GET /api/comparison/batch) are reserved for the session that asked
+// for them: each reserved pair keeps its comparison token until the token is redeemed by a vote or
+// skip, or expires. Reserved pairs count as already queued when the next batch is picked, and a
+// reloaded page can pick its queue back up instead of leaving the pairs stranded.
+
+const jwt = require('jsonwebtoken');
+const { queryMany, execute } = require('./db-helpers');
+
+// Most pairs a session may hold in its queue for one comparison pool
+const MAX_RESERVED_PAIRS = 30;
+
+/**
+ * Key identifying a comparison pool (mode + selected categories)
+ */
+const getPoolKey = (pool) => {
+  return `${pool.mode}:${[...pool.categories].sort().join(',')}`;
+};
+
+/**
+ * Reserve a batch of served pairs for a session
+ * @param {string} sessionId - User session ID
+ * @param {string} poolKey - From getPoolKey()
+ * @param {Array} pairs - [{ item1, item2, comparisonToken }] in queue order
+ */
+const reservePairs = async (sessionId, poolKey, pairs) => {
+  if (pairs.length === 0) return;
+
+  const reservedAt = new Date().toISOString();
+  const params = [];
+  pairs.forEach((pair, position) => {
+    const payload = jwt.decode(pair.comparisonToken);
+    params.push(
+      payload.jti,
+      sessionId,
+      poolKey,
+      pair.item1.id,
+      pair.item2.id,
+      pair.comparisonToken,
+      position,
+      new Date(payload.exp * 1000).toISOString(),
+      reservedAt
+    );
+  });
+
+  await execute(`
+    INSERT INTO comparison_reservations
+      (token_id, session_id, pool_key, item1_id, item2_id, comparison_token, position, expires_at, reserved_at)
+    VALUES ${pairs.map(() => '(?, ?, ?, ?, ?, ?, ?, ?, ?)').join(', ')}
+  `, params);
+};
+
+/**
+ * A session's outstanding reservations, oldest first
+ * Expired reservations are dropped on the way
+ * @param {string} sessionId - User session ID
+ * @returns {Promise<Array>} [{ token_id, pool_key, item1_id, item2_id, item1_title, item2_title, comparison_token }]
+ */
+const getReservedPairs = async (sessionId) => {
+  const now = new Date().toISOString();
+  await execute('DELETE FROM comparison_reservations WHERE session_id = ? AND expires_at < ?', [sessionId, now]);
+
+  return queryMany(`
+    SELECT r.token_id, r.pool_key, r.item1_id, r.item2_id, r.comparison_token,
+           i1.title as item1_title, i2.title as item2_title
+    FROM comparison_reservations r
+    JOIN items i1 ON r.item1_id = i1.id
+    JOIN items i2 ON r.item2_id = i2.id
+    WHERE r.session_id = ?
+    ORDER BY r.reserved_at, r.position
+  `, [sessionId]);
+};
+
+/**
+ * Release the reservation held by a comparison token (called once the token is redeemed)
+ */
+const releaseReservation = async (tokenId) => {
+  await execute('DELETE FROM comparison_reservations WHERE token_id = ?', [tokenId]);
+};
+
+/**
+ * Delete expired reservations for every session
+ */
+const purgeExpiredReservations = async () => {
+  await execute('DELETE FROM comparison_reservations WHERE expires_at < ?', [new Date().toISOString()]);
+};
+
+module.exports = {
+  MAX_RESERVED_PAIRS,
+  getPoolKey,
+  reservePairs,
+  getReservedPairs,
+  releaseReservation,
+  purgeExpiredReservations
+};
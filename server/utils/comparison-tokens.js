@@ -0,0 +1,292 @@
+// Comparison tokens
+// Every comparison served to a client carries a signed, expiring token for that exact pair
+// (or, for best-of-N comparisons, that exact set of items).
+// A vote or skip must present the token, and each token can only be redeemed once.
+// Votes verify the token up front and mark it used inside the vote's transaction, so a vote that
+// fails gives its token back and the voter can retry.
+// Pair tokens also record which item was shown on the left, so votes know each item's side.
+// Tournament match tokens also record the match, so they can only be spent on that match.
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { execute, insertOrIgnore } = require('./db-helpers');
+const settings = require('./settings');
+const { releaseReservation, purgeExpiredReservations } = require('./comparison-reservations');
+
+/**
+ * The secret comparison tokens are signed with
+ * A deployment without one must not start: a well-known default would let anyone forge tokens.
+ * In development a random per-process secret is used instead (tokens don't survive a restart).
+ */
+const getTokenSecret = () => {
+  const secret = process.env.COMPARISON_TOKEN_SECRET || process.env.JWT_SECRET;
+  if (secret) return secret;
+
+  if (process.env.NODE_ENV === 'production' || process.env.RAILWAY_ENVIRONMENT) {
+    throw new Error('COMPARISON_TOKEN_SECRET (or JWT_SECRET) must be set in production');
+  }
+
+  console.warn('⚠️  COMPARISON_TOKEN_SECRET is not set - using a random secret for this process');
+  return crypto.randomBytes(32).toString('hex');
+};
+
+const COMPARISON_TOKEN_SECRET = getTokenSecret();
+const TOKEN_AUDIENCE = 'comparison';
+const PURGE_INTERVAL_MS = 60 * 60 * 1000; // Purge expired used tokens at most once an hour
+
+const TOKEN_ERRORS = {
+  MISSING: {
+    status: 400,
+    code: 'COMPARISON_TOKEN_MISSING',
+    error: 'Missing comparison token',
+    message: 'A comparison token is required. Load a new comparison and try again.'
+  },
+  INVALID: {
+    status: 403,
+    code: 'COMPARISON_TOKEN_INVALID',
+    error: 'Invalid comparison token',
+    message: 'The comparison token is not valid.'
+  },
+  EXPIRED: {
+    status: 403,
+    code: 'COMPARISON_TOKEN_EXPIRED',
+    error: 'Comparison token expired',
+    message: 'This comparison has expired. Load a new comparison and try again.'
+  },
+  MISMATCH: {
+    status: 403,
+    code: 'COMPARISON_TOKEN_MISMATCH',
+    error: 'Comparison token mismatch',
+    message: 'The comparison token was issued for different items.'
+  },
+  USED: {
+    status: 409,
+    code: 'COMPARISON_TOKEN_USED',
+    error: 'Comparison token already used',
+    message: 'This comparison has already been voted on or skipped.'
+  }
+};
+
+let lastPurgeAt = 0;
+
+/**
+ * Order-independent key for a set of item IDs
+ */
+const getItemSetKey = (itemIds) => {
+  return itemIds.map(id => parseInt(id)).sort((a, b) => a - b).join(':');
+};
+
+/**
+ * Order-independent key for a pair of item IDs
+ */
+const getPairKey = (item1Id, item2Id) => getItemSetKey([item1Id, item2Id]);
+
+/**
+ * Delete used tokens that have expired (they can no longer be replayed anyway),
+ * along with batch reservations that were never voted on
+ */
+const purgeExpiredTokens = async () => {
+  const now = Date.now();
+  if (now - lastPurgeAt < PURGE_INTERVAL_MS) return;
+  lastPurgeAt = now;
+
+  try {
+    await execute('DELETE FROM used_comparison_tokens WHERE expires_at < ?', [new Date(now).toISOString()]);
+    await purgeExpiredReservations();
+  } catch (err) {
+    console.error('Error purging expired comparison tokens:', err);
+  }
+};
+
+/**
+ * Issue a signed, single-use comparison token for a set of items
+ * @param {string} itemSetKey - getItemSetKey of the items
+ * @param {Object} claims - Extra payload (e.g. { left: itemId })
+ */
+const issueToken = async (itemSetKey, claims = {}) => {
+  purgeExpiredTokens();
+
+  const ttlMinutes = await settings.getComparisonTokenTtlMinutes();
+  return jwt.sign(
+    { ...claims, pair: itemSetKey },
+    COMPARISON_TOKEN_SECRET,
+    {
+      audience: TOKEN_AUDIENCE,
+      jwtid: crypto.randomBytes(16).toString('hex'),
+      expiresIn: ttlMinutes * 60
+    }
+  );
+};
+
+/**
+ * Issue a signed, single-use comparison token for a pair of items
+ * @param {number} item1Id - First item ID (shown on the left)
+ * @param {number} item2Id - Second item ID (shown on the right)
+ * @returns {Promise<string>} Signed token
+ */
+const issueComparisonToken = (item1Id, item2Id) => issueToken(getPairKey(item1Id, item2Id), { left: parseInt(item1Id) });
+
+/**
+ * Issue a signed, single-use token for a best-of-N comparison
+ * A group token never matches a pair, so it can't be used to vote on two of its items
+ * @param {Array} itemIds - The items served together
+ * @returns {Promise<string>} Signed token
+ */
+const issueGroupToken = (itemIds) => issueToken(getItemSetKey(itemIds));
+
+/**
+ * Issue a signed, single-use token for a tournament match
+ * @param {number} matchId - Tournament match ID
+ * @param {number} item1Id - The match's first item
+ * @param {number} item2Id - The match's second item
+ * @returns {Promise<string>} Signed token
+ */
+const issueMatchToken = (matchId, item1Id, item2Id) => issueToken(getPairKey(item1Id, item2Id), { match: parseInt(matchId) });
+
+/**
+ * Verify a token for a set of items without using it up
+ * @returns {Object} { tokenId, expiresAt, leftItemId (pair tokens; null if unknown), matchId (match tokens; null otherwise) }
+ *   on success, or { error } with one of TOKEN_ERRORS
+ */
+const verifyToken = (token, itemSetKey) => {
+  if (!token || typeof token !== 'string') {
+    return { error: TOKEN_ERRORS.MISSING };
+  }
+
+  let payload;
+  try {
+    payload = jwt.verify(token, COMPARISON_TOKEN_SECRET, { audience: TOKEN_AUDIENCE });
+  } catch (err) {
+    return { error: err.name === 'TokenExpiredError' ? TOKEN_ERRORS.EXPIRED : TOKEN_ERRORS.INVALID };
+  }
+
+  if (!payload.jti || payload.pair !== itemSetKey) {
+    return { error: payload.jti ? TOKEN_ERRORS.MISMATCH : TOKEN_ERRORS.INVALID };
+  }
+
+  return {
+    tokenId: payload.jti,
+    expiresAt: new Date(payload.exp * 1000),
+    leftItemId: payload.left || null,
+    matchId: payload.match || null
+  };
+};
+
+/**
+ * Mark a verified token as used
+ * Call it inside the vote's transaction: if the vote fails, the token is rolled back with it
+ * @param {Object} verified - Result of a successful verify
+ * @returns {Promise<Object>} {} on success, or { error: TOKEN_ERRORS.USED }
+ */
+const markTokenUsed = async (verified) => {
+  // The primary key makes redemption atomic - a second insert of the same token is ignored.
+  // A failing insert would abort a Postgres transaction, so the conflict mustn't be an error
+  const inserted = await insertOrIgnore('used_comparison_tokens', {
+    token_id: verified.tokenId,
+    expires_at: verified.expiresAt.toISOString()
+  }, 'token_id');
+  if (inserted.changes === 0) {
+    return { error: TOKEN_ERRORS.USED };
+  }
+
+  // A pair served in a batch stops being reserved once it's voted on or skipped
+  await releaseReservation(verified.tokenId);
+
+  return {};
+};
+
+/**
+ * Verify a token that must not be a tournament match token
+ * Match tokens are handed out with every bracket view, so they mustn't be spendable on ordinary votes
+ */
+const verifyNonMatchToken = (token, itemSetKey) => {
+  const verified = verifyToken(token, itemSetKey);
+  if (verified.error) return verified;
+  if (verified.matchId !== null) {
+    return { error: TOKEN_ERRORS.MISMATCH };
+  }
+  return verified;
+};
+
+/**
+ * Verify a token for a set of items and mark it as used
+ * @returns {Promise<Object>} { tokenId, leftItemId } on success, or { error } with one of TOKEN_ERRORS
+ */
+const redeemToken = async (token, itemSetKey) => {
+  const verified = verifyNonMatchToken(token, itemSetKey);
+  if (verified.error) return verified;
+
+  const used = await markTokenUsed(verified);
+  if (used.error) return used;
+
+  return { tokenId: verified.tokenId, leftItemId: verified.leftItemId };
+};
+
+/**
+ * Verify a comparison token for a pair without using it up
+ * @param {string} token - Token presented by the client
+ * @param {number} item1Id - First item ID of the vote
+ * @param {number} item2Id - Second item ID of the vote
+ * @returns {Object} { tokenId, expiresAt, leftItemId } on success, or { error } with one of TOKEN_ERRORS
+ */
+const verifyComparisonToken = (token, item1Id, item2Id) => verifyNonMatchToken(token, getPairKey(item1Id, item2Id));
+
+/**
+ * Verify a best-of-N token for its items without using it up
+ * @param {string} token - Token presented by the client
+ * @param {Array} itemIds - Item IDs of the submission (any order)
+ * @returns {Object} { tokenId, expiresAt } on success, or { error } with one of TOKEN_ERRORS
+ */
+const verifyGroupToken = (token, itemIds) => verifyNonMatchToken(token, getItemSetKey(itemIds));
+
+/**
+ * Verify a tournament match token without using it up
+ * A comparison token for the same pair, or a token for another match between the same items, doesn't match
+ * @param {string} token - Token presented by the client
+ * @param {number} matchId - Match being voted on
+ * @param {number} item1Id - The match's first item
+ * @param {number} item2Id - The match's second item
+ * @returns {Object} { tokenId, expiresAt } on success, or { error } with one of TOKEN_ERRORS
+ */
+const verifyMatchToken = (token, matchId, item1Id, item2Id) => {
+  const verified = verifyToken(token, getPairKey(item1Id, item2Id));
+  if (verified.error) return verified;
+  if (verified.matchId !== parseInt(matchId)) {
+    return { error: TOKEN_ERRORS.MISMATCH };
+  }
+  return verified;
+};
+
+/**
+ * Verify a comparison token for a pair and mark it as used
+ * @param {string} token - Token presented by the client
+ * @param {number} item1Id - First item ID of the vote/skip
+ * @param {number} item2Id - Second item ID of the vote/skip
+ * @returns {Promise<Object>} { tokenId, leftItemId } on success, or { error } with one of TOKEN_ERRORS
+ */
+const redeemComparisonToken = (token, item1Id, item2Id) => redeemToken(token, getPairKey(item1Id, item2Id));
+
+/**
+ * Send a token error response
+ */
+const sendTokenError = (res, tokenError) => {
+  return res.status(tokenError.status).json({
+    error: tokenError.error,
+    code: tokenError.code,
+    message: tokenError.message
+  });
+};
+
+module.exports = {
+  TOKEN_ERRORS,
+  getPairKey,
+  issueComparisonToken,
+  issueGroupToken,
+  issueMatchToken,
+  verifyComparisonToken,
+  verifyGroupToken,
+  verifyMatchToken,
+  markTokenUsed,
+  redeemComparisonToken,
+  sendTokenError
+};
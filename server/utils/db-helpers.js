@@ -350,6 +350,85 @@ const insertOrIgnore = async (table, data, conflictColumn = null) => {
   }
 };
 
+// SQLite has a single connection, so transactions are queued and run one at a time
+let sqliteTransactionQueue = Promise.resolve();
+
+/**
+ * Run a function inside a database transaction
+ * Every query made through this module (or database.js) while fn runs is part of the
+ * transaction. It commits when fn resolves and rolls back if fn throws.
+ * Calls nested inside an open transaction join it.
+ * SQLite note: the connection is shared, so other requests' queries issued while a
+ * transaction is open run inside it - keep transactions short.
+ * @param {Function} fn - Async function doing the work
+ * @returns {Promise<*>} Whatever fn returns
+ */
+const withTransaction = async (fn) => {
+  if (db.transactionContext.getStore()) {
+    return fn();
+  }
+
+  const dbType = db.getDbType();
+
+  if (dbType === 'postgres') {
+    const client = await db.connect();
+    try {
+      await client.query('BEGIN');
+      const result = await db.transactionContext.run(client, fn);
+      const commit = await client.query('COMMIT');
+      // A statement failed and its error was swallowed - PostgreSQL turns COMMIT into ROLLBACK
+      if (commit.command === 'ROLLBACK') {
+        throw new Error('Transaction was rolled back after a failed statement');
+      }
+      return result;
+    } catch (err) {
+      await client.query('ROLLBACK').catch(() => {});
+      throw err;
+    } finally {
+      client.release();
+    }
+  }
+
+  // SQLite: wait for the previous transaction to finish
+  const previous = sqliteTransactionQueue;
+  let release;
+  sqliteTransactionQueue = new Promise(resolve => { release = resolve; });
+  await previous;
+
+  try {
+    // IMMEDIATE takes the write lock up front
+    await execute('BEGIN IMMEDIATE');
+    try {
+      const result = await db.transactionContext.run(true, fn);
+      await execute('COMMIT');
+      return result;
+    } catch (err) {
+      await execute('ROLLBACK').catch(() => {});
+      throw err;
+    }
+  } finally {
+    release();
+  }
+};
+
+/**
+ * Select rows by ID and lock them for the rest of the transaction
+ * PostgreSQL takes row locks (in ID order so two transactions can't deadlock);
+ * on SQLite the transaction already holds the database write lock.
+ * Must be called inside withTransaction.
+ * @returns {Promise<Array>} Locked rows, ordered by ID
+ */
+const lockRows = async (table, ids, selectFields = '*') => {
+  const placeholders = ids.map(() => '?').join(', ');
+  const lockClause = db.getDbType() === 'postgres' ? 'FOR UPDATE' : '';
+  return queryMany(`
+    SELECT ${selectFields} FROM ${table}
+    WHERE id IN (${placeholders})
+    ORDER BY id
+    ${lockClause}
+  `, ids);
+};
+
 module.exports = {
   queryMany,
   queryOne,
@@ -360,6 +439,8 @@ module.exports = {
   exists,
   count,
   insertOrIgnore,
+  withTransaction,
+  lockRows,
   prepareSql,
   convertSqlForDb
 };
@@ -1,5 +1,132 @@
 const db = require('../database');
 
+/**
+ * Add columns to an existing table if they don't exist yet
+ * @param {string} table - Table name
+ * @param {Array} columns - [{ name, postgres: 'BOOLEAN DEFAULT FALSE', sqlite: 'INTEGER DEFAULT 0' }]
+ */
+const addColumnsIfMissing = async (table, columns) => {
+  const dbType = db.getDbType();
+  const dbInstance = db.getDb();
+  
+  if (dbType === 'postgres') {
+    for (const column of columns) {
+      try {
+        await db.query(`ALTER TABLE ${table} ADD COLUMN IF NOT EXISTS ${column.name} ${column.postgres}`);
+      } catch (err) {
+        console.error(`Error adding ${column.name} column to ${table}:`, err);
+      }
+    }
+    return;
+  }
+  
+  const existing = await new Promise((resolve) => {
+    dbInstance.all(`PRAGMA table_info(${table})`, (err, rows) => {
+      if (err) {
+        console.error(`Error checking ${table} table info:`, err);
+        return resolve(null);
+      }
+      resolve(rows.map(row => row.name));
+    });
+  });
+  if (!existing) return;
+  
+  for (const column of columns.filter(col => !existing.includes(col.name))) {
+    await new Promise((resolve) => {
+      dbInstance.run(`ALTER TABLE ${table} ADD COLUMN ${column.name} ${column.sqlite}`, (err) => {
+        if (err && !err.message.includes('duplicate column')) {
+          console.error(`Error adding ${column.name} column to ${table}:`, err);
+        }
+        resolve();
+      });
+    });
+  }
+};
+
+/**
+ * Drop a column's NOT NULL constraint (SQLite)
+ * SQLite can't alter a column, so the table is rebuilt from its own schema without the constraint
+ * and its indexes are recreated. Foreign keys are off meanwhile so dropping the old table doesn't
+ * cascade to the rows that reference it.
+ */
+const dropSqliteNotNull = async (table, column) => {
+  const dbInstance = db.getDb();
+  const run = (sql) => new Promise((resolve, reject) => {
+    dbInstance.run(sql, (err) => (err ? reject(err) : resolve()));
+  });
+  const all = (sql, params = []) => new Promise((resolve, reject) => {
+    dbInstance.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows)));
+  });
+  
+  const columns = await all(`PRAGMA table_info(${table})`);
+  const target = columns.find(col => col.name === column);
+  if (!target || !target.notnull) return;
+  
+  const [tableRow] = await all(`SELECT sql FROM sqlite_master WHERE type = 'table' AND name = ?`, [table]);
+  const indexes = await all(`SELECT sql FROM sqlite_master WHERE type = 'index' AND tbl_name = ? AND sql IS NOT NULL`, [table]);
+  const notNull = new RegExp(`(\\b${column}\\s+\\w+)\\s+NOT\\s+NULL`, 'i');
+  if (!notNull.test(tableRow.sql)) {
+    console.error(`Could not find the NOT NULL constraint on ${table}.${column}`);
+    return;
+  }
+  const rebuildSql = tableRow.sql
+    .replace(notNull, '$1')
+    .replace(new RegExp(`^CREATE TABLE\\s+"?${table}"?`, 'i'), `CREATE TABLE ${table}_rebuild`);
+  
+  console.log(`Rebuilding ${table} table to allow NULL ${column}...`);
+  await run('PRAGMA foreign_keys = OFF');
+  try {
+    await run('BEGIN');
+    try {
+      await run(rebuildSql);
+      await run(`INSERT INTO ${table}_rebuild SELECT * FROM ${table}`);
+      await run(`DROP TABLE ${table}`);
+      await run(`ALTER TABLE ${table}_rebuild RENAME TO ${table}`);
+      for (const index of indexes) {
+        await run(index.sql);
+      }
+      await run('COMMIT');
+    } catch (err) {
+      await run('ROLLBACK').catch(() => {});
+      throw err;
+    }
+  } finally {
+    await run('PRAGMA foreign_keys = ON');
+  }
+};
+
+/**
+ * Insert default settings rows that don't exist yet (existing values are left alone)
+ * @param {Array} defaults - [[key, value, description], ...]
+ */
+const addSettingsIfMissing = async (defaults) => {
+  const dbType = db.getDbType();
+  const dbInstance = db.getDb();
+  
+  for (const [key, value, description] of defaults) {
+    if (dbType === 'postgres') {
+      try {
+        await db.query(`
+          INSERT INTO settings (key, value, description)
+          VALUES ($1, $2, $3)
+          ON CONFLICT (key) DO NOTHING
+        `, [key, value, description]);
+      } catch (err) {
+        console.error(`Error adding ${key} setting:`, err);
+      }
+    } else {
+      await new Promise((resolve) => {
+        dbInstance.run(`INSERT OR IGNORE INTO settings (key, value, description) VALUES (?, ?, ?)`, [key, value, description], (err) => {
+          if (err) {
+            console.error(`Error adding ${key} setting:`, err);
+          }
+          resolve();
+        });
+      });
+    }
+  }
+};
+
 /**
  * Run database migrations to add new columns if they don't exist
  */
@@ -84,7 +211,7 @@ const runMigrations = async () => {
     }
   } else {
     // SQLite: Use PRAGMA to check columns
-    return new Promise((resolve, reject) => {
+    await new Promise((resolve, reject) => {
       dbInstance.serialize(() => {
         // First check if the table exists
         dbInstance.get(`
@@ -212,7 +339,7 @@ const runMigrations = async () => {
     }
   } else {
     // SQLite: Check and add category_id column
-    return new Promise((resolve) => {
+    await new Promise((resolve) => {
       dbInstance.serialize(() => {
         // Check if categories table exists
         dbInstance.get(`
@@ -396,7 +523,7 @@ const runMigrations = async () => {
     }
   } else {
     // SQLite: Check and create photo_submissions table
-    return new Promise((resolve) => {
+    await new Promise((resolve) => {
       dbInstance.serialize(() => {
         dbInstance.get(`
           SELECT name FROM sqlite_master 
@@ -750,7 +877,7 @@ const runMigrations = async () => {
     }
   } else {
     // SQLite: Check and add familiarity columns, then advanced metrics
-    return new Promise((resolve) => {
+    await new Promise((resolve) => {
       // SQLite helper function to check and add advanced metrics
       const checkAndAddAdvancedMetrics = (callback) => {
         dbInstance.all(`
@@ -1165,6 +1292,939 @@ const runMigrations = async () => {
       console.error('Error in settings table migration:', err);
     }
   }
+
+  // Migration: Add item_category_ratings table (per-category Elo track for same-category matchups)
+  if (dbType === 'postgres') {
+    try {
+      await db.query(`
+        CREATE TABLE IF NOT EXISTS item_category_ratings (
+          item_id INTEGER NOT NULL REFERENCES items(id) ON DELETE CASCADE,
+          category_id INTEGER NOT NULL REFERENCES categories(id) ON DELETE CASCADE,
+          elo_rating DOUBLE PRECISION DEFAULT 1500,
+          comparison_count INTEGER DEFAULT 0,
+          wins INTEGER DEFAULT 0,
+          losses INTEGER DEFAULT 0,
+          rating_confidence DOUBLE PRECISION DEFAULT 0.0,
+          last_compared_at TIMESTAMP,
+          PRIMARY KEY (item_id, category_id)
+        )
+      `);
+      await db.query(`
+        CREATE INDEX IF NOT EXISTS idx_item_category_ratings_category_elo ON item_category_ratings(category_id, elo_rating DESC)
+      `);
+    } catch (err) {
+      console.error('Item category ratings migration error:', err);
+      // Don't throw - allow server to continue
+    }
+  } else {
+    await new Promise((resolve) => {
+      dbInstance.run(`CREATE TABLE IF NOT EXISTS item_category_ratings (
+        item_id INTEGER NOT NULL REFERENCES items(id) ON DELETE CASCADE,
+        category_id INTEGER NOT NULL REFERENCES categories(id) ON DELETE CASCADE,
+        elo_rating REAL DEFAULT 1500,
+        comparison_count INTEGER DEFAULT 0,
+        wins INTEGER DEFAULT 0,
+        losses INTEGER DEFAULT 0,
+        rating_confidence REAL DEFAULT 0.0,
+        last_compared_at DATETIME,
+        PRIMARY KEY (item_id, category_id)
+      )`, (err) => {
+        if (err) {
+          console.error('Item category ratings migration error:', err);
+          return resolve();
+        }
+        dbInstance.run(`CREATE INDEX IF NOT EXISTS idx_item_category_ratings_category_elo ON item_category_ratings(category_id, elo_rating DESC)`, () => {
+          resolve();
+        });
+      });
+    });
+  }
+
+  // Migration: Add rating_history table (before/after rating for every vote)
+  if (dbType === 'postgres') {
+    try {
+      await db.query(`
+        CREATE TABLE IF NOT EXISTS rating_history (
+          id SERIAL PRIMARY KEY,
+          item_id INTEGER NOT NULL REFERENCES items(id) ON DELETE CASCADE,
+          comparison_id INTEGER REFERENCES comparisons(id) ON DELETE SET NULL,
+          opponent_id INTEGER REFERENCES items(id) ON DELETE SET NULL,
+          rating_before DOUBLE PRECISION NOT NULL,
+          rating_after DOUBLE PRECISION NOT NULL,
+          won BOOLEAN,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+      await db.query(`
+        CREATE INDEX IF NOT EXISTS idx_rating_history_item_created ON rating_history(item_id, created_at)
+      `);
+      await db.query(`
+        CREATE INDEX IF NOT EXISTS idx_rating_history_created ON rating_history(created_at)
+      `);
+    } catch (err) {
+      console.error('Rating history migration error:', err);
+      // Don't throw - allow server to continue
+    }
+  } else {
+    await new Promise((resolve) => {
+      dbInstance.run(`CREATE TABLE IF NOT EXISTS rating_history (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        item_id INTEGER NOT NULL REFERENCES items(id) ON DELETE CASCADE,
+        comparison_id INTEGER REFERENCES comparisons(id) ON DELETE SET NULL,
+        opponent_id INTEGER REFERENCES items(id) ON DELETE SET NULL,
+        rating_before REAL NOT NULL,
+        rating_after REAL NOT NULL,
+        won INTEGER,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )`, (err) => {
+        if (err) {
+          console.error('Rating history migration error:', err);
+          return resolve();
+        }
+        dbInstance.run(`CREATE INDEX IF NOT EXISTS idx_rating_history_item_created ON rating_history(item_id, created_at)`, () => {
+          dbInstance.run(`CREATE INDEX IF NOT EXISTS idx_rating_history_created ON rating_history(created_at)`, () => {
+            resolve();
+          });
+        });
+      });
+    });
+  }
+
+  // Migration: Add used_comparison_tokens table (single-use comparison tokens)
+  if (dbType === 'postgres') {
+    try {
+      await db.query(`
+        CREATE TABLE IF NOT EXISTS used_comparison_tokens (
+          token_id VARCHAR(64) PRIMARY KEY,
+          used_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          expires_at TIMESTAMP NOT NULL
+        )
+      `);
+      await db.query(`
+        CREATE INDEX IF NOT EXISTS idx_used_comparison_tokens_expires_at ON used_comparison_tokens(expires_at)
+      `);
+    } catch (err) {
+      console.error('Used comparison tokens migration error:', err);
+      // Don't throw - allow server to continue
+    }
+  } else {
+    await new Promise((resolve) => {
+      dbInstance.run(`CREATE TABLE IF NOT EXISTS used_comparison_tokens (
+        token_id TEXT PRIMARY KEY,
+        used_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        expires_at DATETIME NOT NULL
+      )`, (err) => {
+        if (err) {
+          console.error('Used comparison tokens migration error:', err);
+          return resolve();
+        }
+        dbInstance.run(`CREATE INDEX IF NOT EXISTS idx_used_comparison_tokens_expires_at ON used_comparison_tokens(expires_at)`, () => {
+          resolve();
+        });
+      });
+    });
+  }
+
+  // Migration: Rate limiting, anomaly flags and vote quarantine
+  if (dbType === 'postgres') {
+    try {
+      await db.query(`
+        CREATE TABLE IF NOT EXISTS rate_limits (
+          key VARCHAR(255) PRIMARY KEY,
+          hits INTEGER NOT NULL DEFAULT 0,
+          reset_at BIGINT NOT NULL
+        )
+      `);
+      await db.query(`
+        CREATE TABLE IF NOT EXISTS flagged_sessions (
+          id SERIAL PRIMARY KEY,
+          user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+          user_session_id VARCHAR(255),
+          reason VARCHAR(100) NOT NULL,
+          details TEXT,
+          status VARCHAR(20) DEFAULT 'pending' CHECK (status IN ('pending', 'approved', 'rejected')),
+          flagged_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          reviewed_at TIMESTAMP
+        )
+      `);
+      await db.query(`
+        CREATE INDEX IF NOT EXISTS idx_flagged_sessions_status ON flagged_sessions(status)
+      `);
+    } catch (err) {
+      console.error('Rate limiting / anomaly migration error:', err);
+      // Don't throw - allow server to continue
+    }
+  } else {
+    await new Promise((resolve) => {
+      dbInstance.serialize(() => {
+        dbInstance.run(`CREATE TABLE IF NOT EXISTS rate_limits (
+          key TEXT PRIMARY KEY,
+          hits INTEGER NOT NULL DEFAULT 0,
+          reset_at INTEGER NOT NULL
+        )`);
+        dbInstance.run(`CREATE TABLE IF NOT EXISTS flagged_sessions (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+          user_session_id TEXT,
+          reason TEXT NOT NULL,
+          details TEXT,
+          status TEXT DEFAULT 'pending' CHECK (status IN ('pending', 'approved', 'rejected')),
+          flagged_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          reviewed_at DATETIME
+        )`);
+        dbInstance.run(`CREATE INDEX IF NOT EXISTS idx_flagged_sessions_status ON flagged_sessions(status)`, (err) => {
+          if (err) {
+            console.error('Rate limiting / anomaly migration error:', err);
+          }
+          resolve();
+        });
+      });
+    });
+  }
+  
+  await addColumnsIfMissing('comparisons', [
+    { name: 'quarantined', postgres: 'BOOLEAN DEFAULT FALSE', sqlite: 'INTEGER DEFAULT 0' },
+    { name: 'flag_id', postgres: 'INTEGER REFERENCES flagged_sessions(id) ON DELETE SET NULL', sqlite: 'INTEGER REFERENCES flagged_sessions(id) ON DELETE SET NULL' },
+    { name: 'reverted_at', postgres: 'TIMESTAMP', sqlite: 'DATETIME' }
+  ]);
+  
+  await addSettingsIfMissing([
+    ['rate_limiting_enabled', 'true', 'Enable/disable rate limiting of votes, skips, comments and submissions'],
+    ['rate_limit_store', 'memory', 'Where rate limit counters are kept (memory or database)'],
+    ['vote_rate_limit_per_minute', '30', 'Maximum votes per minute per user/session'],
+    ['skip_rate_limit_per_minute', '60', 'Maximum skips per minute per user/session'],
+    ['comment_rate_limit_per_minute', '5', 'Maximum comments per minute per user/session'],
+    ['submission_rate_limit_per_hour', '10', 'Maximum photo/item submissions per hour per user/session'],
+    ['anomaly_detection_enabled', 'true', 'Enable/disable the background job that flags suspicious voting'],
+    ['anomaly_check_interval_minutes', '5', 'Minutes between anomaly detection runs'],
+    ['anomaly_window_minutes', '10', 'Minutes of recent votes examined by each anomaly detection run'],
+    ['anomaly_min_votes', '20', 'Votes in the window before a user/session is examined'],
+    ['anomaly_max_votes_per_minute', '20', 'Sustained votes per minute considered inhuman'],
+    ['anomaly_single_item_threshold', '0.6', 'Share of votes picking the same winner that flags single-item bias (0.0-1.0)']
+  ]);
+  
+  // Migration: Pre-vote snapshots used to undo a vote
+  if (dbType === 'postgres') {
+    try {
+      await db.query(`
+        CREATE TABLE IF NOT EXISTS vote_snapshots (
+          comparison_id INTEGER PRIMARY KEY REFERENCES comparisons(id) ON DELETE CASCADE,
+          snapshot TEXT NOT NULL,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+      await db.query(`
+        CREATE INDEX IF NOT EXISTS idx_vote_snapshots_created_at ON vote_snapshots(created_at)
+      `);
+    } catch (err) {
+      console.error('Vote snapshots migration error:', err);
+      // Don't throw - allow server to continue
+    }
+  } else {
+    await new Promise((resolve) => {
+      dbInstance.serialize(() => {
+        dbInstance.run(`CREATE TABLE IF NOT EXISTS vote_snapshots (
+          comparison_id INTEGER PRIMARY KEY REFERENCES comparisons(id) ON DELETE CASCADE,
+          snapshot TEXT NOT NULL,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )`);
+        dbInstance.run(`CREATE INDEX IF NOT EXISTS idx_vote_snapshots_created_at ON vote_snapshots(created_at)`, (err) => {
+          if (err) {
+            console.error('Vote snapshots migration error:', err);
+          }
+          resolve();
+        });
+      });
+    });
+  }
+  
+  await addSettingsIfMissing([
+    ['undo_window_seconds', '30', 'Seconds after voting during which a vote can be undone']
+  ]);
+  
+  // Migration: Rating deviation and volatility for the Glicko-2 rating engine
+  const glickoColumns = [
+    { name: 'rating_deviation', postgres: 'DOUBLE PRECISION DEFAULT 350', sqlite: 'REAL DEFAULT 350' },
+    { name: 'rating_volatility', postgres: 'DOUBLE PRECISION DEFAULT 0.06', sqlite: 'REAL DEFAULT 0.06' }
+  ];
+  await addColumnsIfMissing('items', glickoColumns);
+  await addColumnsIfMissing('item_category_ratings', glickoColumns);
+  
+  await addSettingsIfMissing([
+    ['rating_engine', 'elo', 'Rating engine used for votes (elo or glicko2) - replay ratings after switching'],
+    ['glicko_tau', '0.5', 'Glicko-2 system constant limiting how fast volatility changes (0.3-1.2)']
+  ]);
+  
+  // Migration: Rating replay jobs (recompute all ratings from the comparisons log)
+  // Replayed ratings and history are staged per job until the job is applied
+  if (dbType === 'postgres') {
+    try {
+      await db.query(`
+        CREATE TABLE IF NOT EXISTS rating_replay_jobs (
+          id SERIAL PRIMARY KEY,
+          status VARCHAR(20) NOT NULL DEFAULT 'running',
+          dry_run BOOLEAN DEFAULT FALSE,
+          engine VARCHAR(20) NOT NULL,
+          total_comparisons INTEGER DEFAULT 0,
+          processed_comparisons INTEGER DEFAULT 0,
+          last_comparison_id INTEGER DEFAULT 0,
+          rank_changes TEXT,
+          error TEXT,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          completed_at TIMESTAMP
+        )
+      `);
+      await db.query(`
+        CREATE TABLE IF NOT EXISTS rating_replay_records (
+          job_id INTEGER NOT NULL REFERENCES rating_replay_jobs(id) ON DELETE CASCADE,
+          item_id INTEGER NOT NULL,
+          category_id INTEGER NOT NULL DEFAULT 0,
+          elo_rating DOUBLE PRECISION,
+          rating_deviation DOUBLE PRECISION,
+          rating_volatility DOUBLE PRECISION,
+          rating_confidence DOUBLE PRECISION,
+          comparison_count INTEGER DEFAULT 0,
+          wins INTEGER DEFAULT 0,
+          losses INTEGER DEFAULT 0,
+          current_streak_wins INTEGER DEFAULT 0,
+          current_streak_losses INTEGER DEFAULT 0,
+          longest_win_streak INTEGER DEFAULT 0,
+          peak_rating DOUBLE PRECISION,
+          peak_rating_date TIMESTAMP,
+          last_compared_at TIMESTAMP,
+          PRIMARY KEY (job_id, item_id, category_id)
+        )
+      `);
+      await db.query(`
+        CREATE TABLE IF NOT EXISTS rating_replay_history (
+          job_id INTEGER NOT NULL REFERENCES rating_replay_jobs(id) ON DELETE CASCADE,
+          comparison_id INTEGER NOT NULL,
+          item_id INTEGER NOT NULL,
+          rating_before DOUBLE PRECISION NOT NULL,
+          rating_after DOUBLE PRECISION NOT NULL,
+          PRIMARY KEY (job_id, comparison_id, item_id)
+        )
+      `);
+    } catch (err) {
+      console.error('Rating replay migration error:', err);
+      // Don't throw - allow server to continue
+    }
+  } else {
+    await new Promise((resolve) => {
+      dbInstance.serialize(() => {
+        dbInstance.run(`CREATE TABLE IF NOT EXISTS rating_replay_jobs (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          status TEXT NOT NULL DEFAULT 'running',
+          dry_run INTEGER DEFAULT 0,
+          engine TEXT NOT NULL,
+          total_comparisons INTEGER DEFAULT 0,
+          processed_comparisons INTEGER DEFAULT 0,
+          last_comparison_id INTEGER DEFAULT 0,
+          rank_changes TEXT,
+          error TEXT,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          completed_at DATETIME
+        )`);
+        dbInstance.run(`CREATE TABLE IF NOT EXISTS rating_replay_records (
+          job_id INTEGER NOT NULL REFERENCES rating_replay_jobs(id) ON DELETE CASCADE,
+          item_id INTEGER NOT NULL,
+          category_id INTEGER NOT NULL DEFAULT 0,
+          elo_rating REAL,
+          rating_deviation REAL,
+          rating_volatility REAL,
+          rating_confidence REAL,
+          comparison_count INTEGER DEFAULT 0,
+          wins INTEGER DEFAULT 0,
+          losses INTEGER DEFAULT 0,
+          current_streak_wins INTEGER DEFAULT 0,
+          current_streak_losses INTEGER DEFAULT 0,
+          longest_win_streak INTEGER DEFAULT 0,
+          peak_rating REAL,
+          peak_rating_date DATETIME,
+          last_compared_at DATETIME,
+          PRIMARY KEY (job_id, item_id, category_id)
+        )`);
+        dbInstance.run(`CREATE TABLE IF NOT EXISTS rating_replay_history (
+          job_id INTEGER NOT NULL REFERENCES rating_replay_jobs(id) ON DELETE CASCADE,
+          comparison_id INTEGER NOT NULL,
+          item_id INTEGER NOT NULL,
+          rating_before REAL NOT NULL,
+          rating_after REAL NOT NULL,
+          PRIMARY KEY (job_id, comparison_id, item_id)
+        )`, (err) => {
+          if (err) {
+            console.error('Rating replay migration error:', err);
+          }
+          resolve();
+        });
+      });
+    });
+  }
+  
+  // Migration: Bradley-Terry scores (periodic batch fit with bootstrap intervals)
+  if (dbType === 'postgres') {
+    try {
+      await db.query(`
+        CREATE TABLE IF NOT EXISTS bt_scores (
+          item_id INTEGER PRIMARY KEY REFERENCES items(id) ON DELETE CASCADE,
+          score DOUBLE PRECISION NOT NULL,
+          score_lower DOUBLE PRECISION NOT NULL,
+          score_upper DOUBLE PRECISION NOT NULL,
+          rank INTEGER NOT NULL,
+          rank_lower INTEGER NOT NULL,
+          rank_upper INTEGER NOT NULL,
+          comparison_count INTEGER DEFAULT 0,
+          fitted_at TIMESTAMP NOT NULL
+        )
+      `);
+      await db.query(`
+        CREATE INDEX IF NOT EXISTS idx_bt_scores_score ON bt_scores(score DESC)
+      `);
+    } catch (err) {
+      console.error('Bradley-Terry migration error:', err);
+      // Don't throw - allow server to continue
+    }
+  } else {
+    await new Promise((resolve) => {
+      dbInstance.serialize(() => {
+        dbInstance.run(`CREATE TABLE IF NOT EXISTS bt_scores (
+          item_id INTEGER PRIMARY KEY REFERENCES items(id) ON DELETE CASCADE,
+          score REAL NOT NULL,
+          score_lower REAL NOT NULL,
+          score_upper REAL NOT NULL,
+          rank INTEGER NOT NULL,
+          rank_lower INTEGER NOT NULL,
+          rank_upper INTEGER NOT NULL,
+          comparison_count INTEGER DEFAULT 0,
+          fitted_at DATETIME NOT NULL
+        )`);
+        dbInstance.run(`CREATE INDEX IF NOT EXISTS idx_bt_scores_score ON bt_scores(score DESC)`, (err) => {
+          if (err) {
+            console.error('Bradley-Terry migration error:', err);
+          }
+          resolve();
+        });
+      });
+    });
+  }
+  
+  await addSettingsIfMissing([
+    ['bt_fit_interval_minutes', '60', 'Minutes between Bradley-Terry ranking fits'],
+    ['bt_bootstrap_samples', '100', 'Bootstrap resamples per Bradley-Terry fit (more = steadier rank ranges, slower fits)']
+  ]);
+  
+  await addSettingsIfMissing([
+    ['selection_strategy', 'weighted', 'Pair selection strategy: weighted (vote-count/Elo/recency heuristic) or active (expected information gain)']
+  ]);
+  
+  // Migration: Per-session reservations for batches of upcoming comparisons
+  if (dbType === 'postgres') {
+    try {
+      await db.query(`
+        CREATE TABLE IF NOT EXISTS comparison_reservations (
+          token_id VARCHAR(64) PRIMARY KEY,
+          session_id VARCHAR(255) NOT NULL,
+          pool_key VARCHAR(255) NOT NULL,
+          item1_id INTEGER NOT NULL REFERENCES items(id) ON DELETE CASCADE,
+          item2_id INTEGER NOT NULL REFERENCES items(id) ON DELETE CASCADE,
+          comparison_token TEXT NOT NULL,
+          position INTEGER NOT NULL DEFAULT 0,
+          expires_at TIMESTAMP NOT NULL,
+          reserved_at TIMESTAMP NOT NULL
+        )
+      `);
+      await db.query(`
+        CREATE INDEX IF NOT EXISTS idx_comparison_reservations_session ON comparison_reservations(session_id, expires_at)
+      `);
+    } catch (err) {
+      console.error('Comparison reservations migration error:', err);
+      // Don't throw - allow server to continue
+    }
+  } else {
+    await new Promise((resolve) => {
+      dbInstance.serialize(() => {
+        dbInstance.run(`CREATE TABLE IF NOT EXISTS comparison_reservations (
+          token_id TEXT PRIMARY KEY,
+          session_id TEXT NOT NULL,
+          pool_key TEXT NOT NULL,
+          item1_id INTEGER NOT NULL REFERENCES items(id) ON DELETE CASCADE,
+          item2_id INTEGER NOT NULL REFERENCES items(id) ON DELETE CASCADE,
+          comparison_token TEXT NOT NULL,
+          position INTEGER NOT NULL DEFAULT 0,
+          expires_at DATETIME NOT NULL,
+          reserved_at DATETIME NOT NULL
+        )`);
+        dbInstance.run(`CREATE INDEX IF NOT EXISTS idx_comparison_reservations_session ON comparison_reservations(session_id, expires_at)`, (err) => {
+          if (err) {
+            console.error('Comparison reservations migration error:', err);
+          }
+          resolve();
+        });
+      });
+    });
+  }
+  
+  await addSettingsIfMissing([
+    ['selection_index_rebuild_minutes', '10', 'Minutes between full rebuilds of the in-memory selection weight index']
+  ]);
+  
+  // Migration: Content similarity clusters (TF-IDF/shingle neighbours over titles and descriptions)
+  if (dbType === 'postgres') {
+    try {
+      await db.query(`
+        CREATE TABLE IF NOT EXISTS item_similarity_clusters (
+          item_id INTEGER PRIMARY KEY REFERENCES items(id) ON DELETE CASCADE,
+          cluster_id INTEGER NOT NULL,
+          cohesion DOUBLE PRECISION NOT NULL,
+          computed_at TIMESTAMP NOT NULL
+        )
+      `);
+      await db.query(`
+        CREATE INDEX IF NOT EXISTS idx_item_similarity_clusters_cluster ON item_similarity_clusters(cluster_id)
+      `);
+    } catch (err) {
+      console.error('Similarity clusters migration error:', err);
+      // Don't throw - allow server to continue
+    }
+  } else {
+    await new Promise((resolve) => {
+      dbInstance.serialize(() => {
+        dbInstance.run(`CREATE TABLE IF NOT EXISTS item_similarity_clusters (
+          item_id INTEGER PRIMARY KEY REFERENCES items(id) ON DELETE CASCADE,
+          cluster_id INTEGER NOT NULL,
+          cohesion REAL NOT NULL,
+          computed_at DATETIME NOT NULL
+        )`);
+        dbInstance.run(`CREATE INDEX IF NOT EXISTS idx_item_similarity_clusters_cluster ON item_similarity_clusters(cluster_id)`, (err) => {
+          if (err) {
+            console.error('Similarity clusters migration error:', err);
+          }
+          resolve();
+        });
+      });
+    });
+  }
+  
+  await addSettingsIfMissing([
+    ['similarity_rebuild_minutes', '360', 'Minutes between rebuilds of the content similarity clusters used by diversity filtering']
+  ]);
+  
+  // Migration: A/B experiments (variants with settings overrides, per-session assignments)
+  if (dbType === 'postgres') {
+    try {
+      await db.query(`
+        CREATE TABLE IF NOT EXISTS experiments (
+          id SERIAL PRIMARY KEY,
+          name VARCHAR(255) NOT NULL,
+          description TEXT,
+          status VARCHAR(20) NOT NULL DEFAULT 'draft',
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          started_at TIMESTAMP,
+          stopped_at TIMESTAMP
+        )
+      `);
+      await db.query(`
+        CREATE TABLE IF NOT EXISTS experiment_variants (
+          id SERIAL PRIMARY KEY,
+          experiment_id INTEGER NOT NULL REFERENCES experiments(id) ON DELETE CASCADE,
+          name VARCHAR(255) NOT NULL,
+          weight INTEGER NOT NULL DEFAULT 1,
+          overrides TEXT NOT NULL DEFAULT '{}'
+        )
+      `);
+      await db.query(`
+        CREATE TABLE IF NOT EXISTS experiment_assignments (
+          experiment_id INTEGER NOT NULL REFERENCES experiments(id) ON DELETE CASCADE,
+          session_id VARCHAR(255) NOT NULL,
+          variant_id INTEGER NOT NULL REFERENCES experiment_variants(id) ON DELETE CASCADE,
+          skip_count INTEGER NOT NULL DEFAULT 0,
+          assigned_at TIMESTAMP NOT NULL,
+          PRIMARY KEY (experiment_id, session_id)
+        )
+      `);
+      await db.query(`
+        CREATE INDEX IF NOT EXISTS idx_experiment_assignments_variant ON experiment_assignments(variant_id)
+      `);
+    } catch (err) {
+      console.error('Experiments migration error:', err);
+      // Don't throw - allow server to continue
+    }
+  } else {
+    await new Promise((resolve) => {
+      dbInstance.serialize(() => {
+        dbInstance.run(`CREATE TABLE IF NOT EXISTS experiments (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          name TEXT NOT NULL,
+          description TEXT,
+          status TEXT NOT NULL DEFAULT 'draft',
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          started_at DATETIME,
+          stopped_at DATETIME
+        )`);
+        dbInstance.run(`CREATE TABLE IF NOT EXISTS experiment_variants (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          experiment_id INTEGER NOT NULL REFERENCES experiments(id) ON DELETE CASCADE,
+          name TEXT NOT NULL,
+          weight INTEGER NOT NULL DEFAULT 1,
+          overrides TEXT NOT NULL DEFAULT '{}'
+        )`);
+        dbInstance.run(`CREATE TABLE IF NOT EXISTS experiment_assignments (
+          experiment_id INTEGER NOT NULL REFERENCES experiments(id) ON DELETE CASCADE,
+          session_id TEXT NOT NULL,
+          variant_id INTEGER NOT NULL REFERENCES experiment_variants(id) ON DELETE CASCADE,
+          skip_count INTEGER NOT NULL DEFAULT 0,
+          assigned_at DATETIME NOT NULL,
+          PRIMARY KEY (experiment_id, session_id)
+        )`);
+        dbInstance.run(`CREATE INDEX IF NOT EXISTS idx_experiment_assignments_variant ON experiment_assignments(variant_id)`, (err) => {
+          if (err) {
+            console.error('Experiments migration error:', err);
+          }
+          resolve();
+        });
+      });
+    });
+  }
+  
+  await addColumnsIfMissing('comparisons', [
+    { name: 'experiment_variant_id', postgres: 'INTEGER REFERENCES experiment_variants(id) ON DELETE SET NULL', sqlite: 'INTEGER REFERENCES experiment_variants(id) ON DELETE SET NULL' }
+  ]);
+  
+  if (dbType === 'postgres') {
+    try {
+      await db.query(`
+        CREATE INDEX IF NOT EXISTS idx_comparisons_experiment_variant ON comparisons(experiment_variant_id)
+      `);
+    } catch (err) {
+      console.error('Experiments migration error:', err);
+    }
+  } else {
+    await new Promise((resolve) => {
+      dbInstance.run(`CREATE INDEX IF NOT EXISTS idx_comparisons_experiment_variant ON comparisons(experiment_variant_id)`, (err) => {
+        if (err) {
+          console.error('Experiments migration error:', err);
+        }
+        resolve();
+      });
+    });
+  }
+  
+  // Migration: Tie and "don't know either" vote outcomes
+  await addColumnsIfMissing('comparisons', [
+    { name: 'outcome', postgres: "VARCHAR(20) DEFAULT 'win'", sqlite: "TEXT DEFAULT 'win'" }
+  ]);
+  await addColumnsIfMissing('items', [
+    { name: 'unfamiliar_count', postgres: 'INTEGER DEFAULT 0', sqlite: 'INTEGER DEFAULT 0' }
+  ]);
+  
+  // Ties and unfamiliar answers have no winner
+  if (dbType === 'postgres') {
+    try {
+      await db.query(`ALTER TABLE comparisons ALTER COLUMN winner_id DROP NOT NULL`);
+    } catch (err) {
+      console.error('Vote outcomes migration error:', err);
+    }
+  } else {
+    try {
+      await dropSqliteNotNull('comparisons', 'winner_id');
+    } catch (err) {
+      console.error('Vote outcomes migration error:', err);
+    }
+  }
+  
+  // Migration: Preference strength on votes (slight / clear / overwhelming)
+  await addColumnsIfMissing('comparisons', [
+    { name: 'strength', postgres: 'VARCHAR(20)', sqlite: 'TEXT' }
+  ]);
+  
+  // Migration: Best-of-N submissions (one row per answer, linked to the pairwise comparisons it implies)
+  if (dbType === 'postgres') {
+    try {
+      await db.query(`
+        CREATE TABLE IF NOT EXISTS comparison_groups (
+          id SERIAL PRIMARY KEY,
+          item_ids TEXT NOT NULL,
+          answer_type VARCHAR(20) NOT NULL,
+          ranking TEXT NOT NULL,
+          user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+          user_session_id VARCHAR(255),
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+    } catch (err) {
+      console.error('Comparison groups migration error:', err);
+    }
+  } else {
+    await new Promise((resolve) => {
+      dbInstance.run(`CREATE TABLE IF NOT EXISTS comparison_groups (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        item_ids TEXT NOT NULL,
+        answer_type TEXT NOT NULL,
+        ranking TEXT NOT NULL,
+        user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        user_session_id TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )`, (err) => {
+        if (err) {
+          console.error('Comparison groups migration error:', err);
+        }
+        resolve();
+      });
+    });
+  }
+  
+  await addColumnsIfMissing('comparisons', [
+    { name: 'group_id', postgres: 'INTEGER REFERENCES comparison_groups(id) ON DELETE SET NULL', sqlite: 'INTEGER REFERENCES comparison_groups(id) ON DELETE SET NULL' }
+  ]);
+  
+  if (dbType === 'postgres') {
+    try {
+      await db.query(`CREATE INDEX IF NOT EXISTS idx_comparisons_group ON comparisons(group_id)`);
+    } catch (err) {
+      console.error('Comparison groups migration error:', err);
+    }
+  } else {
+    await new Promise((resolve) => {
+      dbInstance.run(`CREATE INDEX IF NOT EXISTS idx_comparisons_group ON comparisons(group_id)`, (err) => {
+        if (err) {
+          console.error('Comparison groups migration error:', err);
+        }
+        resolve();
+      });
+    });
+  }
+  
+  // Migration: Client-measured decision time (ms from the pair being shown to the vote)
+  await addColumnsIfMissing('comparisons', [
+    { name: 'decision_ms', postgres: 'INTEGER', sqlite: 'INTEGER' }
+  ]);
+  
+  await addSettingsIfMissing([
+    ['decision_time_min_ms', '250', 'Decision times below this many milliseconds are left out of decision time stats (misclicks, key mashing)'],
+    ['decision_time_max_seconds', '60', 'Decision times above this many seconds are left out of decision time stats (the voter stepped away)'],
+    ['anomaly_min_median_decision_ms', '400', 'Median decision time (ms) below which a user/session is flagged for deciding too fast (0 disables)']
+  ]);
+  
+  // Migration: Side each item was shown on, and the position bias correction applied to the vote
+  await addColumnsIfMissing('comparisons', [
+    { name: 'left_item_id', postgres: 'INTEGER', sqlite: 'INTEGER' },
+    { name: 'position_correction', postgres: 'REAL', sqlite: 'REAL' }
+  ]);
+  
+  await addSettingsIfMissing([
+    ['position_bias_correction_enabled', 'false', 'Discount votes for the side a strongly side-biased user/session habitually picks'],
+    ['position_bias_threshold', '0.7', 'Share of picks for one side (0.5-1.0) that counts as strongly side-biased'],
+    ['position_bias_min_votes', '20', 'Votes with a known side before a user/session is judged for position bias']
+  ]);
+  
+  // Migration: Preference cycles and per-item controversy (periodic paradox analysis)
+  if (dbType === 'postgres') {
+    try {
+      await db.query(`
+        CREATE TABLE IF NOT EXISTS preference_cycles (
+          id SERIAL PRIMARY KEY,
+          item_a_id INTEGER NOT NULL REFERENCES items(id) ON DELETE CASCADE,
+          item_b_id INTEGER NOT NULL REFERENCES items(id) ON DELETE CASCADE,
+          item_c_id INTEGER NOT NULL REFERENCES items(id) ON DELETE CASCADE,
+          share_ab DOUBLE PRECISION NOT NULL,
+          share_bc DOUBLE PRECISION NOT NULL,
+          share_ca DOUBLE PRECISION NOT NULL,
+          votes_ab INTEGER NOT NULL,
+          votes_bc INTEGER NOT NULL,
+          votes_ca INTEGER NOT NULL,
+          strength DOUBLE PRECISION NOT NULL,
+          computed_at TIMESTAMP NOT NULL
+        )
+      `);
+      await db.query(`
+        CREATE TABLE IF NOT EXISTS item_controversy (
+          item_id INTEGER PRIMARY KEY REFERENCES items(id) ON DELETE CASCADE,
+          score DOUBLE PRECISION NOT NULL,
+          votes INTEGER NOT NULL,
+          cycle_count INTEGER DEFAULT 0,
+          computed_at TIMESTAMP NOT NULL
+        )
+      `);
+      await db.query(`CREATE INDEX IF NOT EXISTS idx_item_controversy_score ON item_controversy(score DESC)`);
+    } catch (err) {
+      console.error('Paradox analysis migration error:', err);
+    }
+  } else {
+    await new Promise((resolve) => {
+      dbInstance.serialize(() => {
+        dbInstance.run(`CREATE TABLE IF NOT EXISTS preference_cycles (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          item_a_id INTEGER NOT NULL REFERENCES items(id) ON DELETE CASCADE,
+          item_b_id INTEGER NOT NULL REFERENCES items(id) ON DELETE CASCADE,
+          item_c_id INTEGER NOT NULL REFERENCES items(id) ON DELETE CASCADE,
+          share_ab REAL NOT NULL,
+          share_bc REAL NOT NULL,
+          share_ca REAL NOT NULL,
+          votes_ab INTEGER NOT NULL,
+          votes_bc INTEGER NOT NULL,
+          votes_ca INTEGER NOT NULL,
+          strength REAL NOT NULL,
+          computed_at DATETIME NOT NULL
+        )`);
+        dbInstance.run(`CREATE TABLE IF NOT EXISTS item_controversy (
+          item_id INTEGER PRIMARY KEY REFERENCES items(id) ON DELETE CASCADE,
+          score REAL NOT NULL,
+          votes INTEGER NOT NULL,
+          cycle_count INTEGER DEFAULT 0,
+          computed_at DATETIME NOT NULL
+        )`);
+        dbInstance.run(`CREATE INDEX IF NOT EXISTS idx_item_controversy_score ON item_controversy(score DESC)`, (err) => {
+          if (err) {
+            console.error('Paradox analysis migration error:', err);
+          }
+          resolve();
+        });
+      });
+    });
+  }
+  
+  await addSettingsIfMissing([
+    ['paradox_analysis_interval_minutes', '60', 'Minutes between preference cycle / controversy analyses'],
+    ['cycle_min_pair_votes', '5', 'Votes a pair needs before its majority counts as a preference in cycle detection'],
+    ['cycle_min_share', '0.6', 'Share of a pair\'s votes (0.5-1.0) the majority needs for its preference to count in cycle detection'],
+    ['controversy_min_votes', '10', 'Votes an item needs before it gets a controversy score']
+  ]);
+  
+  // Migration: Tournament brackets (seeded entries, matches per round, one vote per voter per match)
+  if (dbType === 'postgres') {
+    try {
+      await db.query(`
+        CREATE TABLE IF NOT EXISTS tournaments (
+          id SERIAL PRIMARY KEY,
+          name VARCHAR(255) NOT NULL,
+          description TEXT,
+          status VARCHAR(20) NOT NULL DEFAULT 'running',
+          category_id INTEGER REFERENCES categories(id) ON DELETE SET NULL,
+          bracket_size INTEGER NOT NULL,
+          round_minutes INTEGER NOT NULL,
+          counts_toward_elo BOOLEAN NOT NULL DEFAULT FALSE,
+          current_round INTEGER NOT NULL DEFAULT 1,
+          round_ends_at TIMESTAMP,
+          winner_item_id INTEGER REFERENCES items(id) ON DELETE SET NULL,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          completed_at TIMESTAMP
+        )
+      `);
+      await db.query(`
+        CREATE TABLE IF NOT EXISTS tournament_entries (
+          tournament_id INTEGER NOT NULL REFERENCES tournaments(id) ON DELETE CASCADE,
+          item_id INTEGER NOT NULL REFERENCES items(id) ON DELETE CASCADE,
+          seed INTEGER NOT NULL,
+          seed_rating DOUBLE PRECISION NOT NULL,
+          PRIMARY KEY (tournament_id, item_id)
+        )
+      `);
+      await db.query(`
+        CREATE TABLE IF NOT EXISTS tournament_matches (
+          id SERIAL PRIMARY KEY,
+          tournament_id INTEGER NOT NULL REFERENCES tournaments(id) ON DELETE CASCADE,
+          round_number INTEGER NOT NULL,
+          slot INTEGER NOT NULL,
+          item1_id INTEGER REFERENCES items(id) ON DELETE SET NULL,
+          item2_id INTEGER REFERENCES items(id) ON DELETE SET NULL,
+          item1_votes INTEGER NOT NULL DEFAULT 0,
+          item2_votes INTEGER NOT NULL DEFAULT 0,
+          winner_id INTEGER REFERENCES items(id) ON DELETE SET NULL,
+          status VARCHAR(20) NOT NULL DEFAULT 'pending',
+          decided_at TIMESTAMP,
+          UNIQUE (tournament_id, round_number, slot)
+        )
+      `);
+      await db.query(`
+        CREATE TABLE IF NOT EXISTS tournament_votes (
+          id SERIAL PRIMARY KEY,
+          tournament_id INTEGER NOT NULL REFERENCES tournaments(id) ON DELETE CASCADE,
+          match_id INTEGER NOT NULL REFERENCES tournament_matches(id) ON DELETE CASCADE,
+          winner_id INTEGER NOT NULL,
+          voter_key VARCHAR(255) NOT NULL,
+          user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+          user_session_id VARCHAR(255),
+          comparison_id INTEGER REFERENCES comparisons(id) ON DELETE SET NULL,
+          counted BOOLEAN NOT NULL DEFAULT TRUE,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          UNIQUE (match_id, voter_key)
+        )
+      `);
+      await db.query(`CREATE INDEX IF NOT EXISTS idx_tournaments_status ON tournaments(status, round_ends_at)`);
+      await db.query(`CREATE INDEX IF NOT EXISTS idx_tournament_votes_voter ON tournament_votes(tournament_id, voter_key)`);
+    } catch (err) {
+      console.error('Tournaments migration error:', err);
+    }
+  } else {
+    await new Promise((resolve) => {
+      dbInstance.serialize(() => {
+        dbInstance.run(`CREATE TABLE IF NOT EXISTS tournaments (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          name TEXT NOT NULL,
+          description TEXT,
+          status TEXT NOT NULL DEFAULT 'running',
+          category_id INTEGER REFERENCES categories(id) ON DELETE SET NULL,
+          bracket_size INTEGER NOT NULL,
+          round_minutes INTEGER NOT NULL,
+          counts_toward_elo INTEGER NOT NULL DEFAULT 0,
+          current_round INTEGER NOT NULL DEFAULT 1,
+          round_ends_at DATETIME,
+          winner_item_id INTEGER REFERENCES items(id) ON DELETE SET NULL,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          completed_at DATETIME
+        )`);
+        dbInstance.run(`CREATE TABLE IF NOT EXISTS tournament_entries (
+          tournament_id INTEGER NOT NULL REFERENCES tournaments(id) ON DELETE CASCADE,
+          item_id INTEGER NOT NULL REFERENCES items(id) ON DELETE CASCADE,
+          seed INTEGER NOT NULL,
+          seed_rating REAL NOT NULL,
+          PRIMARY KEY (tournament_id, item_id)
+        )`);
+        dbInstance.run(`CREATE TABLE IF NOT EXISTS tournament_matches (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          tournament_id INTEGER NOT NULL REFERENCES tournaments(id) ON DELETE CASCADE,
+          round_number INTEGER NOT NULL,
+          slot INTEGER NOT NULL,
+          item1_id INTEGER REFERENCES items(id) ON DELETE SET NULL,
+          item2_id INTEGER REFERENCES items(id) ON DELETE SET NULL,
+          item1_votes INTEGER NOT NULL DEFAULT 0,
+          item2_votes INTEGER NOT NULL DEFAULT 0,
+          winner_id INTEGER REFERENCES items(id) ON DELETE SET NULL,
+          status TEXT NOT NULL DEFAULT 'pending',
+          decided_at DATETIME,
+          UNIQUE (tournament_id, round_number, slot)
+        )`);
+        dbInstance.run(`CREATE TABLE IF NOT EXISTS tournament_votes (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          tournament_id INTEGER NOT NULL REFERENCES tournaments(id) ON DELETE CASCADE,
+          match_id INTEGER NOT NULL REFERENCES tournament_matches(id) ON DELETE CASCADE,
+          winner_id INTEGER NOT NULL,
+          voter_key TEXT NOT NULL,
+          user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+          user_session_id TEXT,
+          comparison_id INTEGER REFERENCES comparisons(id) ON DELETE SET NULL,
+          counted INTEGER NOT NULL DEFAULT 1,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          UNIQUE (match_id, voter_key)
+        )`);
+        dbInstance.run(`CREATE INDEX IF NOT EXISTS idx_tournaments_status ON tournaments(status, round_ends_at)`);
+        dbInstance.run(`CREATE INDEX IF NOT EXISTS idx_tournament_votes_voter ON tournament_votes(tournament_id, voter_key)`, (err) => {
+          if (err) {
+            console.error('Tournaments migration error:', err);
+          }
+          resolve();
+        });
+      });
+    });
+  }
+  
+  await addSettingsIfMissing([
+    ['tournament_round_minutes', '1440', 'Default length of a tournament round\'s voting window in minutes'],
+    ['tournament_votes_count_toward_elo', 'false', 'Whether new tournaments count their votes toward global Elo by default (true/false)'],
+    ['tournament_check_interval_minutes', '1', 'Minutes between checks for tournament rounds whose voting window has closed']
+  ]);
 };
 
 module.exports = {
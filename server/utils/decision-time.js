@@ -0,0 +1,154 @@
+// Decision time
+// The client reports how long a pair was on screen before the vote (comparisons.decision_ms).
+// Raw values are stored as sent; the stats here leave out outliers - answers faster than
+// decision_time_min_ms (misclicks, key mashing) and slower than decision_time_max_seconds
+// (the voter stepped away) - and use medians where a few stragglers would skew an average.
+// Pairs are scored on how slow and how split their decisions are: the hardest pairs take long
+// and divide voters, the easiest are decided quickly and (nearly) unanimously.
+
+const { queryMany, queryOne } = require('./db-helpers');
+const settings = require('./settings');
+
+// Decision time stats for one item look at its most recent timed votes
+const ITEM_SAMPLE_SIZE = 1000;
+
+/**
+ * Validate a client-reported decision time
+ * @returns {number|null|undefined} Whole milliseconds, null when none was sent, undefined if invalid
+ */
+const parseDecisionMs = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+  const ms = Number(value);
+  if (!Number.isFinite(ms) || ms < 0) return undefined;
+  return Math.round(ms);
+};
+
+/**
+ * Decision times (ms) counted by the stats: [min, max]
+ */
+const getDecisionBounds = async () => {
+  const [minMs, maxSeconds] = await Promise.all([
+    settings.getDecisionTimeMinMs(),
+    settings.getDecisionTimeMaxSeconds()
+  ]);
+  return [minMs, maxSeconds * 1000];
+};
+
+const median = (values) => {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 1 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+// Timed votes that say something about the items (not "don't know either", not quarantined)
+const TIMED_VOTES = `
+  decision_ms BETWEEN ? AND ? AND quarantined = FALSE AND outcome != 'unfamiliar'
+`;
+
+/**
+ * Decision time stats for one item
+ * @returns {Promise<Object>} { median_decision_ms, avg_decision_ms, timed_votes }
+ */
+const getItemDecisionTime = async (itemId) => {
+  const bounds = await getDecisionBounds();
+  const rows = await queryMany(`
+    SELECT decision_ms
+    FROM comparisons
+    WHERE (item1_id = ? OR item2_id = ?) AND ${TIMED_VOTES}
+    ORDER BY id DESC
+    LIMIT ${ITEM_SAMPLE_SIZE}
+  `, [itemId, itemId, ...bounds]);
+
+  const times = rows.map(row => parseInt(row.decision_ms));
+  const medianMs = median(times);
+  return {
+    median_decision_ms: medianMs !== null ? Math.round(medianMs) : null,
+    avg_decision_ms: times.length > 0 ? Math.round(times.reduce((sum, ms) => sum + ms, 0) / times.length) : null,
+    timed_votes: times.length
+  };
+};
+
+// Each pair is keyed by its lower item ID first, whichever side it was shown on
+const LOW_ID_SQL = 'CASE WHEN item1_id < item2_id THEN item1_id ELSE item2_id END';
+const HIGH_ID_SQL = 'CASE WHEN item1_id < item2_id THEN item2_id ELSE item1_id END';
+
+/**
+ * The hardest and easiest pairs by decision time and vote split
+ * split is 0 when every voter agreed and 1 for an even split (a tie counts as half a win each);
+ * slowness is the pair's average decision time over the average across all pairs.
+ * difficulty = split × slowness, ease = (1 - split) / slowness
+ * @param {Object} options - { limit, minVotes } (minVotes: timed votes a pair needs to be ranked)
+ * @returns {Promise<Object>} { hardest, easiest, averageDecisionMs, pairsConsidered }
+ */
+const getPairDifficulty = async ({ limit = 10, minVotes = 3 } = {}) => {
+  const bounds = await getDecisionBounds();
+  const [pairs, overall] = await Promise.all([
+    queryMany(`
+      SELECT ${LOW_ID_SQL} as low_id, ${HIGH_ID_SQL} as high_id,
+             COUNT(*) as votes,
+             AVG(decision_ms) as avg_decision_ms,
+             SUM(CASE WHEN winner_id IS NULL THEN 0.5 WHEN winner_id = ${LOW_ID_SQL} THEN 1.0 ELSE 0.0 END) as low_score
+      FROM comparisons
+      WHERE ${TIMED_VOTES}
+      GROUP BY ${LOW_ID_SQL}, ${HIGH_ID_SQL}
+      HAVING COUNT(*) >= ?
+    `, [...bounds, minVotes]),
+    queryOne(`SELECT AVG(decision_ms) as avg_decision_ms FROM comparisons WHERE ${TIMED_VOTES}`, bounds)
+  ]);
+
+  const averageDecisionMs = overall && overall.avg_decision_ms !== null ? parseFloat(overall.avg_decision_ms) : null;
+  if (pairs.length === 0 || !averageDecisionMs) {
+    return { hardest: [], easiest: [], averageDecisionMs: averageDecisionMs && Math.round(averageDecisionMs), pairsConsidered: 0 };
+  }
+
+  const scored = pairs.map(pair => {
+    const votes = parseInt(pair.votes);
+    const avgMs = parseFloat(pair.avg_decision_ms);
+    const lowShare = parseFloat(pair.low_score) / votes;
+    const split = 1 - Math.abs(2 * lowShare - 1);
+    const slowness = avgMs / averageDecisionMs;
+    return {
+      item1Id: parseInt(pair.low_id),
+      item2Id: parseInt(pair.high_id),
+      votes,
+      avgDecisionMs: Math.round(avgMs),
+      item1Share: Math.round(lowShare * 100) / 100,
+      split: Math.round(split * 100) / 100,
+      difficulty: split * slowness,
+      ease: (1 - split) / slowness
+    };
+  });
+
+  const hardest = [...scored].sort((a, b) => b.difficulty - a.difficulty).slice(0, limit);
+  const easiest = [...scored].sort((a, b) => b.ease - a.ease).slice(0, limit);
+
+  // Attach titles/images for display
+  const ids = [...new Set([...hardest, ...easiest].flatMap(pair => [pair.item1Id, pair.item2Id]))];
+  const items = await queryMany(
+    `SELECT id, title, image_url FROM items WHERE id IN (${ids.map(() => '?').join(', ')})`,
+    ids
+  );
+  const itemsById = new Map(items.map(item => [parseInt(item.id), item]));
+  const present = ({ item1Id, item2Id, difficulty, ease, ...pair }) => ({
+    item1: itemsById.get(item1Id) || { id: item1Id },
+    item2: itemsById.get(item2Id) || { id: item2Id },
+    ...pair,
+    difficulty: Math.round(difficulty * 100) / 100,
+    ease: Math.round(ease * 100) / 100
+  });
+
+  return {
+    hardest: hardest.map(present),
+    easiest: easiest.map(present),
+    averageDecisionMs: Math.round(averageDecisionMs),
+    pairsConsidered: scored.length
+  };
+};
+
+module.exports = {
+  parseDecisionMs,
+  median,
+  getItemDecisionTime,
+  getPairDifficulty
+};
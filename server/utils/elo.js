@@ -45,25 +45,27 @@ const getDynamicKFactor = async (ratingConfidence) => {
  * Update Elo ratings after a match
  * @param {number} rating1 - Current rating of item 1
  * @param {number} rating2 - Current rating of item 2
- * @param {boolean} item1Won - Whether item 1 won
+ * @param {number|boolean} item1Score - Item 1's result: 1 (or true) for a win, 0 (or false) for a loss, 0.5 for a tie
  * @param {number} confidence1 - Rating confidence for item 1 (optional)
  * @param {number} confidence2 - Rating confidence for item 2 (optional)
+ * @param {number} strengthMultiplier - Scales the update by how strongly the winner was preferred (see vote-strength)
  * @returns {Promise<Object>} New ratings for both items
  */
-const updateEloRatings = async (rating1, rating2, item1Won, confidence1 = 0, confidence2 = 0) => {
+const updateEloRatings = async (rating1, rating2, item1Score, confidence1 = 0, confidence2 = 0, strengthMultiplier = 1) => {
   const expected1 = expectedScore(rating1, rating2);
   const expected2 = expectedScore(rating2, rating1);
   
-  const actual1 = item1Won ? 1 : 0;
-  const actual2 = item1Won ? 0 : 1;
+  // A tie is a draw: half a point each
+  const actual1 = Number(item1Score);
+  const actual2 = 1 - actual1;
   
   // Use dynamic K-factor based on confidence if provided, otherwise use base K
   const baseK = await settings.getBaseKFactor();
   const k1 = confidence1 !== undefined ? await getDynamicKFactor(confidence1) : baseK;
   const k2 = confidence2 !== undefined ? await getDynamicKFactor(confidence2) : baseK;
   
-  const newRating1 = rating1 + k1 * (actual1 - expected1);
-  const newRating2 = rating2 + k2 * (actual2 - expected2);
+  const newRating1 = rating1 + strengthMultiplier * k1 * (actual1 - expected1);
+  const newRating2 = rating2 + strengthMultiplier * k2 * (actual2 - expected2);
   
   return {
     newRating1,
@@ -0,0 +1,355 @@
+// A/B experiments
+// An experiment splits sessions between variants, each with its own settings overrides (e.g. a
+// different K-factor or diversity penalty strength). A session's variant is drawn once, in proportion
+// to the variant weights, and kept in experiment_assignments so it doesn't change mid-experiment.
+// Requests from assigned sessions run with the variant's overrides (settings.withSettingsOverrides)
+// and their votes record the variant in comparisons.experiment_variant_id.
+// Only one experiment runs at a time.
+
+const { queryMany, queryOne, execute, insertAndReturn, insertOrIgnore, updateAndReturn, withTransaction } = require('./db-helpers');
+const { withSettingsOverrides } = require('./settings');
+
+const MAX_VARIANTS = 5;
+const RUNNING_CACHE_TTL = 30000;
+
+// Numeric settings fall back to their default when 0, so overrides must be positive
+const positiveUpTo = (max) => (v) => {
+  const val = parseFloat(v);
+  if (isNaN(val) || val <= 0 || val > max) return `must be greater than 0 and at most ${max}`;
+  return null;
+};
+const oneOf = (...values) => (v) => (values.includes(String(v)) ? null : `must be ${values.join(' or ')}`);
+
+// Settings a variant may override, with their validation
+const EXPERIMENT_SETTINGS = {
+  selection_strategy: oneOf('weighted', 'active'),
+  diversity_filtering_enabled: oneOf('true', 'false'),
+  diversity_penalty_strength: positiveUpTo(1),
+  wikipedia_popularity_enabled: oneOf('true', 'false'),
+  wikipedia_popularity_strength: positiveUpTo(1),
+  base_k_factor: positiveUpTo(100),
+  high_confidence_k: positiveUpTo(100),
+  medium_confidence_k: positiveUpTo(100),
+  low_confidence_k: positiveUpTo(100),
+  comparison_factor_weight: positiveUpTo(1),
+  win_rate_factor_weight: positiveUpTo(1),
+  recency_factor_weight: positiveUpTo(1),
+  engagement_factor_weight: positiveUpTo(1)
+};
+
+const EXPERIMENT_ERRORS = {
+  NOT_FOUND: {
+    status: 404,
+    code: 'EXPERIMENT_NOT_FOUND',
+    error: 'Experiment not found',
+    message: 'There is no experiment with that ID.'
+  },
+  ALREADY_RUNNING: {
+    status: 409,
+    code: 'EXPERIMENT_RUNNING',
+    error: 'Another experiment is running',
+    message: 'Stop the running experiment before starting another one.'
+  },
+  INVALID_STATE: {
+    status: 409,
+    code: 'EXPERIMENT_INVALID_STATE',
+    error: 'Experiment is not in the right state',
+    message: 'Only draft experiments can be started and only running experiments can be stopped.'
+  },
+  INVALID: {
+    status: 400,
+    code: 'EXPERIMENT_INVALID',
+    error: 'Invalid experiment'
+  }
+};
+
+let runningCache = null; // { experiment, loadedAt }
+
+const parseOverrides = (value) => {
+  try {
+    return value ? JSON.parse(value) : {};
+  } catch (err) {
+    return {};
+  }
+};
+
+/**
+ * Check an experiment definition
+ * @returns {string|null} What's wrong with it, or null if it's valid
+ */
+const validateExperiment = ({ name, variants }) => {
+  if (!name || !String(name).trim()) return 'Name is required';
+  if (!Array.isArray(variants) || variants.length < 2 || variants.length > MAX_VARIANTS) {
+    return `An experiment needs between 2 and ${MAX_VARIANTS} variants`;
+  }
+
+  const names = new Set();
+  for (const variant of variants) {
+    const variantName = String(variant.name || '').trim();
+    if (!variantName) return 'Every variant needs a name';
+    if (names.has(variantName)) return `Variant names must be unique ("${variantName}" is used twice)`;
+    names.add(variantName);
+
+    const weight = variant.weight === undefined ? 1 : parseInt(variant.weight);
+    if (isNaN(weight) || weight < 1 || weight > 100) {
+      return `Variant "${variantName}": weight must be between 1 and 100`;
+    }
+
+    const overrides = variant.overrides || {};
+    if (typeof overrides !== 'object' || Array.isArray(overrides)) {
+      return `Variant "${variantName}": overrides must be an object of setting: value`;
+    }
+    for (const [key, value] of Object.entries(overrides)) {
+      if (!EXPERIMENT_SETTINGS[key]) return `Variant "${variantName}": ${key} can't be overridden`;
+      const error = EXPERIMENT_SETTINGS[key](value);
+      if (error) return `Variant "${variantName}": ${key} ${error}`;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Per-variant results: sessions, votes per session, skip rate and rating stability
+ * (the average rating change per vote - lower means steadier ratings)
+ */
+const getVariantMetrics = async (experimentIds) => {
+  if (experimentIds.length === 0) return [];
+  return queryMany(`
+    SELECT v.id, v.experiment_id, v.name, v.weight, v.overrides,
+           (SELECT COUNT(*) FROM experiment_assignments a WHERE a.variant_id = v.id) as sessions,
+           (SELECT COALESCE(SUM(a.skip_count), 0) FROM experiment_assignments a WHERE a.variant_id = v.id) as skips,
+           (SELECT COUNT(*) FROM comparisons c WHERE c.experiment_variant_id = v.id AND c.outcome != 'unfamiliar') as votes,
+           (SELECT AVG(ABS(rh.rating_after - rh.rating_before))
+            FROM rating_history rh
+            JOIN comparisons c ON rh.comparison_id = c.id
+            WHERE c.experiment_variant_id = v.id) as mean_rating_change
+    FROM experiment_variants v
+    WHERE v.experiment_id IN (${experimentIds.map(() => '?').join(', ')})
+    ORDER BY v.id
+  `, experimentIds);
+};
+
+const formatVariant = (row) => {
+  const sessions = parseInt(row.sessions) || 0;
+  const votes = parseInt(row.votes) || 0;
+  const skips = parseInt(row.skips) || 0;
+  return {
+    id: row.id,
+    name: row.name,
+    weight: parseInt(row.weight) || 1,
+    overrides: parseOverrides(row.overrides),
+    sessions,
+    votes,
+    skips,
+    votes_per_session: sessions > 0 ? votes / sessions : 0,
+    skip_rate: votes + skips > 0 ? skips / (votes + skips) : 0,
+    mean_rating_change: row.mean_rating_change !== null && row.mean_rating_change !== undefined
+      ? parseFloat(row.mean_rating_change)
+      : null
+  };
+};
+
+/**
+ * All experiments, newest first, with per-variant results
+ */
+const listExperiments = async () => {
+  const experiments = await queryMany(`
+    SELECT id, name, description, status, created_at, started_at, stopped_at
+    FROM experiments
+    ORDER BY id DESC
+  `);
+  const variants = await getVariantMetrics(experiments.map(experiment => experiment.id));
+  return experiments.map(experiment => ({
+    ...experiment,
+    variants: variants.filter(variant => variant.experiment_id === experiment.id).map(formatVariant)
+  }));
+};
+
+const getExperiment = async (experimentId) => {
+  return queryOne('SELECT id, name, description, status FROM experiments WHERE id = ?', [experimentId]);
+};
+
+/**
+ * Create a draft experiment
+ * @param {Object} definition - { name, description, variants: [{ name, weight, overrides }] }
+ * @returns {Promise<Object>} { experiment } or { error }
+ */
+const createExperiment = async (definition) => {
+  const invalid = validateExperiment(definition);
+  if (invalid) {
+    return { error: { ...EXPERIMENT_ERRORS.INVALID, message: invalid } };
+  }
+
+  const experiment = await withTransaction(async () => {
+    const created = await insertAndReturn('experiments', {
+      name: String(definition.name).trim(),
+      description: definition.description || null,
+      status: 'draft'
+    }, 'id');
+
+    for (const variant of definition.variants) {
+      // Stored as strings, like the settings table
+      const overrides = {};
+      Object.entries(variant.overrides || {}).forEach(([key, value]) => {
+        overrides[key] = String(value);
+      });
+      await insertAndReturn('experiment_variants', {
+        experiment_id: created.id,
+        name: String(variant.name).trim(),
+        weight: variant.weight === undefined ? 1 : parseInt(variant.weight),
+        overrides: JSON.stringify(overrides)
+      }, 'id');
+    }
+    return created;
+  });
+
+  const experiments = await listExperiments();
+  return { experiment: experiments.find(row => row.id === experiment.id) };
+};
+
+/**
+ * Start a draft experiment
+ * @returns {Promise<Object>} { experiment } or { error }
+ */
+const startExperiment = async (experimentId) => {
+  const experiment = await getExperiment(experimentId);
+  if (!experiment) return { error: EXPERIMENT_ERRORS.NOT_FOUND };
+  if (experiment.status !== 'draft') return { error: EXPERIMENT_ERRORS.INVALID_STATE };
+
+  const running = await queryOne("SELECT id FROM experiments WHERE status = 'running'");
+  if (running) return { error: EXPERIMENT_ERRORS.ALREADY_RUNNING };
+
+  const started = await updateAndReturn('experiments', experimentId, {
+    status: 'running',
+    started_at: new Date().toISOString()
+  }, 'id, name, status, started_at');
+  runningCache = null;
+  return { experiment: started };
+};
+
+/**
+ * Stop a running experiment - its sessions go back to the normal settings
+ * @returns {Promise<Object>} { experiment } or { error }
+ */
+const stopExperiment = async (experimentId) => {
+  const experiment = await getExperiment(experimentId);
+  if (!experiment) return { error: EXPERIMENT_ERRORS.NOT_FOUND };
+  if (experiment.status !== 'running') return { error: EXPERIMENT_ERRORS.INVALID_STATE };
+
+  const stopped = await updateAndReturn('experiments', experimentId, {
+    status: 'stopped',
+    stopped_at: new Date().toISOString()
+  }, 'id, name, status, stopped_at');
+  runningCache = null;
+  return { experiment: stopped };
+};
+
+/**
+ * The running experiment and its variants (cached briefly - this is read on every comparison)
+ * @returns {Promise<Object|null>} { id, variants: [{ id, name, weight, overrides }] }
+ */
+const getRunningExperiment = async () => {
+  if (runningCache && Date.now() - runningCache.loadedAt < RUNNING_CACHE_TTL) {
+    return runningCache.experiment;
+  }
+
+  const row = await queryOne("SELECT id FROM experiments WHERE status = 'running'");
+  let experiment = null;
+  if (row) {
+    const variants = await queryMany(
+      'SELECT id, name, weight, overrides FROM experiment_variants WHERE experiment_id = ? ORDER BY id',
+      [row.id]
+    );
+    experiment = {
+      id: row.id,
+      variants: variants.map(variant => ({
+        id: variant.id,
+        name: variant.name,
+        weight: parseInt(variant.weight) || 1,
+        overrides: parseOverrides(variant.overrides)
+      }))
+    };
+  }
+  runningCache = { experiment, loadedAt: Date.now() };
+  return experiment;
+};
+
+/**
+ * A session's variant in the running experiment, assigning one on first sight
+ * @param {string} sessionId - User session ID
+ * @returns {Promise<Object|null>} { experimentId, variantId, name, overrides } or null (no experiment/session)
+ */
+const getSessionVariant = async (sessionId) => {
+  if (!sessionId) return null;
+  const experiment = await getRunningExperiment();
+  if (!experiment || experiment.variants.length === 0) return null;
+
+  let assignment = await queryOne(
+    'SELECT variant_id FROM experiment_assignments WHERE experiment_id = ? AND session_id = ?',
+    [experiment.id, sessionId]
+  );
+  if (!assignment) {
+    const totalWeight = experiment.variants.reduce((sum, variant) => sum + variant.weight, 0);
+    let pick = Math.random() * totalWeight;
+    const drawn = experiment.variants.find(variant => (pick -= variant.weight) < 0) ||
+      experiment.variants[experiment.variants.length - 1];
+
+    // Two requests from a new session can race - whichever insert lands first wins
+    await insertOrIgnore('experiment_assignments', {
+      experiment_id: experiment.id,
+      session_id: sessionId,
+      variant_id: drawn.id,
+      assigned_at: new Date().toISOString()
+    }, 'experiment_id, session_id');
+    assignment = await queryOne(
+      'SELECT variant_id FROM experiment_assignments WHERE experiment_id = ? AND session_id = ?',
+      [experiment.id, sessionId]
+    );
+  }
+
+  const variant = experiment.variants.find(row => row.id === assignment?.variant_id);
+  if (!variant) return null;
+  return { experimentId: experiment.id, variantId: variant.id, name: variant.name, overrides: variant.overrides };
+};
+
+/**
+ * Count a skip against the session's variant
+ */
+const recordExperimentSkip = async (experimentVariant, sessionId) => {
+  await execute(
+    'UPDATE experiment_assignments SET skip_count = skip_count + 1 WHERE experiment_id = ? AND session_id = ?',
+    [experimentVariant.experimentId, sessionId]
+  );
+};
+
+/**
+ * Middleware: run the rest of the request with the session's variant settings
+ * Sets req.experimentVariant ({ experimentId, variantId, name, overrides }) for assigned sessions.
+ * Never blocks a request - if the lookup fails the request just uses the normal settings.
+ */
+const applyExperimentVariant = async (req, res, next) => {
+  const sessionId = (req.body && req.body.userSessionId) || req.query.sessionId;
+  let variant = null;
+  try {
+    variant = await getSessionVariant(sessionId);
+  } catch (error) {
+    console.error('Error resolving experiment variant:', error);
+  }
+
+  if (!variant) {
+    return next();
+  }
+  req.experimentVariant = variant;
+  withSettingsOverrides(variant.overrides, next);
+};
+
+module.exports = {
+  EXPERIMENT_SETTINGS,
+  listExperiments,
+  createExperiment,
+  startExperiment,
+  stopExperiment,
+  recordExperimentSkip,
+  applyExperimentVariant
+};
@@ -1,7 +1,9 @@
 // Familiarity score calculator
-// Calculates familiarity_score using multiple factors: comparison_count, win_rate, recency, engagement
+// Calculates familiarity_score using multiple factors: comparison_count, win_rate, recency, engagement,
+// scaled down by how often voters said they don't know the item
 
 const settings = require('./settings');
+const { getRatingEngine } = require('./rating-engine');
 
 // Default values (used as fallback)
 const DEFAULT_MIN_COMPARISONS_FOR_CONFIDENCE = 30;
@@ -60,16 +62,27 @@ const calculateEngagementFactor = (skipCount, comparisonCount) => {
   return Math.max(0.0, engagementRate);
 };
 
+/**
+ * Calculate recognition factor (0-1)
+ * Share of answers on the item that weren't "I don't know either"
+ */
+const calculateRecognitionFactor = (unfamiliarCount, comparisonCount) => {
+  const totalAnswers = comparisonCount + unfamiliarCount;
+  if (totalAnswers === 0) return 1.0;
+  return 1.0 - (unfamiliarCount / totalAnswers);
+};
+
 /**
  * Calculate familiarity score (0-100)
- * Combines multiple factors with weighted formula
+ * Combines multiple factors with weighted formula, then scales by the recognition factor
  */
 const calculateFamiliarityScore = async (item) => {
   const {
     comparison_count = 0,
     wins = 0,
     last_compared_at = null,
-    skip_count = 0
+    skip_count = 0,
+    unfamiliar_count = 0
   } = item;
   
   const [
@@ -98,21 +111,19 @@ const calculateFamiliarityScore = async (item) => {
     winRateFactor * winRateWeight +
     recencyFactor * recencyWeight +
     engagementFactor * engagementWeight
-  ) * 100.0;
+  ) * calculateRecognitionFactor(unfamiliar_count || 0, comparison_count) * 100.0;
   
   return Math.max(0.0, Math.min(100.0, familiarityScore));
 };
 
 /**
- * Calculate rating confidence (0-1)
- * Based on how many comparisons the item has
- * High confidence at min_comparisons_for_confidence comparisons
+ * Calculate rating confidence (0-1) with the active rating engine
+ * Elo: based on how many comparisons the item has (full confidence at min_comparisons_for_confidence)
+ * Glicko-2: based on the rating deviation
  */
-const calculateRatingConfidence = async (comparisonCount) => {
-  if (comparisonCount === 0) return 0.0;
-  const minComparisons = await settings.getMinComparisonsForConfidence();
-  if (comparisonCount >= minComparisons) return 1.0;
-  return comparisonCount / minComparisons;
+const calculateRatingConfidence = async (comparisonCount, ratingDeviation = null) => {
+  const engine = await getRatingEngine();
+  return engine.ratingConfidence({ comparisonCount, deviation: ratingDeviation });
 };
 
 /**
@@ -130,7 +141,7 @@ const updateFamiliarityMetrics = async (db, itemId, updates) => {
   const getItem = async () => {
     if (dbType === 'postgres') {
       const result = await db.query(`
-        SELECT comparison_count, wins, losses, last_compared_at, skip_count
+        SELECT comparison_count, wins, losses, last_compared_at, skip_count, unfamiliar_count, rating_deviation
         FROM items WHERE id = $1
       `, [itemId]);
       return result.rows[0];
@@ -138,7 +149,7 @@ const updateFamiliarityMetrics = async (db, itemId, updates) => {
       return new Promise((resolve, reject) => {
         // Try to get all columns, but if some don't exist, just get what we can
         dbInstance.get(`
-          SELECT comparison_count, wins, losses, last_compared_at, skip_count
+          SELECT comparison_count, wins, losses, last_compared_at, skip_count, unfamiliar_count, rating_deviation
           FROM items WHERE id = ?
         `, [itemId], (err, row) => {
           if (err) {
@@ -149,7 +160,7 @@ const updateFamiliarityMetrics = async (db, itemId, updates) => {
                 FROM items WHERE id = ?
               `, [itemId], (err2, row2) => {
                 if (err2) reject(err2);
-                else resolve({ ...row2, last_compared_at: null, skip_count: 0 });
+                else resolve({ ...row2, last_compared_at: null, skip_count: 0, unfamiliar_count: 0 });
               });
             } else {
               reject(err);
@@ -172,7 +183,7 @@ const updateFamiliarityMetrics = async (db, itemId, updates) => {
       familiarityScore = await calculateFamiliarityScore(item);
     }
     if (updates.ratingConfidence) {
-      ratingConfidence = await calculateRatingConfidence(item.comparison_count);
+      ratingConfidence = await calculateRatingConfidence(item.comparison_count, item.rating_deviation);
     }
     
     // Update database
@@ -0,0 +1,146 @@
+// Glicko-2 rating system (Glickman, "Example of the Glicko-2 system")
+// Each item has a rating, a rating deviation (RD - how uncertain the rating is) and a
+// volatility (how erratic its results are). Every vote is treated as its own rating period.
+
+const SCALE = 173.7178; // Converts between the Glicko (1500-centred) and Glicko-2 scales
+const DEFAULT_RATING = 1500;
+const DEFAULT_DEVIATION = 350;
+const DEFAULT_VOLATILITY = 0.06;
+const DEFAULT_TAU = 0.5;
+const CONVERGENCE_TOLERANCE = 0.000001;
+
+// RD at which a rating counts as fully confident (rating_confidence = 1)
+const CONFIDENT_DEVIATION = 50;
+
+const g = (phi) => 1 / Math.sqrt(1 + 3 * phi * phi / (Math.PI * Math.PI));
+
+const expectedScore = (mu, muOpponent, phiOpponent) => {
+  return 1 / (1 + Math.exp(-g(phiOpponent) * (mu - muOpponent)));
+};
+
+/**
+ * New volatility via the Illinois algorithm (step 5 of the paper)
+ */
+const computeVolatility = (phi, sigma, delta, v, tau) => {
+  const a = Math.log(sigma * sigma);
+  const f = (x) => {
+    const ex = Math.exp(x);
+    const denominator = phi * phi + v + ex;
+    return (ex * (delta * delta - phi * phi - v - ex)) / (2 * denominator * denominator) - (x - a) / (tau * tau);
+  };
+
+  let A = a;
+  let B;
+  if (delta * delta > phi * phi + v) {
+    B = Math.log(delta * delta - phi * phi - v);
+  } else {
+    let k = 1;
+    while (f(a - k * tau) < 0) {
+      k++;
+    }
+    B = a - k * tau;
+  }
+
+  let fA = f(A);
+  let fB = f(B);
+  while (Math.abs(B - A) > CONVERGENCE_TOLERANCE) {
+    const C = A + (A - B) * fA / (fB - fA);
+    const fC = f(C);
+    if (fC * fB <= 0) {
+      A = B;
+      fA = fB;
+    } else {
+      fA = fA / 2;
+    }
+    B = C;
+    fB = fC;
+  }
+
+  return Math.exp(A / 2);
+};
+
+/**
+ * Update one player's rating after a single game
+ * @param {Object} player - { rating, deviation, volatility }
+ * @param {Object} opponent - { rating, deviation } (before the game)
+ * @param {number} score - 1 for a win, 0 for a loss, 0.5 for a draw
+ * @param {number} tau - System constant limiting volatility changes (0.3-1.2)
+ * @param {number} strengthMultiplier - Scales the rating change (not the deviation) by preference strength
+ * @returns {Object} { rating, deviation, volatility }
+ */
+const ratePlayer = (player, opponent, score, tau = DEFAULT_TAU, strengthMultiplier = 1) => {
+  const mu = (player.rating - DEFAULT_RATING) / SCALE;
+  const phi = player.deviation / SCALE;
+  const muOpponent = (opponent.rating - DEFAULT_RATING) / SCALE;
+  const phiOpponent = opponent.deviation / SCALE;
+
+  const gOpponent = g(phiOpponent);
+  const expected = expectedScore(mu, muOpponent, phiOpponent);
+  const v = 1 / (gOpponent * gOpponent * expected * (1 - expected));
+  const delta = v * gOpponent * (score - expected);
+
+  const newVolatility = computeVolatility(phi, player.volatility, delta, v, tau);
+  const phiStar = Math.sqrt(phi * phi + newVolatility * newVolatility);
+  const newPhi = 1 / Math.sqrt(1 / (phiStar * phiStar) + 1 / v);
+  const newMu = mu + strengthMultiplier * newPhi * newPhi * gOpponent * (score - expected);
+
+  return {
+    rating: newMu * SCALE + DEFAULT_RATING,
+    deviation: newPhi * SCALE,
+    volatility: newVolatility
+  };
+};
+
+/**
+ * Update both sides of a game (each is rated against the other's pre-game state)
+ * @param {number|boolean} player1Score - 1 (or true) if player 1 won, 0 (or false) if it lost, 0.5 for a draw
+ * @param {number} strengthMultiplier - Scales both rating changes by preference strength
+ * @returns {Object} { player1, player2 }
+ */
+const updateGlicko2Ratings = (player1, player2, player1Score, tau = DEFAULT_TAU, strengthMultiplier = 1) => {
+  const score1 = Number(player1Score);
+  return {
+    player1: ratePlayer(player1, player2, score1, tau, strengthMultiplier),
+    player2: ratePlayer(player2, player1, 1 - score1, tau, strengthMultiplier)
+  };
+};
+
+/**
+ * Map a rating deviation to a 0-1 confidence
+ * A brand-new item (RD 350) has 0, RD at or below CONFIDENT_DEVIATION has 1
+ */
+const confidenceFromDeviation = (deviation) => {
+  const confidence = (DEFAULT_DEVIATION - deviation) / (DEFAULT_DEVIATION - CONFIDENT_DEVIATION);
+  return Math.max(0, Math.min(1, confidence));
+};
+
+/**
+ * Chance that player 1 beats player 2, allowing for both players' rating deviations
+ */
+const winProbability = (player1, player2) => {
+  const mu1 = (player1.rating - DEFAULT_RATING) / SCALE;
+  const mu2 = (player2.rating - DEFAULT_RATING) / SCALE;
+  const phi = Math.sqrt(player1.deviation * player1.deviation + player2.deviation * player2.deviation) / SCALE;
+  return expectedScore(mu1, mu2, phi);
+};
+
+/**
+ * Inverse of confidenceFromDeviation - the rating deviation a 0-1 confidence corresponds to
+ * Lets rating uncertainty be estimated for any engine from rating_confidence
+ */
+const deviationFromConfidence = (confidence) => {
+  const clamped = Math.max(0, Math.min(1, confidence || 0));
+  return DEFAULT_DEVIATION - clamped * (DEFAULT_DEVIATION - CONFIDENT_DEVIATION);
+};
+
+module.exports = {
+  ratePlayer,
+  updateGlicko2Ratings,
+  confidenceFromDeviation,
+  deviationFromConfidence,
+  winProbability,
+  DEFAULT_RATING,
+  DEFAULT_DEVIATION,
+  DEFAULT_VOLATILITY,
+  DEFAULT_TAU
+};
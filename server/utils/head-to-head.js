@@ -0,0 +1,272 @@
+// Head-to-head history
+// Every counted vote between two items - a win either way or a tie, whichever side each item
+// was shown on - is one meeting. The history reports the overall split, how it developed over
+// time and the most recent meetings, next to the win probability the current ratings predict.
+// An item's opponent breakdown sums up its meetings with each opponent, and rivalries are the
+// pairs that have met most often with the closest split.
+// "Don't know either" answers and quarantined votes aren't meetings.
+
+const { queryMany, queryOne } = require('./db-helpers');
+const { getRatingEngine, stateFromRow } = require('./rating-engine');
+const { parseTimestamp, getBucketStart } = require('./rating-history');
+
+const PAIR_SQL = '((item1_id = ? AND item2_id = ?) OR (item1_id = ? AND item2_id = ?))';
+const COUNTED_SQL = `outcome != 'unfamiliar' AND quarantined = FALSE`;
+const MEETINGS_SQL = `${PAIR_SQL} AND ${COUNTED_SQL}`;
+
+// Each pair is keyed by its lower item ID first, whichever side it was shown on
+const LOW_ID_SQL = 'CASE WHEN c.item1_id < c.item2_id THEN c.item1_id ELSE c.item2_id END';
+const HIGH_ID_SQL = 'CASE WHEN c.item1_id < c.item2_id THEN c.item2_id ELSE c.item1_id END';
+
+const OPPONENT_SORTS = ['meetings', 'closest', 'recent'];
+
+const roundShare = (value) => Math.round(value * 1000) / 1000;
+
+/**
+ * Head-to-head history of two items
+ * Shares count a tie as half a win for each side.
+ * @param {number} item1Id - The item the history is told from
+ * @param {number} item2Id - Its opponent
+ * @param {Object} options - { bucket: 'day' | 'week' (timeline buckets), recent: number of recent meetings }
+ * @returns {Promise<Object|null>} null if either item doesn't exist
+ */
+const getHeadToHead = async (item1Id, item2Id, { bucket = 'week', recent = 10 } = {}) => {
+  const items = await queryMany(`
+    SELECT id, title, description, image_url, elo_rating, rating_deviation, rating_volatility,
+           rating_confidence, comparison_count
+    FROM items
+    WHERE id IN (?, ?)
+  `, [item1Id, item2Id]);
+  const item1 = items.find(item => parseInt(item.id) === item1Id);
+  const item2 = items.find(item => parseInt(item.id) === item2Id);
+  if (!item1 || !item2) return null;
+
+  const rows = await queryMany(`
+    SELECT id, winner_id, outcome, strength, created_at
+    FROM comparisons
+    WHERE ${MEETINGS_SQL}
+    ORDER BY created_at ASC, id ASC
+  `, [item1Id, item2Id, item2Id, item1Id]);
+
+  let item1Wins = 0;
+  let item2Wins = 0;
+  let ties = 0;
+  const timeline = [];
+  rows.forEach(row => {
+    const winnerId = row.winner_id === null ? null : parseInt(row.winner_id);
+    if (winnerId === item1Id) item1Wins++;
+    else if (winnerId === item2Id) item2Wins++;
+    else ties++;
+
+    const start = getBucketStart(parseTimestamp(row.created_at), bucket).toISOString();
+    let current = timeline[timeline.length - 1];
+    if (!current || current.period !== start) {
+      current = { period: start, meetings: 0, item1Wins: 0, item2Wins: 0, ties: 0 };
+      timeline.push(current);
+    }
+    current.meetings++;
+    if (winnerId === item1Id) current.item1Wins++;
+    else if (winnerId === item2Id) current.item2Wins++;
+    else current.ties++;
+    // Running split up to the end of this period
+    const meetingsSoFar = item1Wins + item2Wins + ties;
+    current.item1ShareToDate = roundShare((item1Wins + ties / 2) / meetingsSoFar);
+  });
+
+  const engine = await getRatingEngine();
+  const item1WinProbability = engine.winProbability(stateFromRow(item1), stateFromRow(item2));
+  const meetings = rows.length;
+
+  return {
+    item1,
+    item2,
+    meetings,
+    item1Wins,
+    item2Wins,
+    ties,
+    item1Share: meetings > 0 ? roundShare((item1Wins + ties / 2) / meetings) : null,
+    predicted: {
+      engine: engine.name,
+      item1WinProbability: roundShare(item1WinProbability),
+      item2WinProbability: roundShare(1 - item1WinProbability)
+    },
+    bucket,
+    timeline,
+    recentVotes: rows.slice(-recent).reverse().map(row => ({
+      comparisonId: row.id,
+      winnerId: row.winner_id,
+      outcome: row.outcome,
+      strength: row.strength,
+      createdAt: parseTimestamp(row.created_at).toISOString()
+    }))
+  };
+};
+
+/**
+ * How many earlier voters on a pair gave the same answer: the same winner, or a tie for a tie
+ * @param {number|null} winnerId - The answer's winner (null for a tie)
+ * @returns {Promise<Object|null>} { agreed, votes, share }, or null when nobody has voted on the pair yet
+ */
+const getPairAgreement = async (item1Id, item2Id, winnerId) => {
+  const row = await queryOne(`
+    SELECT COUNT(*) as votes,
+           SUM(CASE WHEN ${winnerId ? 'winner_id = ?' : 'winner_id IS NULL'} THEN 1 ELSE 0 END) as agreed
+    FROM comparisons
+    WHERE ${MEETINGS_SQL}
+  `, [...(winnerId ? [winnerId] : []), item1Id, item2Id, item2Id, item1Id]);
+
+  const votes = row ? parseInt(row.votes) || 0 : 0;
+  if (votes === 0) return null;
+  const agreed = parseInt(row.agreed) || 0;
+  return { agreed, votes, share: roundShare(agreed / votes) };
+};
+
+/**
+ * Every opponent an item has met, with the record against it
+ * Ratings at the time are averages of each side's rating just before each meeting (from
+ * rating_history); upsets are wins by the lower-rated side by more than the upset threshold.
+ * @param {number} itemId - Item ID
+ * @param {Object} options - { sort: 'meetings' | 'closest' | 'recent', limit, offset }
+ * @returns {Promise<Object>} { opponents, total }
+ */
+const getItemOpponents = async (itemId, { sort = 'meetings', limit = 50, offset = 0 } = {}) => {
+  const rows = await queryMany(`
+    SELECT m.opponent_id,
+           COUNT(*) as meetings,
+           SUM(CASE WHEN m.winner_id = ? THEN 1 ELSE 0 END) as wins,
+           SUM(CASE WHEN m.winner_id IS NOT NULL AND m.winner_id != ? THEN 1 ELSE 0 END) as losses,
+           SUM(CASE WHEN m.winner_id IS NULL THEN 1 ELSE 0 END) as ties,
+           SUM(CASE WHEN m.was_upset = TRUE AND m.winner_id = ? THEN 1 ELSE 0 END) as upsets_inflicted,
+           SUM(CASE WHEN m.was_upset = TRUE AND m.winner_id != ? THEN 1 ELSE 0 END) as upsets_suffered,
+           AVG(own.rating_before) as avg_rating,
+           AVG(opp.rating_before) as avg_opponent_rating,
+           MAX(m.created_at) as last_met_at
+    FROM (
+      SELECT id, winner_id, was_upset, created_at,
+             CASE WHEN item1_id = ? THEN item2_id ELSE item1_id END as opponent_id
+      FROM comparisons
+      WHERE (item1_id = ? OR item2_id = ?) AND ${COUNTED_SQL}
+    ) m
+    LEFT JOIN rating_history own ON own.comparison_id = m.id AND own.item_id = ?
+    LEFT JOIN rating_history opp ON opp.comparison_id = m.id AND opp.item_id = m.opponent_id
+    GROUP BY m.opponent_id
+  `, [itemId, itemId, itemId, itemId, itemId, itemId, itemId, itemId]);
+
+  const opponents = rows.map(row => {
+    const meetings = parseInt(row.meetings);
+    const wins = parseInt(row.wins) || 0;
+    const ties = parseInt(row.ties) || 0;
+    const share = (wins + ties / 2) / meetings;
+    return {
+      opponentId: parseInt(row.opponent_id),
+      meetings,
+      wins,
+      losses: parseInt(row.losses) || 0,
+      ties,
+      share: roundShare(share),
+      upsetsInflicted: parseInt(row.upsets_inflicted) || 0,
+      upsetsSuffered: parseInt(row.upsets_suffered) || 0,
+      avgRatingAtTime: row.avg_rating !== null ? Math.round(parseFloat(row.avg_rating)) : null,
+      avgOpponentRatingAtTime: row.avg_opponent_rating !== null ? Math.round(parseFloat(row.avg_opponent_rating)) : null,
+      lastMetAt: row.last_met_at ? parseTimestamp(row.last_met_at).toISOString() : null
+    };
+  });
+
+  const sorters = {
+    meetings: (a, b) => b.meetings - a.meetings || a.opponentId - b.opponentId,
+    closest: (a, b) => Math.abs(a.share - 0.5) - Math.abs(b.share - 0.5) || b.meetings - a.meetings,
+    recent: (a, b) => (b.lastMetAt || '').localeCompare(a.lastMetAt || '')
+  };
+  const page = opponents.sort(sorters[sort] || sorters.meetings).slice(offset, offset + limit);
+
+  // Attach titles/images/current ratings for display
+  const ids = page.map(opponent => opponent.opponentId);
+  const items = ids.length > 0
+    ? await queryMany(
+      `SELECT id, title, image_url, elo_rating FROM items WHERE id IN (${ids.map(() => '?').join(', ')})`,
+      ids
+    )
+    : [];
+  const itemsById = new Map(items.map(item => [parseInt(item.id), item]));
+
+  return {
+    opponents: page.map(({ opponentId, ...opponent }) => ({
+      opponent: itemsById.get(opponentId) || { id: opponentId },
+      ...opponent
+    })),
+    total: opponents.length
+  };
+};
+
+/**
+ * The most contested pairs: many meetings and a close split
+ * split is 1 for an even record and 0 when one side won every meeting (a tie counts as half a
+ * win each); pairs are ranked by meetings × split, so an even rivalry needs volume to rank high.
+ * @param {Object} options - { limit, minMeetings }
+ * @returns {Promise<Array>} [{ item1, item2, meetings, item1Wins, item2Wins, ties, item1Share, split, ratingGap, lastMetAt }]
+ */
+const getRivalries = async ({ limit = 20, minMeetings = 5 } = {}) => {
+  const rows = await queryMany(`
+    SELECT ${LOW_ID_SQL} as low_id, ${HIGH_ID_SQL} as high_id,
+           COUNT(*) as meetings,
+           SUM(CASE WHEN c.winner_id = ${LOW_ID_SQL} THEN 1 ELSE 0 END) as low_wins,
+           SUM(CASE WHEN c.winner_id = ${HIGH_ID_SQL} THEN 1 ELSE 0 END) as high_wins,
+           SUM(CASE WHEN c.winner_id IS NULL THEN 1 ELSE 0 END) as ties,
+           MAX(c.created_at) as last_met_at
+    FROM comparisons c
+    WHERE c.outcome != 'unfamiliar' AND c.quarantined = FALSE
+    GROUP BY ${LOW_ID_SQL}, ${HIGH_ID_SQL}
+    HAVING COUNT(*) >= ?
+  `, [minMeetings]);
+
+  const rivalries = rows.map(row => {
+    const meetings = parseInt(row.meetings);
+    const ties = parseInt(row.ties) || 0;
+    const lowShare = ((parseInt(row.low_wins) || 0) + ties / 2) / meetings;
+    const split = 1 - Math.abs(2 * lowShare - 1);
+    return {
+      item1Id: parseInt(row.low_id),
+      item2Id: parseInt(row.high_id),
+      meetings,
+      item1Wins: parseInt(row.low_wins) || 0,
+      item2Wins: parseInt(row.high_wins) || 0,
+      ties,
+      item1Share: roundShare(lowShare),
+      split: roundShare(split),
+      contested: meetings * split,
+      lastMetAt: row.last_met_at ? parseTimestamp(row.last_met_at).toISOString() : null
+    };
+  })
+    .sort((a, b) => b.contested - a.contested || b.meetings - a.meetings)
+    .slice(0, limit);
+
+  if (rivalries.length === 0) return [];
+
+  const ids = [...new Set(rivalries.flatMap(rivalry => [rivalry.item1Id, rivalry.item2Id]))];
+  const items = await queryMany(
+    `SELECT id, title, image_url, elo_rating FROM items WHERE id IN (${ids.map(() => '?').join(', ')})`,
+    ids
+  );
+  const itemsById = new Map(items.map(item => [parseInt(item.id), item]));
+
+  return rivalries.map(({ item1Id, item2Id, contested, ...rivalry }) => {
+    const item1 = itemsById.get(item1Id) || { id: item1Id };
+    const item2 = itemsById.get(item2Id) || { id: item2Id };
+    return {
+      item1,
+      item2,
+      ...rivalry,
+      ratingGap: item1.elo_rating !== undefined && item2.elo_rating !== undefined
+        ? Math.round(Math.abs(item1.elo_rating - item2.elo_rating))
+        : null
+    };
+  });
+};
+
+module.exports = {
+  OPPONENT_SORTS,
+  getHeadToHead,
+  getPairAgreement,
+  getItemOpponents,
+  getRivalries
+};
@@ -1,4 +1,5 @@
 const db = require('../database');
+const { getRatingAt } = require('./rating-history');
 
 /**
  * Update peak rating if new rating exceeds current peak
@@ -47,7 +48,7 @@ const updatePeakRating = (dbInstance, itemId, newRating, dbType) => {
 
 /**
  * Update streak counters for an item after a vote
- * @param {boolean} won - Whether the item won the comparison
+ * @param {boolean|null} won - Whether the item won the comparison (null for a tie, which ends both streaks)
  */
 const updateStreaks = (dbInstance, itemId, won, dbType) => {
   return new Promise((resolve, reject) => {
@@ -71,7 +72,11 @@ const updateStreaks = (dbInstance, itemId, won, dbType) => {
 
       let newWins, newLosses, newLongest;
 
-      if (won) {
+      if (won === null) {
+        newWins = 0;
+        newLosses = 0;
+        newLongest = longestWinStreak;
+      } else if (won) {
         newWins = currentWins + 1;
         newLosses = 0;
         newLongest = Math.max(longestWinStreak, newWins);
@@ -154,6 +159,36 @@ const updateFirstVoteDate = (dbInstance, itemId, dbType) => {
   });
 };
 
+/**
+ * Refresh rating_7days_ago, rating_30days_ago and rating_change_last_7days from rating_history
+ * Items without history yet keep their current rating as the baseline
+ */
+const updateRatingTrends = async (dbInstance, itemId, currentRating, dbType) => {
+  const now = Date.now();
+  const rating7DaysAgo = await getRatingAt(itemId, new Date(now - 7 * 24 * 60 * 60 * 1000));
+  const rating30DaysAgo = await getRatingAt(itemId, new Date(now - 30 * 24 * 60 * 60 * 1000));
+  const baseline7 = rating7DaysAgo !== null ? rating7DaysAgo : currentRating;
+  const baseline30 = rating30DaysAgo !== null ? rating30DaysAgo : currentRating;
+
+  return new Promise((resolve) => {
+    const updateSql = dbType === 'postgres'
+      ? `UPDATE items SET rating_7days_ago = $1, rating_30days_ago = $2, rating_change_last_7days = $3 WHERE id = $4`
+      : `UPDATE items SET rating_7days_ago = ?, rating_30days_ago = ?, rating_change_last_7days = ? WHERE id = ?`;
+
+    const params = [baseline7, baseline30, currentRating - baseline7, itemId];
+
+    dbInstance.run(updateSql, params, (err) => {
+      if (err) {
+        // Column might not exist yet, ignore error
+        if (!err.message.includes('no such column')) {
+          console.error('Error updating rating trends:', err);
+        }
+      }
+      resolve();
+    });
+  });
+};
+
 /**
  * Update multiple item metrics after a vote
  * @param {number} winnerId - ID of winning item
@@ -161,8 +196,9 @@ const updateFirstVoteDate = (dbInstance, itemId, dbType) => {
  * @param {number} winnerNewRating - New ELO rating for winner
  * @param {number} loserNewRating - New ELO rating for loser
  * @param {boolean} wasUpset - Whether this was an upset (winner had lower initial rating)
+ * @param {boolean} isTie - The vote was a tie (winner/loser are just the two items)
  */
-const updateItemMetricsAfterVote = async (winnerId, loserId, winnerNewRating, loserNewRating, wasUpset = false) => {
+const updateItemMetricsAfterVote = async (winnerId, loserId, winnerNewRating, loserNewRating, wasUpset = false, isTie = false) => {
   const dbInstance = db.getDb();
   const dbType = db.getDbType();
 
@@ -172,11 +208,11 @@ const updateItemMetricsAfterVote = async (winnerId, loserId, winnerNewRating, lo
     await updatePeakRating(dbInstance, loserId, loserNewRating, dbType);
 
     // Update streaks (winner won, loser lost)
-    await updateStreaks(dbInstance, winnerId, true, dbType);
-    await updateStreaks(dbInstance, loserId, false, dbType);
+    await updateStreaks(dbInstance, winnerId, isTie ? null : true, dbType);
+    await updateStreaks(dbInstance, loserId, isTie ? null : false, dbType);
 
     // If it was an upset, increment upset_win_count for winner
-    if (wasUpset) {
+    if (wasUpset && !isTie) {
       await incrementUpsetWinCount(dbInstance, winnerId, dbType);
     }
 
@@ -184,6 +220,10 @@ const updateItemMetricsAfterVote = async (winnerId, loserId, winnerNewRating, lo
     await updateFirstVoteDate(dbInstance, winnerId, dbType);
     await updateFirstVoteDate(dbInstance, loserId, dbType);
 
+    // Update rating trends from the rating history series
+    await updateRatingTrends(dbInstance, winnerId, winnerNewRating, dbType);
+    await updateRatingTrends(dbInstance, loserId, loserNewRating, dbType);
+
   } catch (err) {
     console.error('Error updating item metrics:', err);
     // Don't throw - metrics are non-critical
@@ -195,6 +235,7 @@ module.exports = {
   updateStreaks,
   incrementUpsetWinCount,
   updateFirstVoteDate,
+  updateRatingTrends,
   updateItemMetricsAfterVote
 };
 
@@ -0,0 +1,158 @@
+// Pair selection strategies
+// - weighted: the default heuristic in comparisons.js (vote-count buckets, top-20% Elo bonus,
+//   recency decay, diversity and popularity multipliers) picks two high-weight items
+// - active: scores every candidate pair by the expected information gain of its vote and
+//   picks among the most informative ones. A vote says most when the two ratings are close
+//   (the outcome is a coin flip) and the ratings are uncertain (low rating confidence).
+//
+// Information gain uses the BALD approximation for a probit model (Houlsby et al. 2011):
+//   I = h(Φ(μ / √(σ² + 1))) - C / √(σ² + C²) · exp(-μ² / (2(σ² + C²)))
+// where μ is the rating gap and σ² the combined rating variance, both in probit units,
+// h is binary entropy in bits and C = √(π ln 2 / 2).
+
+const { deviationFromConfidence } = require('./glicko2');
+const { getPairKey } = require('./comparison-tokens');
+
+const SELECTION_STRATEGIES = ['weighted', 'active'];
+
+// Elo difference -> logit (ln 10 / 400), then logit -> probit (logistic(x) ≈ Φ(x / 1.702))
+const ELO_TO_PROBIT = (Math.LN10 / 400) / 1.702;
+const BALD_C = Math.sqrt(Math.PI * Math.LN2 / 2);
+
+// The served pair is drawn from the most informative few so the same pair isn't shown every time
+const TOP_PAIRS = 5;
+
+/**
+ * Standard normal CDF (Abramowitz & Stegun 26.2.17)
+ */
+const normalCdf = (x) => {
+  const t = 1 / (1 + 0.2316419 * Math.abs(x));
+  const density = Math.exp(-x * x / 2) / Math.sqrt(2 * Math.PI);
+  const tail = density * t * (0.319381530 + t * (-0.356563782 + t * (1.781477937 + t * (-1.821255978 + t * 1.330274429))));
+  return x >= 0 ? 1 - tail : tail;
+};
+
+/**
+ * Binary entropy in bits
+ */
+const binaryEntropy = (p) => {
+  if (p <= 0 || p >= 1) return 0;
+  return -(p * Math.log2(p) + (1 - p) * Math.log2(1 - p));
+};
+
+/**
+ * Expected information gain (bits) of a vote between two items
+ * @param {Object} item1 - Row with elo_rating and rating_confidence
+ * @param {Object} item2 - Row with elo_rating and rating_confidence
+ * @returns {Object} { gain, winProbability, ratingGap, deviation1, deviation2 }
+ */
+const expectedInformationGain = (item1, item2) => {
+  const rating1 = parseFloat(item1.elo_rating) || 1500;
+  const rating2 = parseFloat(item2.elo_rating) || 1500;
+  const deviation1 = deviationFromConfidence(parseFloat(item1.rating_confidence) || 0);
+  const deviation2 = deviationFromConfidence(parseFloat(item2.rating_confidence) || 0);
+
+  const mu = (rating1 - rating2) * ELO_TO_PROBIT;
+  const variance = (deviation1 * deviation1 + deviation2 * deviation2) * ELO_TO_PROBIT * ELO_TO_PROBIT;
+  const winProbability = normalCdf(mu / Math.sqrt(variance + 1));
+  const spread = variance + BALD_C * BALD_C;
+  const expectedEntropy = (BALD_C / Math.sqrt(spread)) * Math.exp(-(mu * mu) / (2 * spread));
+
+  return {
+    gain: Math.max(0, binaryEntropy(winProbability) - expectedEntropy),
+    winProbability,
+    ratingGap: Math.abs(rating1 - rating2),
+    deviation1,
+    deviation2
+  };
+};
+
+/**
+ * Multiplier keeping recently seen items and similar titles from being served again
+ * Reads the recency decay / diversity penalty computed by the weighted heuristic (either naming)
+ * and the penalty for items already queued in the same batch
+ */
+const repetitionFactor = (item) => {
+  const recency = item.recency_decay ?? item.recencyDecay ?? 1.0;
+  const diversity = item.diversityPenalty ?? 1.0;
+  const batch = item.batchPenalty ?? 1.0;
+  return parseFloat(recency) * parseFloat(diversity) * batch;
+};
+
+/**
+ * Score every candidate pair by information gain
+ * @param {Array} candidates - Item rows
+ * @param {string} mode - 'mixed' or 'same' (both items must share a category)
+ * @param {Set} excludePairs - Pair keys (see getPairKey) that must not be picked
+ * @returns {Array} [{ item1, item2, score, gain, winProbability, ratingGap }] best first
+ */
+const scoreCandidatePairs = (candidates, mode = 'mixed', excludePairs = null) => {
+  const pairs = [];
+  for (let a = 0; a < candidates.length; a++) {
+    for (let b = a + 1; b < candidates.length; b++) {
+      const item1 = candidates[a];
+      const item2 = candidates[b];
+      if (item1.id === item2.id) continue;
+      if (mode === 'same' && (!item1.category_id || item1.category_id !== item2.category_id)) continue;
+      if (excludePairs && excludePairs.has(getPairKey(item1.id, item2.id))) continue;
+
+      const information = expectedInformationGain(item1, item2);
+      pairs.push({
+        item1,
+        item2,
+        ...information,
+        score: information.gain * repetitionFactor(item1) * repetitionFactor(item2)
+      });
+    }
+  }
+  return pairs.sort((x, y) => y.score - x.score);
+};
+
+/**
+ * Pick a pair with the active (information-gain) strategy
+ * Draws from the top pairs in proportion to their score
+ * @returns {Object|null} { item1, item2, gain, winProbability } or null if no valid pair exists
+ */
+const pickInformativePair = (candidates, mode = 'mixed', excludePairs = null) => {
+  const top = scoreCandidatePairs(candidates, mode, excludePairs).slice(0, TOP_PAIRS);
+  if (top.length === 0) return null;
+
+  const total = top.reduce((sum, pair) => sum + pair.score, 0);
+  let target = Math.random() * total;
+  const chosen = total > 0
+    ? top.find(pair => (target -= pair.score) <= 0) || top[top.length - 1]
+    : top[Math.floor(Math.random() * top.length)];
+
+  // Random sides so the first item of a top pair isn't always on the left
+  return Math.random() < 0.5
+    ? chosen
+    : {
+      ...chosen,
+      item1: chosen.item2,
+      item2: chosen.item1,
+      winProbability: 1 - chosen.winProbability,
+      deviation1: chosen.deviation2,
+      deviation2: chosen.deviation1
+    };
+};
+
+/**
+ * Chance of each pair being served by pickInformativePair (for the admin selection explainer)
+ * @returns {Array} The top pairs with a probability each, best first
+ */
+const informativePairProbabilities = (candidates, mode = 'mixed') => {
+  const top = scoreCandidatePairs(candidates, mode).slice(0, TOP_PAIRS);
+  const total = top.reduce((sum, pair) => sum + pair.score, 0);
+  return top.map(pair => ({
+    ...pair,
+    probability: total > 0 ? pair.score / total : 1 / top.length
+  }));
+};
+
+module.exports = {
+  SELECTION_STRATEGIES,
+  expectedInformationGain,
+  scoreCandidatePairs,
+  pickInformativePair,
+  informativePairProbabilities
+};
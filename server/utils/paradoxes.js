@@ -0,0 +1,306 @@
+// Paradox analysis
+// Crowd preferences aren't always transitive, and an average rating can hide an item voters
+// disagree about. A periodic analysis over all counted comparisons looks for both:
+// - Preference cycles: A beats B, B beats C and C beats A, where each of the three pairs has at
+//   least cycle_min_pair_votes votes and a majority of at least cycle_min_share. A cycle's
+//   strength is its weakest majority. The strongest cycles are stored in preference_cycles.
+// - Controversy: how much more surprising an item's results are than its current rating
+//   predicts - the squared gap between each result and its predicted win probability, over the
+//   gap expected by chance. 1 means as predictable as the ratings imply; an item voters split
+//   on (beating strong opponents and losing to weak ones) scores higher. Stored in item_controversy
+//   for items with at least controversy_min_votes votes.
+// Analyses run on a schedule (see scheduler.startParadoxAnalyses).
+
+const { queryMany, queryOne, execute, withTransaction } = require('./db-helpers');
+const { toSqlTimestamp, parseTimestamp } = require('./rating-history');
+const { getRatingEngine, stateFromRow } = require('./rating-engine');
+const settings = require('./settings');
+
+// Only the strongest cycles are kept; every cycle still counts towards its items' cycle_count
+const MAX_STORED_CYCLES = 500;
+const INSERT_BATCH = 200;
+
+let analysisRunning = false;
+
+/**
+ * Aggregate counted comparisons into per-pair results, lower item ID first
+ * @returns {Promise<Array>} [{ low, high, lowWins, highWins, ties }]
+ */
+const loadPairResults = async () => {
+  const rows = await queryMany(`
+    SELECT item1_id, item2_id, winner_id, COUNT(*) as total
+    FROM comparisons
+    WHERE quarantined = FALSE AND outcome != 'unfamiliar'
+    GROUP BY item1_id, item2_id, winner_id
+  `);
+
+  const pairs = new Map();
+  rows.forEach(row => {
+    const item1Id = parseInt(row.item1_id);
+    const item2Id = parseInt(row.item2_id);
+    if (item1Id === item2Id) return;
+
+    const low = Math.min(item1Id, item2Id);
+    const high = Math.max(item1Id, item2Id);
+    const key = `${low}:${high}`;
+    if (!pairs.has(key)) pairs.set(key, { low, high, lowWins: 0, highWins: 0, ties: 0 });
+    const pair = pairs.get(key);
+    const total = parseInt(row.total);
+    if (row.winner_id === null) pair.ties += total;
+    else if (parseInt(row.winner_id) === low) pair.lowWins += total;
+    else pair.highWins += total;
+  });
+  return [...pairs.values()];
+};
+
+/**
+ * Find every three-item preference cycle among the pairs with a clear enough majority
+ * @returns {Array} [{ a, b, c, edges: [ab, bc, ca], strength }] where a beats b, b beats c and c beats a
+ */
+const findCycles = (pairs, minVotes, minShare) => {
+  // beats.get(winner).get(loser) = { share, votes }
+  const beats = new Map();
+  pairs.forEach(pair => {
+    const votes = pair.lowWins + pair.highWins + pair.ties;
+    if (votes < minVotes) return;
+    const lowShare = (pair.lowWins + pair.ties / 2) / votes;
+    const [winner, loser, share] = lowShare >= 0.5
+      ? [pair.low, pair.high, lowShare]
+      : [pair.high, pair.low, 1 - lowShare];
+    if (share < minShare) return;
+    if (!beats.has(winner)) beats.set(winner, new Map());
+    beats.get(winner).set(loser, { share, votes });
+  });
+
+  const cycles = [];
+  beats.forEach((losersOfA, a) => {
+    losersOfA.forEach((ab, b) => {
+      const losersOfB = beats.get(b);
+      if (!losersOfB) return;
+      losersOfB.forEach((bc, c) => {
+        // Each cycle is found from all three of its items - keep it once, starting at the lowest ID
+        if (a > b || a > c) return;
+        const ca = beats.get(c)?.get(a);
+        if (!ca) return;
+        cycles.push({ a, b, c, edges: [ab, bc, ca], strength: Math.min(ab.share, bc.share, ca.share) });
+      });
+    });
+  });
+
+  return cycles.sort((x, y) =>
+    y.strength - x.strength ||
+    Math.min(...y.edges.map(edge => edge.votes)) - Math.min(...x.edges.map(edge => edge.votes)));
+};
+
+/**
+ * Controversy score per item: observed squared error of its results against the current
+ * ratings' predictions, over the squared error expected by chance (a tie scores 0.5)
+ * @returns {Map} itemId -> { score, votes }
+ */
+const computeControversy = async (pairs, minVotes) => {
+  const engine = await getRatingEngine();
+  const rows = await queryMany('SELECT id, elo_rating, rating_deviation, rating_volatility, rating_confidence FROM items');
+  const states = new Map(rows.map(row => [parseInt(row.id), stateFromRow(row)]));
+
+  const totals = new Map();
+  const add = (itemId, observed, expected, votes) => {
+    const total = totals.get(itemId) || { observed: 0, expected: 0, votes: 0 };
+    total.observed += observed;
+    total.expected += expected;
+    total.votes += votes;
+    totals.set(itemId, total);
+  };
+
+  pairs.forEach(pair => {
+    const lowState = states.get(pair.low);
+    const highState = states.get(pair.high);
+    if (!lowState || !highState) return;
+    const p = engine.winProbability(lowState, highState);
+    const votes = pair.lowWins + pair.highWins + pair.ties;
+    // The same squared errors from either side, since the high item's score is 1 - the low item's
+    const observed = pair.lowWins * (1 - p) ** 2 + pair.highWins * p ** 2 + pair.ties * (0.5 - p) ** 2;
+    const expected = votes * p * (1 - p);
+    add(pair.low, observed, expected, votes);
+    add(pair.high, observed, expected, votes);
+  });
+
+  const scores = new Map();
+  totals.forEach((total, itemId) => {
+    if (total.votes < minVotes || total.expected <= 0) return;
+    scores.set(itemId, { score: total.observed / total.expected, votes: total.votes });
+  });
+  return scores;
+};
+
+/**
+ * Find preference cycles and score controversy, replacing the stored results
+ * Skipped if an analysis is already running
+ * @returns {Promise<Object|null>} { pairs, cycles, storedCycles, scoredItems, computedAt } or null if skipped
+ */
+const runParadoxAnalysis = async () => {
+  if (analysisRunning) return null;
+  analysisRunning = true;
+
+  try {
+    const [minPairVotes, minShare, minVotes] = await Promise.all([
+      settings.getCycleMinPairVotes(),
+      settings.getCycleMinShare(),
+      settings.getControversyMinVotes()
+    ]);
+    const pairs = await loadPairResults();
+    const cycles = findCycles(pairs, minPairVotes, minShare);
+    const controversy = await computeControversy(pairs, minVotes);
+    const computedAt = toSqlTimestamp(new Date());
+
+    const cycleCounts = new Map();
+    cycles.forEach(cycle => {
+      [cycle.a, cycle.b, cycle.c].forEach(itemId => cycleCounts.set(itemId, (cycleCounts.get(itemId) || 0) + 1));
+    });
+    const stored = cycles.slice(0, MAX_STORED_CYCLES);
+    const scored = [...controversy.entries()];
+
+    await withTransaction(async () => {
+      await execute('DELETE FROM preference_cycles');
+      for (let start = 0; start < stored.length; start += INSERT_BATCH) {
+        const batch = stored.slice(start, start + INSERT_BATCH);
+        const params = [];
+        batch.forEach(({ a, b, c, edges: [ab, bc, ca], strength }) => {
+          params.push(a, b, c, ab.share, bc.share, ca.share, ab.votes, bc.votes, ca.votes, strength, computedAt);
+        });
+        await execute(`
+          INSERT INTO preference_cycles
+            (item_a_id, item_b_id, item_c_id, share_ab, share_bc, share_ca, votes_ab, votes_bc, votes_ca, strength, computed_at)
+          VALUES ${batch.map(() => '(?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)').join(', ')}
+        `, params);
+      }
+
+      await execute('DELETE FROM item_controversy');
+      for (let start = 0; start < scored.length; start += INSERT_BATCH) {
+        const batch = scored.slice(start, start + INSERT_BATCH);
+        const params = [];
+        batch.forEach(([itemId, { score, votes }]) => {
+          params.push(itemId, score, votes, cycleCounts.get(itemId) || 0, computedAt);
+        });
+        await execute(`
+          INSERT INTO item_controversy (item_id, score, votes, cycle_count, computed_at)
+          VALUES ${batch.map(() => '(?, ?, ?, ?, ?)').join(', ')}
+        `, params);
+      }
+    });
+
+    console.log(`Paradox analysis: ${pairs.length} pairs, ${cycles.length} preference cycles, ${scored.length} items scored for controversy`);
+    return {
+      pairs: pairs.length,
+      cycles: cycles.length,
+      storedCycles: stored.length,
+      scoredItems: scored.length,
+      computedAt
+    };
+  } finally {
+    analysisRunning = false;
+  }
+};
+
+/**
+ * When the stored analysis was computed (null if never, or if no item had enough votes)
+ * @returns {Promise<Date|null>}
+ */
+const getLastAnalysisTime = async () => {
+  const row = await queryOne('SELECT MAX(computed_at) as computed_at FROM item_controversy');
+  return row?.computed_at ? parseTimestamp(row.computed_at) : null;
+};
+
+/**
+ * Stored controversy for one item
+ * @returns {Promise<Object|null>} { score, votes, cycle_count, computed_at }
+ */
+const getItemControversy = async (itemId) => {
+  return queryOne('SELECT score, votes, cycle_count, computed_at FROM item_controversy WHERE item_id = ?', [itemId]);
+};
+
+/**
+ * Stored preference cycles, strongest first, with item titles
+ * @param {Object} options - { limit, offset, itemId (only cycles through this item) }
+ * @returns {Promise<Object>} { cycles, total }
+ */
+const getPreferenceCycles = async ({ limit = 50, offset = 0, itemId = null } = {}) => {
+  const where = itemId ? 'WHERE pc.item_a_id = ? OR pc.item_b_id = ? OR pc.item_c_id = ?' : '';
+  const whereParams = itemId ? [itemId, itemId, itemId] : [];
+
+  const rows = await queryMany(`
+    SELECT pc.*, a.title as item_a_title, b.title as item_b_title, c.title as item_c_title
+    FROM preference_cycles pc
+    JOIN items a ON a.id = pc.item_a_id
+    JOIN items b ON b.id = pc.item_b_id
+    JOIN items c ON c.id = pc.item_c_id
+    ${where}
+    ORDER BY pc.strength DESC, pc.id ASC
+    LIMIT ? OFFSET ?
+  `, [...whereParams, limit, offset]);
+  const countResult = await queryOne(`SELECT COUNT(*) as total FROM preference_cycles pc ${where}`, whereParams);
+
+  return {
+    cycles: rows.map(row => ({
+      id: row.id,
+      items: [
+        { id: row.item_a_id, title: row.item_a_title },
+        { id: row.item_b_id, title: row.item_b_title },
+        { id: row.item_c_id, title: row.item_c_title }
+      ],
+      // Each item beats the next, and the last beats the first
+      links: [
+        { share: parseFloat(row.share_ab), votes: parseInt(row.votes_ab) },
+        { share: parseFloat(row.share_bc), votes: parseInt(row.votes_bc) },
+        { share: parseFloat(row.share_ca), votes: parseInt(row.votes_ca) }
+      ],
+      strength: parseFloat(row.strength)
+    })),
+    total: parseInt(countResult?.total || 0)
+  };
+};
+
+/**
+ * Rankings ordered by controversy score (most controversial first)
+ * Items without a score (too few votes, or added since the last analysis) come last
+ * @param {Object} options - { limit, offset, categoryId }
+ * @returns {Promise<Object>} { rankings, total, computedAt }
+ */
+const getControversyRankings = async ({ limit = 100, offset = 0, categoryId = null } = {}) => {
+  const where = categoryId ? 'WHERE i.category_id = ?' : '';
+  const categoryParams = categoryId ? [categoryId] : [];
+
+  const rankings = await queryMany(`
+    SELECT i.id, i.title, i.image_url, i.description, i.elo_rating, i.comparison_count, i.wins, i.losses,
+           c.id as category_id, c.name as category_name, c.slug as category_slug,
+           COALESCE(comment_stats.comment_count, 0) as comment_count,
+           ic.score as controversy_score, ic.votes as controversy_votes, ic.cycle_count
+    FROM items i
+    LEFT JOIN categories c ON i.category_id = c.id
+    LEFT JOIN (
+      SELECT item_id, COUNT(*) as comment_count
+      FROM comments
+      GROUP BY item_id
+    ) comment_stats ON i.id = comment_stats.item_id
+    LEFT JOIN item_controversy ic ON ic.item_id = i.id
+    ${where}
+    ORDER BY CASE WHEN ic.score IS NULL THEN 1 ELSE 0 END, ic.score DESC, i.elo_rating DESC
+    LIMIT ? OFFSET ?
+  `, [...categoryParams, limit, offset]);
+
+  const countResult = await queryOne(`SELECT COUNT(*) as total FROM items i ${where}`, categoryParams);
+
+  return {
+    rankings,
+    total: parseInt(countResult?.total || 0),
+    computedAt: await getLastAnalysisTime()
+  };
+};
+
+module.exports = {
+  findCycles,
+  runParadoxAnalysis,
+  getLastAnalysisTime,
+  getItemControversy,
+  getPreferenceCycles,
+  getControversyRankings
+};
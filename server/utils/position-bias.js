@@ -0,0 +1,141 @@
+// Position bias
+// Pairs are served in a random left/right order and the comparison token remembers which item was
+// on the left, so every vote records the side each item was shown on (comparisons.left_item_id;
+// NULL for best-of-N answers and votes cast before sides were recorded).
+// The admin report compares how often voters pick the left item with the 50% expected by chance,
+// overall and per user/session.
+// With position_bias_correction_enabled, votes from a voter who picks one side at least
+// position_bias_threshold of the time (over position_bias_min_votes or more earlier votes) are
+// discounted when they go to that side: a voter who picks left with probability p gives a left
+// pick (1 - p) / p of a normal vote's weight. Picks against the habit count fully. The multiplier
+// is stored in comparisons.position_correction so replays and quarantine approvals reproduce it.
+
+const { queryMany, queryOne } = require('./db-helpers');
+const settings = require('./settings');
+
+// Votes that say which side won: a winner, a known side, and not held in quarantine
+const SIDED_VOTES = `outcome = 'win' AND left_item_id IS NOT NULL AND quarantined = FALSE`;
+const LEFT_WINS_SQL = 'SUM(CASE WHEN winner_id = left_item_id THEN 1 ELSE 0 END)';
+
+/**
+ * Put a pair in random left/right order (item1 is shown on the left)
+ * @returns {Array} [left, right]
+ */
+const randomizeSides = (item1, item2) => {
+  return Math.random() < 0.5 ? [item1, item2] : [item2, item1];
+};
+
+/**
+ * Standard score of a left-pick count against a fair coin
+ */
+const zScore = (leftWins, votes) => {
+  if (votes === 0) return 0;
+  return (leftWins - votes / 2) / Math.sqrt(votes / 4);
+};
+
+const summarize = (leftWins, votes) => ({
+  votes,
+  leftWins,
+  leftShare: votes > 0 ? Math.round((leftWins / votes) * 1000) / 1000 : null,
+  zScore: Math.round(zScore(leftWins, votes) * 100) / 100
+});
+
+/**
+ * Rating multiplier for a vote given its voter's side habit (1 when no correction applies)
+ * @param {Object} vote - { winnerId, leftItemId, userId, userSessionId }
+ * @returns {Promise<number>} Multiplier between 0 and 1
+ */
+const positionCorrectionFor = async ({ winnerId, leftItemId, userId = null, userSessionId = null }) => {
+  if (!winnerId || !leftItemId || (!userId && !userSessionId)) return 1;
+  if (!(await settings.getPositionBiasCorrectionEnabled())) return 1;
+
+  const [threshold, minVotes] = await Promise.all([
+    settings.getPositionBiasThreshold(),
+    settings.getPositionBiasMinVotes()
+  ]);
+  const row = await queryOne(`
+    SELECT COUNT(*) as votes, ${LEFT_WINS_SQL} as left_wins
+    FROM comparisons
+    WHERE ${SIDED_VOTES} AND ${userId ? 'user_id = ?' : 'user_session_id = ?'}
+  `, [userId || userSessionId]);
+
+  const votes = row ? parseInt(row.votes) || 0 : 0;
+  if (votes < minVotes) return 1;
+
+  const leftShare = (parseInt(row.left_wins) || 0) / votes;
+  const habitShare = Math.max(leftShare, 1 - leftShare);
+  if (habitShare < threshold) return 1;
+
+  const pickedLeft = parseInt(winnerId) === parseInt(leftItemId);
+  const pickedHabit = leftShare >= 0.5 ? pickedLeft : !pickedLeft;
+  return pickedHabit ? (1 - habitShare) / habitShare : 1;
+};
+
+/**
+ * Global and per-voter position bias
+ * Voters are users (by account) and anonymous sessions, like anomaly detection
+ * @param {Object} options - { minVotes (sided votes a voter needs to be listed), limit }
+ * @returns {Promise<Object>} { overall, voters: [{ userId, userSessionId, username, votes, leftWins, leftShare, zScore, biased }], settings }
+ */
+const getPositionBiasReport = async ({ minVotes = null, limit = 50 } = {}) => {
+  const [threshold, settingsMinVotes, correctionEnabled] = await Promise.all([
+    settings.getPositionBiasThreshold(),
+    settings.getPositionBiasMinVotes(),
+    settings.getPositionBiasCorrectionEnabled()
+  ]);
+  const listMinVotes = minVotes || settingsMinVotes;
+
+  const [overall, rows] = await Promise.all([
+    queryOne(`SELECT COUNT(*) as votes, ${LEFT_WINS_SQL} as left_wins FROM comparisons WHERE ${SIDED_VOTES}`),
+    queryMany(`
+      SELECT c.user_id, c.user_session_id, u.username, COUNT(*) as votes, ${LEFT_WINS_SQL} as left_wins
+      FROM comparisons c
+      LEFT JOIN users u ON c.user_id = u.id
+      WHERE ${SIDED_VOTES} AND (c.user_id IS NOT NULL OR c.user_session_id IS NOT NULL)
+      GROUP BY c.user_id, c.user_session_id, u.username
+    `)
+  ]);
+
+  // A signed-in user's votes can span several sessions - count them together
+  const voters = new Map();
+  rows.forEach(row => {
+    const key = row.user_id ? `user:${row.user_id}` : `session:${row.user_session_id}`;
+    const voter = voters.get(key) || {
+      userId: row.user_id || null,
+      userSessionId: row.user_id ? null : row.user_session_id,
+      username: row.username || null,
+      votes: 0,
+      leftWins: 0
+    };
+    voter.votes += parseInt(row.votes) || 0;
+    voter.leftWins += parseInt(row.left_wins) || 0;
+    voters.set(key, voter);
+  });
+
+  const listed = [...voters.values()]
+    .filter(voter => voter.votes >= listMinVotes)
+    .map(voter => {
+      const summary = summarize(voter.leftWins, voter.votes);
+      return {
+        ...voter,
+        ...summary,
+        biased: Math.max(summary.leftShare, 1 - summary.leftShare) >= threshold
+      };
+    })
+    .sort((a, b) => Math.abs(b.zScore) - Math.abs(a.zScore))
+    .slice(0, limit);
+
+  const overallVotes = overall ? parseInt(overall.votes) || 0 : 0;
+  return {
+    overall: summarize(overall ? parseInt(overall.left_wins) || 0 : 0, overallVotes),
+    voters: listed,
+    votersConsidered: voters.size,
+    settings: { threshold, minVotes: listMinVotes, correctionEnabled }
+  };
+};
+
+module.exports = {
+  randomizeSides,
+  positionCorrectionFor,
+  getPositionBiasReport
+};
@@ -0,0 +1,186 @@
+// Rate limiter
+// Counts requests per client in fixed windows and rejects them with 429 once a limit is hit.
+// Counters live in a pluggable store: in memory (single server) or in the database (shared
+// between server instances). The store is picked with the rate_limit_store setting.
+
+const { queryOne, execute } = require('./db-helpers');
+const settings = require('./settings');
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+// Several people can share one IP address (offices, mobile carriers), so the per-IP
+// limit is looser than the per-user/per-session limit
+const IP_LIMIT_MULTIPLIER = 5;
+const CLEANUP_INTERVAL_MS = 10 * MINUTE_MS;
+
+/**
+ * In-memory store - counters are lost on restart and not shared between instances
+ * @returns {Object} Store with increment(key, windowMs) => { count, resetAt }
+ */
+const createMemoryStore = () => {
+  const counters = new Map();
+
+  const cleanup = setInterval(() => {
+    const now = Date.now();
+    for (const [key, counter] of counters) {
+      if (counter.resetAt <= now) counters.delete(key);
+    }
+  }, CLEANUP_INTERVAL_MS);
+  cleanup.unref();
+
+  return {
+    increment: async (key, windowMs) => {
+      const now = Date.now();
+      let counter = counters.get(key);
+      if (!counter || counter.resetAt <= now) {
+        counter = { count: 0, resetAt: now + windowMs };
+        counters.set(key, counter);
+      }
+      counter.count++;
+      return { count: counter.count, resetAt: counter.resetAt };
+    }
+  };
+};
+
+/**
+ * Database store - counters are kept in the rate_limits table
+ * @returns {Object} Store with increment(key, windowMs) => { count, resetAt }
+ */
+const createDatabaseStore = () => {
+  let lastCleanupAt = Date.now();
+
+  return {
+    increment: async (key, windowMs) => {
+      const now = Date.now();
+
+      // Start a new window if the stored one has ended, otherwise count the hit
+      await execute(`
+        INSERT INTO rate_limits (key, hits, reset_at)
+        VALUES (?, 1, ?)
+        ON CONFLICT (key) DO UPDATE SET
+          hits = CASE WHEN rate_limits.reset_at <= ? THEN 1 ELSE rate_limits.hits + 1 END,
+          reset_at = CASE WHEN rate_limits.reset_at <= ? THEN excluded.reset_at ELSE rate_limits.reset_at END
+      `, [key, now + windowMs, now, now]);
+
+      const counter = await queryOne('SELECT hits, reset_at FROM rate_limits WHERE key = ?', [key]);
+
+      if (now - lastCleanupAt > CLEANUP_INTERVAL_MS) {
+        lastCleanupAt = now;
+        execute('DELETE FROM rate_limits WHERE reset_at <= ?', [now]).catch(err => {
+          console.error('Error cleaning up rate limits:', err);
+        });
+      }
+
+      return { count: parseInt(counter.hits), resetAt: parseInt(counter.reset_at) };
+    }
+  };
+};
+
+const stores = {};
+
+/**
+ * Get the store selected in settings (created on first use)
+ */
+const getConfiguredStore = async () => {
+  const storeType = await settings.getRateLimitStore();
+  if (!stores[storeType]) {
+    stores[storeType] = storeType === 'database' ? createDatabaseStore() : createMemoryStore();
+  }
+  return stores[storeType];
+};
+
+/**
+ * Keys a request is counted under, with the limit for each
+ * Every request counts against its IP; logged-in users and anonymous sessions also
+ * get their own counters
+ */
+const getClientKeys = (req, max) => {
+  const keys = [{ key: `ip:${req.ip}`, max: max * IP_LIMIT_MULTIPLIER }];
+  const sessionId = (req.body && req.body.userSessionId) || req.query.sessionId;
+
+  if (req.userId) {
+    keys.push({ key: `user:${req.userId}`, max });
+  } else if (sessionId) {
+    keys.push({ key: `session:${sessionId}`, max });
+  }
+
+  return keys;
+};
+
+/**
+ * Create rate limiting middleware
+ * Must run after optionalAuthenticate so logged-in users are counted by user ID
+ * @param {Object} options - { name, label, windowMs, getMax: async () => limit, store }
+ * @returns {Function} Express middleware
+ */
+const createRateLimiter = ({ name, label, windowMs, getMax, store = null }) => {
+  return async (req, res, next) => {
+    try {
+      if (!(await settings.getRateLimitingEnabled())) {
+        return next();
+      }
+
+      const max = await getMax();
+      const counterStore = store || await getConfiguredStore();
+
+      for (const { key, max: keyMax } of getClientKeys(req, max)) {
+        const { count, resetAt } = await counterStore.increment(`${name}:${key}`, windowMs);
+
+        if (count > keyMax) {
+          const retryAfter = Math.max(1, Math.ceil((resetAt - Date.now()) / 1000));
+          res.set('Retry-After', String(retryAfter));
+          return res.status(429).json({
+            error: 'Too many requests',
+            code: 'RATE_LIMITED',
+            message: `Too many ${label}. Please try again in ${retryAfter} seconds.`,
+            retryAfter
+          });
+        }
+      }
+
+      next();
+    } catch (error) {
+      // Don't block users because the limiter itself failed
+      console.error(`Error in ${name} rate limiter:`, error);
+      next();
+    }
+  };
+};
+
+const voteRateLimiter = createRateLimiter({
+  name: 'vote',
+  label: 'votes',
+  windowMs: MINUTE_MS,
+  getMax: settings.getVoteRateLimitPerMinute
+});
+
+const skipRateLimiter = createRateLimiter({
+  name: 'skip',
+  label: 'skips',
+  windowMs: MINUTE_MS,
+  getMax: settings.getSkipRateLimitPerMinute
+});
+
+const commentRateLimiter = createRateLimiter({
+  name: 'comment',
+  label: 'comments',
+  windowMs: MINUTE_MS,
+  getMax: settings.getCommentRateLimitPerMinute
+});
+
+const submissionRateLimiter = createRateLimiter({
+  name: 'submission',
+  label: 'submissions',
+  windowMs: HOUR_MS,
+  getMax: settings.getSubmissionRateLimitPerHour
+});
+
+module.exports = {
+  createMemoryStore,
+  createDatabaseStore,
+  createRateLimiter,
+  voteRateLimiter,
+  skipRateLimiter,
+  commentRateLimiter,
+  submissionRateLimiter
+};
@@ -0,0 +1,143 @@
+// Rating engines
+// Every rating update (global and per-category tracks, quarantine replays, full replays)
+// goes through the engine selected by the `rating_engine` setting.
+//
+// An engine works on rating states - { rating, deviation, volatility, confidence } - and provides:
+// - initialState(): state for an item with no votes
+// - rateMatch(state1, state2, item1Score, strength, correction): async, returns { state1, state2 } after the vote;
+//   item1Score is 1 if item 1 won, 0 if it lost and 0.5 for a tie (see scoreForItem1);
+//   strength is the vote's preference strength, which scales the update (see vote-strength);
+//   correction is the vote's position bias correction, which scales it further (see position-bias)
+// - ratingConfidence({ comparisonCount, deviation }): async, 0-1 confidence stored in rating_confidence
+// - winProbability(state1, state2): chance that item 1 beats item 2 given their current states
+// Engines that don't track deviation/volatility pass them through unchanged.
+
+const { updateEloRatings, expectedScore } = require('./elo');
+const { updateGlicko2Ratings, confidenceFromDeviation, winProbability, DEFAULT_RATING, DEFAULT_DEVIATION, DEFAULT_VOLATILITY } = require('./glicko2');
+const { strengthMultiplier } = require('./vote-strength');
+const settings = require('./settings');
+
+const RATING_ENGINES = ['elo', 'glicko2'];
+
+// Stored corrections come back from the database as strings (or NULL for no correction)
+const correctionMultiplier = (correction) => {
+  const value = parseFloat(correction);
+  return isNaN(value) ? 1 : value;
+};
+
+const initialState = () => ({
+  rating: DEFAULT_RATING,
+  deviation: DEFAULT_DEVIATION,
+  volatility: DEFAULT_VOLATILITY,
+  confidence: 0
+});
+
+// Elo with confidence-based K-factors; confidence grows with the number of comparisons
+const eloEngine = {
+  name: 'elo',
+  initialState,
+  rateMatch: async (state1, state2, item1Score, strength = null, correction = 1) => {
+    const { newRating1, newRating2 } = await updateEloRatings(
+      state1.rating,
+      state2.rating,
+      item1Score,
+      state1.confidence || 0,
+      state2.confidence || 0,
+      strengthMultiplier(strength) * correctionMultiplier(correction)
+    );
+    return {
+      state1: { ...state1, rating: newRating1 },
+      state2: { ...state2, rating: newRating2 }
+    };
+  },
+  ratingConfidence: async ({ comparisonCount }) => {
+    if (!comparisonCount) return 0.0;
+    const minComparisons = await settings.getMinComparisonsForConfidence();
+    if (comparisonCount >= minComparisons) return 1.0;
+    return comparisonCount / minComparisons;
+  },
+  winProbability: (state1, state2) => expectedScore(state1.rating, state2.rating)
+};
+
+// Glicko-2; confidence comes from the rating deviation
+const glicko2Engine = {
+  name: 'glicko2',
+  initialState,
+  rateMatch: async (state1, state2, item1Score, strength = null, correction = 1) => {
+    const tau = await settings.getGlickoTau();
+    const { player1, player2 } = updateGlicko2Ratings(
+      { rating: state1.rating, deviation: state1.deviation, volatility: state1.volatility },
+      { rating: state2.rating, deviation: state2.deviation, volatility: state2.volatility },
+      item1Score,
+      tau,
+      strengthMultiplier(strength) * correctionMultiplier(correction)
+    );
+    return {
+      state1: { ...state1, ...player1, confidence: confidenceFromDeviation(player1.deviation) },
+      state2: { ...state2, ...player2, confidence: confidenceFromDeviation(player2.deviation) }
+    };
+  },
+  ratingConfidence: async ({ deviation }) => {
+    return confidenceFromDeviation(deviation !== null && deviation !== undefined ? parseFloat(deviation) : DEFAULT_DEVIATION);
+  },
+  winProbability: (state1, state2) => winProbability(state1, state2)
+};
+
+const ENGINES = {
+  elo: eloEngine,
+  glicko2: glicko2Engine
+};
+
+/**
+ * Get a rating engine by name, or the one selected in settings
+ * @param {string} name - Optional engine name ('elo' or 'glicko2')
+ * @returns {Promise<Object>} Rating engine
+ */
+const getRatingEngine = async (name = null) => {
+  const engineName = name || await settings.getRatingEngine();
+  return ENGINES[engineName] || eloEngine;
+};
+
+/**
+ * Item 1's score in a vote: 1 if it won, 0 if it lost, 0.5 for a tie (no winner)
+ * @param {number|null} winnerId - Winning item ID, or null for a tie
+ * @param {number} item1Id - First item in the comparison
+ */
+const scoreForItem1 = (winnerId, item1Id) => {
+  if (winnerId === null || winnerId === undefined) return 0.5;
+  return parseInt(winnerId) === parseInt(item1Id) ? 1 : 0;
+};
+
+/**
+ * Whether each side won (true), lost (false) or tied (null), from item 1's score
+ * @returns {Array} [won1, won2]
+ */
+const resultsForScore = (item1Score) => {
+  if (item1Score === 0.5) return [null, null];
+  return [item1Score === 1, item1Score === 0];
+};
+
+/**
+ * Build a rating state from a row with elo_rating / rating_deviation / rating_volatility / rating_confidence
+ */
+const stateFromRow = (row) => {
+  const defaults = initialState();
+  const value = (column, fallback) => {
+    const parsed = parseFloat(row[column]);
+    return isNaN(parsed) ? fallback : parsed;
+  };
+  return {
+    rating: value('elo_rating', defaults.rating),
+    deviation: value('rating_deviation', defaults.deviation),
+    volatility: value('rating_volatility', defaults.volatility),
+    confidence: value('rating_confidence', defaults.confidence)
+  };
+};
+
+module.exports = {
+  RATING_ENGINES,
+  getRatingEngine,
+  scoreForItem1,
+  resultsForScore,
+  stateFromRow
+};
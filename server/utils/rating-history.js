@@ -0,0 +1,188 @@
+const db = require('../database');
+const { queryMany, queryOne, execute } = require('./db-helpers');
+
+const BUCKETS = ['day', 'week'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Format a Date the way CURRENT_TIMESTAMP stores it ('YYYY-MM-DD HH:MM:SS', UTC)
+ * so it compares correctly against created_at on both databases
+ */
+const toSqlTimestamp = (date) => {
+  return date.toISOString().replace('T', ' ').slice(0, 19);
+};
+
+/**
+ * Parse a created_at value (Date from PostgreSQL, UTC string from SQLite)
+ */
+const parseTimestamp = (value) => {
+  if (value instanceof Date) return value;
+  const str = String(value);
+  return new Date(str.includes('T') ? str : `${str.replace(' ', 'T')}Z`);
+};
+
+/**
+ * Start of the UTC day/week (weeks start on Monday) containing the given date
+ */
+const getBucketStart = (date, bucket) => {
+  const start = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  if (bucket === 'week') {
+    const daysSinceMonday = (start.getUTCDay() + 6) % 7;
+    start.setUTCDate(start.getUTCDate() - daysSinceMonday);
+  }
+  return start;
+};
+
+/**
+ * Record an item's before/after rating for a vote
+ * @param {Object} entry - { itemId, comparisonId, opponentId, ratingBefore, ratingAfter, won } (won is null for a tie)
+ */
+const recordRatingChange = async ({ itemId, comparisonId = null, opponentId = null, ratingBefore, ratingAfter, won }) => {
+  const dbType = db.getDbType();
+  const wonValue = won === null || won === undefined ? null : (dbType === 'postgres' ? !!won : (won ? 1 : 0));
+  await execute(`
+    INSERT INTO rating_history (item_id, comparison_id, opponent_id, rating_before, rating_after, won)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `, [itemId, comparisonId, opponentId, ratingBefore, ratingAfter, wonValue]);
+};
+
+/**
+ * Get an item's rating history, optionally bucketed by day or week
+ * Each bucket reports the opening rating, closing rating, range and vote counts
+ * @param {number} itemId - Item ID
+ * @param {Object} options - { bucket: 'day' | 'week' | null, days: lookback window (null = all time) }
+ * @returns {Promise<Array>} Raw history rows (bucket = null) or buckets in chronological order
+ */
+const getRatingHistory = async (itemId, { bucket = 'day', days = null } = {}) => {
+  const params = [itemId];
+  let since = '';
+  if (days) {
+    since = 'AND created_at >= ?';
+    params.push(toSqlTimestamp(new Date(Date.now() - days * DAY_MS)));
+  }
+
+  const rows = await queryMany(`
+    SELECT id, comparison_id, opponent_id, rating_before, rating_after, won, created_at
+    FROM rating_history
+    WHERE item_id = ? ${since}
+    ORDER BY created_at ASC, id ASC
+  `, params);
+
+  if (!bucket) {
+    return rows.map(row => ({
+      ...row,
+      won: row.won === null ? null : !!row.won,
+      created_at: parseTimestamp(row.created_at).toISOString()
+    }));
+  }
+
+  const buckets = [];
+  rows.forEach(row => {
+    const start = getBucketStart(parseTimestamp(row.created_at), bucket).toISOString();
+    const before = parseFloat(row.rating_before);
+    const after = parseFloat(row.rating_after);
+    let current = buckets[buckets.length - 1];
+
+    if (!current || current.bucket_start !== start) {
+      current = {
+        bucket_start: start,
+        open: before,
+        close: after,
+        high: Math.max(before, after),
+        low: Math.min(before, after),
+        comparisons: 0,
+        wins: 0,
+        losses: 0,
+        ties: 0
+      };
+      buckets.push(current);
+    }
+
+    current.close = after;
+    current.high = Math.max(current.high, after);
+    current.low = Math.min(current.low, after);
+    current.comparisons++;
+    if (row.won === null) current.ties++;
+    else if (row.won) current.wins++;
+    else current.losses++;
+  });
+
+  return buckets.map(b => ({ ...b, change: b.close - b.open }));
+};
+
+/**
+ * Get an item's rating as it stood at a point in time
+ * Uses the last recorded rating before the cutoff, or the rating going into the
+ * first vote after it (the item had not moved between the cutoff and that vote)
+ * @param {number} itemId - Item ID
+ * @param {Date} at - Point in time
+ * @returns {Promise<number|null>} Rating, or null if the item has no history
+ */
+const getRatingAt = async (itemId, at) => {
+  const cutoff = toSqlTimestamp(at);
+
+  const before = await queryOne(`
+    SELECT rating_after FROM rating_history
+    WHERE item_id = ? AND created_at <= ?
+    ORDER BY created_at DESC, id DESC
+    LIMIT 1
+  `, [itemId, cutoff]);
+  if (before) return parseFloat(before.rating_after);
+
+  const after = await queryOne(`
+    SELECT rating_before FROM rating_history
+    WHERE item_id = ? AND created_at > ?
+    ORDER BY created_at ASC, id ASC
+    LIMIT 1
+  `, [itemId, cutoff]);
+  return after ? parseFloat(after.rating_before) : null;
+};
+
+/**
+ * Get the items whose rating moved the most over the last day or week
+ * Net change is the sum of every rating change recorded in the window
+ * @param {Object} options - { bucket: 'day' | 'week', limit }
+ * @returns {Promise<Object>} { rising, falling }
+ */
+const getRatingMovers = async ({ bucket = 'day', limit = 3 } = {}) => {
+  const windowDays = bucket === 'week' ? 7 : 1;
+  const since = toSqlTimestamp(new Date(Date.now() - windowDays * DAY_MS));
+
+  const moversSql = (direction) => `
+    SELECT i.id, i.title, i.image_url, i.description, i.elo_rating,
+           i.comparison_count, i.wins, i.losses,
+           SUM(rh.rating_after - rh.rating_before) as rating_change,
+           COUNT(rh.id) as recent_comparisons
+    FROM rating_history rh
+    JOIN items i ON i.id = rh.item_id
+    WHERE rh.created_at >= ?
+    GROUP BY i.id, i.title, i.image_url, i.description, i.elo_rating, i.comparison_count, i.wins, i.losses
+    HAVING SUM(rh.rating_after - rh.rating_before) ${direction === 'DESC' ? '> 0' : '< 0'}
+    ORDER BY rating_change ${direction}, i.elo_rating DESC
+    LIMIT ?
+  `;
+
+  const [rising, falling] = await Promise.all([
+    queryMany(moversSql('DESC'), [since, limit]),
+    queryMany(moversSql('ASC'), [since, limit])
+  ]);
+
+  const normalize = rows => rows.map(row => ({
+    ...row,
+    rating_change: parseFloat(row.rating_change),
+    recent_comparisons: parseInt(row.recent_comparisons)
+  }));
+
+  return { rising: normalize(rising), falling: normalize(falling) };
+};
+
+module.exports = {
+  BUCKETS,
+  toSqlTimestamp,
+  parseTimestamp,
+  getBucketStart,
+  recordRatingChange,
+  getRatingHistory,
+  getRatingAt,
+  getRatingMovers
+};
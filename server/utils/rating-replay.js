@@ -0,0 +1,694 @@
+// Rating replay
+// Recomputes every item's rating by replaying the counted comparisons in order with a rating
+// engine, e.g. after K-factors or confidence thresholds change. Runs as a resumable job:
+// - comparisons are processed in pages; each page's results are staged (rating_replay_records /
+//   rating_replay_history) together with the job's checkpoint, so a job picks up where it left
+//   off after a pause or a server restart
+// - when every comparison has been replayed the job is `ready` and reports how ranks would change
+// - applying it (automatically unless it's a dry run) catches up on votes cast meanwhile and
+//   swaps in ratings, counts, streaks, peaks, trends, category tracks and rating_history at once
+// Quarantined votes are skipped. Category tracks use each item's current category.
+// Upsets (was_upset, upset_win_count) stay as recorded at vote time.
+
+const db = require('../database');
+const { queryMany, queryOne, execute, insertAndReturn, withTransaction } = require('./db-helpers');
+const { getRatingEngine, scoreForItem1, resultsForScore, RATING_ENGINES } = require('./rating-engine');
+const { parseTimestamp, getRatingAt } = require('./rating-history');
+const { rebuildSelectionIndex } = require('./selection-index');
+
+const PAGE_SIZE = 500;
+const HISTORY_INSERT_BATCH = 200;
+const RANK_CHANGES_LIMIT = 50;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const GLOBAL_TRACK = 0; // category_id of an item's global rating in rating_replay_records
+
+const ACTIVE_STATUSES = ['running', 'paused', 'ready', 'applying'];
+
+const REPLAY_ERRORS = {
+  NOT_FOUND: {
+    status: 404,
+    code: 'REPLAY_NOT_FOUND',
+    error: 'Replay job not found',
+    message: 'There is no replay job with that ID.'
+  },
+  ALREADY_ACTIVE: {
+    status: 409,
+    code: 'REPLAY_ACTIVE',
+    error: 'A replay is already in progress',
+    message: 'Apply or cancel the current replay before starting another one.'
+  },
+  INVALID_STATE: {
+    status: 409,
+    code: 'REPLAY_INVALID_STATE',
+    error: 'Replay job is not in the right state',
+    message: 'That action is not available for the replay job right now.'
+  },
+  UNKNOWN_ENGINE: {
+    status: 400,
+    code: 'REPLAY_UNKNOWN_ENGINE',
+    error: 'Unknown rating engine',
+    message: `Rating engine must be one of: ${RATING_ENGINES.join(', ')}.`
+  }
+};
+
+// Jobs being processed by this server: jobId -> { stopRequested: 'pause' | 'cancel' | null }
+const activeRuns = new Map();
+
+/**
+ * Normalize a job row for API responses
+ */
+const formatJob = (job) => {
+  if (!job) return null;
+  const total = parseInt(job.total_comparisons) || 0;
+  const processed = parseInt(job.processed_comparisons) || 0;
+  let rankChanges = null;
+  try {
+    rankChanges = job.rank_changes ? JSON.parse(job.rank_changes) : null;
+  } catch (err) {
+    rankChanges = null;
+  }
+  return {
+    id: job.id,
+    status: job.status,
+    dry_run: !!job.dry_run,
+    engine: job.engine,
+    total_comparisons: total,
+    processed_comparisons: processed,
+    progress: total > 0 ? Math.min(1, processed / total) : (job.status === 'running' ? 0 : 1),
+    rank_changes: rankChanges,
+    error: job.error,
+    created_at: job.created_at,
+    updated_at: job.updated_at,
+    completed_at: job.completed_at
+  };
+};
+
+/**
+ * Get a replay job by ID (raw row)
+ */
+const getJobRow = async (jobId) => {
+  return queryOne('SELECT * FROM rating_replay_jobs WHERE id = ?', [jobId]);
+};
+
+/**
+ * Get a replay job by ID
+ */
+const getReplayJob = async (jobId) => formatJob(await getJobRow(jobId));
+
+/**
+ * Get the most recent replay job
+ */
+const getLatestReplayJob = async () => {
+  const job = await queryOne('SELECT * FROM rating_replay_jobs ORDER BY id DESC LIMIT 1');
+  return formatJob(job);
+};
+
+/**
+ * Update a job's status (and optionally other columns)
+ */
+const setJobStatus = async (jobId, status, extra = {}) => {
+  const columns = Object.keys(extra);
+  const setClause = ['status = ?', 'updated_at = CURRENT_TIMESTAMP', ...columns.map(column => `${column} = ?`)];
+  await execute(
+    `UPDATE rating_replay_jobs SET ${setClause.join(', ')} WHERE id = ?`,
+    [status, ...columns.map(column => extra[column]), jobId]
+  );
+};
+
+/**
+ * Remove a job's staged ratings and history
+ */
+const clearStaging = async (jobId) => {
+  await execute('DELETE FROM rating_replay_history WHERE job_id = ?', [jobId]);
+  await execute('DELETE FROM rating_replay_records WHERE job_id = ?', [jobId]);
+};
+
+/**
+ * Fresh replay record for an item's global rating or category track
+ */
+const createRecord = (engine, itemId, categoryId) => ({
+  itemId,
+  categoryId,
+  state: engine.initialState(),
+  comparisonCount: 0,
+  wins: 0,
+  losses: 0,
+  currentStreakWins: 0,
+  currentStreakLosses: 0,
+  longestWinStreak: 0,
+  peakRating: null,
+  peakRatingDate: null,
+  lastComparedAt: null,
+  dirty: true
+});
+
+const recordKey = (itemId, categoryId) => `${itemId}:${categoryId}`;
+
+/**
+ * Load a job's staged records
+ * @returns {Promise<Map>} recordKey -> record
+ */
+const loadStagedRecords = async (jobId) => {
+  const rows = await queryMany('SELECT * FROM rating_replay_records WHERE job_id = ?', [jobId]);
+  const records = new Map();
+  rows.forEach(row => {
+    records.set(recordKey(row.item_id, row.category_id), {
+      itemId: row.item_id,
+      categoryId: row.category_id,
+      state: {
+        rating: parseFloat(row.elo_rating),
+        deviation: parseFloat(row.rating_deviation),
+        volatility: parseFloat(row.rating_volatility),
+        confidence: parseFloat(row.rating_confidence) || 0
+      },
+      comparisonCount: parseInt(row.comparison_count) || 0,
+      wins: parseInt(row.wins) || 0,
+      losses: parseInt(row.losses) || 0,
+      currentStreakWins: parseInt(row.current_streak_wins) || 0,
+      currentStreakLosses: parseInt(row.current_streak_losses) || 0,
+      longestWinStreak: parseInt(row.longest_win_streak) || 0,
+      peakRating: row.peak_rating !== null ? parseFloat(row.peak_rating) : null,
+      peakRatingDate: row.peak_rating_date ? parseTimestamp(row.peak_rating_date).toISOString() : null,
+      lastComparedAt: row.last_compared_at ? parseTimestamp(row.last_compared_at).toISOString() : null,
+      dirty: false
+    });
+  });
+  return records;
+};
+
+/**
+ * Write records changed since the last checkpoint
+ */
+const saveDirtyRecords = async (jobId, records) => {
+  for (const record of records.values()) {
+    if (!record.dirty) continue;
+    await execute(`
+      INSERT INTO rating_replay_records
+        (job_id, item_id, category_id, elo_rating, rating_deviation, rating_volatility, rating_confidence,
+         comparison_count, wins, losses, current_streak_wins, current_streak_losses, longest_win_streak,
+         peak_rating, peak_rating_date, last_compared_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT (job_id, item_id, category_id) DO UPDATE SET
+        elo_rating = excluded.elo_rating,
+        rating_deviation = excluded.rating_deviation,
+        rating_volatility = excluded.rating_volatility,
+        rating_confidence = excluded.rating_confidence,
+        comparison_count = excluded.comparison_count,
+        wins = excluded.wins,
+        losses = excluded.losses,
+        current_streak_wins = excluded.current_streak_wins,
+        current_streak_losses = excluded.current_streak_losses,
+        longest_win_streak = excluded.longest_win_streak,
+        peak_rating = excluded.peak_rating,
+        peak_rating_date = excluded.peak_rating_date,
+        last_compared_at = excluded.last_compared_at
+    `, [
+      jobId, record.itemId, record.categoryId,
+      record.state.rating, record.state.deviation, record.state.volatility, record.state.confidence,
+      record.comparisonCount, record.wins, record.losses,
+      record.currentStreakWins, record.currentStreakLosses, record.longestWinStreak,
+      record.peakRating, record.peakRatingDate, record.lastComparedAt
+    ]);
+    record.dirty = false;
+  }
+};
+
+/**
+ * Insert staged rating history rows in multi-row batches
+ */
+const insertStagedHistory = async (jobId, rows) => {
+  for (let i = 0; i < rows.length; i += HISTORY_INSERT_BATCH) {
+    const batch = rows.slice(i, i + HISTORY_INSERT_BATCH);
+    const params = [];
+    batch.forEach(row => {
+      params.push(jobId, row.comparisonId, row.itemId, row.ratingBefore, row.ratingAfter);
+    });
+    await execute(`
+      INSERT INTO rating_replay_history (job_id, comparison_id, item_id, rating_before, rating_after)
+      VALUES ${batch.map(() => '(?, ?, ?, ?, ?)').join(', ')}
+    `, params);
+  }
+};
+
+/**
+ * Apply one side of a vote to a replay record
+ * @param {boolean|null} won - true for a win, false for a loss, null for a tie (ends both streaks)
+ */
+const applyResult = async (engine, record, newState, won, votedAt) => {
+  record.comparisonCount++;
+  if (won === null) {
+    record.currentStreakWins = 0;
+    record.currentStreakLosses = 0;
+  } else if (won) {
+    record.wins++;
+    record.currentStreakWins++;
+    record.currentStreakLosses = 0;
+    record.longestWinStreak = Math.max(record.longestWinStreak, record.currentStreakWins);
+  } else {
+    record.losses++;
+    record.currentStreakWins = 0;
+    record.currentStreakLosses++;
+  }
+  record.state = {
+    ...newState,
+    confidence: await engine.ratingConfidence({ comparisonCount: record.comparisonCount, deviation: newState.deviation })
+  };
+  if (record.peakRating === null || newState.rating > record.peakRating) {
+    record.peakRating = newState.rating;
+    record.peakRatingDate = votedAt.toISOString();
+  }
+  record.lastComparedAt = votedAt.toISOString();
+  record.dirty = true;
+};
+
+/**
+ * Replay the next page of comparisons and checkpoint the results
+ * @param {Object} context - { jobId, engine, records, categoryOf }
+ * @returns {Promise<number>} Comparisons read (0 once the job has caught up)
+ */
+const processPage = async ({ jobId, engine, records, categoryOf }) => {
+  return withTransaction(async () => {
+    const job = await getJobRow(jobId);
+    const comparisons = await queryMany(`
+      SELECT id, item1_id, item2_id, winner_id, strength, position_correction, created_at
+      FROM comparisons
+      WHERE id > ? AND quarantined = FALSE AND outcome != 'unfamiliar'
+      ORDER BY id ASC
+      LIMIT ?
+    `, [job.last_comparison_id, PAGE_SIZE]);
+    if (comparisons.length === 0) return 0;
+
+    const getRecord = (itemId, categoryId) => {
+      const key = recordKey(itemId, categoryId);
+      if (!records.has(key)) {
+        records.set(key, createRecord(engine, itemId, categoryId));
+      }
+      return records.get(key);
+    };
+
+    const historyRows = [];
+    for (const comparison of comparisons) {
+      // Skip votes on items that have since been deleted
+      if (!categoryOf.has(comparison.item1_id) || !categoryOf.has(comparison.item2_id)) continue;
+
+      const item1Score = scoreForItem1(comparison.winner_id, comparison.item1_id);
+      const [won1, won2] = resultsForScore(item1Score);
+      const votedAt = parseTimestamp(comparison.created_at);
+      const record1 = getRecord(comparison.item1_id, GLOBAL_TRACK);
+      const record2 = getRecord(comparison.item2_id, GLOBAL_TRACK);
+      const rating1 = record1.state.rating;
+      const rating2 = record2.state.rating;
+
+      const { state1, state2 } = await engine.rateMatch(record1.state, record2.state, item1Score, comparison.strength, comparison.position_correction);
+      await applyResult(engine, record1, state1, won1, votedAt);
+      await applyResult(engine, record2, state2, won2, votedAt);
+      historyRows.push(
+        { comparisonId: comparison.id, itemId: comparison.item1_id, ratingBefore: rating1, ratingAfter: state1.rating },
+        { comparisonId: comparison.id, itemId: comparison.item2_id, ratingBefore: rating2, ratingAfter: state2.rating }
+      );
+
+      // Same-category matchups also move the category tracks
+      const categoryId = categoryOf.get(comparison.item1_id);
+      if (categoryId && categoryId === categoryOf.get(comparison.item2_id)) {
+        const categoryRecord1 = getRecord(comparison.item1_id, categoryId);
+        const categoryRecord2 = getRecord(comparison.item2_id, categoryId);
+        const categoryResult = await engine.rateMatch(categoryRecord1.state, categoryRecord2.state, item1Score, comparison.strength, comparison.position_correction);
+        await applyResult(engine, categoryRecord1, categoryResult.state1, won1, votedAt);
+        await applyResult(engine, categoryRecord2, categoryResult.state2, won2, votedAt);
+      }
+    }
+
+    await saveDirtyRecords(jobId, records);
+    await insertStagedHistory(jobId, historyRows);
+    await execute(`
+      UPDATE rating_replay_jobs
+      SET last_comparison_id = ?,
+          processed_comparisons = processed_comparisons + ?,
+          total_comparisons = CASE WHEN total_comparisons < processed_comparisons + ? THEN processed_comparisons + ? ELSE total_comparisons END,
+          updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `, [comparisons[comparisons.length - 1].id, comparisons.length, comparisons.length, comparisons.length, jobId]);
+
+    return comparisons.length;
+  });
+};
+
+/**
+ * Map of item ID -> category ID for every item
+ */
+const loadItemCategories = async () => {
+  const items = await queryMany('SELECT id, category_id FROM items');
+  return new Map(items.map(item => [item.id, item.category_id]));
+};
+
+/**
+ * Compare current ranks with the replayed ones
+ * @returns {Promise<Object>} { summary, changes } - changes holds the biggest rank moves
+ */
+const computeRankChanges = async (engine, records) => {
+  const items = await queryMany('SELECT id, title, elo_rating FROM items');
+  const initialRating = engine.initialState().rating;
+  const byRating = (key) => (a, b) => (b[key] - a[key]) || (a.id - b.id);
+
+  const rows = items.map(item => {
+    const record = records.get(recordKey(item.id, GLOBAL_TRACK));
+    return {
+      id: item.id,
+      title: item.title,
+      old_rating: parseFloat(item.elo_rating),
+      new_rating: record ? record.state.rating : initialRating
+    };
+  });
+
+  const oldRanks = new Map([...rows].sort(byRating('old_rating')).map((row, index) => [row.id, index + 1]));
+  const newRanks = new Map([...rows].sort(byRating('new_rating')).map((row, index) => [row.id, index + 1]));
+
+  const changes = rows.map(row => ({
+    item_id: row.id,
+    title: row.title,
+    old_rank: oldRanks.get(row.id),
+    new_rank: newRanks.get(row.id),
+    // Positive = moves up the rankings
+    rank_change: oldRanks.get(row.id) - newRanks.get(row.id),
+    old_rating: row.old_rating,
+    new_rating: row.new_rating
+  }));
+
+  const moved = changes.filter(change => change.rank_change !== 0);
+  const totalRatingChange = changes.reduce((sum, change) => sum + Math.abs(change.new_rating - change.old_rating), 0);
+
+  return {
+    summary: {
+      items: changes.length,
+      items_moved: moved.length,
+      biggest_rise: moved.length ? Math.max(0, ...moved.map(change => change.rank_change)) : 0,
+      biggest_drop: moved.length ? Math.max(0, ...moved.map(change => -change.rank_change)) : 0,
+      mean_rating_change: changes.length ? totalRatingChange / changes.length : 0
+    },
+    changes: moved
+      .sort((a, b) => Math.abs(b.rank_change) - Math.abs(a.rank_change) || a.new_rank - b.new_rank)
+      .slice(0, RANK_CHANGES_LIMIT)
+  };
+};
+
+/**
+ * Swap the staged results in for the live ratings
+ * Catches up on votes cast since the replay finished; votes wait until it commits
+ */
+const applyStagedResults = async (jobId) => {
+  const jobRow = await getJobRow(jobId);
+  const engine = await getRatingEngine(jobRow.engine);
+  await setJobStatus(jobId, 'applying');
+
+  try {
+    await withTransaction(async () => {
+      // Hold every item row so no vote lands between the catch-up and the swap
+      const lockClause = db.getDbType() === 'postgres' ? 'FOR UPDATE' : '';
+      await queryMany(`SELECT id FROM items ORDER BY id ${lockClause}`);
+
+      const categoryOf = await loadItemCategories();
+      const records = await loadStagedRecords(jobId);
+      while (await processPage({ jobId, engine, records, categoryOf }) > 0) {
+        // Keep going until every counted vote is replayed
+      }
+
+      const initial = engine.initialState();
+      for (const itemId of categoryOf.keys()) {
+        const record = records.get(recordKey(itemId, GLOBAL_TRACK)) || createRecord(engine, itemId, GLOBAL_TRACK);
+        const state = record.comparisonCount > 0 ? record.state : initial;
+        await execute(`
+          UPDATE items
+          SET elo_rating = ?, rating_deviation = ?, rating_volatility = ?, rating_confidence = ?,
+              comparison_count = ?, wins = ?, losses = ?,
+              current_streak_wins = ?, current_streak_losses = ?, longest_win_streak = ?,
+              peak_rating = ?, peak_rating_date = ?, last_compared_at = ?
+          WHERE id = ?
+        `, [
+          state.rating, state.deviation, state.volatility, state.confidence,
+          record.comparisonCount, record.wins, record.losses,
+          record.currentStreakWins, record.currentStreakLosses, record.longestWinStreak,
+          record.peakRating, record.peakRatingDate, record.lastComparedAt,
+          itemId
+        ]);
+      }
+
+      await execute('DELETE FROM item_category_ratings');
+      for (const record of records.values()) {
+        if (record.categoryId === GLOBAL_TRACK) continue;
+        await execute(`
+          INSERT INTO item_category_ratings
+            (item_id, category_id, elo_rating, comparison_count, wins, losses, rating_confidence,
+             rating_deviation, rating_volatility, last_compared_at)
+          VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `, [
+          record.itemId, record.categoryId, record.state.rating, record.comparisonCount, record.wins, record.losses,
+          record.state.confidence, record.state.deviation, record.state.volatility, record.lastComparedAt
+        ]);
+      }
+
+      await execute('DELETE FROM rating_history');
+      await execute(`
+        INSERT INTO rating_history (item_id, comparison_id, opponent_id, rating_before, rating_after, won, created_at)
+        SELECT h.item_id, h.comparison_id,
+               CASE WHEN c.item1_id = h.item_id THEN c.item2_id ELSE c.item1_id END,
+               h.rating_before, h.rating_after, (c.winner_id = h.item_id), c.created_at
+        FROM rating_replay_history h
+        JOIN comparisons c ON c.id = h.comparison_id
+        WHERE h.job_id = ?
+        ORDER BY h.comparison_id, h.item_id
+      `, [jobId]);
+
+      // Rating trends from the rebuilt history
+      const now = Date.now();
+      for (const record of records.values()) {
+        if (record.categoryId !== GLOBAL_TRACK) continue;
+        const rating = record.state.rating;
+        const rating7DaysAgo = await getRatingAt(record.itemId, new Date(now - 7 * DAY_MS));
+        const rating30DaysAgo = await getRatingAt(record.itemId, new Date(now - 30 * DAY_MS));
+        const baseline7 = rating7DaysAgo !== null ? rating7DaysAgo : rating;
+        const baseline30 = rating30DaysAgo !== null ? rating30DaysAgo : rating;
+        await execute(`
+          UPDATE items SET rating_7days_ago = ?, rating_30days_ago = ?, rating_change_last_7days = ? WHERE id = ?
+        `, [baseline7, baseline30, rating - baseline7, record.itemId]);
+      }
+
+      // Undo snapshots hold pre-replay ratings
+      await execute('DELETE FROM vote_snapshots');
+
+      await clearStaging(jobId);
+      await setJobStatus(jobId, 'completed', { completed_at: new Date().toISOString(), error: null });
+    });
+
+    // Every rating moved - rebuild rather than refreshing item by item
+    rebuildSelectionIndex().catch(err => {
+      console.error('Error rebuilding selection index after rating replay:', err);
+    });
+  } catch (err) {
+    // Staged results are still intact - leave the job ready so applying can be retried
+    console.error(`Error applying rating replay job ${jobId}:`, err);
+    await setJobStatus(jobId, 'ready', { error: err.message });
+    throw err;
+  }
+};
+
+/**
+ * Process a job until it is done, paused or cancelled
+ * @param {number} jobId - Job ID
+ * @param {Function} onProgress - Optional callback(processedComparisons, totalComparisons)
+ */
+const runJob = async (jobId, onProgress = null) => {
+  const control = { stopRequested: null };
+  activeRuns.set(jobId, control);
+
+  try {
+    const jobRow = await getJobRow(jobId);
+    const engine = await getRatingEngine(jobRow.engine);
+    const categoryOf = await loadItemCategories();
+    const records = await loadStagedRecords(jobId);
+
+    while (true) {
+      if (control.stopRequested === 'pause') {
+        await setJobStatus(jobId, 'paused');
+        return;
+      }
+      if (control.stopRequested === 'cancel') {
+        await clearStaging(jobId);
+        await setJobStatus(jobId, 'cancelled', { completed_at: new Date().toISOString() });
+        return;
+      }
+
+      const processed = await processPage({ jobId, engine, records, categoryOf });
+      if (processed === 0) break;
+
+      if (onProgress) {
+        const job = await getJobRow(jobId);
+        onProgress(parseInt(job.processed_comparisons), parseInt(job.total_comparisons));
+      }
+      // Let requests in between pages
+      await new Promise(resolve => setImmediate(resolve));
+    }
+
+    const rankChanges = await computeRankChanges(engine, records);
+    await setJobStatus(jobId, 'ready', { rank_changes: JSON.stringify(rankChanges) });
+
+    if (!jobRow.dry_run) {
+      await applyStagedResults(jobId);
+    }
+  } catch (err) {
+    console.error(`Error running rating replay job ${jobId}:`, err);
+    const job = await getJobRow(jobId);
+    if (job && job.status === 'running') {
+      await setJobStatus(jobId, 'failed', { error: err.message });
+    }
+    throw err;
+  } finally {
+    activeRuns.delete(jobId);
+  }
+};
+
+/**
+ * Get the job that blocks starting a new one, if any
+ */
+const getActiveJob = async () => {
+  const placeholders = ACTIVE_STATUSES.map(() => '?').join(', ');
+  return queryOne(`SELECT * FROM rating_replay_jobs WHERE status IN (${placeholders}) ORDER BY id DESC LIMIT 1`, ACTIVE_STATUSES);
+};
+
+/**
+ * Create a replay job
+ * @returns {Promise<Object>} { job } or { error }
+ */
+const createJob = async ({ dryRun, engineName }) => {
+  if (engineName && !RATING_ENGINES.includes(engineName)) {
+    return { error: REPLAY_ERRORS.UNKNOWN_ENGINE };
+  }
+  if (await getActiveJob()) {
+    return { error: REPLAY_ERRORS.ALREADY_ACTIVE };
+  }
+
+  const engine = await getRatingEngine(engineName);
+  const countRow = await queryOne("SELECT COUNT(*) as total FROM comparisons WHERE quarantined = FALSE AND outcome != 'unfamiliar'");
+  const job = await insertAndReturn('rating_replay_jobs', {
+    status: 'running',
+    dry_run: db.getDbType() === 'postgres' ? !!dryRun : (dryRun ? 1 : 0),
+    engine: engine.name,
+    total_comparisons: parseInt(countRow?.total || 0)
+  });
+  return { job };
+};
+
+/**
+ * Start a replay job in the background
+ * @param {Object} options - { dryRun, engineName (default: the engine in settings) }
+ * @returns {Promise<Object>} { job } or { error } with one of REPLAY_ERRORS
+ */
+const startReplayJob = async ({ dryRun = true, engineName = null } = {}) => {
+  const result = await createJob({ dryRun, engineName });
+  if (result.error) return result;
+
+  runJob(result.job.id).catch(() => {});
+  return { job: formatJob(result.job) };
+};
+
+/**
+ * Ask a running job to stop after its current page
+ */
+const pauseReplayJob = async (jobId) => {
+  const job = await getJobRow(jobId);
+  if (!job) return { error: REPLAY_ERRORS.NOT_FOUND };
+  if (job.status !== 'running') return { error: REPLAY_ERRORS.INVALID_STATE };
+
+  const run = activeRuns.get(job.id);
+  if (run) {
+    run.stopRequested = 'pause';
+  } else {
+    await setJobStatus(job.id, 'paused');
+  }
+  return { job: formatJob(await getJobRow(jobId)) };
+};
+
+/**
+ * Continue a paused job from its last checkpoint
+ */
+const resumeReplayJob = async (jobId) => {
+  const job = await getJobRow(jobId);
+  if (!job) return { error: REPLAY_ERRORS.NOT_FOUND };
+  if (job.status !== 'paused' || activeRuns.has(job.id)) return { error: REPLAY_ERRORS.INVALID_STATE };
+
+  await setJobStatus(job.id, 'running', { error: null });
+  runJob(job.id).catch(() => {});
+  return { job: formatJob(await getJobRow(jobId)) };
+};
+
+/**
+ * Apply a finished dry run
+ */
+const applyReplayJob = async (jobId) => {
+  const job = await getJobRow(jobId);
+  if (!job) return { error: REPLAY_ERRORS.NOT_FOUND };
+  if (job.status !== 'ready') return { error: REPLAY_ERRORS.INVALID_STATE };
+
+  applyStagedResults(job.id).catch(() => {});
+  return { job: formatJob(await getJobRow(jobId)) };
+};
+
+/**
+ * Discard a job and its staged results
+ */
+const cancelReplayJob = async (jobId) => {
+  const job = await getJobRow(jobId);
+  if (!job) return { error: REPLAY_ERRORS.NOT_FOUND };
+  if (!['running', 'paused', 'ready'].includes(job.status)) return { error: REPLAY_ERRORS.INVALID_STATE };
+
+  const run = activeRuns.get(job.id);
+  if (run && job.status === 'running') {
+    run.stopRequested = 'cancel';
+  } else {
+    await clearStaging(job.id);
+    await setJobStatus(job.id, 'cancelled', { completed_at: new Date().toISOString() });
+  }
+  return { job: formatJob(await getJobRow(jobId)) };
+};
+
+/**
+ * Pick up jobs that were running or applying when the server stopped
+ */
+const resumeInterruptedReplayJobs = async () => {
+  const jobs = await queryMany(`SELECT id, status FROM rating_replay_jobs WHERE status IN ('running', 'applying')`);
+  for (const job of jobs) {
+    console.log(`Resuming rating replay job ${job.id} (${job.status})`);
+    if (job.status === 'applying') {
+      // The apply transaction was rolled back - the staged results are still there
+      applyStagedResults(job.id).catch(() => {});
+    } else {
+      runJob(job.id).catch(() => {});
+    }
+  }
+};
+
+/**
+ * Replay and apply in the foreground (command-line use)
+ * @param {Object} options - { engineName, onProgress(processed, total) }
+ * @returns {Promise<Object>} The completed job
+ */
+const replayRatings = async ({ engineName = null, onProgress = null } = {}) => {
+  const result = await createJob({ dryRun: false, engineName });
+  if (result.error) {
+    throw new Error(result.error.message);
+  }
+  await runJob(result.job.id, onProgress);
+  return getReplayJob(result.job.id);
+};
+
+module.exports = {
+  REPLAY_ERRORS,
+  getReplayJob,
+  getLatestReplayJob,
+  startReplayJob,
+  pauseReplayJob,
+  resumeReplayJob,
+  applyReplayJob,
+  cancelReplayJob,
+  resumeInterruptedReplayJobs,
+  replayRatings
+};
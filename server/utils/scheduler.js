@@ -1,9 +1,23 @@
 const wikipediaFetcher = require('../services/wikipedia-fetcher');
 const settings = require('./settings');
+const anomalyDetector = require('./anomaly-detector');
+const bradleyTerry = require('./bradley-terry');
+const selectionIndex = require('./selection-index');
+const similarityDetector = require('./similarity-detector');
+const paradoxes = require('./paradoxes');
+const tournaments = require('./tournaments');
 
 // Store interval IDs so we can stop/restart the scheduler
 let initialTimeoutId = null;
 let intervalId = null;
+let anomalyIntervalId = null;
+let anomalyCheckRunning = false;
+let bradleyTerryIntervalId = null;
+let selectionIndexIntervalId = null;
+let similarityIntervalId = null;
+let paradoxIntervalId = null;
+let tournamentIntervalId = null;
+let tournamentCheckRunning = false;
 
 /**
  * Schedule periodic database growth checks
@@ -68,9 +82,272 @@ const restartScheduler = async () => {
   await startScheduler();
 };
 
+/**
+ * Run an anomaly check unless the previous one is still going
+ */
+const runScheduledAnomalyCheck = async () => {
+  if (anomalyCheckRunning) return;
+  anomalyCheckRunning = true;
+  try {
+    await anomalyDetector.runAnomalyCheck();
+  } catch (err) {
+    console.error('Error in scheduled anomaly check:', err);
+  } finally {
+    anomalyCheckRunning = false;
+  }
+};
+
+/**
+ * Schedule periodic anomaly detection over recent votes
+ * Runs independently of the Wikipedia auto-fetch scheduler
+ */
+const startAnomalyDetection = async () => {
+  const isEnabled = await settings.getAnomalyDetectionEnabled();
+  
+  if (!isEnabled) {
+    console.log('Anomaly detection is disabled. Skipping anomaly check scheduling.');
+    return;
+  }
+  
+  stopAnomalyDetection();
+  
+  const intervalMinutes = await settings.getAnomalyCheckIntervalMinutes();
+  anomalyIntervalId = setInterval(runScheduledAnomalyCheck, intervalMinutes * 60 * 1000);
+  
+  console.log(`Anomaly detection started (checks every ${intervalMinutes} minutes)`);
+};
+
+/**
+ * Stop anomaly detection
+ */
+const stopAnomalyDetection = () => {
+  if (anomalyIntervalId) {
+    clearInterval(anomalyIntervalId);
+    anomalyIntervalId = null;
+  }
+};
+
+/**
+ * Restart anomaly detection (useful when settings change)
+ */
+const restartAnomalyDetection = async () => {
+  stopAnomalyDetection();
+  await startAnomalyDetection();
+};
+
+/**
+ * Fit Bradley-Terry scores, logging instead of throwing
+ */
+const runScheduledBradleyTerryFit = async () => {
+  try {
+    await bradleyTerry.runBradleyTerryFit();
+  } catch (err) {
+    console.error('Error in scheduled Bradley-Terry fit:', err);
+  }
+};
+
+/**
+ * Schedule periodic Bradley-Terry fits (sort=bt rankings)
+ * Fits once right away so rank ranges are available after a restart
+ */
+const startBradleyTerryFits = async () => {
+  stopBradleyTerryFits();
+  
+  const intervalMinutes = await settings.getBradleyTerryFitIntervalMinutes();
+  bradleyTerryIntervalId = setInterval(runScheduledBradleyTerryFit, intervalMinutes * 60 * 1000);
+  runScheduledBradleyTerryFit();
+  
+  console.log(`Bradley-Terry fits started (every ${intervalMinutes} minutes)`);
+};
+
+/**
+ * Stop Bradley-Terry fits
+ */
+const stopBradleyTerryFits = () => {
+  if (bradleyTerryIntervalId) {
+    clearInterval(bradleyTerryIntervalId);
+    bradleyTerryIntervalId = null;
+  }
+};
+
+/**
+ * Rebuild the selection weight index, logging instead of throwing
+ */
+const runScheduledSelectionIndexRebuild = async () => {
+  try {
+    await selectionIndex.rebuildSelectionIndex();
+  } catch (err) {
+    console.error('Error in scheduled selection index rebuild:', err);
+  }
+};
+
+/**
+ * Schedule periodic selection index rebuilds
+ * Builds once right away so selection doesn't start on the SQL fallback
+ */
+const startSelectionIndexRebuilds = async () => {
+  stopSelectionIndexRebuilds();
+  
+  const intervalMinutes = await settings.getSelectionIndexRebuildMinutes();
+  selectionIndexIntervalId = setInterval(runScheduledSelectionIndexRebuild, intervalMinutes * 60 * 1000);
+  runScheduledSelectionIndexRebuild();
+  
+  console.log(`Selection index rebuilds started (every ${intervalMinutes} minutes)`);
+};
+
+/**
+ * Stop selection index rebuilds
+ */
+const stopSelectionIndexRebuilds = () => {
+  if (selectionIndexIntervalId) {
+    clearInterval(selectionIndexIntervalId);
+    selectionIndexIntervalId = null;
+  }
+};
+
+/**
+ * Rebuild the content similarity clusters, logging instead of throwing
+ */
+const runScheduledSimilarityRebuild = async () => {
+  try {
+    await similarityDetector.rebuildSimilarityClusters();
+  } catch (err) {
+    console.error('Error in scheduled similarity cluster rebuild:', err);
+  }
+};
+
+/**
+ * Schedule periodic similarity cluster rebuilds
+ * Loads the stored clusters first and only rebuilds right away if they're missing or out of date
+ */
+const startSimilarityClusterRebuilds = async () => {
+  stopSimilarityClusterRebuilds();
+  
+  const intervalMinutes = await settings.getSimilarityRebuildMinutes();
+  similarityIntervalId = setInterval(runScheduledSimilarityRebuild, intervalMinutes * 60 * 1000);
+  
+  let computedAt = null;
+  try {
+    computedAt = await similarityDetector.loadSimilarityClusters();
+  } catch (err) {
+    console.error('Error loading similarity clusters:', err);
+  }
+  if (!computedAt || Date.now() - computedAt.getTime() > intervalMinutes * 60 * 1000) {
+    runScheduledSimilarityRebuild();
+  }
+  
+  console.log(`Similarity cluster rebuilds started (every ${intervalMinutes} minutes)`);
+};
+
+/**
+ * Stop similarity cluster rebuilds
+ */
+const stopSimilarityClusterRebuilds = () => {
+  if (similarityIntervalId) {
+    clearInterval(similarityIntervalId);
+    similarityIntervalId = null;
+  }
+};
+
+/**
+ * Find preference cycles and score controversy, logging instead of throwing
+ */
+const runScheduledParadoxAnalysis = async () => {
+  try {
+    await paradoxes.runParadoxAnalysis();
+  } catch (err) {
+    console.error('Error in scheduled paradox analysis:', err);
+  }
+};
+
+/**
+ * Schedule periodic paradox analyses (preference cycles and controversy scores)
+ * Only analyses right away if the stored results are missing or out of date
+ */
+const startParadoxAnalyses = async () => {
+  stopParadoxAnalyses();
+  
+  const intervalMinutes = await settings.getParadoxAnalysisIntervalMinutes();
+  paradoxIntervalId = setInterval(runScheduledParadoxAnalysis, intervalMinutes * 60 * 1000);
+  
+  let computedAt = null;
+  try {
+    computedAt = await paradoxes.getLastAnalysisTime();
+  } catch (err) {
+    console.error('Error checking last paradox analysis:', err);
+  }
+  if (!computedAt || Date.now() - computedAt.getTime() > intervalMinutes * 60 * 1000) {
+    runScheduledParadoxAnalysis();
+  }
+  
+  console.log(`Paradox analyses started (every ${intervalMinutes} minutes)`);
+};
+
+/**
+ * Stop paradox analyses
+ */
+const stopParadoxAnalyses = () => {
+  if (paradoxIntervalId) {
+    clearInterval(paradoxIntervalId);
+    paradoxIntervalId = null;
+  }
+};
+
+/**
+ * Close tournament rounds whose voting window has ended, unless the previous check is still going
+ */
+const runScheduledTournamentCheck = async () => {
+  if (tournamentCheckRunning) return;
+  tournamentCheckRunning = true;
+  try {
+    await tournaments.advanceDueTournaments();
+  } catch (err) {
+    console.error('Error in scheduled tournament check:', err);
+  } finally {
+    tournamentCheckRunning = false;
+  }
+};
+
+/**
+ * Schedule periodic checks for tournament rounds to close
+ * Checks right away too, for rounds that ended while the server was down
+ */
+const startTournamentChecks = async () => {
+  stopTournamentChecks();
+  
+  const intervalMinutes = await settings.getTournamentCheckIntervalMinutes();
+  tournamentIntervalId = setInterval(runScheduledTournamentCheck, intervalMinutes * 60 * 1000);
+  runScheduledTournamentCheck();
+  
+  console.log(`Tournament round checks started (every ${intervalMinutes} minutes)`);
+};
+
+/**
+ * Stop tournament round checks
+ */
+const stopTournamentChecks = () => {
+  if (tournamentIntervalId) {
+    clearInterval(tournamentIntervalId);
+    tournamentIntervalId = null;
+  }
+};
+
 module.exports = {
   startScheduler,
   stopScheduler,
-  restartScheduler
+  restartScheduler,
+  startAnomalyDetection,
+  stopAnomalyDetection,
+  restartAnomalyDetection,
+  startBradleyTerryFits,
+  stopBradleyTerryFits,
+  startSelectionIndexRebuilds,
+  stopSelectionIndexRebuilds,
+  startSimilarityClusterRebuilds,
+  stopSimilarityClusterRebuilds,
+  startParadoxAnalyses,
+  stopParadoxAnalyses,
+  startTournamentChecks,
+  stopTournamentChecks
 };
 
@@ -0,0 +1,313 @@
+// Selection weight index
+// The weighted selection draws its candidate pool in proportion to each item's weight
+// (vote-count weight × familiarity × top-20% Elo bonus × recency decay). Doing that in SQL means a
+// PERCENTILE_CONT, a comments GROUP BY and a weighted scan of the whole items table per request.
+// Instead, every item's static weight is kept in memory in Fenwick (binary indexed) trees - one over
+// all items and one per category - so each weighted draw takes O(log n).
+// Votes, skips, undos and admin item edits refresh the items they touch; a full rebuild runs every
+// selection_index_rebuild_minutes to pick up bulk imports/seeding and move the Elo threshold.
+// Until the first build finishes (the index is "cold") selection uses the SQL path.
+
+const { queryMany } = require('./db-helpers');
+
+const ELO_BONUS_PERCENTILE = 0.8;
+// Give up on a draw after this many rejected samples per requested candidate
+const MAX_ATTEMPTS_PER_CANDIDATE = 10;
+// Remaining weight below this fraction of the starting total is float drift from zeroing drawn items
+const EXHAUSTED_FRACTION = 1e-9;
+
+let index = null;
+let building = null;
+
+/**
+ * Fenwick tree over item weights supporting weighted sampling
+ * set/remove/sample are all O(log n)
+ */
+const createWeightTree = () => {
+  const tree = [0]; // 1-based: tree[i] holds the sum of weights in (i - lowbit(i), i]
+  const weights = [0];
+  const ids = [null];
+  const slots = new Map(); // item id -> slot
+  const freeSlots = [];
+
+  const prefixSum = (slot) => {
+    let sum = 0;
+    for (let i = slot; i > 0; i -= i & -i) sum += tree[i];
+    return sum;
+  };
+
+  const addAt = (slot, delta) => {
+    for (let i = slot; i < tree.length; i += i & -i) tree[i] += delta;
+  };
+
+  const set = (id, weight) => {
+    let slot = slots.get(id);
+    if (slot === undefined) {
+      if (freeSlots.length > 0) {
+        slot = freeSlots.pop();
+      } else {
+        // Appending slot i: its node covers (i - lowbit(i), i - 1] plus the new (zero) weight
+        slot = tree.length;
+        tree.push(prefixSum(slot - 1) - prefixSum(slot - (slot & -slot)));
+        weights.push(0);
+        ids.push(null);
+      }
+      slots.set(id, slot);
+      ids[slot] = id;
+    }
+    addAt(slot, weight - weights[slot]);
+    weights[slot] = weight;
+  };
+
+  const remove = (id) => {
+    const slot = slots.get(id);
+    if (slot === undefined) return;
+    addAt(slot, -weights[slot]);
+    weights[slot] = 0;
+    ids[slot] = null;
+    slots.delete(id);
+    freeSlots.push(slot);
+  };
+
+  const total = () => prefixSum(tree.length - 1);
+
+  /**
+   * Draw an item id with probability proportional to its weight (null if the tree is empty)
+   */
+  const sample = () => {
+    const sum = total();
+    if (!(sum > 0)) return null;
+
+    // Binary lifting: find the first slot whose prefix sum exceeds the target
+    let target = Math.random() * sum;
+    let slot = 0;
+    let step = 1;
+    while (step * 2 < tree.length) step *= 2;
+    for (; step > 0; step = Math.floor(step / 2)) {
+      const next = slot + step;
+      if (next < tree.length && tree[next] <= target) {
+        slot = next;
+        target -= tree[next];
+      }
+    }
+    // Float drift can land on an empty slot - the caller just draws again
+    return slot + 1 < tree.length ? ids[slot + 1] : null;
+  };
+
+  return {
+    set,
+    remove,
+    sample,
+    total,
+    weightOf: (id) => (slots.has(id) ? weights[slots.get(id)] : 0)
+  };
+};
+
+/**
+ * Same image filter as the SQL candidate query
+ */
+const hasUsableImage = (item) => {
+  const url = item.image_url;
+  return Boolean(url) && url !== 'null' && !url.includes('placeholder.com');
+};
+
+const voteWeightFor = (comparisonCount) => {
+  if (comparisonCount === 0) return 50.0;
+  if (comparisonCount <= 5) return 20.0;
+  if (comparisonCount <= 20) return 5.0;
+  return 1.0;
+};
+
+const eloBonusFor = (eloRating, threshold) => {
+  if (eloRating < threshold) return 1.0;
+  return Math.min(1.0 + Math.max((eloRating - threshold) / 500.0, 0), 5.0);
+};
+
+/**
+ * Static selection weight (everything except the per-session recency/diversity factors)
+ */
+const weightFactors = (item, eloThreshold) => {
+  const voteWeight = voteWeightFor(parseInt(item.comparison_count) || 0);
+  const familiarityMultiplier = Math.max(0.1, (parseFloat(item.familiarity_score) || 0) / 100.0);
+  const eloBonus = eloBonusFor(parseFloat(item.elo_rating) || 1500, eloThreshold);
+  return { voteWeight, familiarityMultiplier, eloBonus, weight: voteWeight * familiarityMultiplier * eloBonus };
+};
+
+const ITEM_QUERY = `
+  SELECT i.id, i.title, i.image_url, i.description, i.elo_rating, i.comparison_count,
+         i.familiarity_score, i.rating_confidence, i.wikipedia_pageviews,
+         c.id as category_id, c.name as category_name, c.slug as category_slug,
+         COALESCE(comment_stats.comment_count, 0) as comment_count
+  FROM items i
+  LEFT JOIN categories c ON i.category_id = c.id
+  LEFT JOIN (
+    SELECT item_id, COUNT(*) as comment_count
+    FROM comments
+    GROUP BY item_id
+  ) comment_stats ON i.id = comment_stats.item_id
+`;
+
+/**
+ * Add or update an item in an index (or drop it if it can no longer be selected)
+ */
+const putItem = (target, row) => {
+  const previous = target.items.get(row.id);
+  if (previous && previous.category_id !== row.category_id && previous.category_id) {
+    target.categories.get(previous.category_id)?.remove(row.id);
+  }
+
+  if (!hasUsableImage(row)) {
+    dropItem(target, row.id);
+    return;
+  }
+
+  const item = { ...row, comment_count: parseInt(row.comment_count || 0) };
+  const { weight } = weightFactors(item, target.eloThreshold);
+  target.items.set(item.id, item);
+  target.all.set(item.id, weight);
+  if (item.category_id) {
+    if (!target.categories.has(item.category_id)) {
+      target.categories.set(item.category_id, createWeightTree());
+    }
+    target.categories.get(item.category_id).set(item.id, weight);
+  }
+};
+
+const dropItem = (target, itemId) => {
+  const item = target.items.get(itemId);
+  if (!item) return;
+  target.all.remove(itemId);
+  if (item.category_id) {
+    target.categories.get(item.category_id)?.remove(itemId);
+  }
+  target.items.delete(itemId);
+};
+
+/**
+ * Build the index from scratch and swap it in
+ * Concurrent calls share the same build
+ * @returns {Promise<Object>} { items, eloThreshold }
+ */
+const rebuildSelectionIndex = () => {
+  if (building) return building;
+
+  building = (async () => {
+    const rows = await queryMany(ITEM_QUERY);
+    const usable = rows.filter(hasUsableImage);
+    const ratings = usable.map(row => parseFloat(row.elo_rating) || 1500).sort((a, b) => a - b);
+    const next = {
+      all: createWeightTree(),
+      categories: new Map(),
+      items: new Map(),
+      eloThreshold: ratings[Math.floor(ratings.length * ELO_BONUS_PERCENTILE)] || 1500
+    };
+    usable.forEach(row => putItem(next, row));
+    index = next;
+    return { items: next.items.size, eloThreshold: next.eloThreshold };
+  })().finally(() => {
+    building = null;
+  });
+
+  return building;
+};
+
+/**
+ * Re-read items after their weights changed (vote, skip, undo, admin edit)
+ * No-op while the index is cold - the build reads current values anyway
+ * Never throws: a failed refresh only leaves the index a little stale until the next rebuild
+ * @param {Array} itemIds - Item IDs
+ */
+const refreshSelectionItems = async (itemIds) => {
+  if (!index) return;
+  const ids = [...new Set(itemIds.map(id => parseInt(id)).filter(Boolean))];
+  if (ids.length === 0) return;
+
+  try {
+    const rows = await queryMany(`${ITEM_QUERY} WHERE i.id IN (${ids.map(() => '?').join(', ')})`, ids);
+    const target = index;
+    rows.forEach(row => putItem(target, row));
+    // Items that no longer exist were deleted
+    const found = new Set(rows.map(row => row.id));
+    ids.filter(id => !found.has(id)).forEach(id => dropItem(target, id));
+  } catch (err) {
+    console.error('Error refreshing selection index:', err);
+  }
+};
+
+/**
+ * Remove a deleted item from the index
+ */
+const removeSelectionItem = (itemId) => {
+  if (!index) return;
+  dropItem(index, parseInt(itemId));
+};
+
+/**
+ * Draw a weighted candidate pool without replacement
+ * Recency decay is applied by rejection: a drawn item is kept with probability equal to its decay,
+ * which samples in proportion to weight × decay
+ * @param {Object} options - { count, categoryIds, recentlySeen (item id -> comparisons ago), recencyDecayFor }
+ * @returns {Array|null} Candidate rows shaped like the SQL query's (vote_weight, elo_bonus, recency_decay),
+ *   or null while the index is cold (a build is started in the background)
+ */
+const sampleSelectionCandidates = ({ count, categoryIds = [], recentlySeen = new Map(), recencyDecayFor }) => {
+  if (!index) {
+    rebuildSelectionIndex().catch(err => {
+      console.error('Error building selection index:', err);
+    });
+    return null;
+  }
+
+  const target = index;
+  const trees = categoryIds.length > 0
+    ? categoryIds.map(id => target.categories.get(id)).filter(Boolean)
+    : [target.all];
+
+  // Drawn items are zeroed in their trees so they can't be drawn twice, then restored.
+  // Nothing here awaits, so no other request sees the zeroed weights
+  const drawn = [];
+  const drawnIds = new Set();
+  const candidates = [];
+  const maxAttempts = count * MAX_ATTEMPTS_PER_CANDIDATE;
+  let startingSum = null;
+  for (let attempt = 0; attempt < maxAttempts && candidates.length < count; attempt++) {
+    // Pick a category in proportion to its total weight, then an item within it
+    const totals = trees.map(tree => tree.total());
+    const sum = totals.reduce((total, value) => total + value, 0);
+    if (startingSum === null) startingSum = sum;
+    if (!(sum > startingSum * EXHAUSTED_FRACTION)) break;
+    let pick = Math.random() * sum;
+    const treeIndex = totals.findIndex(value => (pick -= value) <= 0);
+    const tree = trees[treeIndex === -1 ? trees.length - 1 : treeIndex];
+
+    const itemId = tree.sample();
+    const item = itemId !== null ? target.items.get(itemId) : null;
+    if (!item || drawnIds.has(item.id)) continue;
+
+    const comparisonsAgo = recentlySeen.get(item.id);
+    const recencyDecay = comparisonsAgo !== undefined ? recencyDecayFor(comparisonsAgo) : 1.0;
+    if (Math.random() >= recencyDecay) continue;
+
+    drawn.push({ tree, id: item.id, weight: tree.weightOf(item.id) });
+    drawnIds.add(item.id);
+    tree.set(item.id, 0);
+
+    const { voteWeight, eloBonus } = weightFactors(item, target.eloThreshold);
+    candidates.push({
+      ...item,
+      vote_weight: voteWeight,
+      elo_bonus: eloBonus,
+      recency_decay: recencyDecay
+    });
+  }
+  drawn.forEach(({ tree, id, weight }) => tree.set(id, weight));
+
+  return candidates;
+};
+
+module.exports = {
+  rebuildSelectionIndex,
+  refreshSelectionItems,
+  removeSelectionItem,
+  sampleSelectionCandidates
+};
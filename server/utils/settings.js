@@ -1,9 +1,14 @@
 // Settings utility
 // Reads all application settings from database with caching
 // Falls back to environment variables, then defaults
+// Code running inside withSettingsOverrides() sees the override values first (experiment variants)
 
+const { AsyncLocalStorage } = require('async_hooks');
 const db = require('../database');
 
+// Settings overrides for the current request, if any (key -> raw string value)
+const overrideStorage = new AsyncLocalStorage();
+
 // Cache for settings to avoid repeated database queries
 let settingsCache = {};
 let cacheTime = null;
@@ -13,6 +18,11 @@ const CACHE_TTL = 60000; // Cache for 60 seconds
  * Get setting from database, with caching
  */
 const getSetting = async (key, defaultValue, parseFn = null) => {
+  const overrides = overrideStorage.getStore();
+  if (overrides && overrides[key] !== undefined) {
+    return parseFn ? parseFn(overrides[key]) : overrides[key];
+  }
+  
   const now = Date.now();
   
   // Return cached value if still valid
@@ -71,6 +81,16 @@ const invalidateSettingsCache = () => {
   cacheTime = null;
 };
 
+/**
+ * Run fn with some settings overridden
+ * Everything fn starts (awaits, callbacks, timers) sees the overrides; the rest of the app doesn't
+ * @param {Object} overrides - { setting_key: value }
+ * @param {Function} fn - Called with no arguments
+ */
+const withSettingsOverrides = (overrides, fn) => {
+  return overrideStorage.run(overrides, fn);
+};
+
 // ELO Rating System Settings
 const getBaseKFactor = async () => parseFloat(await getSetting('base_k_factor', '32', parseFloat)) || 32;
 const getHighConfidenceK = async () => parseFloat(await getSetting('high_confidence_k', '16', parseFloat)) || 16;
@@ -79,6 +99,13 @@ const getLowConfidenceK = async () => parseFloat(await getSetting('low_confidenc
 const getHighConfidenceThreshold = async () => parseFloat(await getSetting('high_confidence_threshold', '0.8', parseFloat)) || 0.8;
 const getMediumConfidenceThreshold = async () => parseFloat(await getSetting('medium_confidence_threshold', '0.33', parseFloat)) || 0.33;
 
+// Rating Engine Settings
+const getRatingEngine = async () => {
+  const value = await getSetting('rating_engine', 'elo');
+  return value === 'glicko2' ? 'glicko2' : 'elo';
+};
+const getGlickoTau = async () => parseFloat(await getSetting('glicko_tau', '0.5', parseFloat)) || 0.5;
+
 // Upset Detection Settings
 const getUpsetThreshold = async () => parseFloat(await getSetting('upset_threshold', '200', parseFloat)) || 200;
 
@@ -108,6 +135,10 @@ const getWikipediaAutoFetchEnabled = async () => {
 // Selection Algorithm Settings
 const getItemsNeedingVotesConfidenceThreshold = async () => parseFloat(await getSetting('items_needing_votes_confidence_threshold', '0.8', parseFloat)) || 0.8;
 const getItemsNeedingVotesComparisonThreshold = async () => parseInt(await getSetting('items_needing_votes_comparison_threshold', '20', parseInt)) || 20;
+const getSelectionStrategy = async () => {
+  const value = await getSetting('selection_strategy', 'weighted');
+  return value === 'active' ? 'active' : 'weighted';
+};
 
 // Diversity Filtering Settings
 const getDiversityFilteringEnabled = async () => {
@@ -116,6 +147,7 @@ const getDiversityFilteringEnabled = async () => {
 };
 const getDiversityPenaltyStrength = async () => parseFloat(await getSetting('diversity_penalty_strength', '0.8', parseFloat)) || 0.8;
 const getDiversityLookbackCount = async () => parseInt(await getSetting('diversity_lookback_count', '20', parseInt)) || 20;
+const getSimilarityRebuildMinutes = async () => parseInt(await getSetting('similarity_rebuild_minutes', '360', parseInt)) || 360;
 
 // Wikipedia Popularity Settings
 const getWikipediaPopularityEnabled = async () => {
@@ -124,8 +156,83 @@ const getWikipediaPopularityEnabled = async () => {
 };
 const getWikipediaPopularityStrength = async () => parseFloat(await getSetting('wikipedia_popularity_strength', '0.5', parseFloat)) || 0.5;
 
+// Comparison Token Settings
+const getComparisonTokenTtlMinutes = async () => parseInt(await getSetting('comparison_token_ttl_minutes', '30', parseInt)) || 30;
+
+// Rate Limiting Settings
+const getRateLimitingEnabled = async () => {
+  const value = await getSetting('rate_limiting_enabled', 'true', (v) => v === 'true' || v === true);
+  return value === true || value === 'true';
+};
+const getRateLimitStore = async () => {
+  const value = await getSetting('rate_limit_store', 'memory');
+  return value === 'database' ? 'database' : 'memory';
+};
+const getVoteRateLimitPerMinute = async () => parseInt(await getSetting('vote_rate_limit_per_minute', '30', parseInt)) || 30;
+const getSkipRateLimitPerMinute = async () => parseInt(await getSetting('skip_rate_limit_per_minute', '60', parseInt)) || 60;
+const getCommentRateLimitPerMinute = async () => parseInt(await getSetting('comment_rate_limit_per_minute', '5', parseInt)) || 5;
+const getSubmissionRateLimitPerHour = async () => parseInt(await getSetting('submission_rate_limit_per_hour', '10', parseInt)) || 10;
+
+// Anomaly Detection Settings
+const getAnomalyDetectionEnabled = async () => {
+  const value = await getSetting('anomaly_detection_enabled', 'true', (v) => v === 'true' || v === true);
+  return value === true || value === 'true';
+};
+const getAnomalyCheckIntervalMinutes = async () => parseInt(await getSetting('anomaly_check_interval_minutes', '5', parseInt)) || 5;
+const getAnomalyWindowMinutes = async () => parseInt(await getSetting('anomaly_window_minutes', '10', parseInt)) || 10;
+const getAnomalyMinVotes = async () => parseInt(await getSetting('anomaly_min_votes', '20', parseInt)) || 20;
+const getAnomalyMaxVotesPerMinute = async () => parseFloat(await getSetting('anomaly_max_votes_per_minute', '20', parseFloat)) || 20;
+const getAnomalySingleItemThreshold = async () => parseFloat(await getSetting('anomaly_single_item_threshold', '0.6', parseFloat)) || 0.6;
+const getAnomalyMinMedianDecisionMs = async () => {
+  const value = parseInt(await getSetting('anomaly_min_median_decision_ms', '400', parseInt));
+  return isNaN(value) ? 400 : value;
+};
+
+// Bradley-Terry Settings
+const getBradleyTerryFitIntervalMinutes = async () => parseInt(await getSetting('bt_fit_interval_minutes', '60', parseInt)) || 60;
+const getBradleyTerryBootstrapSamples = async () => {
+  const value = parseInt(await getSetting('bt_bootstrap_samples', '100', parseInt));
+  return isNaN(value) ? 100 : value;
+};
+
+// Selection Index Settings
+const getSelectionIndexRebuildMinutes = async () => parseInt(await getSetting('selection_index_rebuild_minutes', '10', parseInt)) || 10;
+
+// Undo Settings
+const getUndoWindowSeconds = async () => parseInt(await getSetting('undo_window_seconds', '30', parseInt)) || 30;
+
+// Decision Time Settings
+const getDecisionTimeMinMs = async () => {
+  const value = parseInt(await getSetting('decision_time_min_ms', '250', parseInt));
+  return isNaN(value) ? 250 : value;
+};
+const getDecisionTimeMaxSeconds = async () => parseInt(await getSetting('decision_time_max_seconds', '60', parseInt)) || 60;
+
+// Position Bias Settings
+const getPositionBiasCorrectionEnabled = async () => {
+  const value = await getSetting('position_bias_correction_enabled', 'false', (v) => v === 'true' || v === true);
+  return value === true || value === 'true';
+};
+const getPositionBiasThreshold = async () => parseFloat(await getSetting('position_bias_threshold', '0.7', parseFloat)) || 0.7;
+const getPositionBiasMinVotes = async () => parseInt(await getSetting('position_bias_min_votes', '20', parseInt)) || 20;
+
+// Paradox Analysis Settings
+const getParadoxAnalysisIntervalMinutes = async () => parseInt(await getSetting('paradox_analysis_interval_minutes', '60', parseInt)) || 60;
+const getCycleMinPairVotes = async () => parseInt(await getSetting('cycle_min_pair_votes', '5', parseInt)) || 5;
+const getCycleMinShare = async () => parseFloat(await getSetting('cycle_min_share', '0.6', parseFloat)) || 0.6;
+const getControversyMinVotes = async () => parseInt(await getSetting('controversy_min_votes', '10', parseInt)) || 10;
+
+// Tournament Settings
+const getTournamentRoundMinutes = async () => parseInt(await getSetting('tournament_round_minutes', '1440', parseInt)) || 1440;
+const getTournamentVotesCountTowardElo = async () => {
+  const value = await getSetting('tournament_votes_count_toward_elo', 'false', (v) => v === 'true' || v === true);
+  return value === true || value === 'true';
+};
+const getTournamentCheckIntervalMinutes = async () => parseInt(await getSetting('tournament_check_interval_minutes', '1', parseInt)) || 1;
+
 module.exports = {
   invalidateSettingsCache,
+  withSettingsOverrides,
   // ELO Rating System
   getBaseKFactor,
   getHighConfidenceK,
@@ -133,6 +240,9 @@ module.exports = {
   getLowConfidenceK,
   getHighConfidenceThreshold,
   getMediumConfidenceThreshold,
+  // Rating Engine
+  getRatingEngine,
+  getGlickoTau,
   // Upset Detection
   getUpsetThreshold,
   // Familiarity Calculation
@@ -155,12 +265,54 @@ module.exports = {
   // Selection Algorithm
   getItemsNeedingVotesConfidenceThreshold,
   getItemsNeedingVotesComparisonThreshold,
+  getSelectionStrategy,
   // Diversity Filtering
   getDiversityFilteringEnabled,
   getDiversityPenaltyStrength,
   getDiversityLookbackCount,
+  getSimilarityRebuildMinutes,
   // Wikipedia Popularity
   getWikipediaPopularityEnabled,
-  getWikipediaPopularityStrength
+  getWikipediaPopularityStrength,
+  // Comparison Tokens
+  getComparisonTokenTtlMinutes,
+  // Rate Limiting
+  getRateLimitingEnabled,
+  getRateLimitStore,
+  getVoteRateLimitPerMinute,
+  getSkipRateLimitPerMinute,
+  getCommentRateLimitPerMinute,
+  getSubmissionRateLimitPerHour,
+  // Anomaly Detection
+  getAnomalyDetectionEnabled,
+  getAnomalyCheckIntervalMinutes,
+  getAnomalyWindowMinutes,
+  getAnomalyMinVotes,
+  getAnomalyMaxVotesPerMinute,
+  getAnomalySingleItemThreshold,
+  getAnomalyMinMedianDecisionMs,
+  // Bradley-Terry
+  getBradleyTerryFitIntervalMinutes,
+  getBradleyTerryBootstrapSamples,
+  // Selection Index
+  getSelectionIndexRebuildMinutes,
+  // Undo
+  getUndoWindowSeconds,
+  // Decision Time
+  getDecisionTimeMinMs,
+  getDecisionTimeMaxSeconds,
+  // Position Bias
+  getPositionBiasCorrectionEnabled,
+  getPositionBiasThreshold,
+  getPositionBiasMinVotes,
+  // Paradox Analysis
+  getParadoxAnalysisIntervalMinutes,
+  getCycleMinPairVotes,
+  getCycleMinShare,
+  getControversyMinVotes,
+  // Tournaments
+  getTournamentRoundMinutes,
+  getTournamentVotesCountTowardElo,
+  getTournamentCheckIntervalMinutes
 };
 
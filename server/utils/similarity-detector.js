@@ -1,8 +1,25 @@
 /**
  * Similarity Detection Utility
- * Detects similar items based on title patterns to enable diversity filtering
+ * Groups similar items to enable diversity filtering
+ * Groups come from content clusters (see similarity-model) precomputed over every item's title and
+ * description and stored in item_similarity_clusters. Items that aren't in a cluster yet (added since
+ * the last rebuild) fall back to the title patterns below.
  */
 
+const { queryMany, execute, withTransaction } = require('./db-helpers');
+const { toSqlTimestamp, parseTimestamp } = require('./rating-history');
+const { buildClusters } = require('./similarity-model');
+
+const INSERT_BATCH = 200;
+// Clusters at least this cohesive get the full diversity penalty; looser clusters get proportionally less
+const FULL_PENALTY_COHESION = 0.6;
+
+let clusterGroups = new Map(); // item id -> similarity group
+let clusterCohesion = new Map(); // similarity group -> cohesion (0-1)
+let rebuildRunning = false;
+
+const clusterGroupKey = (clusterId) => `cluster_${clusterId}`;
+
 /**
  * Extract similarity group from an item title
  * Returns a group identifier (e.g., "battalion", "station", "building") or null
@@ -69,6 +86,20 @@ function getSimilarityGroup(title) {
   return null;
 }
 
+/**
+ * Similarity group of an item: its content cluster, or a title pattern group if it isn't clustered
+ *
+ * @param {{id: number, title: string}} item - The item
+ * @returns {string|null} - Similarity group identifier or null
+ */
+function getItemSimilarityGroup(item) {
+  if (!item) {
+    return null;
+  }
+  const clusterGroup = clusterGroups.get(parseInt(item.id));
+  return clusterGroup !== undefined ? clusterGroup : getSimilarityGroup(item.title);
+}
+
 /**
  * Get similarity group for multiple items
  * 
@@ -84,7 +115,7 @@ function getSimilarityGroupsForItems(items) {
 
   items.forEach(item => {
     if (item && item.id && item.title) {
-      const group = getSimilarityGroup(item.title);
+      const group = getItemSimilarityGroup(item);
       groupMap.set(item.id, group);
     }
   });
@@ -94,12 +125,14 @@ function getSimilarityGroupsForItems(items) {
 
 /**
  * Calculate diversity penalty based on how recently a similarity group was seen
+ * Loosely related content clusters are penalized less than tight ones
  * 
  * @param {number} comparisonsAgo - How many comparisons ago this group was seen (null if not seen recently)
  * @param {number} penaltyStrength - Strength of penalty (0.0-1.0, default 0.8)
+ * @param {string|null} similarityGroup - The group, used to look up its cluster cohesion
  * @returns {number} - Penalty multiplier (0.0-1.0)
  */
-function calculateDiversityPenalty(comparisonsAgo, penaltyStrength = 0.8) {
+function calculateDiversityPenalty(comparisonsAgo, penaltyStrength = 0.8, similarityGroup = null) {
   if (comparisonsAgo === null || comparisonsAgo === undefined) {
     return 1.0; // No penalty if not seen recently
   }
@@ -118,16 +151,101 @@ function calculateDiversityPenalty(comparisonsAgo, penaltyStrength = 0.8) {
     return 1.0; // No penalty if seen more than 20 comparisons ago
   }
 
+  // Title pattern groups always count as fully similar
+  const cohesion = similarityGroup ? clusterCohesion.get(similarityGroup) : undefined;
+  const groupStrength = cohesion !== undefined ? Math.min(cohesion / FULL_PENALTY_COHESION, 1.0) : 1.0;
+
   // Apply penalty strength multiplier
   // If penaltyStrength is 0.8, then 0.2 becomes 0.36 (0.2 + 0.8 * (1.0 - 0.2))
-  const adjustedPenalty = basePenalty + (1.0 - basePenalty) * (1.0 - penaltyStrength);
+  const adjustedPenalty = basePenalty + (1.0 - basePenalty) * (1.0 - penaltyStrength * groupStrength);
   
   return adjustedPenalty;
 }
 
+/**
+ * Swap in a new set of clusters
+ * @param {Array} rows - [{ item_id, cluster_id, cohesion }]
+ */
+function setClusters(rows) {
+  const groups = new Map();
+  const cohesion = new Map();
+  rows.forEach(row => {
+    const group = clusterGroupKey(row.cluster_id);
+    groups.set(parseInt(row.item_id), group);
+    cohesion.set(group, parseFloat(row.cohesion));
+  });
+  clusterGroups = groups;
+  clusterCohesion = cohesion;
+}
+
+/**
+ * Load the stored clusters into memory
+ * 
+ * @returns {Promise<Date|null>} - When the stored clusters were computed (null if there are none)
+ */
+async function loadSimilarityClusters() {
+  const rows = await queryMany('SELECT item_id, cluster_id, cohesion, computed_at FROM item_similarity_clusters');
+  setClusters(rows);
+  if (rows.length === 0) {
+    return null;
+  }
+  return parseTimestamp(rows[0].computed_at);
+}
+
+/**
+ * Recompute content clusters over every item and replace item_similarity_clusters
+ * Skipped if a rebuild is already running
+ * 
+ * @returns {Promise<Object|null>} - { items, clusters, clusteredItems, computedAt } or null if skipped
+ */
+async function rebuildSimilarityClusters() {
+  if (rebuildRunning) {
+    return null;
+  }
+  rebuildRunning = true;
+
+  try {
+    const items = await queryMany('SELECT id, title, description FROM items ORDER BY id');
+    // A cluster is identified by its lowest item id, so unchanged clusters keep their group across rebuilds
+    const rows = [];
+    buildClusters(items).forEach(cluster => {
+      const clusterId = Math.min(...cluster.itemIds);
+      cluster.itemIds.forEach(itemId => {
+        rows.push({ item_id: itemId, cluster_id: clusterId, cohesion: cluster.cohesion });
+      });
+    });
+    const computedAt = toSqlTimestamp(new Date());
+
+    await withTransaction(async () => {
+      await execute('DELETE FROM item_similarity_clusters');
+      for (let start = 0; start < rows.length; start += INSERT_BATCH) {
+        const batch = rows.slice(start, start + INSERT_BATCH);
+        const params = [];
+        batch.forEach(row => {
+          params.push(row.item_id, row.cluster_id, row.cohesion, computedAt);
+        });
+        await execute(`
+          INSERT INTO item_similarity_clusters (item_id, cluster_id, cohesion, computed_at)
+          VALUES ${batch.map(() => '(?, ?, ?, ?)').join(', ')}
+        `, params);
+      }
+    });
+    setClusters(rows);
+
+    const clusters = new Set(rows.map(row => row.cluster_id)).size;
+    console.log(`Similarity clusters: ${clusters} clusters covering ${rows.length} of ${items.length} items`);
+    return { items: items.length, clusters, clusteredItems: rows.length, computedAt };
+  } finally {
+    rebuildRunning = false;
+  }
+}
+
 module.exports = {
   getSimilarityGroup,
+  getItemSimilarityGroup,
   getSimilarityGroupsForItems,
-  calculateDiversityPenalty
+  calculateDiversityPenalty,
+  loadSimilarityClusters,
+  rebuildSimilarityClusters
 };
 
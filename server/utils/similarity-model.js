@@ -0,0 +1,216 @@
+// Content similarity model
+// Finds items that are about the same kind of thing from their text alone, so diversity filtering
+// works for items the title patterns in similarity-detector don't recognise. Everything runs locally:
+// - words from the title (counted twice) and description, weighted by TF-IDF
+// - character trigrams ("shingles") of the title, which catch shared name parts and spelling variants
+// Similarity is a weighted blend of the two cosine similarities. Each item keeps its closest
+// neighbours, and items that are each other's neighbours are merged into clusters.
+
+const WORD_WEIGHT = 0.75;
+const SHINGLE_WEIGHT = 0.25;
+const TITLE_WORD_REPEAT = 2;
+const SHINGLE_SIZE = 3;
+// Neighbours kept per item, and the least similarity that still counts as a neighbour
+const NEIGHBOR_COUNT = 10;
+const MIN_NEIGHBOR_SIMILARITY = 0.2;
+// Candidates per item that get an exact similarity (found through shared words)
+const CANDIDATE_COUNT = 50;
+// Words in more items than this are skipped when finding candidates (they still count in the similarity)
+const MAX_POSTINGS = 200;
+// Least similarity for two mutual neighbours to join a cluster, and the largest cluster allowed
+const MIN_CLUSTER_SIMILARITY = 0.3;
+const MAX_CLUSTER_SIZE = 40;
+
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'been', 'but', 'by', 'for', 'from', 'has', 'have', 'he',
+  'her', 'his', 'in', 'into', 'is', 'it', 'its', 'of', 'on', 'or', 'she', 'that', 'the', 'their',
+  'they', 'this', 'to', 'was', 'were', 'which', 'who', 'with', 'also', 'known', 'one', 'first'
+]);
+
+/**
+ * Lowercase, strip accents and punctuation
+ */
+const normalizeText = (text) => {
+  return String(text || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+};
+
+/**
+ * Words worth comparing on: no stopwords, no bare numbers (years would link unrelated items),
+ * plural "s" dropped
+ */
+const tokenize = (text) => {
+  return normalizeText(text)
+    .split(' ')
+    .filter(word => word.length > 1 && !STOPWORDS.has(word) && !/^\d+$/.test(word))
+    .map(word => (word.length > 3 && word.endsWith('s') && !word.endsWith('ss') ? word.slice(0, -1) : word));
+};
+
+const shingle = (text) => {
+  const shingles = [];
+  normalizeText(text).split(' ').filter(Boolean).forEach(word => {
+    const padded = `#${word}#`;
+    for (let i = 0; i + SHINGLE_SIZE <= padded.length; i++) {
+      shingles.push(padded.slice(i, i + SHINGLE_SIZE));
+    }
+  });
+  return shingles;
+};
+
+const countTerms = (terms) => {
+  const counts = new Map();
+  terms.forEach(term => counts.set(term, (counts.get(term) || 0) + 1));
+  return counts;
+};
+
+/**
+ * Turn term counts into unit-length TF-IDF vectors (Map term -> weight)
+ * Terms found in only one document can't link items and are dropped
+ */
+const tfidfVectors = (documents) => {
+  const documentFrequency = new Map();
+  documents.forEach(counts => {
+    counts.forEach((count, term) => documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1));
+  });
+
+  const total = documents.length;
+  const vectors = documents.map(counts => {
+    const vector = new Map();
+    let norm = 0;
+    counts.forEach((count, term) => {
+      const frequency = documentFrequency.get(term);
+      if (frequency < 2) return;
+      const weight = (1 + Math.log(count)) * Math.log(total / frequency);
+      if (weight <= 0) return;
+      vector.set(term, weight);
+      norm += weight * weight;
+    });
+    norm = Math.sqrt(norm);
+    vector.forEach((weight, term) => vector.set(term, weight / norm));
+    return vector;
+  });
+
+  return { vectors, documentFrequency };
+};
+
+const cosine = (a, b) => {
+  const [small, large] = a.size <= b.size ? [a, b] : [b, a];
+  let dot = 0;
+  small.forEach((weight, term) => {
+    const other = large.get(term);
+    if (other) dot += weight * other;
+  });
+  return dot;
+};
+
+/**
+ * Each item's nearest neighbours
+ * @param {Array} items - [{ id, title, description }]
+ * @returns {Array} Per item (same order): [{ index, similarity }] most similar first
+ */
+const findNeighbors = (items) => {
+  const words = tfidfVectors(items.map(item => countTerms([
+    ...Array(TITLE_WORD_REPEAT).fill(tokenize(item.title)).flat(),
+    ...tokenize(item.description)
+  ])));
+  const shingles = tfidfVectors(items.map(item => countTerms(shingle(item.title)))).vectors;
+
+  // Inverted index over the rarer words, used to find candidates without comparing every pair
+  const postings = new Map();
+  words.vectors.forEach((vector, index) => {
+    vector.forEach((weight, term) => {
+      if (words.documentFrequency.get(term) > MAX_POSTINGS) return;
+      if (!postings.has(term)) postings.set(term, []);
+      postings.get(term).push(index);
+    });
+  });
+
+  return words.vectors.map((vector, index) => {
+    const overlap = new Map();
+    vector.forEach((weight, term) => {
+      (postings.get(term) || []).forEach(other => {
+        if (other !== index) overlap.set(other, (overlap.get(other) || 0) + weight * words.vectors[other].get(term));
+      });
+    });
+
+    return [...overlap.entries()]
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, CANDIDATE_COUNT)
+      .map(([other]) => ({
+        index: other,
+        similarity: WORD_WEIGHT * cosine(vector, words.vectors[other]) +
+          SHINGLE_WEIGHT * cosine(shingles[index], shingles[other])
+      }))
+      .filter(neighbor => neighbor.similarity >= MIN_NEIGHBOR_SIMILARITY)
+      .sort((a, b) => b.similarity - a.similarity)
+      .slice(0, NEIGHBOR_COUNT);
+  });
+};
+
+/**
+ * Group items into clusters of mutual neighbours
+ * Strongest links are merged first and a cluster stops growing at MAX_CLUSTER_SIZE, so one
+ * chain of loosely related items can't swallow everything
+ * @param {Array} items - [{ id, title, description }]
+ * @returns {Array} [{ itemIds, cohesion }] for clusters of 2+ items; cohesion is the average
+ *   similarity of the links that formed the cluster (0-1)
+ */
+const buildClusters = (items) => {
+  const neighbors = findNeighbors(items);
+  const neighborSets = neighbors.map(list => new Set(list.map(neighbor => neighbor.index)));
+
+  const links = [];
+  neighbors.forEach((list, index) => {
+    list.forEach(({ index: other, similarity }) => {
+      if (other > index && similarity >= MIN_CLUSTER_SIMILARITY && neighborSets[other].has(index)) {
+        links.push({ a: index, b: other, similarity });
+      }
+    });
+  });
+  links.sort((x, y) => y.similarity - x.similarity);
+
+  const parent = items.map((item, index) => index);
+  const size = items.map(() => 1);
+  const linkTotal = items.map(() => 0);
+  const linkCount = items.map(() => 0);
+  const find = (index) => {
+    while (parent[index] !== index) {
+      parent[index] = parent[parent[index]];
+      index = parent[index];
+    }
+    return index;
+  };
+
+  links.forEach(({ a, b, similarity }) => {
+    let rootA = find(a);
+    let rootB = find(b);
+    if (rootA === rootB || size[rootA] + size[rootB] > MAX_CLUSTER_SIZE) return;
+    if (size[rootA] < size[rootB]) [rootA, rootB] = [rootB, rootA];
+    parent[rootB] = rootA;
+    size[rootA] += size[rootB];
+    linkTotal[rootA] += linkTotal[rootB] + similarity;
+    linkCount[rootA] += linkCount[rootB] + 1;
+  });
+
+  const clusters = new Map();
+  items.forEach((item, index) => {
+    const root = find(index);
+    if (size[root] < 2) return;
+    if (!clusters.has(root)) {
+      clusters.set(root, { itemIds: [], cohesion: linkTotal[root] / linkCount[root] });
+    }
+    clusters.get(root).itemIds.push(item.id);
+  });
+
+  return [...clusters.values()];
+};
+
+module.exports = {
+  tokenize,
+  findNeighbors,
+  buildClusters
+};
@@ -0,0 +1,634 @@
+// Tournament brackets
+// An admin picks a pool - the top items of a category by elo_rating, or hand-picked items - and the
+// entries are seeded by their current elo_rating. The bracket is the next power of two up from the
+// number of entries, with byes for the top seeds, and seeds are placed in the usual order
+// (1 v 8, 4 v 5, 2 v 7, 3 v 6) so the top two can only meet in the final.
+// Each round's matches are open for voting for round_minutes. A voter gets one vote per match: per
+// account, or per IP address for anonymous voters (the session ID comes from the client, so a script
+// could make up a new one for every vote). The bracket serves each open match with a single-use token
+// (see comparison-tokens), and a vote must redeem it. Once the window closes the scheduler (see
+// scheduler.startTournamentChecks) decides every match - most votes wins, a tie goes to the better
+// seed - moves the winners into the next round and opens it, until the final decides the tournament.
+// With counts_toward_elo a tournament vote is also cast as a normal comparison and moves both
+// items' ratings; otherwise it only counts in the bracket. Votes from a user/session flagged by
+// anomaly detection are stored but not tallied (and quarantined if they'd count toward Elo).
+
+const crypto = require('crypto');
+const db = require('../database');
+const { queryMany, queryOne, execute, insertAndReturn, withTransaction, lockRows } = require('./db-helpers');
+const { toSqlTimestamp, parseTimestamp } = require('./rating-history');
+const { getActiveFlag, lockPendingFlag, recordQuarantinedVote } = require('./vote-quarantine');
+const { issueMatchToken, verifyMatchToken, markTokenUsed } = require('./comparison-tokens');
+const { applyVote } = require('../services/vote-service');
+const { refreshVoterStats } = require('./user-stats-calculator');
+const settings = require('./settings');
+
+const MIN_ENTRIES = 4;
+const MAX_ENTRIES = 128;
+const MAX_ROUND_MINUTES = 43200;
+
+const TOURNAMENT_ERRORS = {
+  NOT_FOUND: {
+    status: 404,
+    code: 'TOURNAMENT_NOT_FOUND',
+    error: 'Tournament not found',
+    message: 'There is no tournament with that ID.'
+  },
+  MATCH_NOT_FOUND: {
+    status: 404,
+    code: 'MATCH_NOT_FOUND',
+    error: 'Match not found',
+    message: 'That match is not part of this tournament.'
+  },
+  INVALID_STATE: {
+    status: 409,
+    code: 'TOURNAMENT_NOT_RUNNING',
+    error: 'Tournament is not running',
+    message: 'Only a running tournament can be advanced or cancelled.'
+  },
+  MATCH_CLOSED: {
+    status: 409,
+    code: 'MATCH_CLOSED',
+    error: 'Voting is closed',
+    message: 'This match is not open for voting.'
+  },
+  ALREADY_VOTED: {
+    status: 409,
+    code: 'ALREADY_VOTED',
+    error: 'Already voted',
+    message: 'You have already voted on this match.'
+  },
+  INVALID_WINNER: {
+    status: 400,
+    code: 'INVALID_WINNER',
+    error: 'Invalid winner',
+    message: 'The winner must be one of the two items in the match.'
+  },
+  INVALID: {
+    status: 400,
+    code: 'TOURNAMENT_INVALID',
+    error: 'Invalid tournament'
+  }
+};
+
+/**
+ * Seed numbers in bracket order, so that slot i of round one is order[2i] v order[2i + 1]
+ * e.g. 8 -> [1, 8, 4, 5, 2, 7, 3, 6]
+ */
+const seedOrder = (bracketSize) => {
+  let order = [1];
+  while (order.length < bracketSize) {
+    const size = order.length * 2;
+    order = order.flatMap(seed => [seed, size + 1 - seed]);
+  }
+  return order;
+};
+
+/**
+ * Display name for a round with this many matches
+ */
+const roundName = (matchCount) => {
+  if (matchCount === 1) return 'Final';
+  if (matchCount === 2) return 'Semifinals';
+  if (matchCount === 4) return 'Quarterfinals';
+  return `Round of ${matchCount * 2}`;
+};
+
+const toDbBoolean = (value) => (db.getDbType() === 'postgres' ? value : (value ? 1 : 0));
+
+/**
+ * Check a tournament definition
+ * @returns {string|null} What's wrong with it, or null if it's valid
+ */
+const validateTournament = ({ name, categoryId, itemIds, size, roundMinutes }) => {
+  if (!name || !String(name).trim()) return 'Name is required';
+
+  const hasCategory = categoryId !== undefined && categoryId !== null && categoryId !== '';
+  const hasItems = itemIds !== undefined && itemIds !== null;
+  if (hasCategory === hasItems) return 'Pick the pool either by category (categoryId) or by hand (itemIds)';
+
+  if (hasCategory) {
+    if (!parseInt(categoryId)) return 'categoryId must be a category ID';
+    if (size !== undefined && size !== null && size !== '') {
+      const val = parseInt(size);
+      if (isNaN(val) || val < MIN_ENTRIES || val > MAX_ENTRIES) {
+        return `size must be between ${MIN_ENTRIES} and ${MAX_ENTRIES}`;
+      }
+    }
+  } else {
+    if (!Array.isArray(itemIds) || itemIds.some(id => !parseInt(id))) return 'itemIds must be a list of item IDs';
+    const unique = new Set(itemIds.map(id => parseInt(id)));
+    if (unique.size !== itemIds.length) return 'itemIds must not repeat an item';
+    if (unique.size < MIN_ENTRIES || unique.size > MAX_ENTRIES) {
+      return `A tournament needs between ${MIN_ENTRIES} and ${MAX_ENTRIES} items`;
+    }
+  }
+
+  if (roundMinutes !== undefined && roundMinutes !== null && roundMinutes !== '') {
+    const val = parseInt(roundMinutes);
+    if (isNaN(val) || val < 1 || val > MAX_ROUND_MINUTES) {
+      return `roundMinutes must be between 1 and ${MAX_ROUND_MINUTES}`;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * The entries for a new tournament, best rated first
+ * @returns {Promise<Object>} { entries: [{ id, elo_rating }] } or { error }
+ */
+const loadPool = async ({ categoryId, itemIds, size }) => {
+  if (itemIds) {
+    const ids = itemIds.map(id => parseInt(id));
+    const entries = await queryMany(`
+      SELECT id, elo_rating FROM items
+      WHERE id IN (${ids.map(() => '?').join(', ')})
+      ORDER BY elo_rating DESC, id ASC
+    `, ids);
+    if (entries.length !== ids.length) {
+      const found = new Set(entries.map(entry => parseInt(entry.id)));
+      const missing = ids.filter(id => !found.has(id));
+      return { error: `Items not found: ${missing.join(', ')}` };
+    }
+    return { entries };
+  }
+
+  const limit = parseInt(size) || 64;
+  const entries = await queryMany(`
+    SELECT id, elo_rating FROM items
+    WHERE category_id = ?
+    ORDER BY elo_rating DESC, id ASC
+    LIMIT ?
+  `, [parseInt(categoryId), limit]);
+  if (entries.length < MIN_ENTRIES) {
+    return { error: `That category has ${entries.length} items - a tournament needs at least ${MIN_ENTRIES}` };
+  }
+  return { entries };
+};
+
+/**
+ * Put a decided match's winner into its slot in the next round
+ */
+const placeWinner = async (tournamentId, round, slot, winnerId) => {
+  const column = slot % 2 === 0 ? 'item1_id' : 'item2_id';
+  await execute(
+    `UPDATE tournament_matches SET ${column} = ? WHERE tournament_id = ? AND round_number = ? AND slot = ?`,
+    [winnerId, tournamentId, round + 1, Math.floor(slot / 2)]
+  );
+};
+
+const TOURNAMENT_COLUMNS = `
+  t.id, t.name, t.description, t.status, t.category_id, t.bracket_size, t.round_minutes, t.counts_toward_elo,
+  t.current_round, t.round_ends_at, t.created_at, t.completed_at,
+  c.name as category_name,
+  w.id as winner_id, w.title as winner_title, w.image_url as winner_image_url,
+  (SELECT COUNT(*) FROM tournament_entries e WHERE e.tournament_id = t.id) as entry_count
+`;
+const TOURNAMENT_JOINS = `
+  LEFT JOIN categories c ON c.id = t.category_id
+  LEFT JOIN items w ON w.id = t.winner_item_id
+`;
+
+const formatTournament = (row) => {
+  const bracketSize = parseInt(row.bracket_size);
+  const rounds = Math.log2(bracketSize);
+  const currentRound = parseInt(row.current_round);
+  return {
+    id: row.id,
+    name: row.name,
+    description: row.description,
+    status: row.status,
+    categoryId: row.category_id,
+    categoryName: row.category_name || null,
+    entryCount: parseInt(row.entry_count),
+    bracketSize,
+    rounds,
+    currentRound,
+    currentRoundName: roundName(bracketSize / 2 ** currentRound),
+    roundMinutes: parseInt(row.round_minutes),
+    countsTowardElo: Boolean(row.counts_toward_elo),
+    roundEndsAt: row.status === 'running' && row.round_ends_at ? parseTimestamp(row.round_ends_at) : null,
+    createdAt: row.created_at,
+    completedAt: row.completed_at,
+    winner: row.winner_id ? { id: row.winner_id, title: row.winner_title, image_url: row.winner_image_url } : null
+  };
+};
+
+/**
+ * Tournaments, running ones first, then newest first
+ * @param {Object} options - { includeCancelled }
+ */
+const listTournaments = async ({ includeCancelled = false } = {}) => {
+  const rows = await queryMany(`
+    SELECT ${TOURNAMENT_COLUMNS}
+    FROM tournaments t
+    ${TOURNAMENT_JOINS}
+    ${includeCancelled ? '' : "WHERE t.status != 'cancelled'"}
+    ORDER BY CASE WHEN t.status = 'running' THEN 0 ELSE 1 END, t.id DESC
+  `);
+  return rows.map(formatTournament);
+};
+
+const getTournament = async (tournamentId) => {
+  const row = await queryOne(`
+    SELECT ${TOURNAMENT_COLUMNS}
+    FROM tournaments t
+    ${TOURNAMENT_JOINS}
+    WHERE t.id = ?
+  `, [tournamentId]);
+  return row ? formatTournament(row) : null;
+};
+
+/**
+ * Create a tournament: seed the pool, build the whole bracket and open round one
+ * @param {Object} definition - { name, description, categoryId, size (category pools, default 64)
+ *   or itemIds, roundMinutes, countsTowardElo (both default to the settings) }
+ * @returns {Promise<Object>} { tournament } or { error }
+ */
+const createTournament = async (definition) => {
+  const invalid = validateTournament(definition);
+  if (invalid) {
+    return { error: { ...TOURNAMENT_ERRORS.INVALID, message: invalid } };
+  }
+
+  const pool = await loadPool(definition);
+  if (pool.error) {
+    return { error: { ...TOURNAMENT_ERRORS.INVALID, message: pool.error } };
+  }
+
+  const roundMinutes = parseInt(definition.roundMinutes) || await settings.getTournamentRoundMinutes();
+  const countsTowardElo = definition.countsTowardElo !== undefined && definition.countsTowardElo !== null
+    ? definition.countsTowardElo === true || definition.countsTowardElo === 'true'
+    : await settings.getTournamentVotesCountTowardElo();
+
+  const entries = pool.entries;
+  const bracketSize = 2 ** Math.ceil(Math.log2(entries.length));
+  const rounds = Math.log2(bracketSize);
+  const order = seedOrder(bracketSize);
+  const now = new Date();
+
+  const created = await withTransaction(async () => {
+    const tournament = await insertAndReturn('tournaments', {
+      name: String(definition.name).trim(),
+      description: definition.description || null,
+      status: 'running',
+      category_id: definition.itemIds ? null : parseInt(definition.categoryId),
+      bracket_size: bracketSize,
+      round_minutes: roundMinutes,
+      counts_toward_elo: toDbBoolean(countsTowardElo),
+      current_round: 1,
+      round_ends_at: toSqlTimestamp(new Date(now.getTime() + roundMinutes * 60 * 1000))
+    }, 'id');
+
+    const entryParams = [];
+    entries.forEach((entry, index) => {
+      entryParams.push(tournament.id, entry.id, index + 1, parseFloat(entry.elo_rating));
+    });
+    await execute(`
+      INSERT INTO tournament_entries (tournament_id, item_id, seed, seed_rating)
+      VALUES ${entries.map(() => '(?, ?, ?, ?)').join(', ')}
+    `, entryParams);
+
+    const byes = [];
+    for (let round = 1; round <= rounds; round++) {
+      const matchCount = bracketSize / 2 ** round;
+      for (let slot = 0; slot < matchCount; slot++) {
+        const match = { tournament_id: tournament.id, round_number: round, slot, status: 'pending' };
+        if (round === 1) {
+          // The better seed is always first, so only the second can be missing
+          const entry1 = entries[order[slot * 2] - 1];
+          const entry2 = entries[order[slot * 2 + 1] - 1];
+          match.item1_id = entry1.id;
+          match.item2_id = entry2 ? entry2.id : null;
+          if (entry2) {
+            match.status = 'open';
+          } else {
+            match.status = 'bye';
+            match.winner_id = entry1.id;
+            match.decided_at = toSqlTimestamp(now);
+            byes.push({ slot, winnerId: entry1.id });
+          }
+        }
+        await insertAndReturn('tournament_matches', match, 'id');
+      }
+    }
+
+    for (const bye of byes) {
+      await placeWinner(tournament.id, 1, bye.slot, bye.winnerId);
+    }
+
+    return tournament;
+  });
+
+  return { tournament: await getTournament(created.id) };
+};
+
+/**
+ * Entries (with their item) keyed by item ID
+ */
+const loadEntries = async (tournamentId) => {
+  const rows = await queryMany(`
+    SELECT e.item_id, e.seed, e.seed_rating, i.title, i.image_url, i.elo_rating
+    FROM tournament_entries e
+    JOIN items i ON i.id = e.item_id
+    WHERE e.tournament_id = ?
+  `, [tournamentId]);
+  return new Map(rows.map(row => [parseInt(row.item_id), {
+    id: parseInt(row.item_id),
+    title: row.title,
+    image_url: row.image_url,
+    seed: parseInt(row.seed),
+    seedRating: parseFloat(row.seed_rating),
+    rating: parseFloat(row.elo_rating)
+  }]));
+};
+
+/**
+ * Winner of a match: most votes, a tie going to the better seed
+ * An item deleted since the draw forfeits
+ */
+const decideMatch = (match, seeds) => {
+  const item1Id = match.item1_id !== null ? parseInt(match.item1_id) : null;
+  const item2Id = match.item2_id !== null ? parseInt(match.item2_id) : null;
+  if (item1Id === null || item2Id === null) return item1Id ?? item2Id;
+
+  const votes1 = parseInt(match.item1_votes) || 0;
+  const votes2 = parseInt(match.item2_votes) || 0;
+  if (votes1 !== votes2) return votes1 > votes2 ? item1Id : item2Id;
+  return (seeds.get(item1Id) ?? Infinity) <= (seeds.get(item2Id) ?? Infinity) ? item1Id : item2Id;
+};
+
+/**
+ * Close the current round: decide its matches and open the next round, or finish the tournament
+ * Only acts once the round's voting window is over, unless force is set
+ * @returns {Promise<Object>} { tournament, advanced } or { error }
+ */
+const advanceTournament = async (tournamentId, { force = false } = {}) => {
+  const result = await withTransaction(async () => {
+    const [tournament] = await lockRows('tournaments', [tournamentId], 'id, status, bracket_size, round_minutes, current_round, round_ends_at');
+    if (!tournament) return { error: TOURNAMENT_ERRORS.NOT_FOUND };
+    if (tournament.status !== 'running') return { error: TOURNAMENT_ERRORS.INVALID_STATE };
+
+    const now = new Date();
+    if (!force && tournament.round_ends_at && parseTimestamp(tournament.round_ends_at) > now) {
+      return { advanced: false };
+    }
+
+    const round = parseInt(tournament.current_round);
+    const rounds = Math.log2(parseInt(tournament.bracket_size));
+    const openMatches = await queryMany(
+      "SELECT id FROM tournament_matches WHERE tournament_id = ? AND round_number = ? AND status = 'open'",
+      [tournamentId, round]
+    );
+    // Locked so a vote can't land between reading the tally and deciding the match
+    const matches = openMatches.length > 0
+      ? await lockRows('tournament_matches', openMatches.map(match => match.id), 'id, slot, item1_id, item2_id, item1_votes, item2_votes')
+      : [];
+    const seedRows = await queryMany('SELECT item_id, seed FROM tournament_entries WHERE tournament_id = ?', [tournamentId]);
+    const seeds = new Map(seedRows.map(row => [parseInt(row.item_id), parseInt(row.seed)]));
+    const decidedAt = toSqlTimestamp(now);
+
+    let finalWinnerId = null;
+    for (const match of matches) {
+      const winnerId = decideMatch(match, seeds);
+      await execute(
+        "UPDATE tournament_matches SET status = 'decided', winner_id = ?, decided_at = ? WHERE id = ?",
+        [winnerId, decidedAt, match.id]
+      );
+      if (round < rounds) {
+        await placeWinner(tournamentId, round, parseInt(match.slot), winnerId);
+      } else {
+        finalWinnerId = winnerId;
+      }
+    }
+
+    if (round >= rounds) {
+      await execute(
+        "UPDATE tournaments SET status = 'completed', winner_item_id = ?, completed_at = ? WHERE id = ?",
+        [finalWinnerId, decidedAt, tournamentId]
+      );
+    } else {
+      const roundEndsAt = new Date(now.getTime() + parseInt(tournament.round_minutes) * 60 * 1000);
+      await execute(
+        "UPDATE tournament_matches SET status = 'open' WHERE tournament_id = ? AND round_number = ? AND status = 'pending'",
+        [tournamentId, round + 1]
+      );
+      await execute(
+        'UPDATE tournaments SET current_round = ?, round_ends_at = ? WHERE id = ?',
+        [round + 1, toSqlTimestamp(roundEndsAt), tournamentId]
+      );
+    }
+    return { advanced: true };
+  });
+
+  if (result.error) return result;
+  return { ...result, tournament: await getTournament(tournamentId) };
+};
+
+/**
+ * Advance every running tournament whose round has ended
+ * @returns {Promise<number>} Number of rounds closed
+ */
+const advanceDueTournaments = async () => {
+  const due = await queryMany(
+    "SELECT id FROM tournaments WHERE status = 'running' AND round_ends_at <= ?",
+    [toSqlTimestamp(new Date())]
+  );
+  let closed = 0;
+  for (const { id } of due) {
+    const result = await advanceTournament(id);
+    if (result.advanced) {
+      closed++;
+      console.log(`Tournament ${id}: round closed${result.tournament.status === 'completed' ? ', tournament complete' : ''}`);
+    }
+  }
+  return closed;
+};
+
+/**
+ * Cancel a running tournament - its bracket stays as it was, with no winner
+ * The update only applies while the tournament is still running, so a round closing at the same
+ * moment can't have its completed tournament overwritten
+ * @returns {Promise<Object>} { tournament } or { error }
+ */
+const cancelTournament = async (tournamentId) => {
+  const cancelled = await execute(
+    "UPDATE tournaments SET status = 'cancelled', completed_at = ? WHERE id = ? AND status = 'running'",
+    [toSqlTimestamp(new Date()), tournamentId]
+  );
+  if (cancelled.changes === 0) {
+    const exists = await queryOne('SELECT id FROM tournaments WHERE id = ?', [tournamentId]);
+    return { error: exists ? TOURNAMENT_ERRORS.INVALID_STATE : TOURNAMENT_ERRORS.NOT_FOUND };
+  }
+  return { tournament: await getTournament(tournamentId) };
+};
+
+/**
+ * Who a tournament vote is deduplicated by: the account, or else the client's IP address
+ * (hashed, so the table doesn't hold raw addresses)
+ */
+const voterKeyFor = (userId, clientIp) => (
+  userId ? `user:${userId}` : `ip:${crypto.createHash('sha256').update(String(clientIp)).digest('hex')}`
+);
+
+/**
+ * A tournament with its full bracket
+ * Open matches the voter hasn't voted in carry the comparisonToken their vote must present
+ * @param {Object} voter - { userId, clientIp } for the voter's own picks (myVote) and tokens
+ * @returns {Promise<Object|null>} { tournament, rounds: [{ round, name, matches }] }
+ */
+const getTournamentBracket = async (tournamentId, { userId = null, clientIp = null } = {}) => {
+  const tournament = await getTournament(tournamentId);
+  if (!tournament) return null;
+
+  const [entries, matches, myVotes] = await Promise.all([
+    loadEntries(tournamentId),
+    queryMany(`
+      SELECT id, round_number, slot, item1_id, item2_id, item1_votes, item2_votes, winner_id, status
+      FROM tournament_matches
+      WHERE tournament_id = ?
+      ORDER BY round_number, slot
+    `, [tournamentId]),
+    queryMany(
+      'SELECT match_id, winner_id FROM tournament_votes WHERE tournament_id = ? AND voter_key = ?',
+      [tournamentId, voterKeyFor(userId, clientIp)]
+    )
+  ]);
+  const myVoteByMatch = new Map(myVotes.map(vote => [parseInt(vote.match_id), parseInt(vote.winner_id)]));
+
+  const tokens = new Map();
+  if (tournament.status === 'running') {
+    for (const match of matches) {
+      const matchId = parseInt(match.id);
+      if (match.status === 'open' && match.item1_id !== null && match.item2_id !== null && !myVoteByMatch.has(matchId)) {
+        tokens.set(matchId, await issueMatchToken(matchId, match.item1_id, match.item2_id));
+      }
+    }
+  }
+  const entryFor = (itemId) => (itemId !== null ? entries.get(parseInt(itemId)) || null : null);
+
+  const rounds = [];
+  for (let round = 1; round <= tournament.rounds; round++) {
+    const matchCount = tournament.bracketSize / 2 ** round;
+    rounds.push({
+      round,
+      name: roundName(matchCount),
+      matches: matches
+        .filter(match => parseInt(match.round_number) === round)
+        .map(match => ({
+          id: match.id,
+          slot: parseInt(match.slot),
+          status: match.status,
+          item1: entryFor(match.item1_id),
+          item2: entryFor(match.item2_id),
+          item1Votes: parseInt(match.item1_votes),
+          item2Votes: parseInt(match.item2_votes),
+          winnerId: match.winner_id !== null ? parseInt(match.winner_id) : null,
+          myVote: myVoteByMatch.get(parseInt(match.id)) ?? null,
+          comparisonToken: tokens.get(parseInt(match.id)) || null
+        }))
+    });
+  }
+
+  return { tournament, rounds };
+};
+
+/**
+ * Vote for one side of an open match
+ * The match token is marked used in the vote's transaction, so a vote that fails can be retried with it
+ * @param {Object} vote - { tournamentId, matchId, winnerId, token, userId, userSessionId, clientIp }
+ *   userSessionId is recorded with the vote (and checked for flags) but isn't what the vote is deduplicated by
+ * @returns {Promise<Object>} { item1Votes, item2Votes, countedTowardElo, item1Id, item2Id },
+ *   or { error } with a TOURNAMENT_ERRORS or TOKEN_ERRORS entry
+ */
+const castTournamentVote = async ({ tournamentId, matchId, winnerId, token, userId = null, userSessionId = null, clientIp = null }) => {
+  const flag = await getActiveFlag(userId, userSessionId);
+
+  const result = await withTransaction(async () => {
+    const tournament = await queryOne(
+      'SELECT id, status, round_ends_at, counts_toward_elo FROM tournaments WHERE id = ?',
+      [tournamentId]
+    );
+    if (!tournament) return { error: TOURNAMENT_ERRORS.NOT_FOUND };
+
+    // A flag approved since it was looked up no longer quarantines the vote
+    // (locked before the match, the same order as flag review, so the two can't deadlock)
+    const quarantined = !!flag && await lockPendingFlag(flag.id);
+
+    // Locked so the tally can't change while the round is being closed
+    const [match] = await lockRows('tournament_matches', [matchId], 'id, tournament_id, item1_id, item2_id, status');
+    if (!match || parseInt(match.tournament_id) !== tournamentId) return { error: TOURNAMENT_ERRORS.MATCH_NOT_FOUND };
+    if (tournament.status !== 'running' || match.status !== 'open' ||
+        (tournament.round_ends_at && parseTimestamp(tournament.round_ends_at) <= new Date())) {
+      return { error: TOURNAMENT_ERRORS.MATCH_CLOSED };
+    }
+
+    const item1Id = parseInt(match.item1_id);
+    const item2Id = parseInt(match.item2_id);
+    const verified = verifyMatchToken(token, matchId, item1Id, item2Id);
+    if (verified.error) return verified;
+    if (winnerId !== item1Id && winnerId !== item2Id) return { error: TOURNAMENT_ERRORS.INVALID_WINNER };
+
+    const voterKey = voterKeyFor(userId, clientIp);
+    const existing = await queryOne('SELECT id FROM tournament_votes WHERE match_id = ? AND voter_key = ?', [matchId, voterKey]);
+    if (existing) return { error: TOURNAMENT_ERRORS.ALREADY_VOTED };
+
+    const tokenUse = await markTokenUsed(verified);
+    if (tokenUse.error) return tokenUse;
+
+    let comparisonId = null;
+    if (tournament.counts_toward_elo) {
+      const vote = { item1Id, item2Id, winnerId, userId, userSessionId };
+      const applied = quarantined
+        ? await recordQuarantinedVote({ ...vote, flagId: flag.id })
+        : await applyVote(vote);
+      if (!applied) throw new Error(`Could not apply tournament vote ${item1Id} vs ${item2Id}`);
+      comparisonId = applied.comparisonId;
+    }
+
+    await insertAndReturn('tournament_votes', {
+      tournament_id: tournamentId,
+      match_id: matchId,
+      winner_id: winnerId,
+      voter_key: voterKey,
+      user_id: userId,
+      user_session_id: userSessionId,
+      comparison_id: comparisonId,
+      counted: toDbBoolean(!quarantined)
+    }, 'id');
+
+    const column = winnerId === item1Id ? 'item1_votes' : 'item2_votes';
+    if (!quarantined) {
+      await execute(`UPDATE tournament_matches SET ${column} = ${column} + 1 WHERE id = ?`, [matchId]);
+    }
+    const tally = await queryOne('SELECT item1_votes, item2_votes FROM tournament_matches WHERE id = ?', [matchId]);
+
+    // A flagged voter sees their vote in the tally like anyone else, so they aren't tipped off
+    const extra = quarantined ? 1 : 0;
+    return {
+      item1Id,
+      item2Id,
+      item1Votes: parseInt(tally.item1_votes) + (column === 'item1_votes' ? extra : 0),
+      item2Votes: parseInt(tally.item2_votes) + (column === 'item2_votes' ? extra : 0),
+      countedTowardElo: comparisonId !== null && !quarantined
+    };
+  });
+
+  if (result.countedTowardElo) {
+    refreshVoterStats(userId);
+  }
+  return result;
+};
+
+module.exports = {
+  TOURNAMENT_ERRORS,
+  seedOrder,
+  listTournaments,
+  createTournament,
+  advanceTournament,
+  advanceDueTournaments,
+  cancelTournament,
+  getTournamentBracket,
+  castTournamentVote
+};
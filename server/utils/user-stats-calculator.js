@@ -1,4 +1,5 @@
 const db = require('../database');
+const { execute } = require('./db-helpers');
 
 /**
  * Calculate user statistics from comparisons table
@@ -49,7 +50,7 @@ const calculateUserStats = (userId) => {
               SUM(CASE WHEN c.was_upset = true THEN 1 ELSE 0 END) as upset_picks,
               AVG(c.rating_difference) as avg_rating_difference
             FROM comparisons c
-            WHERE c.user_id = $1
+            WHERE c.user_id = $1 AND c.quarantined = FALSE AND c.outcome != 'unfamiliar'
           `
           : `
             SELECT 
@@ -58,7 +59,7 @@ const calculateUserStats = (userId) => {
               0 as upset_picks,
               NULL as avg_rating_difference
             FROM comparisons c
-            WHERE c.user_id = $1
+            WHERE c.user_id = $1 AND c.quarantined = FALSE AND c.outcome != 'unfamiliar'
           `
         : hasWasUpset && hasRatingDiff
           ? `
@@ -68,7 +69,7 @@ const calculateUserStats = (userId) => {
               SUM(CASE WHEN c.was_upset = 1 THEN 1 ELSE 0 END) as upset_picks,
               AVG(c.rating_difference) as avg_rating_difference
             FROM comparisons c
-            WHERE c.user_id = ?
+            WHERE c.user_id = ? AND c.quarantined = FALSE AND c.outcome != 'unfamiliar'
           `
           : `
             SELECT 
@@ -77,7 +78,7 @@ const calculateUserStats = (userId) => {
               0 as upset_picks,
               NULL as avg_rating_difference
             FROM comparisons c
-            WHERE c.user_id = ?
+            WHERE c.user_id = ? AND c.quarantined = FALSE AND c.outcome != 'unfamiliar'
           `;
 
       const params = dbType === 'postgres' ? [userId] : [userId];
@@ -107,7 +108,7 @@ const calculateUserStats = (userId) => {
             SELECT i.category_id, COUNT(*) as vote_count
             FROM comparisons c
             JOIN items i ON (c.item1_id = i.id OR c.item2_id = i.id)
-            WHERE c.user_id = $1 AND i.category_id IS NOT NULL
+            WHERE c.user_id = $1 AND c.quarantined = FALSE AND c.outcome != 'unfamiliar' AND i.category_id IS NOT NULL
             GROUP BY i.category_id
             ORDER BY vote_count DESC
             LIMIT 1
@@ -116,7 +117,7 @@ const calculateUserStats = (userId) => {
             SELECT i.category_id, COUNT(*) as vote_count
             FROM comparisons c
             JOIN items i ON (c.item1_id = i.id OR c.item2_id = i.id)
-            WHERE c.user_id = ? AND i.category_id IS NOT NULL
+            WHERE c.user_id = ? AND c.quarantined = FALSE AND c.outcome != 'unfamiliar' AND i.category_id IS NOT NULL
             GROUP BY i.category_id
             ORDER BY vote_count DESC
             LIMIT 1
@@ -199,8 +200,60 @@ const updateUserStatsInDatabase = async (userId) => {
   });
 };
 
+/**
+ * Recalculate the voter's stats in the background after a committed vote
+ * Upset picks and voting patterns are recalculated from the comparisons table,
+ * so they can follow the commit without risking drift. Don't call it inside a
+ * transaction - the queries would run on the transaction's connection after it's released
+ */
+const refreshVoterStats = (userId) => {
+  if (!userId) return;
+  updateUserStatsInDatabase(userId).catch(err => {
+    console.error('Error updating user stats:', err);
+  });
+};
+
+/**
+ * How many of the voter's comparisons a set of votes makes up
+ * A best-of-N answer counts once, however many pairwise votes it was stored as
+ * @param {Array} votes - Comparison rows (id, group_id)
+ * @returns {number}
+ */
+const countSubmissions = (votes) => (
+  new Set(votes.map(vote => (vote.group_id ? `group:${vote.group_id}` : `comparison:${vote.id}`))).size
+);
+
+/**
+ * Change a user's or anonymous session's comparisons_count (used for the leaderboard
+ * and account prompts) when votes are removed or restored
+ * Follow it with refreshVoterStats once the surrounding transaction has committed
+ * @param {number|null} userId - Logged-in user ID
+ * @param {string|null} userSessionId - Anonymous session ID (used when there's no user)
+ * @param {number} delta - Change in vote count
+ */
+const adjustComparisonsCount = async (userId, userSessionId, delta) => {
+  if (delta === 0) return;
+
+  if (userId) {
+    await execute(`
+      UPDATE users
+      SET comparisons_count = CASE WHEN comparisons_count + ? < 0 THEN 0 ELSE comparisons_count + ? END
+      WHERE id = ?
+    `, [delta, delta, userId]);
+  } else if (userSessionId) {
+    await execute(`
+      UPDATE user_sessions
+      SET comparisons_count = CASE WHEN comparisons_count + ? < 0 THEN 0 ELSE comparisons_count + ? END
+      WHERE session_id = ?
+    `, [delta, delta, userSessionId]);
+  }
+};
+
 module.exports = {
   calculateUserStats,
-  updateUserStatsInDatabase
+  updateUserStatsInDatabase,
+  refreshVoterStats,
+  countSubmissions,
+  adjustComparisonsCount
 };
 
@@ -0,0 +1,416 @@
+// Vote quarantine
+// Votes from a flagged user/session are kept in the comparisons table with quarantined = TRUE
+// and don't count toward Elo ratings or leaderboards until an admin reviews the flag.
+// Approving a flag replays its votes through the normal rating updates; rejecting keeps them out.
+// Quarantining counted votes and approving a flag each run in one transaction with the affected
+// items locked, like a live vote, so they can't overwrite a concurrent vote's rating update.
+// Tournament votes follow their voter's flag: they leave their match tallies when quarantined and
+// go back in on approval. Locks are taken flag first, then tournament matches, then items - the
+// same order as a tournament vote - so the two can't deadlock.
+
+const db = require('../database');
+const { queryMany, queryOne, execute, insertAndReturn, withTransaction, lockRows } = require('./db-helpers');
+const { getRatingEngine, scoreForItem1, resultsForScore, stateFromRow } = require('./rating-engine');
+const { updateFamiliarityMetrics } = require('./familiarity-calculator');
+const { updateItemMetricsAfterVote } = require('./item-metrics-updater');
+const { updateCategoryRatingsAfterVote } = require('./category-ratings');
+const { recordRatingChange } = require('./rating-history');
+const { adjustComparisonsCount, countSubmissions, refreshVoterStats } = require('./user-stats-calculator');
+const { positionCorrectionFor } = require('./position-bias');
+const settings = require('./settings');
+
+const FLAG_STATUSES = ['pending', 'approved', 'rejected'];
+const RATING_COLUMNS = 'elo_rating, rating_deviation, rating_volatility, rating_confidence';
+
+/**
+ * Get the pending flag for a user or anonymous session, if any
+ * @param {number|null} userId - Logged-in user ID
+ * @param {string|null} userSessionId - Anonymous session ID
+ * @returns {Promise<Object|null>} Flag row or null
+ */
+const getActiveFlag = async (userId, userSessionId) => {
+  if (!userId && !userSessionId) return null;
+
+  return queryOne(`
+    SELECT id, user_id, user_session_id, reason, flagged_at
+    FROM flagged_sessions
+    WHERE status = 'pending' AND (user_id = ? OR user_session_id = ?)
+    ORDER BY flagged_at DESC
+    LIMIT 1
+  `, [userId || null, userSessionId || null]);
+};
+
+/**
+ * Lock a flag and check it is still pending
+ * A vote that found the flag pending calls this inside its transaction: if the flag was approved
+ * in the meantime, the vote counts normally instead of being quarantined under a reviewed flag.
+ * Must be called inside withTransaction
+ * @returns {Promise<boolean>} Whether the flag is still pending
+ */
+const lockPendingFlag = async (flagId) => {
+  const [flag] = await lockRows('flagged_sessions', [flagId], 'id, status');
+  return !!flag && flag.status === 'pending';
+};
+
+/**
+ * Create a pending flag for a user or anonymous session
+ * @param {Object} flag - { userId, userSessionId, reasons: [...], details: {...} }
+ * @returns {Promise<Object>} Created flag row
+ */
+const createFlag = async ({ userId = null, userSessionId = null, reasons, details = {} }) => {
+  return insertAndReturn('flagged_sessions', {
+    user_id: userId,
+    user_session_id: userId ? null : userSessionId,
+    reason: reasons.join(','),
+    details: JSON.stringify(details),
+    status: 'pending'
+  });
+};
+
+/**
+ * Store a vote from a flagged user/session without applying it to any ratings
+ * Returns the ratings the vote would have produced so the response looks like a normal vote
+ * @param {Object} vote - { item1Id, item2Id, winnerId (null for a tie), strength, decisionMs, leftItemId, userId, userSessionId, flagId, groupId, experimentVariantId }
+ * @returns {Promise<Object|null>} { comparisonId, newRating1, newRating2, wasUpset }, or null if an item is missing
+ */
+const recordQuarantinedVote = async ({ item1Id, item2Id, winnerId = null, strength = null, decisionMs = null, leftItemId = null, userId = null, userSessionId = null, flagId, groupId = null, experimentVariantId = null }) => {
+  const [item1, item2] = await Promise.all([
+    queryOne(`SELECT ${RATING_COLUMNS} FROM items WHERE id = ?`, [item1Id]),
+    queryOne(`SELECT ${RATING_COLUMNS} FROM items WHERE id = ?`, [item2Id])
+  ]);
+  if (!item1 || !item2) return null;
+
+  const isTie = winnerId === null;
+  const item1Score = scoreForItem1(winnerId, item1Id);
+  const item1Won = item1Score === 1;
+  const engine = await getRatingEngine();
+  const positionCorrection = await positionCorrectionFor({ winnerId, leftItemId, userId, userSessionId });
+  const { state1, state2 } = await engine.rateMatch(stateFromRow(item1), stateFromRow(item2), item1Score, strength, positionCorrection);
+  const newRating1 = state1.rating;
+  const newRating2 = state2.rating;
+
+  const ratingDiff = Math.abs(item1.elo_rating - item2.elo_rating);
+  const winnerRating = item1Won ? item1.elo_rating : item2.elo_rating;
+  const loserRating = item1Won ? item2.elo_rating : item1.elo_rating;
+  const wasUpset = !isTie && ratingDiff > await settings.getUpsetThreshold() && winnerRating < loserRating;
+  const dbType = db.getDbType();
+
+  const comparison = await insertAndReturn('comparisons', {
+    item1_id: item1Id,
+    item2_id: item2Id,
+    winner_id: winnerId,
+    outcome: isTie ? 'tie' : 'win',
+    strength,
+    decision_ms: decisionMs,
+    left_item_id: leftItemId,
+    position_correction: positionCorrection !== 1 ? positionCorrection : null,
+    user_id: userId,
+    user_session_id: userSessionId,
+    rating_difference: ratingDiff,
+    was_upset: dbType === 'postgres' ? wasUpset : (wasUpset ? 1 : 0),
+    quarantined: dbType === 'postgres' ? true : 1,
+    flag_id: flagId,
+    group_id: groupId,
+    experiment_variant_id: experimentVariantId
+  }, 'id');
+
+  return { comparisonId: comparison ? comparison.id : null, newRating1, newRating2, wasUpset };
+};
+
+/**
+ * Take tournament votes out of their match tallies, or put them back in
+ * Only open matches change - a decided match keeps its result (and its votes their counted state)
+ * Must be called inside withTransaction, before any items are locked
+ * @param {Array} votes - tournament_votes rows (id, match_id, winner_id)
+ * @param {boolean} counted - Whether the votes should count
+ */
+const setTournamentVotesCounted = async (votes, counted) => {
+  if (votes.length === 0) return;
+
+  const matches = await lockRows('tournament_matches', [...new Set(votes.map(vote => parseInt(vote.match_id)))], 'id, item1_id, status');
+  const openMatches = new Map(matches.filter(match => match.status === 'open').map(match => [parseInt(match.id), match]));
+
+  for (const vote of votes) {
+    const match = openMatches.get(parseInt(vote.match_id));
+    if (!match) continue;
+    const column = parseInt(vote.winner_id) === parseInt(match.item1_id) ? 'item1_votes' : 'item2_votes';
+    await execute(
+      counted
+        ? `UPDATE tournament_matches SET ${column} = ${column} + 1 WHERE id = ?`
+        : `UPDATE tournament_matches SET ${column} = CASE WHEN ${column} > 0 THEN ${column} - 1 ELSE 0 END WHERE id = ?`,
+      [match.id]
+    );
+    await execute(`UPDATE tournament_votes SET counted = ${counted ? 'TRUE' : 'FALSE'} WHERE id = ?`, [vote.id]);
+  }
+};
+
+/**
+ * Pull already-counted votes into quarantine
+ * Each item's rating is moved back by the change the vote made (read from rating_history),
+ * so votes cast since then by other people keep their effect.
+ * The per-category track, rating deviation/volatility, peak ratings and streaks are not rolled back.
+ * Votes without rating history can't be reverted and are left counted.
+ * @param {number} flagId - Flag the votes belong to
+ * @param {Array<number>} comparisonIds - Comparisons to quarantine
+ * @returns {Promise<number>} Number of votes quarantined
+ */
+const quarantineCountedVotes = async (flagId, comparisonIds) => {
+  if (comparisonIds.length === 0) return 0;
+
+  const actorVotes = new Map();
+  const placeholders = comparisonIds.map(() => '?').join(', ');
+
+  const quarantinedCount = await withTransaction(async () => {
+    // Tournament votes cast through these comparisons stop counting toward their matches
+    // (only votes that will be reverted - those with rating history)
+    const tournamentVotes = await queryMany(`
+      SELECT tv.id, tv.match_id, tv.winner_id
+      FROM tournament_votes tv
+      JOIN comparisons c ON c.id = tv.comparison_id
+      WHERE tv.comparison_id IN (${placeholders}) AND tv.counted = TRUE AND c.quarantined = FALSE
+        AND EXISTS (SELECT 1 FROM rating_history rh WHERE rh.comparison_id = tv.comparison_id)
+    `, comparisonIds);
+    await setTournamentVotesCounted(tournamentVotes, false);
+
+    // Lock every item the votes moved, so a live vote can't read a rating and then write over the revert
+    const itemRows = await queryMany(`
+      SELECT DISTINCT item_id FROM rating_history WHERE comparison_id IN (${placeholders})
+    `, comparisonIds);
+    const touched = itemRows.map(row => row.item_id);
+    if (touched.length > 0) {
+      await lockRows('items', touched, 'id');
+    }
+
+    let count = 0;
+    for (const comparisonId of comparisonIds) {
+      const comparison = await queryOne(`
+        SELECT id, user_id, user_session_id, group_id FROM comparisons
+        WHERE id = ? AND quarantined = FALSE
+      `, [comparisonId]);
+      if (!comparison) continue;
+
+      const history = await queryMany(`
+        SELECT item_id, rating_before, rating_after, won
+        FROM rating_history
+        WHERE comparison_id = ?
+      `, [comparisonId]);
+      if (history.length === 0) continue;
+
+      for (const entry of history) {
+        // A tie (won is NULL) never added a win or a loss
+        const isTie = entry.won === null || entry.won === undefined;
+        const won = !!entry.won;
+        await execute(`
+          UPDATE items
+          SET elo_rating = elo_rating - ?,
+              comparison_count = CASE WHEN comparison_count > 0 THEN comparison_count - 1 ELSE 0 END,
+              wins = CASE WHEN wins > 0 THEN wins - ? ELSE 0 END,
+              losses = CASE WHEN losses > 0 THEN losses - ? ELSE 0 END
+          WHERE id = ?
+        `, [parseFloat(entry.rating_after) - parseFloat(entry.rating_before), !isTie && won ? 1 : 0, !isTie && !won ? 1 : 0, entry.item_id]);
+      }
+
+      await execute('DELETE FROM rating_history WHERE comparison_id = ?', [comparisonId]);
+      await execute(`
+        UPDATE comparisons
+        SET quarantined = TRUE, flag_id = ?, reverted_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `, [flagId, comparisonId]);
+
+      const actorKey = comparison.user_id ? `user:${comparison.user_id}` : `session:${comparison.user_session_id}`;
+      const actor = actorVotes.get(actorKey) || { userId: comparison.user_id, userSessionId: comparison.user_session_id, votes: [] };
+      actor.votes.push(comparison);
+      actorVotes.set(actorKey, actor);
+      count++;
+    }
+
+    for (const actor of actorVotes.values()) {
+      await adjustComparisonsCount(actor.userId, actor.userSessionId, -countSubmissions(actor.votes));
+    }
+
+    for (const itemId of touched) {
+      await updateFamiliarityMetrics(db, itemId, { familiarityScore: true, ratingConfidence: true });
+    }
+
+    return count;
+  });
+
+  for (const actor of actorVotes.values()) {
+    refreshVoterStats(actor.userId);
+  }
+
+  return quarantinedCount;
+};
+
+/**
+ * Apply a quarantined vote to ratings at the items' current ratings
+ * Votes quarantined on arrival never touched the category track or item metrics, so
+ * those are updated too; votes that were reverted only had their Elo changes undone.
+ * Must be called inside withTransaction, with both items locked
+ */
+const applyQuarantinedVote = async (vote) => {
+  const [item1, item2] = await Promise.all([
+    queryOne(`SELECT ${RATING_COLUMNS} FROM items WHERE id = ?`, [vote.item1_id]),
+    queryOne(`SELECT ${RATING_COLUMNS} FROM items WHERE id = ?`, [vote.item2_id])
+  ]);
+  if (!item1 || !item2) return false;
+
+  const item1Score = scoreForItem1(vote.winner_id, vote.item1_id);
+  const [won1, won2] = resultsForScore(item1Score);
+  const item1Won = item1Score === 1;
+  const engine = await getRatingEngine();
+  const { state1, state2 } = await engine.rateMatch(stateFromRow(item1), stateFromRow(item2), item1Score, vote.strength, vote.position_correction);
+  const newRating1 = state1.rating;
+  const newRating2 = state2.rating;
+
+  const updateSql = `
+    UPDATE items
+    SET elo_rating = ?,
+        rating_deviation = ?,
+        rating_volatility = ?,
+        comparison_count = comparison_count + 1,
+        wins = wins + ?,
+        losses = losses + ?
+    WHERE id = ?
+  `;
+  await execute(updateSql, [newRating1, state1.deviation, state1.volatility, won1 === true ? 1 : 0, won1 === false ? 1 : 0, vote.item1_id]);
+  await execute(updateSql, [newRating2, state2.deviation, state2.volatility, won2 === true ? 1 : 0, won2 === false ? 1 : 0, vote.item2_id]);
+  await execute('UPDATE comparisons SET quarantined = FALSE WHERE id = ?', [vote.id]);
+
+  await recordRatingChange({
+    itemId: vote.item1_id,
+    comparisonId: vote.id,
+    opponentId: vote.item2_id,
+    ratingBefore: item1.elo_rating,
+    ratingAfter: newRating1,
+    won: won1
+  });
+  await recordRatingChange({
+    itemId: vote.item2_id,
+    comparisonId: vote.id,
+    opponentId: vote.item1_id,
+    ratingBefore: item2.elo_rating,
+    ratingAfter: newRating2,
+    won: won2
+  });
+
+  if (!vote.reverted_at) {
+    await updateCategoryRatingsAfterVote(vote.item1_id, vote.item2_id, vote.winner_id, vote.strength, vote.position_correction);
+    await updateItemMetricsAfterVote(
+      item1Won ? vote.item1_id : vote.item2_id,
+      item1Won ? vote.item2_id : vote.item1_id,
+      item1Won ? newRating1 : newRating2,
+      item1Won ? newRating2 : newRating1,
+      !!vote.was_upset,
+      won1 === null
+    );
+  }
+
+  for (const itemId of [vote.item1_id, vote.item2_id]) {
+    await updateFamiliarityMetrics(db, itemId, { familiarityScore: true, ratingConfidence: true });
+  }
+
+  return true;
+};
+
+/**
+ * Get a flag by ID
+ */
+const getFlag = async (flagId) => {
+  return queryOne('SELECT * FROM flagged_sessions WHERE id = ?', [flagId]);
+};
+
+/**
+ * Approve a flag - its votes were legitimate, so count them
+ * The votes are replayed and the flag marked approved in one transaction: if a vote fails,
+ * nothing is applied and the flag stays pending so the approval can be retried
+ * @param {number} flagId - Flag ID
+ * @returns {Promise<Object|null>} { flag, restoredVotes }, or null if the flag doesn't exist
+ */
+const approveFlag = async (flagId) => {
+  const flag = await getFlag(flagId);
+  if (!flag) return null;
+
+  const restoredVotes = await withTransaction(async () => {
+    // Votes from this user/session that are quarantined meanwhile wait on the flag lock,
+    // then see it approved and count normally
+    if (!await lockPendingFlag(flagId)) return null;
+
+    // The voter's tournament votes held back by this flag: those cast through its quarantined
+    // comparisons, and those without a comparison (tournaments that don't count toward Elo) cast since it was raised
+    const voterClause = flag.user_id ? 'tv.user_id = ?' : 'tv.user_session_id = ? AND tv.user_id IS NULL';
+    const tournamentVotes = await queryMany(`
+      SELECT tv.id, tv.match_id, tv.winner_id
+      FROM tournament_votes tv
+      WHERE tv.counted = FALSE AND (
+        tv.comparison_id IN (SELECT id FROM comparisons WHERE flag_id = ? AND quarantined = TRUE)
+        OR (tv.comparison_id IS NULL AND ${voterClause} AND tv.created_at >= ?)
+      )
+    `, [flagId, flag.user_id || flag.user_session_id, flag.flagged_at]);
+    await setTournamentVotesCounted(tournamentVotes, true);
+
+    const votes = await queryMany(`
+      SELECT id, item1_id, item2_id, winner_id, strength, position_correction, user_id, user_session_id, was_upset, reverted_at, group_id
+      FROM comparisons
+      WHERE flag_id = ? AND quarantined = TRUE
+      ORDER BY created_at ASC, id ASC
+    `, [flagId]);
+
+    const itemIds = [...new Set(votes.flatMap(vote => [parseInt(vote.item1_id), parseInt(vote.item2_id)]))];
+    if (itemIds.length > 0) {
+      await lockRows('items', itemIds, 'id');
+    }
+
+    const restored = [];
+    for (const vote of votes) {
+      if (await applyQuarantinedVote(vote)) {
+        restored.push(vote);
+      }
+    }
+    await adjustComparisonsCount(flag.user_id, flag.user_session_id, countSubmissions(restored));
+
+    await execute(`
+      UPDATE flagged_sessions SET status = 'approved', reviewed_at = CURRENT_TIMESTAMP WHERE id = ?
+    `, [flagId]);
+
+    return restored.length;
+  });
+  if (restoredVotes === null) {
+    return { flag: await getFlag(flagId), restoredVotes: 0 };
+  }
+
+  refreshVoterStats(flag.user_id);
+
+  return { flag: await getFlag(flagId), restoredVotes };
+};
+
+/**
+ * Reject a flag - its votes stay quarantined and never count
+ * @param {number} flagId - Flag ID
+ * @returns {Promise<Object|null>} { flag }, or null if the flag doesn't exist
+ */
+const rejectFlag = async (flagId) => {
+  const flag = await getFlag(flagId);
+  if (!flag) return null;
+  if (flag.status !== 'pending') return { flag };
+
+  // An approval that got there first wins
+  await execute(`
+    UPDATE flagged_sessions SET status = 'rejected', reviewed_at = CURRENT_TIMESTAMP
+    WHERE id = ? AND status = 'pending'
+  `, [flagId]);
+
+  return { flag: await getFlag(flagId) };
+};
+
+module.exports = {
+  FLAG_STATUSES,
+  getActiveFlag,
+  lockPendingFlag,
+  createFlag,
+  getFlag,
+  recordQuarantinedVote,
+  quarantineCountedVotes,
+  approveFlag,
+  rejectFlag
+};
@@ -0,0 +1,78 @@
+// Preference strength
+// A vote can say how strongly the winner was preferred (comparisons.strength). The strength
+// scales the rating update - a slight preference moves ratings half as far as a clear one, an
+// overwhelming one half again as far - and is reported as a margin of victory from 1 (slight)
+// to 3 (overwhelming). Votes without a strength are rated like clear ones and don't count
+// towards margins.
+
+const { queryMany, queryOne } = require('./db-helpers');
+
+const VOTE_STRENGTHS = {
+  slight: { multiplier: 0.5, margin: 1 },
+  clear: { multiplier: 1.0, margin: 2 },
+  overwhelming: { multiplier: 1.5, margin: 3 }
+};
+
+/**
+ * How much a vote of this strength scales the rating update (1 when no strength was given)
+ */
+const strengthMultiplier = (strength) => {
+  return VOTE_STRENGTHS[strength]?.multiplier || 1.0;
+};
+
+// comparisons.strength as a 1-3 margin (NULL when no strength was given)
+const MARGIN_SQL = `CASE strength ${Object.entries(VOTE_STRENGTHS)
+  .map(([strength, { margin }]) => `WHEN '${strength}' THEN ${margin}`)
+  .join(' ')} END`;
+
+const MARGIN_QUERY = `
+  SELECT winner_id, AVG(${MARGIN_SQL}) as avg_margin, COUNT(*) as margin_votes
+  FROM comparisons
+  WHERE strength IS NOT NULL AND winner_id IS NOT NULL AND quarantined = FALSE
+`;
+
+// Most item IDs passed to one margin query
+const MARGIN_ID_CHUNK = 500;
+
+const formatMargin = (row) => ({
+  avg_margin: row && row.avg_margin !== null ? Math.round(parseFloat(row.avg_margin) * 100) / 100 : null,
+  margin_votes: row ? parseInt(row.margin_votes) || 0 : 0
+});
+
+/**
+ * Add avg_margin (average margin of victory, 1-3, null without strength votes) and
+ * margin_votes (wins that had a strength) to item rows
+ * @param {Array} items - Rows with an id
+ * @returns {Promise<Array>} The same rows with margins added
+ */
+const attachAverageMargins = async (items) => {
+  if (!items || items.length === 0) return items;
+  const itemIds = [...new Set(items.map(item => parseInt(item.id)))];
+  const margins = new Map();
+  // Only the listed items' wins are aggregated, a chunk of IDs at a time to stay under the bound parameter limit
+  for (let start = 0; start < itemIds.length; start += MARGIN_ID_CHUNK) {
+    const chunk = itemIds.slice(start, start + MARGIN_ID_CHUNK);
+    const rows = await queryMany(
+      `${MARGIN_QUERY} AND winner_id IN (${chunk.map(() => '?').join(', ')}) GROUP BY winner_id`,
+      chunk
+    );
+    rows.forEach(row => margins.set(parseInt(row.winner_id), row));
+  }
+  return items.map(item => ({ ...item, ...formatMargin(margins.get(parseInt(item.id))) }));
+};
+
+/**
+ * Average margin of victory for one item
+ * @returns {Promise<Object>} { avg_margin, margin_votes }
+ */
+const getAverageMargin = async (itemId) => {
+  const row = await queryOne(`${MARGIN_QUERY} AND winner_id = ? GROUP BY winner_id`, [itemId]);
+  return formatMargin(row);
+};
+
+module.exports = {
+  VOTE_STRENGTHS,
+  strengthMultiplier,
+  attachAverageMargins,
+  getAverageMargin
+};
@@ -0,0 +1,261 @@
+// Vote undo
+// Before a vote is applied, both items' rating state (Elo, counts, streaks, peak, trends and the
+// per-category track) is saved as a snapshot. Within undo_window_seconds the voter can take the
+// vote back: the snapshot is restored and the comparison and its rating history are deleted.
+
+const { queryMany, queryOne, execute, withTransaction, lockRows } = require('./db-helpers');
+const { toSqlTimestamp } = require('./rating-history');
+const { adjustComparisonsCount, countSubmissions, refreshVoterStats } = require('./user-stats-calculator');
+const settings = require('./settings');
+
+// Item columns a vote changes (directly or through item metrics/familiarity updates)
+const ITEM_SNAPSHOT_COLUMNS = [
+  'elo_rating', 'rating_deviation', 'rating_volatility', 'wins', 'losses', 'comparison_count',
+  'rating_confidence', 'familiarity_score', 'last_compared_at', 'unfamiliar_count',
+  'peak_rating', 'peak_rating_date',
+  'current_streak_wins', 'current_streak_losses', 'longest_win_streak',
+  'upset_win_count', 'first_vote_date',
+  'rating_7days_ago', 'rating_30days_ago', 'rating_change_last_7days'
+];
+const CATEGORY_SNAPSHOT_COLUMNS = [
+  'elo_rating', 'rating_deviation', 'rating_volatility', 'comparison_count', 'wins', 'losses',
+  'rating_confidence', 'last_compared_at'
+];
+const SNAPSHOT_RETENTION_MS = 24 * 60 * 60 * 1000;
+const PURGE_INTERVAL_MS = 60 * 60 * 1000; // Purge old snapshots at most once an hour
+
+const UNDO_ERRORS = {
+  NO_VOTER: {
+    status: 400,
+    code: 'UNDO_NO_VOTER',
+    error: 'Missing voter',
+    message: 'Log in or send your userSessionId to undo a vote.'
+  },
+  NOT_AVAILABLE: {
+    status: 404,
+    code: 'UNDO_NOT_AVAILABLE',
+    error: 'Nothing to undo',
+    message: 'There is no recent vote to undo.'
+  },
+  CONFLICT: {
+    status: 409,
+    code: 'UNDO_CONFLICT',
+    error: 'Vote can no longer be undone',
+    message: 'One of these items has been voted on since, so your vote can no longer be undone.'
+  }
+};
+
+let lastPurgeAt = 0;
+
+/**
+ * Capture both items' state before a vote is applied
+ * @returns {Promise<Object|null>} Snapshot, or null if an item is missing
+ */
+const captureVoteSnapshot = async (item1Id, item2Id) => {
+  const columns = ['id', 'category_id', ...ITEM_SNAPSHOT_COLUMNS].join(', ');
+  const items = await queryMany(`SELECT ${columns} FROM items WHERE id IN (?, ?)`, [item1Id, item2Id]);
+  if (items.length !== 2) return null;
+
+  // Same-category votes also move the per-category track
+  let categoryRatings = [];
+  const categoryId = items[0].category_id;
+  if (categoryId && categoryId === items[1].category_id) {
+    const rows = await queryMany(`
+      SELECT item_id, ${CATEGORY_SNAPSHOT_COLUMNS.join(', ')}
+      FROM item_category_ratings
+      WHERE category_id = ? AND item_id IN (?, ?)
+    `, [categoryId, item1Id, item2Id]);
+    categoryRatings = items.map(item => ({
+      itemId: item.id,
+      categoryId,
+      row: rows.find(r => r.item_id === item.id) || null
+    }));
+  }
+
+  return { items, categoryRatings };
+};
+
+/**
+ * Delete snapshots that are far past any undo window
+ */
+const purgeOldSnapshots = async () => {
+  const now = Date.now();
+  if (now - lastPurgeAt < PURGE_INTERVAL_MS) return;
+  lastPurgeAt = now;
+
+  try {
+    await execute('DELETE FROM vote_snapshots WHERE created_at < ?', [toSqlTimestamp(new Date(now - SNAPSHOT_RETENTION_MS))]);
+  } catch (err) {
+    console.error('Error purging vote snapshots:', err);
+  }
+};
+
+/**
+ * Store the pre-vote snapshot for a comparison
+ */
+const saveVoteSnapshot = async (comparisonId, snapshot) => {
+  await execute('INSERT INTO vote_snapshots (comparison_id, snapshot) VALUES (?, ?)', [comparisonId, JSON.stringify(snapshot)]);
+  await purgeOldSnapshots();
+};
+
+/**
+ * Put an item's saved state back
+ */
+const restoreItem = async (item) => {
+  // Only columns the snapshot has (snapshots taken before a column existed lack it)
+  const columns = ITEM_SNAPSHOT_COLUMNS.filter(column => column in item);
+  const setClause = columns.map(column => `${column} = ?`).join(', ');
+  await execute(
+    `UPDATE items SET ${setClause} WHERE id = ?`,
+    [...columns.map(column => item[column]), item.id]
+  );
+};
+
+/**
+ * Put an item's per-category rating back (or remove it if the vote created it)
+ */
+const restoreCategoryRating = async ({ itemId, categoryId, row }) => {
+  if (!row) {
+    await execute('DELETE FROM item_category_ratings WHERE item_id = ? AND category_id = ?', [itemId, categoryId]);
+    return;
+  }
+  const columns = CATEGORY_SNAPSHOT_COLUMNS.filter(column => column in row);
+  const setClause = columns.map(column => `${column} = ?`).join(', ');
+  await execute(
+    `UPDATE item_category_ratings SET ${setClause} WHERE item_id = ? AND category_id = ?`,
+    [...columns.map(column => row[column]), itemId, categoryId]
+  );
+};
+
+/**
+ * Undo a voter's most recent vote if it is still inside the undo window
+ * A best-of-N submission is undone as a whole: its comparisons' snapshots are restored newest first,
+ * which leaves every item as it was before the submission
+ * Refused if any of the items has been in a counted vote since, because restoring the
+ * snapshot would wipe out that later vote
+ * Tournament votes can't be undone (their match tallies would be left behind), so they're passed over
+ * @param {Object} voter - { userId, userSessionId }
+ * @returns {Promise<Object>} { comparison, group, ratings } on success (group is { id, itemIds, ratings }
+ *   for a best-of-N submission, otherwise null), or { error } with one of UNDO_ERRORS
+ */
+const undoLastVote = async ({ userId = null, userSessionId = null }) => {
+  if (!userId && !userSessionId) {
+    return { error: UNDO_ERRORS.NO_VOTER };
+  }
+
+  const windowSeconds = await settings.getUndoWindowSeconds();
+  const since = toSqlTimestamp(new Date(Date.now() - windowSeconds * 1000));
+  const voterClause = userId ? 'user_id = ?' : 'user_session_id = ? AND user_id IS NULL';
+
+  const comparison = await queryOne(`
+    SELECT id, item1_id, item2_id, winner_id, outcome, left_item_id, user_id, user_session_id, quarantined, group_id, created_at
+    FROM comparisons
+    WHERE ${voterClause} AND created_at >= ?
+      AND id NOT IN (SELECT comparison_id FROM tournament_votes WHERE comparison_id IS NOT NULL)
+    ORDER BY created_at DESC, id DESC
+    LIMIT 1
+  `, [userId || userSessionId, since]);
+  if (!comparison) {
+    return { error: UNDO_ERRORS.NOT_AVAILABLE };
+  }
+
+  // Every comparison of a best-of-N submission, newest first
+  const votes = comparison.group_id
+    ? await queryMany(`
+        SELECT id, item1_id, item2_id, outcome, quarantined, group_id
+        FROM comparisons
+        WHERE group_id = ?
+        ORDER BY id DESC
+      `, [comparison.group_id])
+    : [comparison];
+  const itemIds = [...new Set(votes.flatMap(vote => [vote.item1_id, vote.item2_id]))];
+  // The submission's items in the order they were shown, so the client can put them back
+  const groupRow = comparison.group_id
+    ? await queryOne('SELECT item_ids FROM comparison_groups WHERE id = ?', [comparison.group_id])
+    : null;
+  const groupItemIds = groupRow ? JSON.parse(groupRow.item_ids) : itemIds;
+  const deleteGroup = async () => {
+    if (comparison.group_id) {
+      await execute('DELETE FROM comparison_groups WHERE id = ?', [comparison.group_id]);
+    }
+  };
+
+  // Quarantined votes never touched ratings - just drop the vote
+  if (comparison.quarantined) {
+    for (const vote of votes) {
+      await execute('DELETE FROM comparisons WHERE id = ?', [vote.id]);
+    }
+    await deleteGroup();
+    return { comparison, group: comparison.group_id ? { id: comparison.group_id, itemIds: groupItemIds, ratings: null } : null, ratings: null };
+  }
+
+  const snapshots = [];
+  for (const vote of votes) {
+    const snapshotRow = await queryOne('SELECT snapshot FROM vote_snapshots WHERE comparison_id = ?', [vote.id]);
+    if (!snapshotRow) {
+      return { error: UNDO_ERRORS.NOT_AVAILABLE };
+    }
+    snapshots.push(JSON.parse(snapshotRow.snapshot));
+  }
+
+  // Restore under the item locks so a vote arriving meanwhile can't slip in between
+  // the conflict check and the restore
+  const undone = await withTransaction(async () => {
+    await lockRows('items', itemIds, 'id');
+
+    const placeholders = itemIds.map(() => '?').join(', ');
+    const laterVote = await queryOne(`
+      SELECT id FROM comparisons
+      WHERE id > ? AND quarantined = FALSE
+        AND (item1_id IN (${placeholders}) OR item2_id IN (${placeholders}))
+      LIMIT 1
+    `, [votes[0].id, ...itemIds, ...itemIds]);
+    if (laterVote) return false;
+
+    for (const snapshot of snapshots) {
+      for (const item of snapshot.items) {
+        await restoreItem(item);
+      }
+      for (const categoryRating of snapshot.categoryRatings || []) {
+        await restoreCategoryRating(categoryRating);
+      }
+    }
+
+    for (const vote of votes) {
+      await execute('DELETE FROM rating_history WHERE comparison_id = ?', [vote.id]);
+      await execute('DELETE FROM vote_snapshots WHERE comparison_id = ?', [vote.id]);
+      await execute('DELETE FROM comparisons WHERE id = ?', [vote.id]);
+    }
+    await deleteGroup();
+    // "Don't know either" answers aren't counted as the voter's comparisons
+    const counted = countSubmissions(votes.filter(vote => vote.outcome !== 'unfamiliar'));
+    await adjustComparisonsCount(comparison.user_id, comparison.user_session_id, -counted);
+    return true;
+  });
+  if (!undone) {
+    return { error: UNDO_ERRORS.CONFLICT };
+  }
+  refreshVoterStats(comparison.user_id);
+
+  // Oldest snapshot last, so each item ends up with its rating from before the first vote
+  const ratings = {};
+  snapshots.forEach(snapshot => snapshot.items.forEach(item => {
+    ratings[item.id] = item.elo_rating;
+  }));
+
+  return {
+    comparison,
+    group: comparison.group_id ? { id: comparison.group_id, itemIds: groupItemIds, ratings } : null,
+    ratings: {
+      item1: ratings[comparison.item1_id] ?? null,
+      item2: ratings[comparison.item2_id] ?? null
+    }
+  };
+};
+
+module.exports = {
+  UNDO_ERRORS,
+  captureVoteSnapshot,
+  saveVoteSnapshot,
+  undoLastVote
+};